@@ -2,10 +2,55 @@
 
 document.addEventListener('DOMContentLoaded', () => {
     const urlInput = document.getElementById('urlInput');
+    const renderSelect = document.getElementById('renderSelect');
+    const outputSelect = document.getElementById('outputSelect');
+    const htmlInput = document.getElementById('htmlInput');
     const getArticleBtn = document.getElementById('getArticleBtn');
     const getBreadcrumbsBtn = document.getElementById('getBreadcrumbsBtn');
     const getFaqBtn = document.getElementById('getFaqBtn');
+    const getGraphBtn = document.getElementById('getGraphBtn');
     const output = document.getElementById('output');
+    const editTypeSelect = document.getElementById('editTypeSelect');
+    const extractBtn = document.getElementById('extractBtn');
+    const generateBtn = document.getElementById('generateBtn');
+    const editFields = document.getElementById('editFields');
+    const editJsonSection = document.getElementById('editJsonSection');
+    const editJson = document.getElementById('editJson');
+    const cleanTitleCheckbox = document.getElementById('cleanTitleCheckbox');
+
+    // Endpoints that also accept pasted HTML (POST) instead of fetching the URL
+    const HTML_ENDPOINTS = ['/api/article', '/api/breadcrumbs', '/api/faqs'];
+
+    // Fields shown as inputs in the edit form; "image.url" edits a nested value
+    const EDITABLE_FIELDS = [
+        { path: 'title', label: 'Title' },
+        { path: 'description', label: 'Description', multiline: true },
+        { path: 'author', label: 'Author' },
+        { path: 'authorUrl', label: 'Author URL' },
+        { path: 'datePublished', label: 'Date published' },
+        { path: 'dateModified', label: 'Date modified' },
+        { path: 'image.url', label: 'Image URL', source: 'image' },
+        { path: 'publisherName', label: 'Publisher name' },
+        { path: 'publisherLogo', label: 'Publisher logo URL' },
+        { path: 'articleSection', label: 'Section' },
+        { path: 'articleType', label: 'Article type' },
+        { path: 'inLanguage', label: 'Language' },
+    ];
+
+    // Data returned by /api/extract, edited in the form and sent to /api/generate
+    let extractedData = null;
+
+    // Last schema received as { script, jsonld }, re-rendered when the output format changes
+    let lastSchema = null;
+
+    function showSchema() {
+        if (!lastSchema) {
+            return;
+        }
+        output.textContent = outputSelect.value === 'jsonld'
+            ? JSON.stringify(lastSchema.jsonld, null, 2)
+            : lastSchema.script;
+    }
 
     /**
      * Fetches data from the specified API endpoint and displays it.
@@ -18,24 +63,211 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        const html = htmlInput.value.trim();
+        if (html && !HTML_ENDPOINTS.includes(endpoint)) {
+            output.textContent = 'Pasted HTML is only supported for Article, Breadcrumbs and FAQ schemas. Clear it to scrape the URL.';
+            return;
+        }
+
         output.textContent = 'Fetching data...';
+        lastSchema = null;
 
         try {
-            const response = await fetch(`${endpoint}?url=${encodeURIComponent(url)}`);
+            // output=both returns the <script> string and the JSON-LD object, so the format can be switched locally
+            const response = html
+                ? await fetch(`${endpoint}?output=both`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ html, url }),
+                })
+                : await fetch(`${endpoint}?url=${encodeURIComponent(url)}&render=${renderSelect.value}&output=both`);
             const data = await response.json();
             if (!response.ok) {
                 throw new Error(data.error || 'Something went wrong');
             }
-            // output.textContent = JSON.parse(data, null, 2);
-            output.textContent = data;
+            if (!data) {
+                throw new Error('No schema data found on this page.');
+            }
+            lastSchema = data;
+            showSchema();
         } catch (error) {
             output.textContent = `Error: ${error.message}`;
             console.error(error);
         }
     }
 
+    function getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+    }
+
+    function setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let target = object;
+        for (const key of keys) {
+            if (!target[key] || typeof target[key] !== 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        target[last] = value;
+    }
+
+    /**
+     * Renders an input per editable field, labelled with where the value came from.
+     * @param {object} data Extracted data including fieldSources.
+     */
+    function renderEditForm(data) {
+        const sources = data.fieldSources || {};
+        editFields.replaceChildren(...EDITABLE_FIELDS.map(field => {
+            const row = document.createElement('div');
+            const label = document.createElement('label');
+            label.className = 'flex justify-between text-gray-700 font-semibold mb-1';
+            label.htmlFor = `edit-${field.path}`;
+            label.textContent = field.label;
+
+            const badge = document.createElement('span');
+            const source = sources[field.source || field.path];
+            badge.className = `text-xs font-normal ${!source ? 'text-gray-400' : source.confidence >= 0.8 ? 'text-green-600' : 'text-amber-600'}`;
+            badge.textContent = source ? `${source.source} (${Math.round(source.confidence * 100)}%)` : 'not found';
+            if (source && source.original) {
+                badge.title = `Original: ${source.original}`;
+            }
+            label.appendChild(badge);
+
+            const input = document.createElement(field.multiline ? 'textarea' : 'input');
+            input.id = `edit-${field.path}`;
+            input.dataset.path = field.path;
+            input.className = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+            if (field.multiline) {
+                input.rows = 3;
+            }
+            const value = getPath(data, field.path);
+            input.value = value === null || value === undefined ? '' : value;
+
+            row.append(label, input);
+            return row;
+        }));
+        editJson.value = JSON.stringify(data, null, 2);
+        editFields.classList.remove('hidden');
+        editJsonSection.classList.remove('hidden');
+        generateBtn.disabled = false;
+    }
+
+    /**
+     * Extracts the raw data of the page (or the pasted HTML) for editing.
+     */
+    async function extractData() {
+        const url = urlInput.value;
+        if (!url) {
+            output.textContent = 'Please enter a valid URL.';
+            return;
+        }
+        const html = htmlInput.value.trim();
+        output.textContent = 'Extracting data...';
+        lastSchema = null;
+
+        try {
+            const response = html
+                ? await fetch('/api/extract', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ html, url }),
+                })
+                : await fetch(`/api/extract?url=${encodeURIComponent(url)}&type=${editTypeSelect.value}&render=${renderSelect.value}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Something went wrong');
+            }
+            extractedData = data;
+            renderEditForm(data);
+            output.textContent = 'Review the extracted fields, then click "Generate from Edits".';
+        } catch (error) {
+            output.textContent = `Error: ${error.message}`;
+            console.error(error);
+        }
+    }
+
+    /**
+     * Sends the edited data to /api/generate and displays the schema.
+     */
+    async function generateFromEdits() {
+        if (!extractedData) {
+            return;
+        }
+        let data;
+        try {
+            data = JSON.parse(editJson.value);
+        } catch (error) {
+            output.textContent = `Error: the extracted data is not valid JSON (${error.message}).`;
+            return;
+        }
+        for (const input of editFields.querySelectorAll('[data-path]')) {
+            const value = input.value.trim() || null;
+            // Leave fields the page never had (e.g. image.url without an image) absent
+            if (value !== null || getPath(data, input.dataset.path) !== undefined) {
+                setPath(data, input.dataset.path, value);
+            }
+        }
+        // The schema lists data.authors; an edited author replaces that list
+        if (data.author !== extractedData.author || data.authorUrl !== extractedData.authorUrl) {
+            data.authors = data.author ? [{ type: 'Person', name: data.author, url: data.authorUrl }] : [];
+        }
+        output.textContent = 'Generating schema...';
+        lastSchema = null;
+
+        try {
+            const response = await fetch('/api/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    type: editTypeSelect.value,
+                    data,
+                    url: extractedData.finalUrl || urlInput.value,
+                    output: 'both',
+                    cleanTitle: cleanTitleCheckbox.checked,
+                }),
+            });
+            const schema = await response.json();
+            if (!response.ok) {
+                throw new Error(schema.error || 'Something went wrong');
+            }
+            lastSchema = schema;
+            showSchema();
+        } catch (error) {
+            output.textContent = `Error: ${error.message}`;
+            console.error(error);
+        }
+    }
+
+    outputSelect.addEventListener('change', showSchema);
+    extractBtn.addEventListener('click', extractData);
+    generateBtn.addEventListener('click', generateFromEdits);
+
     // Add event listeners to the buttons
     getArticleBtn.addEventListener('click', () => fetchData('/api/article'));
     getBreadcrumbsBtn.addEventListener('click', () => fetchData('/api/breadcrumbs'));
     getFaqBtn.addEventListener('click', () => fetchData('/api/faqs'));
+    getGraphBtn.addEventListener('click', () => fetchData('/api/schema'));
+
+    // Every plugin type (built-in and PLUGINS_DIR) gets a button and an edit option of its own
+    const PLUGIN_BUTTON_COLORS = [
+        'bg-orange-600 hover:bg-orange-700', 'bg-teal-600 hover:bg-teal-700', 'bg-pink-600 hover:bg-pink-700',
+        'bg-indigo-600 hover:bg-indigo-700', 'bg-red-600 hover:bg-red-700', 'bg-amber-600 hover:bg-amber-700',
+        'bg-slate-600 hover:bg-slate-700',
+    ];
+    fetch('/api/plugins')
+        .then(response => response.json())
+        .then((plugins) => {
+            plugins.forEach((plugin, index) => {
+                const button = document.createElement('button');
+                const color = PLUGIN_BUTTON_COLORS[index % PLUGIN_BUTTON_COLORS.length];
+                button.className = `flex-1 min-w-[150px] ${color} text-white p-3 rounded-lg font-semibold shadow-md transition duration-300`;
+                button.textContent = `Get ${plugin.label} Schema`;
+                button.addEventListener('click', () => fetchData(plugin.route));
+                getGraphBtn.before(button);
+                editTypeSelect.querySelector('option[value="graph"]').before(new Option(plugin.label, plugin.type));
+            });
+        })
+        .catch(error => console.error('Could not load plugin types:', error));
 });
@@ -1,8 +1,15 @@
 // Import required modules
 const express = require('express');
 const path = require('path');
-const { WebScraper } = require('./src/scraper');
-const { SchemaGenerator } = require('./src/schemaGenerator');
+const { WebScraper, RENDER_MODES, ARTICLE_TYPES } = require('./src/scraper');
+const { SchemaGenerator, GRAPH_NODE_TYPES } = require('./src/schemaGenerator');
+const { SchemaValidator } = require('./src/schemaValidator');
+const { SchemaAuditor } = require('./src/schemaAuditor');
+const { JobQueue } = require('./src/jobQueue');
+const { SiteDiscovery } = require('./src/discovery');
+const { FetchError } = require('./src/fetcher');
+const { checkUrl, checkUrlSyntax } = require('./src/networkGuard');
+const { ProfileError } = require('./src/profiles');
 
 // Initialize Express app
 const app = express();
@@ -10,10 +17,122 @@ const port = 3003;
 
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
+// Bodies are larger than usual because the POST schema routes accept whole pages
+app.use(express.json({ limit: '5mb' }));
+app.use(express.text({ type: 'text/html', limit: '5mb' }));
+
+// Output formats of the schema routes (?output= or a JSON body "output")
+const OUTPUT_FORMATS = ['script', 'jsonld', 'both'];
+
+// Routes whose POST variant extracts from caller-supplied HTML instead of fetching
+const HTML_INPUT_ROUTES = ['/article', '/breadcrumbs', '/faqs', '/extract'];
+
+// Every API route accepts render=static|browser|auto (query string or JSON body)
+app.use('/api', (req, res, next) => {
+    const render = req.query.render || (req.body && req.body.render);
+    if (render && !RENDER_MODES.includes(render)) {
+        return res.status(400).json({ error: `Invalid render mode: ${render}. Supported modes: ${RENDER_MODES.join(', ')}.` });
+    }
+    next();
+});
+
+// ?output=script (default: the <script> tag as a string), jsonld (the JSON-LD object) or both
+app.use('/api', (req, res, next) => {
+    const output = req.query.output || (req.body && req.body.output);
+    if (output && !OUTPUT_FORMATS.includes(output)) {
+        return res.status(400).json({ error: `Invalid output format: ${output}. Supported formats: ${OUTPUT_FORMATS.join(', ')}.` });
+    }
+    next();
+});
+
+// ?articleType= overrides the detected article subtype
+app.use('/api', (req, res, next) => {
+    const articleType = req.query.articleType;
+    if (articleType && !ARTICLE_TYPES.includes(articleType)) {
+        return res.status(400).json({ error: `Invalid article type: ${articleType}. Supported types: ${ARTICLE_TYPES.join(', ')}.` });
+    }
+    next();
+});
+
+// ?profile= picks a site profile by id instead of matching the URL; profile=none uses the heuristics only
+app.use('/api', (req, res, next) => {
+    const profile = req.query.profile;
+    if (profile && profile !== 'none' && !WebScraper.profiles.get(profile)) {
+        return res.status(400).json({ error: `Unknown profile: ${profile}.` });
+    }
+    next();
+});
+
+// Ignoring robots.txt (ignoreRobots=1 in the query or JSON body) is reserved for
+// admins: the request must carry X-Admin-Token matching the ADMIN_TOKEN env var
+app.use('/api', (req, res, next) => {
+    const ignoreRobots = req.query.ignoreRobots || (req.body && req.body.ignoreRobots);
+    if (isTruthy(ignoreRobots) && (!process.env.ADMIN_TOKEN || req.get('X-Admin-Token') !== process.env.ADMIN_TOKEN)) {
+        return res.status(403).json({ error: 'Overriding robots.txt requires a valid X-Admin-Token header.' });
+    }
+    next();
+});
+
+// Target URLs (?url= or a JSON body "url") must be public http(s) addresses; anything
+// else, including hosts resolving to private/loopback/link-local ranges, is a 400.
+// The base URL of posted HTML and of edited data (/api/generate) is never fetched,
+// so staging hosts are fine there.
+app.use('/api', async (req, res, next) => {
+    const url = req.query.url || (req.body && req.body.url);
+    const isHtmlInput = req.method === 'POST' && (HTML_INPUT_ROUTES.includes(req.path) || req.path === '/generate');
+    if (url && !isHtmlInput) {
+        const problem = await checkUrl(String(url));
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+    }
+    next();
+});
 
 // Create instances of our classes
 const webScraper = new WebScraper();
 const schemaGenerator = new SchemaGenerator();
+const schemaValidator = new SchemaValidator({ plugins: WebScraper.plugins });
+const schemaAuditor = new SchemaAuditor();
+
+// Generated schema types that can be validated, with the scrape type each one needs.
+// A Map, so request-supplied types never hit Object.prototype keys ("constructor", "toString").
+const GENERATED_SCHEMAS = new Map([
+    ['article', { scrapeType: 'article', generate: (data, url) => schemaGenerator.generateArticleSchema(data, url) }],
+    ['breadcrumbs', { scrapeType: 'breadcrumbs', generate: (data) => schemaGenerator.generateBreadcrumbSchema(data) }],
+    ['faq', { scrapeType: 'faq', generate: (data) => schemaGenerator.generateFaqSchema(data) }],
+    ...WebScraper.plugins.list().map(plugin => [plugin.type, {
+        scrapeType: plugin.type,
+        generate: (data, url) => WebScraper.plugins.generate(plugin, data, url, schemaGenerator),
+    }]),
+    ['graph', { scrapeType: 'article', generate: (data, url) => schemaGenerator.generateGraphSchema(data, url) }],
+]);
+
+const siteDiscovery = new SiteDiscovery({ politeness: WebScraper.politeness });
+
+// Maximum number of URLs accepted by a single bulk job
+const MAX_JOB_URLS = 1000;
+
+// Bulk jobs scrape each URL once per distinct scrape type and generate every requested schema
+const jobQueue = new JobQueue({
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 4,
+    perHostConcurrency: parseInt(process.env.JOB_PER_HOST_CONCURRENCY, 10) || 2,
+    perHostDelay: parseInt(process.env.JOB_PER_HOST_DELAY_MS, 10) || 1000,
+    processor: async (url, types, { render, nocache, ignoreRobots }) => {
+        const scraped = {};
+        const schemas = {};
+        const pageTypes = new Set();
+        for (const type of types) {
+            const { scrapeType, generate } = GENERATED_SCHEMAS.get(type);
+            if (!scraped[scrapeType]) {
+                scraped[scrapeType] = await webScraper.scrapeUrl(url, scrapeType, { render, nocache, ignoreRobots });
+                webScraper.detectPageTypes(scraped[scrapeType]).forEach(pageType => pageTypes.add(pageType));
+            }
+            schemas[type] = generate(scraped[scrapeType], scraped[scrapeType].finalUrl);
+        }
+        return { schemas, pageTypes: [...pageTypes] };
+    },
+});
 
 // API endpoint to get article schema
 app.get('/api/article', async (req, res) => {
@@ -22,12 +141,32 @@ app.get('/api/article', async (req, res) => {
         return res.status(400).json({ error: 'URL query parameter is required.' });
     }
     try {
-        const data = await webScraper.scrapeUrl(url, 'article');
-        const schema = schemaGenerator.generateArticleSchema(data, url);
-        res.json(schema);
+        const data = await webScraper.scrapeUrl(url, 'article', scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        setArticleTypeHeaders(res, data);
+        const schema = schemaGenerator.generateArticleSchema(data, data.finalUrl);
+        res.json(formatSchema(schema, req, articleTypeDetails(data)));
     } catch (error) {
         console.error(`Error scraping article for URL ${url}:`, error);
-        res.status(500).json({ error: `Failed to scrape article data: ${error.message}` });
+        res.status(statusForError(error)).json({ error: `Failed to scrape article data: ${error.message}` });
+    }
+});
+
+// API endpoint to get article schema from posted HTML
+app.post('/api/article', (req, res) => {
+    const input = htmlInput(req);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+    try {
+        const data = webScraper.extractFromHtml(input.html, input.url, scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        setArticleTypeHeaders(res, data);
+        const schema = schemaGenerator.generateArticleSchema(data, data.finalUrl);
+        res.json(formatSchema(schema, req, articleTypeDetails(data)));
+    } catch (error) {
+        console.error(`Error extracting article from HTML for ${input.url}:`, error);
+        res.status(500).json({ error: `Failed to extract article data: ${error.message}` });
     }
 });
 
@@ -38,12 +177,30 @@ app.get('/api/breadcrumbs', async (req, res) => {
         return res.status(400).json({ error: 'URL query parameter is required.' });
     }
     try {
-        const data = await webScraper.scrapeUrl(url, 'breadcrumbs');
+        const data = await webScraper.scrapeUrl(url, 'breadcrumbs', scrapeOptions(req));
+        setScrapeHeaders(res, data);
         const schema = schemaGenerator.generateBreadcrumbSchema(data);
-        res.json(schema);
+        res.json(formatSchema(schema, req));
     } catch (error) {
         console.error(`Error scraping breadcrumbs for URL ${url}:`, error);
-        res.status(500).json({ error: `Failed to scrape breadcrumbs data: ${error.message}` });
+        res.status(statusForError(error)).json({ error: `Failed to scrape breadcrumbs data: ${error.message}` });
+    }
+});
+
+// API endpoint to get breadcrumbs schema from posted HTML
+app.post('/api/breadcrumbs', (req, res) => {
+    const input = htmlInput(req);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+    try {
+        const data = webScraper.extractFromHtml(input.html, input.url, scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        const schema = schemaGenerator.generateBreadcrumbSchema(data);
+        res.json(formatSchema(schema, req));
+    } catch (error) {
+        console.error(`Error extracting breadcrumbs from HTML for ${input.url}:`, error);
+        res.status(500).json({ error: `Failed to extract breadcrumbs data: ${error.message}` });
     }
 });
 
@@ -54,20 +211,506 @@ app.get('/api/faqs', async (req, res) => {
         return res.status(400).json({ error: 'URL query parameter is required.' });
     }
     try {
-        const data = await webScraper.scrapeUrl(url, 'faq');
+        const data = await webScraper.scrapeUrl(url, 'faq', scrapeOptions(req));
+        setScrapeHeaders(res, data);
         // Ensure data.faqs is a valid array before generating the schema
         if (!data.faqs || data.faqs.length === 0) {
             return res.status(400).json({ error: 'No FAQ data found on this page.' });
         }
         const schema = schemaGenerator.generateFaqSchema(data);
-        res.json(schema);
+        res.json(formatSchema(schema, req));
     } catch (error) {
         console.error(`Error scraping FAQ for URL ${url}:`, error);
-        res.status(500).json({ error: `Failed to scrape FAQ data: ${error.message}` });
+        res.status(statusForError(error)).json({ error: `Failed to scrape FAQ data: ${error.message}` });
+    }
+});
+
+// API endpoint to get FAQ schema from posted HTML
+app.post('/api/faqs', (req, res) => {
+    const input = htmlInput(req);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+    try {
+        const data = webScraper.extractFromHtml(input.html, input.url, scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        if (!data.faqs || data.faqs.length === 0) {
+            return res.status(400).json({ error: 'No FAQ data found in this HTML.' });
+        }
+        const schema = schemaGenerator.generateFaqSchema(data);
+        res.json(formatSchema(schema, req));
+    } catch (error) {
+        console.error(`Error extracting FAQ from HTML for ${input.url}:`, error);
+        res.status(500).json({ error: `Failed to extract FAQ data: ${error.message}` });
+    }
+});
+
+// Plugin schema types (product, howto, recipe, organization, video, event and any
+// PLUGINS_DIR plugins) are mounted at /api/<type>
+for (const plugin of WebScraper.plugins.list()) {
+    app.get(`/api/${plugin.type}`, async (req, res) => {
+        const url = req.query.url;
+        if (!url) {
+            return res.status(400).json({ error: 'URL query parameter is required.' });
+        }
+        try {
+            const data = await webScraper.scrapeUrl(url, plugin.type, scrapeOptions(req));
+            setScrapeHeaders(res, data);
+            if (!WebScraper.plugins.hasValue(plugin, data)) {
+                return res.status(400).json({ error: plugin.notFound });
+            }
+            const schema = GENERATED_SCHEMAS.get(plugin.type).generate(data, data.finalUrl);
+            res.json(formatSchema(schema, req));
+        } catch (error) {
+            console.error(`Error scraping ${plugin.label} for URL ${url}:`, error);
+            res.status(statusForError(error)).json({ error: `Failed to scrape ${plugin.label} data: ${error.message}` });
+        }
+    });
+}
+
+// API endpoint listing the plugin schema types, so clients can offer in-house types
+app.get('/api/plugins', (req, res) => {
+    res.json(WebScraper.plugins.list().map(({ type, label, field, schemaTypes }) => ({ type, label, field, schemaTypes, route: `/api/${type}` })));
+});
+
+// API endpoint returning the raw extracted data, with the source and confidence of
+// each field in fieldSources, for review and editing before /api/generate.
+// ?type= picks the scrape (e.g. event or faq) as for /api/validate.
+app.get('/api/extract', async (req, res) => {
+    const { url, type = 'article' } = req.query;
+    if (!url) {
+        return res.status(400).json({ error: 'URL query parameter is required.' });
+    }
+    if (!GENERATED_SCHEMAS.has(type)) {
+        return res.status(400).json({ error: `Unknown schema type: ${type}. Supported types: ${[...GENERATED_SCHEMAS.keys()].join(', ')}.` });
+    }
+    try {
+        const data = await webScraper.scrapeUrl(url, GENERATED_SCHEMAS.get(type).scrapeType, scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        setArticleTypeHeaders(res, data);
+        res.json(data);
+    } catch (error) {
+        console.error(`Error extracting data for URL ${url}:`, error);
+        res.status(statusForError(error)).json({ error: `Failed to extract data: ${error.message}` });
+    }
+});
+
+app.post('/api/extract', (req, res) => {
+    const input = htmlInput(req);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+    try {
+        const data = webScraper.extractFromHtml(input.html, input.url, scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        setArticleTypeHeaders(res, data);
+        res.json(data);
+    } catch (error) {
+        console.error(`Error extracting data from posted HTML for ${input.url}:`, error);
+        res.status(500).json({ error: `Failed to extract data: ${error.message}` });
+    }
+});
+
+// API endpoint to generate a schema from (edited) extracted data:
+// { "type": "article", "data": <ExtractedData>, "url": "<page URL>", "cleanTitle": true }.
+// The title loses its "| Site Name" suffix unless cleanTitle is false.
+app.post('/api/generate', (req, res) => {
+    const { type = 'article', data, cleanTitle = true } = req.body || {};
+    if (!GENERATED_SCHEMAS.has(type)) {
+        return res.status(400).json({ error: `Unknown schema type: ${type}. Supported types: ${[...GENERATED_SCHEMAS.keys()].join(', ')}.` });
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return res.status(400).json({ error: 'Request body must contain the extracted data object ("data").' });
+    }
+    const url = req.body.url || data.finalUrl;
+    if (!url) {
+        return res.status(400).json({ error: 'A page URL ("url" or data.finalUrl) is required.' });
+    }
+    const problem = checkUrlSyntax(String(url), { allowPrivate: true });
+    if (problem) {
+        return res.status(400).json({ error: problem });
+    }
+    const edited = { ...data };
+    if (!['0', 'false'].includes(String(cleanTitle).toLowerCase()) && edited.title) {
+        edited.title = webScraper.cleanTitle(String(edited.title), { siteName: edited.publisherName, url: String(url) });
+    }
+    let schema;
+    try {
+        schema = GENERATED_SCHEMAS.get(type).generate(edited, String(url));
+    } catch (error) {
+        // Edited data with the wrong shape (a string where a list is expected, ...) is the caller's mistake
+        return res.status(400).json({ error: `Failed to generate ${type} schema: ${error.message}` });
+    }
+    if (!schema) {
+        return res.status(400).json({ error: `The data contains no ${type} information.` });
+    }
+    res.json(formatSchema(schema, req));
+});
+
+// API endpoint to get a combined @graph schema from a single scrape
+app.get('/api/schema', async (req, res) => {
+    const url = req.query.url;
+    if (!url) {
+        return res.status(400).json({ error: 'URL query parameter is required.' });
+    }
+    const types = req.query.types
+        ? req.query.types.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+        : GRAPH_NODE_TYPES;
+    const unknownTypes = types.filter(type => !GRAPH_NODE_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: `Unknown schema types: ${unknownTypes.join(', ')}. Supported types: ${GRAPH_NODE_TYPES.join(', ')}.` });
+    }
+    try {
+        // The faq scrape type lets auto rendering fall back to the browser when FAQs are client-side only
+        const data = await webScraper.scrapeUrl(url, types.includes('faq') ? 'faq' : 'article', scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        if (types.includes('article')) {
+            setArticleTypeHeaders(res, data);
+        }
+        const schema = schemaGenerator.generateGraphSchema(data, data.finalUrl, types);
+        if (!schema) {
+            return res.status(400).json({ error: 'No schema data found on this page.' });
+        }
+        res.json(formatSchema(schema, req, types.includes('article') ? articleTypeDetails(data) : null));
+    } catch (error) {
+        console.error(`Error scraping schema graph for URL ${url}:`, error);
+        res.status(statusForError(error)).json({ error: `Failed to scrape schema data: ${error.message}` });
     }
 });
 
+// API endpoint to validate JSON-LD: the markup already on a page (?url=),
+// our generated output for a page (?url=&type=article) or raw JSON-LD (POST body)
+app.get('/api/validate', async (req, res) => {
+    const { url, type } = req.query;
+    if (!url) {
+        return res.status(400).json({ error: 'URL query parameter is required.' });
+    }
+    if (type && !GENERATED_SCHEMAS.has(type)) {
+        return res.status(400).json({ error: `Unknown schema type: ${type}. Supported types: ${[...GENERATED_SCHEMAS.keys()].join(', ')}.` });
+    }
+    try {
+        const data = await webScraper.scrapeUrl(url, type ? GENERATED_SCHEMAS.get(type).scrapeType : 'article', scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        let input = data.jsonLdBlocks;
+        if (type) {
+            input = GENERATED_SCHEMAS.get(type).generate(data, data.finalUrl);
+            if (!input) {
+                return res.status(400).json({ error: `No ${type} data found on this page.` });
+            }
+        }
+        res.json({ source: type ? 'generated' : 'page', ...schemaValidator.validate(input) });
+    } catch (error) {
+        console.error(`Error validating schema for URL ${url}:`, error);
+        res.status(statusForError(error)).json({ error: `Failed to validate schema: ${error.message}` });
+    }
+});
+
+app.post('/api/validate', (req, res) => {
+    // Accept { "jsonld": <object|string> } or the JSON-LD document itself
+    const input = req.body && req.body.jsonld !== undefined ? req.body.jsonld : req.body;
+    if (!input || (typeof input === 'object' && Object.keys(input).length === 0)) {
+        return res.status(400).json({ error: 'Request body must contain JSON-LD.' });
+    }
+    res.json({ source: 'input', ...schemaValidator.validate(input) });
+});
+
+// API endpoint to audit a page's existing structured data against our generated schema
+app.get('/api/audit', async (req, res) => {
+    const url = req.query.url;
+    if (!url) {
+        return res.status(400).json({ error: 'URL query parameter is required.' });
+    }
+    try {
+        const data = await webScraper.scrapeUrl(url, 'article', scrapeOptions(req));
+        setScrapeHeaders(res, data);
+        const generated = [...GENERATED_SCHEMAS]
+            .filter(([type]) => type !== 'graph')
+            .map(([, { generate }]) => generate(data, data.finalUrl));
+        res.json(schemaAuditor.audit(data.structuredData, generated));
+    } catch (error) {
+        console.error(`Error auditing schema for URL ${url}:`, error);
+        res.status(statusForError(error)).json({ error: `Failed to audit schema: ${error.message}` });
+    }
+});
+
+// Site profile CRUD. Profiles run on every page of their hosts, so changes are reserved
+// for admins: the request must carry X-Admin-Token matching the ADMIN_TOKEN env var
+// (without ADMIN_TOKEN, profiles are read-only).
+app.use('/api/profiles', (req, res, next) => {
+    if (req.method !== 'GET' && (!process.env.ADMIN_TOKEN || req.get('X-Admin-Token') !== process.env.ADMIN_TOKEN)) {
+        return res.status(403).json({ error: 'Changing site profiles requires a valid X-Admin-Token header.' });
+    }
+    next();
+});
+
+app.get('/api/profiles', (req, res) => {
+    res.json(WebScraper.profiles.list());
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+    const profile = WebScraper.profiles.get(req.params.id);
+    if (!profile) {
+        return res.status(404).json({ error: 'Profile not found.' });
+    }
+    res.json(profile);
+});
+
+app.post('/api/profiles', async (req, res) => {
+    const profile = req.body || {};
+    if (profile.id && WebScraper.profiles.get(profile.id)) {
+        return res.status(409).json({ error: `Profile ${profile.id} already exists; use PUT /api/profiles/${profile.id} to replace it.` });
+    }
+    await saveProfile(profile, res);
+});
+
+app.put('/api/profiles/:id', async (req, res) => {
+    const profile = req.body || {};
+    if (profile.id && profile.id !== req.params.id) {
+        return res.status(400).json({ error: `Profile id ${profile.id} does not match the URL (${req.params.id}).` });
+    }
+    await saveProfile({ ...profile, id: req.params.id }, res);
+});
+
+app.delete('/api/profiles/:id', async (req, res) => {
+    try {
+        if (!await WebScraper.profiles.delete(req.params.id)) {
+            return res.status(404).json({ error: 'Profile not found.' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error(`Error deleting profile ${req.params.id}:`, error);
+        res.status(500).json({ error: `Failed to delete profile: ${error.message}` });
+    }
+});
+
+// API endpoint to queue a bulk scraping job
+app.post('/api/jobs', (req, res) => {
+    const { urls, types = ['article'], perHostConcurrency, perHostDelay, render, nocache, ignoreRobots } = req.body || {};
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ error: 'Request body must contain a non-empty "urls" array.' });
+    }
+    if (urls.length > MAX_JOB_URLS) {
+        return res.status(400).json({ error: `A job can contain at most ${MAX_JOB_URLS} URLs.` });
+    }
+    // Hostnames are resolved and checked again when each URL is fetched
+    const invalidUrls = urls
+        .map(url => ({ url, problem: checkUrlSyntax(String(url)) }))
+        .filter(({ problem }) => problem);
+    if (invalidUrls.length > 0) {
+        return res.status(400).json({ error: `Invalid URLs: ${invalidUrls.slice(0, 10).map(({ url, problem }) => `${url} (${problem})`).join(', ')}` });
+    }
+    const requestedTypes = [].concat(types);
+    const unknownTypes = requestedTypes.filter(type => !GENERATED_SCHEMAS.has(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: `Unknown schema types: ${unknownTypes.join(', ')}. Supported types: ${[...GENERATED_SCHEMAS.keys()].join(', ')}.` });
+    }
+
+    if (perHostConcurrency !== undefined && !(Number.isInteger(Number(perHostConcurrency)) && Number(perHostConcurrency) >= 1)) {
+        return res.status(400).json({ error: '"perHostConcurrency" must be an integer of at least 1.' });
+    }
+    if (perHostDelay !== undefined && !(Number.isInteger(Number(perHostDelay)) && Number(perHostDelay) >= 0)) {
+        return res.status(400).json({ error: '"perHostDelay" must be a number of milliseconds, 0 or more.' });
+    }
+
+    const job = jobQueue.createJob(urls, requestedTypes, {
+        perHostConcurrency: perHostConcurrency !== undefined ? Number(perHostConcurrency) : undefined,
+        perHostDelay: perHostDelay !== undefined ? Number(perHostDelay) : undefined,
+        render,
+        nocache: isTruthy(nocache),
+        ignoreRobots: isTruthy(ignoreRobots),
+    });
+    res.status(202).json(jobQueue.getProgress(job));
+});
+
+// API endpoint to poll a job's progress and per-URL results/errors
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    res.json({ ...jobQueue.getProgress(job), results: job.results });
+});
+
+// API endpoint to download a job's results as JSONL (default) or CSV
+app.get('/api/jobs/:id/results', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    const format = req.query.format || 'jsonl';
+    if (format === 'csv') {
+        res.attachment(`job-${job.id}.csv`).type('text/csv').send(jobQueue.toCsv(job));
+    } else if (format === 'jsonl') {
+        res.attachment(`job-${job.id}.jsonl`).type('application/x-ndjson').send(jobQueue.toJsonl(job));
+    } else {
+        res.status(400).json({ error: 'Format must be "jsonl" or "csv".' });
+    }
+});
+
+// API endpoint to discover a site's URLs (robots.txt, sitemaps, optional crawl)
+// and queue them as a job for article/breadcrumb/FAQ extraction
+app.post('/api/discover', async (req, res) => {
+    const {
+        url,
+        crawl = false,
+        maxDepth,
+        maxPages,
+        include,
+        exclude,
+        limit,
+        types = ['article', 'breadcrumbs', 'faq'],
+        extract = true,
+        render,
+        nocache,
+        ignoreRobots,
+    } = req.body || {};
+    if (!url) {
+        return res.status(400).json({ error: 'Request body must contain a "url".' });
+    }
+    const requestedTypes = [].concat(types);
+    const unknownTypes = requestedTypes.filter(type => !GENERATED_SCHEMAS.has(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: `Unknown schema types: ${unknownTypes.join(', ')}. Supported types: ${[...GENERATED_SCHEMAS.keys()].join(', ')}.` });
+    }
+    let filters;
+    try {
+        filters = { include: siteDiscovery.compilePatterns(include), exclude: siteDiscovery.compilePatterns(exclude) };
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return res.status(400).json({ error: `Invalid include/exclude pattern: ${error.message}` });
+        }
+        console.error(`Error compiling include/exclude patterns for ${url}:`, error);
+        return res.status(500).json({ error: `Failed to discover URLs: ${error.message}` });
+    }
+    try {
+        const discovery = await siteDiscovery.discover(url, {
+            crawl: Boolean(crawl),
+            maxDepth: Math.min(parseInt(maxDepth, 10) || 2, 5),
+            maxPages: Math.min(parseInt(maxPages, 10) || 50, 500),
+            ...filters,
+            limit: Math.min(parseInt(limit, 10) || MAX_JOB_URLS, MAX_JOB_URLS),
+            ignoreRobots: isTruthy(ignoreRobots),
+        });
+        // Progress and the page-type summary are then available from /api/jobs/:id
+        const job = extract && discovery.urls.length > 0
+            ? jobQueue.createJob(discovery.urls, requestedTypes, { render, nocache: isTruthy(nocache), ignoreRobots: isTruthy(ignoreRobots) })
+            : null;
+        res.json({ ...discovery, job: job && jobQueue.getProgress(job) });
+    } catch (error) {
+        console.error(`Error discovering URLs for ${url}:`, error);
+        res.status(statusForError(error)).json({ error: `Failed to discover URLs: ${error.message}` });
+    }
+});
+
+// Scrape options shared by every route: ?render=static|browser|auto, ?nocache=1,
+// ?followAuthors=1 (fetch author pages for their profiles), ?articleType=NewsArticle|...,
+// ?profile=<id>|none and ?ignoreRobots=1 (admin only, checked by the middleware above)
+function scrapeOptions(req) {
+    return {
+        render: req.query.render,
+        nocache: isTruthy(req.query.nocache),
+        ignoreRobots: isTruthy(req.query.ignoreRobots),
+        followAuthors: isTruthy(req.query.followAuthors),
+        articleType: req.query.articleType,
+        profile: req.query.profile,
+    };
+}
+
+// Saves a site profile: 201 when created, 200 when replaced, 400 listing the problems of an invalid one
+async function saveProfile(profile, res) {
+    try {
+        const { profile: saved, created } = await WebScraper.profiles.save(profile);
+        res.status(created ? 201 : 200).json(saved);
+    } catch (error) {
+        if (error instanceof ProfileError) {
+            return res.status(400).json({ error: error.message, problems: error.problems });
+        }
+        console.error(`Error saving profile ${profile.id}:`, error);
+        res.status(500).json({ error: `Failed to save profile: ${error.message}` });
+    }
+}
+
+// Page HTML posted to the HTML_INPUT_ROUTES: a JSON body { "html": "...", "url": "<page URL>" }
+// or a text/html body with ?url=. The URL only resolves relative links.
+function htmlInput(req) {
+    const html = typeof req.body === 'string' ? req.body : req.body && req.body.html;
+    const url = req.query.url || (req.body && req.body.url);
+    if (typeof html !== 'string' || !html.trim()) {
+        return { error: 'Request body must contain the page HTML ("html" in a JSON body, or a text/html body).' };
+    }
+    if (!url) {
+        return { error: 'A base URL ("url") is required to resolve relative links.' };
+    }
+    const problem = checkUrlSyntax(String(url), { allowPrivate: true });
+    if (problem) {
+        return { error: problem };
+    }
+    return { html, url: String(url) };
+}
+
+// Converts a generated <script> string to the requested output format:
+// script (unchanged), jsonld (the parsed JSON-LD object) or both ({ script, jsonld }).
+// Details about the schema (the article subtype and its rationale) are added to
+// both only; script stays the bare string and jsonld pure JSON-LD, whose @type
+// already names the subtype.
+function formatSchema(schema, req, details = null) {
+    const output = req.query.output || (req.body && req.body.output) || 'script';
+    if (!schema || output === 'script') {
+        return schema;
+    }
+    const jsonld = JSON.parse(schema.replace(/^\s*<script[^>]*>|<\/script>\s*$/g, ''));
+    return output === 'jsonld' ? jsonld : { script: schema, jsonld, ...details };
+}
+
+// The chosen article subtype and the signals behind it, returned next to the schema
+function articleTypeDetails(data) {
+    return { articleType: data.articleType, articleTypeRationale: data.articleTypeRationale || [] };
+}
+
+// Reports how the page was scraped (final URL, render mode, cache status), its
+// language as Content-Language and its hreflang alternates as Link headers
+function setScrapeHeaders(res, data) {
+    res.set('X-Final-Url', data.finalUrl);
+    res.set('X-Render-Mode', data.renderMode);
+    res.set('X-Cache', data.cacheStatus);
+    if (data.inLanguage) {
+        res.set('Content-Language', data.inLanguage);
+    }
+    if (data.alternates && data.alternates.length > 0) {
+        res.set('Link', data.alternates.map(({ hreflang, url }) => `<${url}>; rel="alternate"; hreflang="${hreflang}"`).join(', '));
+    }
+}
+
+// Reports the chosen article subtype and the signals behind it; output=both
+// carries them in the body too (see articleTypeDetails), unabridged
+function setArticleTypeHeaders(res, data) {
+    res.set('X-Article-Type', data.articleType);
+    // Header values must stay printable ASCII (generator names and hosts may not be)
+    res.set('X-Article-Type-Rationale', (data.articleTypeRationale || []).join('; ').replace(/[^\x20-\x7e]/g, '?'));
+    // Cross-origin browser clients can only read headers that are exposed
+    res.append('Access-Control-Expose-Headers', 'X-Article-Type, X-Article-Type-Rationale');
+}
+
+// Flags accept 1/true from query strings and booleans from JSON bodies
+function isTruthy(value) {
+    return ['1', 'true'].includes(String(value).toLowerCase());
+}
+
+// Maps fetch failures (upstream 404, timeouts, ...) to a matching status; anything else is a server error
+function statusForError(error) {
+    return error instanceof FetchError ? error.httpStatus : 500;
+}
+
 // Start the server
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Server listening at http://localhost:${port}`);
 });
+
+// Close Chromium together with the server
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        server.close();
+        await WebScraper.pagePool.close();
+        process.exit(0);
+    });
+}
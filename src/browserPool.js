@@ -0,0 +1,235 @@
+// src/browserPool.js
+// Managed Puppeteer page pool: bounded concurrency, guaranteed page cleanup,
+// request blocking for heavy resources and trackers, relaunch after crashes
+// and shutdown of the browser once it has been idle for a while.
+const puppeteer = require('puppeteer');
+
+// Resource types that never affect the extracted markup
+const BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+// Analytics/ads/tag-manager hosts; blocking them speeds up networkidle considerably
+const TRACKER_HOSTS = [
+    'google-analytics.com', 'googletagmanager.com', 'googleadservices.com', 'googlesyndication.com',
+    'doubleclick.net', 'adservice.google.com', 'connect.facebook.net', 'facebook.com/tr',
+    'hotjar.com', 'segment.io', 'segment.com', 'mixpanel.com', 'amplitude.com', 'clarity.ms',
+    'bat.bing.com', 'ads-twitter.com', 'analytics.tiktok.com', 'snap.licdn.com', 'taboola.com',
+    'outbrain.com', 'criteo.com', 'scorecardresearch.com', 'quantserve.com', 'newrelic.com', 'nr-data.net',
+];
+
+// Response headers that describe the original transfer, not the decompressed body handed to the browser
+const HOP_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+// Errors that mean the browser (not the page) went away
+const CRASH_PATTERN = /Target closed|Session closed|Protocol error|browser has disconnected|Connection closed/i;
+
+class BrowserPool {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxPages=3] Maximum pages open at once; further requests wait.
+     * @param {number} [options.idleTimeout=60000] Milliseconds without pages before the browser is closed.
+     * @param {boolean} [options.blockResources=true] Block images, media, fonts and trackers.
+     * @param {object} [options.launchOptions] Passed to puppeteer.launch.
+     * @param {(url: string) => Promise<void>} [options.requestGuard] Called for every request the page makes;
+     *        throwing aborts the request, and a blocked main-frame navigation rejects with that error.
+     * @param {(url: string, request: {method: string, headers: object, body?: string}) => Promise<{status: number, headers: object, body: Buffer}>} [options.requestFetcher]
+     *        Performs the page's requests instead of Chromium, which then never opens a connection itself;
+     *        failures abort the request like requestGuard.
+     */
+    constructor({ maxPages = 3, idleTimeout = 60000, blockResources = true, launchOptions = {}, requestGuard = null, requestFetcher = null } = {}) {
+        this.maxPages = maxPages;
+        this.idleTimeout = idleTimeout;
+        this.blockResources = blockResources;
+        this.requestGuard = requestGuard;
+        this.requestFetcher = requestFetcher;
+        this.launchOptions = { headless: 'new', ...launchOptions };
+
+        this.browser = null;
+        this.launching = null;
+        this.active = 0;
+        this.waiting = [];
+        this.idleTimer = null;
+    }
+
+    /**
+     * Runs `fn` with a fresh page from the pool. The page is always closed
+     * afterwards, and the call is retried once on a relaunched browser if the
+     * browser crashed underneath it.
+     * @template T
+     * @param {(page: import('puppeteer').Page) => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async withPage(fn) {
+        await this.acquire();
+        try {
+            // The browser this call's page was opened in: another page may already have relaunched this.browser
+            const attempt = { browser: null };
+            try {
+                return await this.runOnPage(fn, attempt);
+            } catch (error) {
+                if (!CRASH_PATTERN.test(error.message)) {
+                    throw error;
+                }
+                console.warn(`Browser crashed (${error.message}); relaunching and retrying.`);
+                await this.discardBrowser(attempt.browser);
+                return await this.runOnPage(fn, attempt);
+            }
+        } finally {
+            this.release();
+        }
+    }
+
+    async runOnPage(fn, attempt = {}) {
+        const browser = await this.getBrowser();
+        attempt.browser = browser;
+        const page = await browser.newPage();
+        const blocked = { navigation: null };
+        try {
+            if (this.blockResources || this.requestGuard || this.requestFetcher) {
+                await this.enableInterception(page, blocked);
+            }
+            return await fn(page);
+        } catch (error) {
+            // Report why the navigation was refused rather than Chromium's net::ERR_BLOCKED_BY_CLIENT
+            throw blocked.navigation || error;
+        } finally {
+            // Closing fails harmlessly if the browser already died
+            await page.close().catch(() => {});
+        }
+    }
+
+    async enableInterception(page, blocked) {
+        await page.setRequestInterception(true);
+        page.on('request', async (request) => {
+            if (request.isInterceptResolutionHandled()) {
+                return;
+            }
+            const url = request.url();
+            const refuse = (error, reason) => {
+                if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                    blocked.navigation = error;
+                }
+                request.abort(reason).catch(() => {});
+            };
+            const skipped = this.blockResources && (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())
+                || TRACKER_HOSTS.some(host => url.includes(host)));
+            if (skipped) {
+                request.abort('blockedbyclient').catch(() => {});
+                return;
+            }
+            if (/^(data|blob):/.test(url)) {
+                request.continue().catch(() => {});
+                return;
+            }
+            if (this.requestGuard) {
+                try {
+                    await this.requestGuard(url);
+                } catch (error) {
+                    refuse(error, 'blockedbyclient');
+                    return;
+                }
+            }
+            if (!this.requestFetcher) {
+                request.continue().catch(() => {});
+                return;
+            }
+            let response;
+            try {
+                response = await this.requestFetcher(url, { method: request.method(), headers: request.headers(), body: request.postData() });
+            } catch (error) {
+                refuse(error, error.code === 'BLOCKED_URL' ? 'blockedbyclient' : 'failed');
+                return;
+            }
+            request.respond({
+                status: response.status,
+                headers: Object.fromEntries(Object.entries(response.headers).filter(([name]) => !HOP_HEADERS.includes(name.toLowerCase()))),
+                body: response.body,
+            }).catch(() => {});
+        });
+    }
+
+    /**
+     * Returns the connected browser, launching (or relaunching) it as needed.
+     * @returns {Promise<import('puppeteer').Browser>}
+     */
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+        if (!this.launching) {
+            this.launching = puppeteer.launch(this.launchOptions)
+                .then((browser) => {
+                    browser.on('disconnected', () => {
+                        if (this.browser === browser) {
+                            this.browser = null;
+                        }
+                    });
+                    this.browser = browser;
+                    return browser;
+                })
+                .finally(() => {
+                    this.launching = null;
+                });
+        }
+        return this.launching;
+    }
+
+    acquire() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (this.active < this.maxPages) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter
+            next();
+            return;
+        }
+        this.active--;
+        if (this.active === 0 && this.idleTimeout > 0) {
+            this.idleTimer = setTimeout(() => this.close(), this.idleTimeout);
+            this.idleTimer.unref();
+        }
+    }
+
+    /**
+     * Closes a browser, by default the current one. Only the current browser
+     * is forgotten, so discarding an instance that crashed and was already
+     * replaced leaves the replacement and its pages alone.
+     * @param {import('puppeteer').Browser|null} [browser]
+     */
+    async discardBrowser(browser = this.browser) {
+        if (this.browser === browser) {
+            this.browser = null;
+        }
+        if (browser) {
+            await browser.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Closes the browser. The next withPage call launches a new one.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        await this.discardBrowser();
+    }
+
+    getStats() {
+        return {
+            activePages: this.active,
+            waiting: this.waiting.length,
+            maxPages: this.maxPages,
+            browserRunning: Boolean(this.browser && this.browser.isConnected())
+        };
+    }
+}
+
+module.exports = { BrowserPool };
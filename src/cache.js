@@ -0,0 +1,216 @@
+// src/cache.js
+// Cache for fetched HTML and extracted data, keyed by normalized URL and
+// render mode, with TTL expiry, ETag/Last-Modified revalidation and a
+// pluggable store (in-memory LRU or on-disk JSON files).
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {*} value The cached value.
+ * @property {number} storedAt Epoch milliseconds when the value was stored or last revalidated.
+ * @property {string} [etag] ETag of the cached response, for conditional requests.
+ * @property {string} [lastModified] Last-Modified of the cached response.
+ */
+
+// Tracking parameters that never change page content
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga|ref)$/i;
+
+/**
+ * Least-recently-used in-memory store.
+ */
+class MemoryStore {
+    /**
+     * @param {{maxEntries?: number}} [options]
+     */
+    constructor({ maxEntries = 500 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Stores each entry as a JSON file named after the hash of its key.
+ */
+class DiskStore {
+    /**
+     * @param {{directory?: string}} [options]
+     */
+    constructor({ directory = path.join(os.tmpdir(), 'scrap-tool-cache') } = {}) {
+        this.directory = directory;
+    }
+
+    filePath(key) {
+        return path.join(this.directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        // Write then rename so readers never see a half-written file; the random
+        // part keeps concurrent writes of the same key in this process apart
+        const file = this.filePath(key);
+        const temp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        await fs.promises.rename(temp, file);
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+
+    async clear() {
+        await fs.promises.rm(this.directory, { recursive: true, force: true });
+    }
+}
+
+class ScrapeCache {
+    /**
+     * @param {object} [options]
+     * @param {MemoryStore|DiskStore|object} [options.store] Any object with async get/set/delete/clear.
+     * @param {number} [options.ttl=600000] Milliseconds an entry is served without revalidation.
+     */
+    constructor({ store = new MemoryStore(), ttl = 10 * 60 * 1000 } = {}) {
+        this.store = store;
+        this.ttl = ttl;
+    }
+
+    /**
+     * Normalizes a URL so equivalent URLs share a cache entry: drops the
+     * fragment and tracking parameters, sorts the query and lowercases the host.
+     * @param {string} url
+     * @returns {string}
+     */
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            parsed.hostname = parsed.hostname.toLowerCase();
+            const params = [...parsed.searchParams.entries()]
+                .filter(([name]) => !TRACKING_PARAMS.test(name))
+                .sort(([a], [b]) => a.localeCompare(b));
+            parsed.search = new URLSearchParams(params).toString();
+            return parsed.href;
+        } catch {
+            return url;
+        }
+    }
+
+    key(kind, url, ...parts) {
+        return [kind, ...parts, this.normalizeUrl(url)].join(':');
+    }
+
+    isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.storedAt < this.ttl;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<CacheEntry|null>}
+     */
+    async get(key) {
+        try {
+            return await this.store.get(key);
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {{etag?: string, lastModified?: string}} [validators]
+     */
+    async set(key, value, validators = {}) {
+        try {
+            await this.store.set(key, {
+                value,
+                storedAt: Date.now(),
+                ...(validators.etag && { etag: validators.etag }),
+                ...(validators.lastModified && { lastModified: validators.lastModified })
+            });
+        } catch (error) {
+            console.warn(`Cache write failed for ${key}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Returns fresh cached content, or revalidates stale content with a
+     * conditional request, or loads it from scratch.
+     * @param {string} key
+     * @param {(conditionalHeaders: object) => Promise<{value: *, notModified?: boolean, etag?: string, lastModified?: string}>} load
+     *        Performs the request; must resolve with notModified: true on HTTP 304.
+     * @param {{nocache?: boolean}} [options] nocache skips reading (the result is still stored).
+     * @returns {Promise<{value: *, cacheStatus: 'HIT'|'REVALIDATED'|'MISS'|'BYPASS'}>}
+     */
+    async fetch(key, load, { nocache = false } = {}) {
+        const entry = nocache ? null : await this.get(key);
+        if (this.isFresh(entry)) {
+            return { value: entry.value, cacheStatus: 'HIT' };
+        }
+
+        const conditionalHeaders = {};
+        if (entry && entry.etag) conditionalHeaders['If-None-Match'] = entry.etag;
+        if (entry && entry.lastModified) conditionalHeaders['If-Modified-Since'] = entry.lastModified;
+
+        const result = await load(conditionalHeaders);
+        if (result.notModified && entry) {
+            await this.set(key, entry.value, entry);
+            return { value: entry.value, cacheStatus: 'REVALIDATED' };
+        }
+        await this.set(key, result.value, result);
+        return { value: result.value, cacheStatus: nocache ? 'BYPASS' : 'MISS' };
+    }
+}
+
+/**
+ * Builds the cache from environment variables:
+ * CACHE_STORE (memory|disk), CACHE_TTL_MS, CACHE_DIR, CACHE_MAX_ENTRIES.
+ * @returns {ScrapeCache}
+ */
+function createCacheFromEnv() {
+    const store = process.env.CACHE_STORE === 'disk'
+        ? new DiskStore({ directory: process.env.CACHE_DIR || undefined })
+        : new MemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || undefined });
+    const ttl = parseInt(process.env.CACHE_TTL_MS, 10);
+    return new ScrapeCache({ store, ttl: isNaN(ttl) ? undefined : ttl });
+}
+
+module.exports = { ScrapeCache, MemoryStore, DiskStore, createCacheFromEnv };
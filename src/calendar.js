@@ -0,0 +1,167 @@
+// src/calendar.js
+// iCalendar (RFC 5545) reading for the .ics files and "add to calendar"
+// links of event pages, plus the time zone helpers that turn local
+// wall-clock times into ISO 8601 date-times with a UTC offset.
+
+/**
+ * UTC offset of a time zone at a given instant.
+ * @param {Date} date
+ * @param {string} timeZone IANA name such as "Europe/Berlin".
+ * @returns {string|null} "+02:00", "-05:00", "+00:00", or null for an unknown zone.
+ */
+function timezoneOffset(date, timeZone) {
+    try {
+        const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+            .formatToParts(date)
+            .find(({ type }) => type === 'timeZoneName');
+        const match = part && part.value.match(/^GMT(?:([+-]\d{2}):?(\d{2}))?$/);
+        if (!match) {
+            return null;
+        }
+        return match[1] ? `${match[1]}:${match[2]}` : '+00:00';
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Adds the offset of a time zone to a local date-time.
+ * @param {string} localDateTime "YYYY-MM-DDTHH:MM:SS" without offset.
+ * @param {string|null} timeZone IANA time zone name.
+ * @returns {string} The date-time with its offset, or unchanged when the zone is unknown.
+ */
+function withTimezone(localDateTime, timeZone) {
+    const match = timeZone && localDateTime.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/);
+    if (!match) {
+        return localDateTime;
+    }
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const toMinutes = offset => (offset[0] === '-' ? -1 : 1) * (parseInt(offset.slice(1, 3), 10) * 60 + parseInt(offset.slice(4), 10));
+    // The offset depends on the instant, which depends on the offset: guess, then correct once for DST
+    const guess = timezoneOffset(new Date(wallClock), timeZone);
+    if (!guess) {
+        return localDateTime;
+    }
+    const offset = timezoneOffset(new Date(wallClock - toMinutes(guess) * 60000), timeZone) || guess;
+    return `${localDateTime}${offset}`;
+}
+
+/**
+ * Converts an iCalendar DATE or DATE-TIME value ("20240501", "20240501T190000Z",
+ * "20240501T190000" with a TZID) to ISO 8601.
+ * @param {string} value
+ * @param {string|null} [timeZone] TZID of the value; floating times without one stay without offset.
+ * @returns {string|null}
+ */
+function parseCalendarDate(value, timeZone = null) {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, seconds = '00', utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (!hours) {
+        return date;
+    }
+    const local = `${date}T${hours}:${minutes}:${seconds}`;
+    return utc ? `${local}Z` : withTimezone(local, timeZone);
+}
+
+// "NAME;PARAM=a;PARAM2="b:c":value" -> { name, params, value }
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) {
+        return null;
+    }
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * Reads the VEVENT components of an iCalendar file.
+ * @param {string} text Contents of the .ics file.
+ * @returns {Array<{name: string|null, description: string|null, startDate: string|null, endDate: string|null,
+ *                  location: string|null, url: string|null, status: string|null, timeZone: string|null,
+ *                  organizer: {name: string|null, email: string|null}|null}>}
+ */
+function parseICalendar(text) {
+    // Long lines are folded onto continuation lines that start with a space or tab
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+    let calendarTimeZone = null;
+
+    for (const line of lines) {
+        const property = parseContentLine(line);
+        if (!property) {
+            continue;
+        }
+        const { name, params, value } = property;
+        if (name === 'X-WR-TIMEZONE' && !event) {
+            calendarTimeZone = value.trim();
+        } else if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            event = {
+                name: null, description: null, startDate: null, endDate: null,
+                location: null, url: null, status: null, timeZone: null, organizer: null,
+            };
+        } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && event) {
+            events.push(event);
+            event = null;
+        } else if (event) {
+            switch (name) {
+                case 'SUMMARY':
+                    event.name = unescapeText(value) || null;
+                    break;
+                case 'DESCRIPTION':
+                    event.description = unescapeText(value) || null;
+                    break;
+                case 'LOCATION':
+                    event.location = unescapeText(value) || null;
+                    break;
+                case 'URL':
+                    event.url = value.trim() || null;
+                    break;
+                case 'STATUS':
+                    event.status = value.trim().toUpperCase() || null;
+                    break;
+                case 'DTSTART':
+                case 'DTEND': {
+                    const timeZone = params.TZID || calendarTimeZone;
+                    event[name === 'DTSTART' ? 'startDate' : 'endDate'] = parseCalendarDate(value, timeZone);
+                    if (params.TZID) {
+                        event.timeZone = params.TZID;
+                    }
+                    break;
+                }
+                case 'ORGANIZER':
+                    event.organizer = {
+                        name: params.CN ? unescapeText(params.CN) : null,
+                        email: /^mailto:/i.test(value) ? value.replace(/^mailto:/i, '').trim() : null,
+                    };
+                    break;
+            }
+        }
+    }
+    return events;
+}
+
+module.exports = { parseICalendar, parseCalendarDate, withTimezone, timezoneOffset };
@@ -0,0 +1,351 @@
+// src/contentExtractor.js
+// Readability-style main content extraction: strips boilerplate, scores
+// block elements by text and link density plus class/id hints, and returns
+// the winning container's text with word count, reading time, headings
+// outline and ranked content images.
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// Removed before scoring; they never hold article text
+const BOILERPLATE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'form', 'svg', 'canvas', 'button', 'select', 'input',
+    'nav', 'header', 'footer', 'aside', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[role="dialog"]', '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]',
+];
+
+// class/id words of boilerplate blocks (cookie banners, related posts, comments, share bars, ...)
+const UNLIKELY_PATTERN = /cookie|consent|gdpr|banner|comment|disqus|related|recommend|share|social|sidebar|footer|header|masthead|menu|nav|breadcrumb|pagination|pager|popup|modal|newsletter|subscribe|signup|promo|sponsor|advert|\bads?\b|\bad-|widget|author-box|tags|taxonomy|skip-link|print|jump/i;
+// class/id words that keep a block even when it also matches UNLIKELY_PATTERN
+const MAYBE_PATTERN = /article|body|content|entry|main|post|story|text|hentry|prose|blog/i;
+// Boilerplate that is removed even inside "post"/"content" classes (related-posts, comment-content),
+// unless the block holds most of the page text (a wrapper such as "main with-sidebar")
+const ALWAYS_UNLIKELY_PATTERN = /cookie|consent|gdpr|related|recommend|comment|disqus|share|social|newsletter|subscribe|popup|modal|sidebar|advert|sponsor|promo/i;
+
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|main|page|post|text|blog|story|prose/i;
+const NEGATIVE_PATTERN = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|cookie|consent/i;
+
+// Elements whose text counts as a paragraph when scoring
+const SCORED_SELECTOR = 'p, pre, td, blockquote, li, div:not(:has(p, div, pre, table, ul, ol, blockquote, section, article))';
+// Blocks kept as separate paragraphs in the extracted text (the h1 repeats the headline)
+const BLOCK_SELECTOR = 'p, pre, blockquote, li, h2, h3, h4, h5, h6, td, th, figcaption, dt, dd';
+
+const WORDS_PER_MINUTE = 230;
+const MIN_PARAGRAPH_LENGTH = 25;
+const MAX_IMAGES = 20;
+
+class ContentExtractor {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.wordsPerMinute=230] Reading speed used for readingTime/timeRequired.
+     * @param {number} [options.minTextLength=200] Shorter results are treated as "no article body".
+     */
+    constructor({ wordsPerMinute = WORDS_PER_MINUTE, minTextLength = 200 } = {}) {
+        this.wordsPerMinute = wordsPerMinute;
+        this.minTextLength = minTextLength;
+    }
+
+    /**
+     * Extracts the main content of a page.
+     * @param {cheerio.CheerioAPI} $page Cheerio instance of the page (left untouched).
+     * @param {string} baseUrl Base for relative image URLs.
+     * @returns {{text: string|null, wordCount: number, readingTime: number, timeRequired: string|null,
+     *            headings: Array<{level: number, text: string}>, images: Array<object>,
+     *            image: {url: string, width?: number, height?: number, alt?: string, caption?: string}|null}}
+     *          image is the first (largest) entry of images.
+     */
+    extract($page, baseUrl) {
+        // Work on a copy: boilerplate removal must not affect the other extractors
+        const $ = cheerio.load($page.html());
+        this.removeBoilerplate($);
+
+        return this.summarize($, this.findContent($), baseUrl);
+    }
+
+    /**
+     * Extracts the content of a known container instead of scoring
+     * candidates, for site profiles that name the article body's selector.
+     * @param {cheerio.CheerioAPI} $page Cheerio instance of the page (left untouched).
+     * @param {string} selector Selector of the content container.
+     * @param {string} baseUrl Base for relative image URLs.
+     * @param {Array<string>} [exclude] Selectors of elements inside the container to drop (ads, share bars).
+     * @returns {object} Same shape as extract().
+     */
+    extractSelected($page, selector, baseUrl, exclude = []) {
+        const $ = cheerio.load($page.html());
+        const content = $(selector).first();
+        if (exclude.length > 0) {
+            content.find(exclude.join(', ')).remove();
+        }
+        return this.summarize($, content.length > 0 ? content : null, baseUrl);
+    }
+
+    summarize($, content, baseUrl) {
+        const text = content ? this.collectText($, content) : '';
+        if (text.length < this.minTextLength) {
+            return { text: null, wordCount: 0, readingTime: 0, timeRequired: null, headings: [], images: [], image: null };
+        }
+
+        const wordCount = this.countWords(text);
+        const readingTime = Math.max(1, Math.ceil(wordCount / this.wordsPerMinute));
+        const images = this.collectImages($, content, baseUrl);
+        return {
+            text,
+            wordCount,
+            readingTime,
+            timeRequired: `PT${readingTime}M`,
+            headings: this.collectHeadings($, content),
+            images,
+            image: images[0] || null,
+        };
+    }
+
+    removeBoilerplate($) {
+        $(BOILERPLATE_SELECTORS.join(', ')).remove();
+        const bodyLength = this.normalize($('body').text()).length;
+        $('body *').each((_, el) => {
+            if (el.tagName === 'article' || el.tagName === 'main') {
+                return;
+            }
+            const hints = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+            if (!hints.trim() || !UNLIKELY_PATTERN.test(hints)) {
+                return;
+            }
+            const unlikely = !MAYBE_PATTERN.test(hints)
+                || (ALWAYS_UNLIKELY_PATTERN.test(hints) && this.normalize($(el).text()).length < bodyLength / 2);
+            if (unlikely) {
+                $(el).remove();
+            }
+        });
+    }
+
+    /**
+     * Scores candidate containers and returns the best one, merged with
+     * sibling blocks that look like continuations of the article.
+     * @returns {cheerio.Cheerio|null}
+     */
+    findContent($) {
+        const scores = new Map();
+        const addScore = (el, points) => {
+            if (!el || el.type !== 'tag' || el.tagName === 'html') {
+                return;
+            }
+            if (!scores.has(el)) {
+                scores.set(el, this.initialScore($, el));
+            }
+            scores.set(el, scores.get(el) + points);
+        };
+
+        $(SCORED_SELECTOR).each((_, el) => {
+            const text = this.normalize($(el).text());
+            if (text.length < MIN_PARAGRAPH_LENGTH) {
+                return;
+            }
+            // One point per paragraph, per comma-separated clause and per 100 characters (up to 3)
+            const points = 1 + text.split(/[,،、，]/).length + Math.min(3, Math.floor(text.length / 100));
+            addScore(el.parent, points);
+            if (el.parent) {
+                addScore(el.parent.parent, points / 2);
+            }
+        });
+
+        let best = null;
+        let bestScore = 0;
+        for (const [el, score] of scores) {
+            // Navigation-like blocks made mostly of links lose most of their score
+            const finalScore = score * (1 - this.linkDensity($, el));
+            scores.set(el, finalScore);
+            if (finalScore > bestScore) {
+                best = el;
+                bestScore = finalScore;
+            }
+        }
+        if (!best) {
+            const body = $('body');
+            return body.length ? body : null;
+        }
+
+        // Articles split across sibling containers: keep siblings that score well or read like prose
+        const threshold = Math.max(10, bestScore * 0.2);
+        const parts = $(best).parent().children().filter((_, sibling) => {
+            if (sibling === best) {
+                return true;
+            }
+            if ((scores.get(sibling) || 0) >= threshold) {
+                return true;
+            }
+            const text = this.normalize($(sibling).text());
+            return sibling.tagName === 'p' && text.length > 80 && this.linkDensity($, sibling) < 0.25;
+        });
+        return parts.length > 1 ? parts : $(best);
+    }
+
+    initialScore($, el) {
+        let score = 0;
+        switch (el.tagName) {
+            case 'article':
+            case 'main':
+                score += 10;
+                break;
+            case 'div':
+            case 'section':
+                score += 5;
+                break;
+            case 'pre':
+            case 'td':
+            case 'blockquote':
+                score += 3;
+                break;
+            case 'ol':
+            case 'ul':
+            case 'dl':
+            case 'form':
+                score -= 3;
+                break;
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th':
+                score -= 5;
+                break;
+        }
+        const hints = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+        if (POSITIVE_PATTERN.test(hints)) score += 25;
+        if (NEGATIVE_PATTERN.test(hints)) score -= 25;
+        if ($(el).attr('itemprop') === 'articleBody' || $(el).attr('property') === 'articleBody') score += 50;
+        return score;
+    }
+
+    // Share of an element's text that sits inside links
+    linkDensity($, el) {
+        const textLength = this.normalize($(el).text()).length;
+        if (textLength === 0) {
+            return 1;
+        }
+        let linkLength = 0;
+        $(el).find('a').each((_, link) => {
+            linkLength += this.normalize($(link).text()).length;
+        });
+        return Math.min(1, linkLength / textLength);
+    }
+
+    /**
+     * Joins the content's blocks into paragraphs separated by blank lines,
+     * dropping link-heavy blocks (inline "Related:" lists, tag clouds).
+     */
+    collectText($, content) {
+        const paragraphs = [];
+        content.each((_, container) => {
+            const blocks = $(container).is(BLOCK_SELECTOR) ? $(container) : $(container).find(BLOCK_SELECTOR);
+            if (blocks.length === 0) {
+                paragraphs.push(this.normalize($(container).text()));
+                return;
+            }
+            blocks.each((_, block) => {
+                // Nested blocks (p inside li/blockquote) are read through their parent
+                if ($(block).parentsUntil(container).filter(BLOCK_SELECTOR).length > 0) {
+                    return;
+                }
+                const text = this.normalize($(block).text());
+                if (text && this.linkDensity($, block) < 0.5) {
+                    paragraphs.push(text);
+                }
+            });
+        });
+        return paragraphs.filter(Boolean).join('\n\n');
+    }
+
+    collectHeadings($, content) {
+        const headings = [];
+        content.find('h1, h2, h3, h4, h5, h6').add(content.filter('h1, h2, h3, h4, h5, h6')).each((_, el) => {
+            const text = this.normalize($(el).text());
+            if (text) {
+                headings.push({ level: parseInt(el.tagName[1], 10), text });
+            }
+        });
+        return headings;
+    }
+
+    /**
+     * Ranks the content images, largest first, skipping icons, avatars and
+     * tracking pixels. Images without dimensions follow the sized ones in
+     * document order.
+     * @returns {Array<{url: string, width?: number, height?: number, alt?: string, caption?: string}>}
+     */
+    collectImages($, content, baseUrl) {
+        const candidates = [];
+        const seen = new Set();
+        content.find('img').add(content.filter('img')).each((index, el) => {
+            const $img = $(el);
+            const src = this.imageSource($img);
+            if (!src || src.startsWith('data:') || /\.svg(\?|$)|avatar|gravatar|icon|logo|emoji|pixel|spacer/i.test(src)) {
+                return;
+            }
+            const width = parseInt($img.attr('width'), 10) || null;
+            const height = parseInt($img.attr('height'), 10) || null;
+            if ((width && width < 100) || (height && height < 100)) {
+                return;
+            }
+            let url;
+            try {
+                url = new URL(src, baseUrl).href;
+            } catch {
+                return;
+            }
+            if (seen.has(url)) {
+                return;
+            }
+            seen.add(url);
+            const alt = this.normalize($img.attr('alt') || '');
+            const caption = this.normalize($img.closest('figure').find('figcaption').first().text());
+            candidates.push({
+                index,
+                area: width && height ? width * height : 0,
+                image: {
+                    url,
+                    ...(width && { width }),
+                    ...(height && { height }),
+                    ...(alt && { alt }),
+                    ...(caption && { caption }),
+                },
+            });
+        });
+        return candidates
+            .sort((a, b) => b.area - a.area || a.index - b.index)
+            .slice(0, MAX_IMAGES)
+            .map(candidate => candidate.image);
+    }
+
+    // Lazy-loading attributes first, then the widest srcset candidate, then src
+    imageSource($img) {
+        const lazy = $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('data-original');
+        if (lazy) {
+            return lazy.trim();
+        }
+        const srcset = $img.attr('srcset') || $img.attr('data-srcset');
+        if (srcset) {
+            const candidates = srcset.split(',').map((candidate) => {
+                const [url, descriptor = ''] = candidate.trim().split(/\s+/);
+                return { url, size: parseFloat(descriptor) || 0 };
+            }).filter(candidate => candidate.url);
+            if (candidates.length > 0) {
+                return candidates.sort((a, b) => b.size - a.size)[0].url;
+            }
+        }
+        return ($img.attr('src') || '').trim() || null;
+    }
+
+    /**
+     * Counts words; Chinese and Japanese characters count one word each.
+     * @param {string} text
+     * @returns {number}
+     */
+    countWords(text) {
+        const cjk = text.match(/[\u3040-\u30ff\u4e00-\u9fff]/g) || [];
+        const words = text.replace(/[\u3040-\u30ff\u4e00-\u9fff]/g, ' ').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+        return cjk.length + words.length;
+    }
+
+    normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = { ContentExtractor };
@@ -0,0 +1,279 @@
+// src/discovery.js
+// Discovers a site's URLs from robots.txt, sitemaps (including sitemap
+// indexes and gzipped sitemaps) and an optional bounded same-origin crawl.
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { fetchUrl, fetchHtml, FetchError, MAX_BODY_BYTES } = require('./fetcher');
+const { Politeness } = require('./politeness');
+const { compileSafeRegExp, capInput, Glob, MAX_PATTERN_LENGTH } = require('./safeRegExp');
+
+// Non-HTML resources never worth scraping for schema
+const ASSET_PATTERN = /\.(jpe?g|png|gif|webp|svg|ico|css|js|json|xml|pdf|zip|gz|mp4|mp3|webm|woff2?|ttf|eot)$/i;
+
+/**
+ * Fetches a resource body, unpacking gzipped sitemap files (*.xml.gz) that
+ * are served without a Content-Encoding header. The unpacked size is capped
+ * like any fetched body, so a gzip bomb fails fast instead of filling memory.
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ * @throws {FetchError} BODY_TOO_LARGE or DECODE_ERROR for bad gzip files.
+ */
+async function fetchBody(url) {
+    const { body } = await fetchUrl(url);
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        try {
+            return zlib.gunzipSync(body, { maxOutputLength: MAX_BODY_BYTES });
+        } catch (e) {
+            if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+                throw new FetchError(`Unpacked sitemap exceeds ${MAX_BODY_BYTES} bytes`, { code: 'BODY_TOO_LARGE', url });
+            }
+            throw new FetchError(`Cannot unpack gzipped sitemap: ${e.message}`, { code: 'DECODE_ERROR', url });
+        }
+    }
+    return body;
+}
+
+class SiteDiscovery {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSitemaps=50] Maximum sitemap files read per discovery.
+     * @param {number} [options.maxUrls=5000] Maximum URLs returned.
+     * @param {Politeness} [options.politeness] robots.txt rules and rate limits applied to every fetch.
+     */
+    constructor({ maxSitemaps = 50, maxUrls = 5000, politeness = new Politeness() } = {}) {
+        this.maxSitemaps = maxSitemaps;
+        this.maxUrls = maxUrls;
+        this.politeness = politeness;
+    }
+
+    /**
+     * Discovers URLs for a site.
+     * @param {string} siteUrl Any URL on the site; discovery starts from its origin.
+     * @param {object} [options]
+     * @param {boolean} [options.sitemaps=true] Read robots.txt and sitemaps.
+     * @param {boolean} [options.crawl=false] Also crawl same-origin links from siteUrl.
+     * @param {number} [options.maxDepth=2] Crawl depth (0 = only siteUrl).
+     * @param {number} [options.maxPages=50] Maximum pages fetched by the crawl.
+     * @param {Array<string|RegExp|Glob>} [options.include] Path patterns ("*" wildcard or /regex/) a URL must match.
+     * @param {Array<string|RegExp|Glob>} [options.exclude] Path patterns that reject a URL.
+     * @param {number} [options.limit] Maximum URLs returned (capped at maxUrls).
+     * @param {boolean} [options.ignoreRobots=false] Admin override: crawl paths robots.txt disallows.
+     * @returns {Promise<{urls: Array<string>, sitemaps: Array<string>, sources: {sitemap: number, crawl: number}, errors: Array<string>}>}
+     */
+    async discover(siteUrl, options = {}) {
+        const {
+            sitemaps: useSitemaps = true,
+            crawl = false,
+            maxDepth = 2,
+            maxPages = 50,
+            include = [],
+            exclude = [],
+            limit = this.maxUrls,
+            ignoreRobots = false,
+        } = options;
+        const origin = new URL(siteUrl).origin;
+        const filter = this.createFilter(origin, include, exclude);
+        const maxUrls = Math.min(limit, this.maxUrls);
+
+        const result = { urls: [], sitemaps: [], sources: { sitemap: 0, crawl: 0 }, errors: [] };
+        const seen = new Set();
+        const add = (url, source) => {
+            let normalized;
+            try {
+                normalized = this.normalizeUrl(url);
+            } catch {
+                // A malformed <loc> or link is reported and skipped, the rest of the site still counts
+                result.errors.push(`Invalid URL skipped: ${url}`);
+                return false;
+            }
+            if (seen.size >= maxUrls || seen.has(normalized) || !filter(normalized)) {
+                return false;
+            }
+            seen.add(normalized);
+            result.urls.push(normalized);
+            result.sources[source]++;
+            return true;
+        };
+
+        if (useSitemaps) {
+            const sitemapUrls = await this.findSitemaps(origin, result.errors);
+            await this.readSitemaps(sitemapUrls, result, add);
+        }
+
+        if (crawl) {
+            await this.crawl(siteUrl, { maxDepth, maxPages, origin, ignoreRobots }, result, add);
+        }
+
+        return result;
+    }
+
+    /**
+     * Reads Sitemap: directives from robots.txt, falling back to the usual locations.
+     * @param {string} origin
+     * @param {Array<string>} errors Collects non-fatal errors.
+     * @returns {Promise<Array<string>>}
+     */
+    async findSitemaps(origin, errors) {
+        const robots = await this.politeness.getRobots(origin);
+        if (robots.error) {
+            errors.push(robots.error);
+        }
+        const sitemaps = new Set();
+        for (const sitemap of robots.sitemaps) {
+            try {
+                sitemaps.add(new URL(sitemap, origin).href);
+            } catch {
+                errors.push(`Invalid sitemap URL in robots.txt skipped: ${sitemap}`);
+            }
+        }
+        if (sitemaps.size > 0) {
+            return [...sitemaps];
+        }
+        return [`${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`];
+    }
+
+    async readSitemaps(sitemapUrls, result, add) {
+        const queue = [...sitemapUrls];
+        const visited = new Set();
+
+        while (queue.length > 0 && visited.size < this.maxSitemaps) {
+            const sitemapUrl = queue.shift();
+            if (visited.has(sitemapUrl)) {
+                continue;
+            }
+            visited.add(sitemapUrl);
+
+            let body;
+            try {
+                await this.politeness.throttle(sitemapUrl);
+                body = await fetchBody(sitemapUrl);
+            } catch (e) {
+                if (e.status !== 404) {
+                    result.errors.push(`${sitemapUrl}: ${e.message}`);
+                }
+                continue;
+            }
+
+            const $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+            const childSitemaps = $('sitemapindex > sitemap > loc').map((_, el) => $(el).text().trim()).get();
+            const pageUrls = $('urlset > url > loc').map((_, el) => $(el).text().trim()).get();
+            if (childSitemaps.length === 0 && pageUrls.length === 0) {
+                continue;
+            }
+
+            result.sitemaps.push(sitemapUrl);
+            queue.push(...childSitemaps);
+            for (const url of pageUrls) {
+                add(url, 'sitemap');
+            }
+        }
+    }
+
+    // Breadth-first same-origin crawl bounded by depth and page count
+    async crawl(startUrl, { maxDepth, maxPages, origin, ignoreRobots }, result, add) {
+        const queue = [{ url: this.normalizeUrl(startUrl), depth: 0 }];
+        const visited = new Set();
+        add(startUrl, 'crawl');
+
+        while (queue.length > 0 && visited.size < maxPages) {
+            const { url, depth } = queue.shift();
+            if (visited.has(url)) {
+                continue;
+            }
+            visited.add(url);
+
+            // Disallowed pages stay listed (bulk jobs report them) but are not fetched for links
+            if (!ignoreRobots && !(await this.politeness.isAllowed(url))) {
+                continue;
+            }
+
+            let html;
+            try {
+                await this.politeness.throttle(url);
+                ({ html } = await fetchHtml(url));
+            } catch (e) {
+                result.errors.push(`${url}: ${e.message}`);
+                continue;
+            }
+
+            if (depth >= maxDepth) {
+                continue;
+            }
+            const $ = cheerio.load(html);
+            $('a[href]').each((_, el) => {
+                let link;
+                let normalized;
+                try {
+                    link = new URL($(el).attr('href'), url);
+                    normalized = this.normalizeUrl(link.href);
+                } catch {
+                    return;
+                }
+                if (link.origin !== origin || ASSET_PATTERN.test(link.pathname) || $(el).attr('rel') === 'nofollow') {
+                    return;
+                }
+                add(normalized, 'crawl');
+                if (!visited.has(normalized)) {
+                    queue.push({ url: normalized, depth: depth + 1 });
+                }
+            });
+        }
+    }
+
+    /**
+     * Compiles include/exclude patterns, so routes can reject bad ones up front.
+     * @param {string|Array<string>} [patterns]
+     * @returns {Array<RegExp|Glob>}
+     * @throws {SyntaxError} For non-string, invalid or backtracking-prone patterns.
+     */
+    compilePatterns(patterns = []) {
+        return [].concat(patterns).filter(Boolean).map(pattern => this.toMatcher(pattern));
+    }
+
+    createFilter(origin, include, exclude) {
+        const includePatterns = this.compilePatterns(include);
+        const excludePatterns = this.compilePatterns(exclude);
+        return (url) => {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                return false;
+            }
+            if (parsed.origin !== origin) {
+                return false;
+            }
+            const path = capInput(parsed.pathname + parsed.search);
+            if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(path))) {
+                return false;
+            }
+            return !excludePatterns.some(pattern => pattern.test(path));
+        };
+    }
+
+    // "/blog/*" style globs (matched as a prefix), or "/regex/" for full regular expressions
+    toMatcher(pattern) {
+        if (pattern instanceof RegExp || pattern instanceof Glob) {
+            return pattern;
+        }
+        if (typeof pattern !== 'string') {
+            throw new SyntaxError(`Patterns must be strings, got ${JSON.stringify(pattern)}.`);
+        }
+        const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            return compileSafeRegExp(regex[1], regex[2]);
+        }
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            throw new SyntaxError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters: ${pattern.slice(0, 40)}...`);
+        }
+        return new Glob(pattern);
+    }
+
+    normalizeUrl(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    }
+}
+
+module.exports = { SiteDiscovery };
@@ -0,0 +1,303 @@
+// src/fetcher.js
+// HTTP fetch layer for static scraping: follows redirects, decompresses,
+// detects the charset, enforces timeouts and body size limits, and reports
+// failures as typed FetchErrors that routes can map to HTTP status codes.
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { URL } = require('url');
+const { checkUrlSyntax, guardedLookup, ALLOW_PRIVATE_NETWORKS } = require('./networkGuard');
+
+// Honest user agent; its product token ("ScrapTool") is what robots.txt groups are matched against
+const USER_AGENT = process.env.SCRAPER_USER_AGENT || 'ScrapTool/1.0 (+https://github.com/softwarekhatri/scrap-tool)';
+
+const DEFAULT_HEADERS = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'DNT': '1',
+    'Upgrade-Insecure-Requests': '1',
+};
+
+// Largest (decompressed) body accepted
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const DEFAULT_OPTIONS = {
+    maxRedirects: 5,
+    timeout: 20000,
+    maxBytes: MAX_BODY_BYTES,
+    allowPrivate: ALLOW_PRIVATE_NETWORKS,
+};
+
+/**
+ * A failed fetch. `code` identifies the failure and `httpStatus` is the
+ * status our API should answer with.
+ */
+class FetchError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {'HTTP_ERROR'|'TOO_MANY_REDIRECTS'|'TIMEOUT'|'BODY_TOO_LARGE'|'INVALID_URL'|'NETWORK_ERROR'|'DECODE_ERROR'|'ROBOTS_DISALLOWED'|'BLOCKED_URL'} details.code
+     * @param {string} details.url The URL that failed.
+     * @param {number} [details.status] Upstream HTTP status for HTTP_ERROR.
+     */
+    constructor(message, { code, url, status = null }) {
+        super(message);
+        this.name = 'FetchError';
+        this.code = code;
+        this.url = url;
+        this.status = status;
+    }
+
+    get httpStatus() {
+        switch (this.code) {
+            case 'INVALID_URL':
+            case 'BLOCKED_URL':
+                return 400;
+            case 'ROBOTS_DISALLOWED':
+                return 403;
+            case 'HTTP_ERROR':
+                // Missing pages stay 404; any other upstream failure is a bad gateway
+                return this.status === 404 || this.status === 410 ? 404 : 502;
+            case 'TIMEOUT':
+                return 504;
+            default:
+                return 502;
+        }
+    }
+}
+
+/**
+ * Fetches a URL, following redirects and decompressing the body.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.maxRedirects=5]
+ * @param {number} [options.timeout=20000] Milliseconds allowed per request (each redirect hop is timed separately).
+ * @param {number} [options.maxBytes=10485760] Maximum decompressed body size.
+ * @param {object} [options.headers] Extra request headers.
+ * @param {boolean} [options.allowPrivate] Allow private/loopback/link-local hosts (defaults to ALLOW_PRIVATE_NETWORKS).
+ * @returns {Promise<{url: string, finalUrl: string, status: number, headers: object, body: Buffer, redirects: Array<string>}>}
+ */
+async function fetchUrl(url, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const redirects = [];
+    let currentUrl = url;
+
+    for (;;) {
+        let parsed;
+        try {
+            parsed = new URL(currentUrl);
+        } catch {
+            throw new FetchError(`Invalid URL: ${currentUrl}`, { code: 'INVALID_URL', url: currentUrl });
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new FetchError(`Unsupported protocol: ${parsed.protocol}`, { code: 'INVALID_URL', url: currentUrl });
+        }
+        // Checked on every hop so a redirect cannot lead to an internal host
+        const problem = checkUrlSyntax(currentUrl, { allowPrivate: settings.allowPrivate });
+        if (problem) {
+            throw new FetchError(problem, { code: 'BLOCKED_URL', url: currentUrl });
+        }
+
+        const response = await request(parsed, settings);
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            if (redirects.length >= settings.maxRedirects) {
+                throw new FetchError(`Too many redirects (more than ${settings.maxRedirects})`, { code: 'TOO_MANY_REDIRECTS', url });
+            }
+            redirects.push(currentUrl);
+            currentUrl = new URL(response.headers.location, currentUrl).href;
+            continue;
+        }
+
+        if (response.status >= 400) {
+            throw new FetchError(`Upstream responded with HTTP ${response.status}`, { code: 'HTTP_ERROR', url: currentUrl, status: response.status });
+        }
+
+        return { url, finalUrl: currentUrl, redirects, ...response };
+    }
+}
+
+/**
+ * Performs one request without following redirects or failing on HTTP error
+ * statuses, so a browser can be answered with the exact response. Used to
+ * fulfil Puppeteer's intercepted requests: the connection goes through
+ * guardedLookup, so the browser never reaches a private address, even when
+ * DNS changes between the URL check and the request.
+ * @param {string} url
+ * @param {object} [options] See fetchUrl, plus:
+ * @param {string} [options.method='GET']
+ * @param {string|Buffer} [options.body] Request body (POST data).
+ * @returns {Promise<{status: number, headers: object, body: Buffer}>} The body is decompressed.
+ * @throws {FetchError}
+ */
+async function fetchOnce(url, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, method: 'GET', ...options };
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new FetchError(`Invalid URL: ${url}`, { code: 'INVALID_URL', url });
+    }
+    const problem = checkUrlSyntax(url, { allowPrivate: settings.allowPrivate });
+    if (problem) {
+        throw new FetchError(problem, { code: 'BLOCKED_URL', url });
+    }
+    return request(parsed, settings);
+}
+
+/**
+ * Fetches an HTML page and decodes it using the charset from the
+ * Content-Type header or the page's <meta> charset.
+ * @param {string} url
+ * @param {object} [options] See fetchUrl.
+ * @returns {Promise<{html: string, url: string, finalUrl: string, status: number, headers: object, charset: string, redirects: Array<string>}>}
+ */
+async function fetchHtml(url, options = {}) {
+    const response = await fetchUrl(url, options);
+    const charset = detectCharset(response.headers['content-type'], response.body);
+    let html;
+    try {
+        html = new TextDecoder(charset).decode(response.body);
+    } catch {
+        html = response.body.toString('utf8');
+    }
+    return {
+        html,
+        url: response.url,
+        finalUrl: response.finalUrl,
+        status: response.status,
+        headers: response.headers,
+        charset,
+        redirects: response.redirects,
+    };
+}
+
+function request(parsed, settings) {
+    return new Promise((promiseResolve, promiseReject) => {
+        let timer = null;
+        const resolve = (value) => {
+            clearTimeout(timer);
+            promiseResolve(value);
+        };
+        const reject = (error) => {
+            clearTimeout(timer);
+            promiseReject(error);
+        };
+        const lib = parsed.protocol === 'https:' ? https : http;
+        const req = lib.request(parsed, {
+            method: settings.method || 'GET',
+            headers: mergeHeaders(DEFAULT_HEADERS, settings.headers),
+            // Resolved addresses are checked at connect time, which also covers DNS rebinding
+            lookup: settings.allowPrivate ? undefined : guardedLookup,
+        }, (res) => {
+            // Redirect bodies are irrelevant
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                resolve({ status: res.statusCode, headers: res.headers, body: Buffer.alloc(0) });
+                return;
+            }
+
+            const declaredLength = parseInt(res.headers['content-length'], 10);
+            if (declaredLength > settings.maxBytes) {
+                res.destroy();
+                reject(new FetchError(`Response body exceeds ${settings.maxBytes} bytes`, { code: 'BODY_TOO_LARGE', url: parsed.href }));
+                return;
+            }
+
+            // A connection lost mid-body is a network failure, not a decoding one
+            const lost = () => reject(new FetchError('Connection closed before the response was complete', { code: 'NETWORK_ERROR', url: parsed.href }));
+            res.on('aborted', lost);
+            res.on('error', lost);
+
+            const decoder = createDecoder(res.headers['content-encoding']);
+            if (decoder) {
+                // pipeline() destroys the decoder when res fails; pipe() would leave it waiting for the timeout
+                pipeline(res, decoder, () => {});
+                decoder.on('error', (error) => reject(new FetchError(`Failed to decode response: ${error.message}`, { code: 'DECODE_ERROR', url: parsed.href })));
+            }
+            const stream = decoder || res;
+            const chunks = [];
+            let size = 0;
+            stream.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > settings.maxBytes) {
+                    reject(new FetchError(`Response body exceeds ${settings.maxBytes} bytes`, { code: 'BODY_TOO_LARGE', url: parsed.href }));
+                    req.destroy();
+                    stream.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+
+        // Covers the whole exchange, including slow bodies, not just socket idle time
+        timer = setTimeout(() => {
+            const error = new FetchError(`Timed out after ${settings.timeout}ms`, { code: 'TIMEOUT', url: parsed.href });
+            reject(error);
+            req.destroy(error);
+        }, settings.timeout);
+        req.on('error', (error) => {
+            if (error.code === 'BLOCKED_ADDRESS') {
+                reject(new FetchError(error.message, { code: 'BLOCKED_URL', url: parsed.href }));
+                return;
+            }
+            reject(error instanceof FetchError
+                ? error
+                : new FetchError(`Network error: ${error.message}`, { code: 'NETWORK_ERROR', url: parsed.href }));
+        });
+        req.end(settings.body || undefined);
+    });
+}
+
+// Later headers replace earlier ones whatever their case (a browser's "user-agent" replaces User-Agent)
+function mergeHeaders(...headerSets) {
+    const merged = {};
+    for (const headers of headerSets) {
+        for (const [name, value] of Object.entries(headers || {})) {
+            for (const existing of Object.keys(merged)) {
+                if (existing.toLowerCase() === name.toLowerCase()) {
+                    delete merged[existing];
+                }
+            }
+            merged[name] = value;
+        }
+    }
+    return merged;
+}
+
+// Decompression stream for a Content-Encoding, or null when the body is not compressed
+function createDecoder(contentEncoding) {
+    switch ((contentEncoding || '').trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.createGunzip();
+        case 'deflate':
+            return zlib.createInflate();
+        case 'br':
+            return zlib.createBrotliDecompress();
+        default:
+            return null;
+    }
+}
+
+/**
+ * Picks the document charset: Content-Type header first, then a
+ * <meta charset> or http-equiv declaration near the top of the body.
+ * @param {string} [contentType]
+ * @param {Buffer} body
+ * @returns {string}
+ */
+function detectCharset(contentType, body) {
+    const headerMatch = (contentType || '').match(/charset=["']?([\w.:-]+)/i);
+    if (headerMatch) {
+        return headerMatch[1].toLowerCase();
+    }
+    const head = body.subarray(0, 4096).toString('latin1');
+    const metaMatch = head.match(/<meta[^>]+charset=["']?([\w.:-]+)/i);
+    return metaMatch ? metaMatch[1].toLowerCase() : 'utf-8';
+}
+
+module.exports = { fetchUrl, fetchOnce, fetchHtml, FetchError, detectCharset, USER_AGENT, MAX_BODY_BYTES };
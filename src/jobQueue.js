@@ -0,0 +1,240 @@
+// src/jobQueue.js
+// In-process queue for bulk scraping jobs with global and per-host
+// concurrency limits and a minimum delay between requests to the same host.
+const crypto = require('crypto');
+
+/**
+ * @typedef {object} JobResult
+ * @property {string} url
+ * @property {'pending'|'running'|'done'|'error'} status
+ * @property {Object<string, string|null>} [schemas] Generated schema per requested type.
+ * @property {Array<string>} [pageTypes] Page types detected while scraping.
+ * @property {string} [error]
+ * @property {string} [startedAt]
+ * @property {string} [finishedAt]
+ */
+
+/**
+ * @typedef {object} Job
+ * @property {string} id
+ * @property {'queued'|'running'|'completed'} status
+ * @property {Array<string>} types
+ * @property {number} perHostConcurrency
+ * @property {number} perHostDelay
+ * @property {'static'|'browser'|'auto'} render
+ * @property {boolean} nocache
+ * @property {boolean} ignoreRobots Admin override for robots.txt.
+ * @property {string} createdAt
+ * @property {string|null} finishedAt
+ * @property {Array<JobResult>} results
+ */
+
+class JobQueue {
+    /**
+     * @param {object} options
+     * @param {(url: string, types: Array<string>, options: {render: string, nocache: boolean, ignoreRobots: boolean}) => Promise<{schemas: Object<string, string|null>, pageTypes?: Array<string>}>} options.processor
+     *        Scrapes one URL and returns the generated schema per type plus the detected page types.
+     * @param {number} [options.concurrency=4] Maximum URLs processed at once across all jobs.
+     * @param {number} [options.perHostConcurrency=2] Default maximum parallel requests per host.
+     * @param {number} [options.perHostDelay=1000] Default milliseconds between request starts per host.
+     * @param {number} [options.maxJobs=100] Finished jobs kept in memory before the oldest are dropped.
+     */
+    constructor({ processor, concurrency = 4, perHostConcurrency = 2, perHostDelay = 1000, maxJobs = 100 }) {
+        this.processor = processor;
+        this.concurrency = concurrency;
+        this.perHostConcurrency = perHostConcurrency;
+        this.perHostDelay = perHostDelay;
+        this.maxJobs = maxJobs;
+
+        this.jobs = new Map();
+        this.pending = []; // { job, result }
+        this.active = 0;
+        this.activeByHost = new Map();
+        this.lastStartByHost = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Queues a new job.
+     * @param {Array<string>} urls
+     * @param {Array<string>} types
+     * @param {{perHostConcurrency?: number, perHostDelay?: number, render?: string, nocache?: boolean, ignoreRobots?: boolean}} [options] Per-job politeness, render and cache overrides.
+     * @returns {Job}
+     */
+    createJob(urls, types, options = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            types,
+            // At least one request per host, or the job's tasks would never start
+            perHostConcurrency: Number.isFinite(options.perHostConcurrency)
+                ? Math.max(1, Math.floor(options.perHostConcurrency))
+                : this.perHostConcurrency,
+            perHostDelay: Number.isFinite(options.perHostDelay) ? Math.max(0, options.perHostDelay) : this.perHostDelay,
+            render: options.render || 'auto',
+            nocache: Boolean(options.nocache),
+            ignoreRobots: Boolean(options.ignoreRobots),
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            results: [...new Set(urls)].map(url => ({ url, status: 'pending' }))
+        };
+        this.jobs.set(job.id, job);
+        this.pruneJobs();
+
+        for (const result of job.results) {
+            this.pending.push({ job, result });
+        }
+        this.pump();
+        return job;
+    }
+
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Summarizes a job's progress without the per-URL schemas.
+     * @param {Job} job
+     * @returns {object}
+     */
+    getProgress(job) {
+        const counts = { pending: 0, running: 0, done: 0, error: 0 };
+        const pageTypes = {};
+        for (const result of job.results) {
+            counts[result.status]++;
+            for (const type of result.pageTypes || []) {
+                pageTypes[type] = (pageTypes[type] || 0) + 1;
+            }
+        }
+        return {
+            id: job.id,
+            status: job.status,
+            types: job.types,
+            render: job.render,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+            total: job.results.length,
+            ...counts,
+            progress: job.results.length ? (counts.done + counts.error) / job.results.length : 1,
+            pageTypes
+        };
+    }
+
+    // Starts as many pending tasks as the global/per-host limits allow
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        let nextWake = Infinity;
+
+        for (let i = 0; i < this.pending.length && this.active < this.concurrency;) {
+            const task = this.pending[i];
+            const host = this.hostOf(task.result.url);
+            const activeForHost = this.activeByHost.get(host) || 0;
+            const readyAt = (this.lastStartByHost.get(host) || 0) + task.job.perHostDelay;
+
+            if (activeForHost >= task.job.perHostConcurrency) {
+                i++;
+                continue;
+            }
+            if (readyAt > now) {
+                nextWake = Math.min(nextWake, readyAt);
+                i++;
+                continue;
+            }
+
+            this.pending.splice(i, 1);
+            this.start(task, host);
+        }
+
+        if (nextWake !== Infinity) {
+            this.timer = setTimeout(() => this.pump(), nextWake - now);
+        }
+    }
+
+    async start({ job, result }, host) {
+        this.active++;
+        this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+        this.lastStartByHost.set(host, Date.now());
+
+        job.status = 'running';
+        result.status = 'running';
+        result.startedAt = new Date().toISOString();
+
+        try {
+            const { schemas, pageTypes } = await this.processor(result.url, job.types, { render: job.render, nocache: job.nocache, ignoreRobots: job.ignoreRobots });
+            result.schemas = schemas;
+            result.pageTypes = pageTypes || [];
+            result.status = 'done';
+        } catch (error) {
+            result.status = 'error';
+            result.error = error.message;
+        } finally {
+            result.finishedAt = new Date().toISOString();
+            this.active--;
+            this.activeByHost.set(host, this.activeByHost.get(host) - 1);
+            if (job.results.every(r => r.status === 'done' || r.status === 'error')) {
+                job.status = 'completed';
+                job.finishedAt = new Date().toISOString();
+            }
+            this.pump();
+        }
+    }
+
+    hostOf(url) {
+        try {
+            return new URL(url).host;
+        } catch {
+            return url;
+        }
+    }
+
+    // Drops the oldest completed jobs once more than maxJobs are held
+    pruneJobs() {
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size <= this.maxJobs) {
+                break;
+            }
+            if (job.status === 'completed') {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Serializes a job's results as JSON Lines, one URL per line.
+     * @param {Job} job
+     * @returns {string}
+     */
+    toJsonl(job) {
+        return job.results
+            .map(({ url, status, schemas, pageTypes, error }) => JSON.stringify({ url, status, pageTypes: pageTypes || [], schemas: schemas || null, error: error || null }))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Serializes a job's results as CSV with one schema column per requested type.
+     * @param {Job} job
+     * @returns {string}
+     */
+    toCsv(job) {
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['url', 'status', 'error', 'pageTypes', ...job.types];
+        const rows = job.results.map(({ url, status, schemas, pageTypes, error }) => [
+            url,
+            status,
+            error,
+            (pageTypes || []).join(' '),
+            ...job.types.map(type => schemas && schemas[type])
+        ]);
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+    }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,123 @@
+// src/locales.js
+// Localized keyword sets used by the FAQ/breadcrumb heuristics and the
+// stopword lists used to guess a page's language from its text.
+
+/**
+ * Keywords per primary language subtag.
+ * - faq: headings/tabs that introduce an FAQ section (lower case)
+ * - breadcrumb: aria-labels/class words used for breadcrumb navigation (lower case)
+ * - home: name given to the first crumb when breadcrumbs are built from the URL path
+ * - question: words that open a question, used to tell FAQ questions from ordinary headings (lower case)
+ */
+const LOCALIZED_KEYWORDS = {
+    en: { faq: ['faq', 'faqs', 'frequently asked questions', 'common questions'], breadcrumb: ['breadcrumb'], home: 'Home', question: ['what', 'how', 'why', 'when', 'where', 'who', 'which', 'can', 'do', 'does', 'is', 'are', 'should', 'will', 'could', 'would', 'may', 'have', 'has'] },
+    es: { faq: ['preguntas frecuentes', 'preguntas más frecuentes'], breadcrumb: ['migas de pan', 'miga de pan', 'ruta de navegación'], home: 'Inicio', question: ['qué', 'que', 'cómo', 'como', 'por qué', 'cuándo', 'dónde', 'quién', 'cuál', 'cuánto', 'cuánta', 'puedo', 'se puede', 'es', 'hay'] },
+    de: { faq: ['häufige fragen', 'häufig gestellte fragen', 'fragen und antworten'], breadcrumb: ['brotkrümel', 'brotkrumen', 'brotkrümelnavigation'], home: 'Startseite', question: ['was', 'wie', 'warum', 'wann', 'wo', 'wer', 'welche', 'welcher', 'welches', 'kann', 'können', 'ist', 'sind', 'gibt es', 'muss'] },
+    fr: { faq: ['questions fréquentes', 'foire aux questions', 'questions courantes'], breadcrumb: ['fil d\'ariane', 'fil d’ariane'], home: 'Accueil', question: ['que', 'quoi', 'comment', 'pourquoi', 'quand', 'où', 'qui', 'quel', 'quelle', 'quels', 'quelles', 'combien', 'est-ce', 'puis-je', 'peut-on', 'faut-il'] },
+    it: { faq: ['domande frequenti', 'domande più frequenti'], breadcrumb: ['briciole di pane', 'percorso di navigazione'], home: 'Home', question: ['che', 'cosa', 'come', 'perché', 'quando', 'dove', 'chi', 'quale', 'quali', 'quanto', 'posso', 'è possibile', 'si può'] },
+    pt: { faq: ['perguntas frequentes', 'dúvidas frequentes'], breadcrumb: ['trilha de navegação', 'migalhas de pão'], home: 'Início', question: ['o que', 'que', 'como', 'por que', 'porque', 'quando', 'onde', 'quem', 'qual', 'quais', 'quanto', 'posso', 'é possível'] },
+    nl: { faq: ['veelgestelde vragen', 'veel gestelde vragen'], breadcrumb: ['kruimelpad'], home: 'Home', question: ['wat', 'hoe', 'waarom', 'wanneer', 'waar', 'wie', 'welke', 'kan', 'kun', 'is', 'zijn', 'moet'] },
+    hi: { faq: ['अक्सर पूछे जाने वाले प्रश्न', 'सामान्य प्रश्न'], breadcrumb: [], home: 'होम', question: ['क्या', 'कैसे', 'क्यों', 'कब', 'कहाँ', 'कहां', 'कौन', 'कितना', 'कितने'] },
+};
+
+// Very common words per language; the language with most hits in the page text wins
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'that', 'with', 'for', 'this', 'was', 'you', 'it'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'por', 'para', 'con', 'una', 'del'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'den', 'sich', 'auf', 'für', 'ein', 'eine', 'auch'],
+    fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'dans', 'pour', 'que', 'qui', 'pas', 'sur', 'avec'],
+    it: ['il', 'di', 'che', 'è', 'della', 'per', 'una', 'sono', 'gli', 'con', 'non', 'anche', 'del', 'nel'],
+    pt: ['o', 'os', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'não', 'uma', 'com', 'são'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'niet', 'zijn', 'voor', 'met', 'ook', 'wordt'],
+};
+
+// Scripts that identify a language on their own
+const SCRIPT_LANGUAGES = [
+    { language: 'ja', pattern: /[\u3040-\u30ff]/g },
+    { language: 'ko', pattern: /[\uac00-\ud7af]/g },
+    { language: 'zh', pattern: /[\u4e00-\u9fff]/g },
+    { language: 'hi', pattern: /[\u0900-\u097f]/g },
+    { language: 'ru', pattern: /[\u0400-\u04ff]/g },
+    { language: 'ar', pattern: /[\u0600-\u06ff]/g },
+];
+
+/**
+ * Keywords for a language, always including English because English
+ * labels ("FAQ", "Home") are common on non-English sites.
+ * @param {string|null} language BCP 47 tag such as "es-ES".
+ * @param {'faq'|'breadcrumb'|'question'} kind
+ * @returns {Array<string>}
+ */
+function keywordsFor(language, kind) {
+    const primary = (language || '').split('-')[0].toLowerCase();
+    const localized = LOCALIZED_KEYWORDS[primary] ? LOCALIZED_KEYWORDS[primary][kind] : [];
+    return [...new Set([...localized, ...LOCALIZED_KEYWORDS.en[kind]])];
+}
+
+/**
+ * Every known keyword of a kind, for when the page language is not known yet.
+ * @param {'faq'|'breadcrumb'} kind
+ * @returns {Array<string>}
+ */
+function allKeywords(kind) {
+    return [...new Set(Object.values(LOCALIZED_KEYWORDS).flatMap(keywords => keywords[kind]))];
+}
+
+/**
+ * Name of the home crumb in a language ("Inicio", "Startseite", "Accueil").
+ * @param {string|null} language
+ * @returns {string}
+ */
+function homeLabel(language) {
+    const primary = (language || '').split('-')[0].toLowerCase();
+    return (LOCALIZED_KEYWORDS[primary] || LOCALIZED_KEYWORDS.en).home;
+}
+
+/**
+ * Guesses the language of a text from its script or its stopwords.
+ * @param {string} text
+ * @returns {string|null} Primary language subtag, or null when the text is too short or ambiguous.
+ */
+function detectTextLanguage(text) {
+    const sample = (text || '').slice(0, 5000);
+    for (const { language, pattern } of SCRIPT_LANGUAGES) {
+        const matches = sample.match(pattern);
+        if (matches && matches.length > 50) {
+            return language;
+        }
+    }
+
+    const words = sample.toLowerCase().match(/[\p{L}']+/gu) || [];
+    if (words.length < 30) {
+        return null;
+    }
+    const scores = Object.entries(STOPWORDS).map(([language, stopwords]) => {
+        const set = new Set(stopwords);
+        return { language, hits: words.filter(word => set.has(word)).length };
+    }).sort((a, b) => b.hits - a.hits);
+    // Require a clear winner; related languages share many stopwords
+    if (scores[0].hits < 5 || scores[0].hits < scores[1].hits * 1.3) {
+        return null;
+    }
+    return scores[0].language;
+}
+
+/**
+ * Normalizes "es_ES", "EN-us" or "de" to BCP 47 casing ("es-ES", "en-US", "de").
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function normalizeLanguageTag(tag) {
+    const parts = String(tag || '').trim().replace(/_/g, '-').split('-').filter(Boolean);
+    if (parts.length === 0 || !/^[a-z]{2,3}$/i.test(parts[0])) {
+        return null;
+    }
+    return parts.map((part, index) => {
+        if (index === 0) return part.toLowerCase();
+        if (part.length === 2) return part.toUpperCase();
+        if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+        return part.toLowerCase();
+    }).join('-');
+}
+
+module.exports = { LOCALIZED_KEYWORDS, keywordsFor, allKeywords, homeLabel, detectTextLanguage, normalizeLanguageTag };
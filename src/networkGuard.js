@@ -0,0 +1,195 @@
+// src/networkGuard.js
+// SSRF protection: only public http(s) URLs may be fetched, whether by the
+// static fetcher (every redirect hop and DNS answer) or by Puppeteer
+// (navigations and every sub-request, fetched by Node on its behalf).
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+
+// Address ranges that must never be reached, grouped by the reason reported
+const BLOCKED_RANGES = {
+    'loopback': [['127.0.0.0', 8, 'ipv4'], ['::1', 128, 'ipv6']],
+    'private': [
+        ['10.0.0.0', 8, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+        ['100.64.0.0', 10, 'ipv4'], ['fc00::', 7, 'ipv6'],
+        // Local-use NAT64 (RFC 8215) translates to addresses of the local network
+        ['64:ff9b:1::', 48, 'ipv6'],
+    ],
+    'link-local': [['169.254.0.0', 16, 'ipv4'], ['fe80::', 10, 'ipv6']],
+    'unspecified': [['0.0.0.0', 8, 'ipv4'], ['::', 128, 'ipv6']],
+    'reserved': [
+        ['192.0.0.0', 24, 'ipv4'], ['192.0.2.0', 24, 'ipv4'], ['198.18.0.0', 15, 'ipv4'],
+        ['198.51.100.0', 24, 'ipv4'], ['203.0.113.0', 24, 'ipv4'], ['240.0.0.0', 4, 'ipv4'],
+        ['2001:db8::', 32, 'ipv6'],
+    ],
+    'multicast': [['224.0.0.0', 4, 'ipv4'], ['ff00::', 8, 'ipv6']],
+};
+
+const BLOCK_LISTS = Object.entries(BLOCKED_RANGES).map(([reason, ranges]) => {
+    const list = new net.BlockList();
+    for (const [network, prefix, type] of ranges) {
+        list.addSubnet(network, prefix, type);
+    }
+    return { reason, list };
+});
+
+// Well-known NAT64 prefix (RFC 6052): the last 32 bits are the IPv4 address reached
+const NAT64 = new net.BlockList();
+NAT64.addSubnet('64:ff9b::', 96, 'ipv6');
+
+// Hostnames that resolve locally without touching DNS
+const BLOCKED_HOSTNAMES = /^(localhost|.*\.localhost|.*\.local|.*\.internal|metadata\.google\.internal)$/i;
+
+// Set ALLOW_PRIVATE_NETWORKS=true to scrape intranet or local development servers
+const ALLOW_PRIVATE_NETWORKS = process.env.ALLOW_PRIVATE_NETWORKS === 'true';
+
+/**
+ * Classifies an IP address.
+ * @param {string} address IPv4 or IPv6 address; BlockList also matches IPv4-mapped IPv6 against the IPv4 ranges.
+ * @returns {string|null} Why the address is blocked ('loopback', 'private', ...), or null if it is public.
+ */
+function blockedAddressReason(address) {
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    for (const { reason, list } of BLOCK_LISTS) {
+        if (list.check(address, type)) {
+            return reason;
+        }
+    }
+    // 64:ff9b::7f00:1 reaches 127.0.0.1 through a NAT64 gateway, 2002:7f00:1:: through a 6to4 relay
+    const embedded = type === 'ipv6' ? embeddedIPv4(address) : null;
+    return embedded ? blockedAddressReason(embedded) : null;
+}
+
+/**
+ * Reads the IPv4 address embedded in a NAT64 (64:ff9b::/96) or 6to4
+ * (2002::/16) IPv6 address.
+ * @param {string} address IPv6 address.
+ * @returns {string|null}
+ */
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    let high;
+    let low;
+    if (NAT64.check(address, 'ipv6')) {
+        [high, low] = [groups[6], groups[7]];
+    } else if (groups[0] === 0x2002) {
+        [high, low] = [groups[1], groups[2]];
+    } else {
+        return null;
+    }
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// Expands an IPv6 address ("::1", "64:ff9b::127.0.0.1") to its eight 16-bit groups
+function ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+    return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Checks a URL's scheme and host without resolving DNS.
+ * @param {string} url
+ * @param {{allowPrivate?: boolean}} [options]
+ * @returns {string|null} Why the URL is refused, or null if it may be fetched.
+ */
+function checkUrlSyntax(url, { allowPrivate = ALLOW_PRIVATE_NETWORKS } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return `Invalid URL: ${url}`;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return `Unsupported protocol ${parsed.protocol} (only http and https are allowed)`;
+    }
+    if (parsed.username || parsed.password) {
+        return 'URLs with embedded credentials are not allowed';
+    }
+    if (allowPrivate) {
+        return null;
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (BLOCKED_HOSTNAMES.test(hostname)) {
+        return `Host ${hostname} is a local hostname`;
+    }
+    if (net.isIP(hostname)) {
+        const reason = blockedAddressReason(hostname);
+        if (reason) {
+            return `Host ${hostname} is a ${reason} address`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks a URL's scheme and host and resolves its hostname, refusing hosts
+ * with any non-public address.
+ * @param {string} url
+ * @param {{allowPrivate?: boolean}} [options]
+ * @returns {Promise<string|null>} Why the URL is refused, or null if it may be fetched.
+ */
+async function checkUrl(url, { allowPrivate = ALLOW_PRIVATE_NETWORKS } = {}) {
+    const problem = checkUrlSyntax(url, { allowPrivate });
+    if (problem || allowPrivate) {
+        return problem;
+    }
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        return null;
+    }
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+        // Unresolvable hosts are reported by the request itself
+        return null;
+    }
+    for (const { address } of addresses) {
+        const reason = blockedAddressReason(address);
+        if (reason) {
+            return `Host ${hostname} resolves to a ${reason} address (${address})`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Drop-in replacement for dns.lookup (the `lookup` option of http.request)
+ * that fails when the host resolves to a blocked address. Checking at
+ * connection time also defeats DNS rebinding between validation and fetch.
+ * Failures carry code 'BLOCKED_ADDRESS'.
+ */
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error, address, family);
+            return;
+        }
+        const answers = Array.isArray(address) ? address : [{ address, family }];
+        for (const answer of answers) {
+            const reason = blockedAddressReason(answer.address);
+            if (reason) {
+                const blocked = new Error(`Host ${hostname} resolves to a ${reason} address (${answer.address})`);
+                blocked.code = 'BLOCKED_ADDRESS';
+                callback(blocked);
+                return;
+            }
+        }
+        callback(null, address, family);
+    });
+}
+
+module.exports = { checkUrl, checkUrlSyntax, guardedLookup, blockedAddressReason, ALLOW_PRIVATE_NETWORKS };
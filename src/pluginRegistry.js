@@ -0,0 +1,203 @@
+// src/pluginRegistry.js
+// Registry of schema-type plugins. A plugin bundles everything one schema
+// type needs: its extractor, its generator, its validation rules and its
+// /api/<type> route. The built-in types live in src/plugins/; in-house types
+// are loaded from the directory named by PLUGINS_DIR.
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {object} SchemaPlugin
+ * @property {string} type Lower-case id, also the route (/api/<type>) and the scrape type.
+ * @property {string} field Key of the extracted value in ExtractedData (e.g. "jobPosting").
+ * @property {string} [label] Name used in log and error messages; defaults to type.
+ * @property {Array<string>} [schemaTypes] schema.org types the plugin reads and writes (e.g. ["JobPosting"]).
+ * @property {string} [notFound] Error returned by the route when the page has nothing for this type.
+ * @property {function(cheerio.CheerioAPI, string, {scraper: object, data: object}): *} extract
+ *           Reads the value from the page; data holds the core fields (title, description, image, ...).
+ *           Return null or an empty array when the page has nothing.
+ * @property {function(object, string, {generator: object}): (string|object|null)} generate
+ *           Builds the JSON-LD from the extracted data: a <script> string or the JSON-LD object.
+ * @property {function(*, {scraper: object, $: cheerio.CheerioAPI, url: string, fetchOptions: object, renderMode: string}): Promise<*>} [enrich]
+ *           Completes the value with extra requests, only when this type is scraped. fetchOptions and
+ *           renderMode ('static' or 'browser') are those the page itself was loaded with.
+ * @property {boolean} [renderIfMissing] With render=auto, use the browser when the static HTML has nothing.
+ * @property {string} [waitForSelector] Selector the browser waits for before reading the page.
+ * @property {function(object): boolean} [detect] Whether detectPageTypes reports the type; defaults to "has a value".
+ * @property {Object<string, {required?: Array<string>, recommended?: Array<string>, oneOf?: Array<Array<string>>, parent?: string}>} [rules]
+ *           Validation rules per schema.org type, added to the SchemaValidator.
+ */
+
+// Route and type names used by the core API
+const RESERVED_TYPES = [
+    'article', 'breadcrumbs', 'faq', 'faqs', 'graph', 'schema', 'validate', 'audit', 'jobs',
+    'discover', 'extract', 'generate', 'profiles', 'plugins',
+];
+
+// ExtractedData fields filled by the core extractors
+const RESERVED_FIELDS = [
+    'title', 'description', 'articleType', 'articleTypeRationale', 'author', 'authors', 'datePublished', 'dateModified',
+    'image', 'images', 'articleSection', 'articleBody', 'wordCount', 'readingTime', 'timeRequired', 'headings',
+    'mainImage', 'breadcrumbs', 'faqs', 'publisherName', 'publisherLogo', 'authorUrl', 'inLanguage', 'languageSource',
+    'alternates', 'jsonLdBlocks', 'structuredData', 'profile', 'fieldSources', 'finalUrl', 'renderMode', 'renderReason', 'cacheStatus',
+];
+
+const PLUGIN_TYPE = /^[a-z][a-z0-9-]{0,39}$/;
+
+class PluginError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PluginError';
+    }
+}
+
+class PluginRegistry {
+    constructor() {
+        this.plugins = new Map();
+    }
+
+    /**
+     * Adds a plugin after checking its shape and that its type and field are free.
+     * @param {SchemaPlugin} plugin
+     * @returns {SchemaPlugin}
+     * @throws {PluginError}
+     */
+    register(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new PluginError('A plugin must be an object.');
+        }
+        const { type, field } = plugin;
+        if (typeof type !== 'string' || !PLUGIN_TYPE.test(type)) {
+            throw new PluginError(`Invalid plugin type ${type}: use lower-case letters, digits and "-".`);
+        }
+        if (RESERVED_TYPES.includes(type) || this.plugins.has(type)) {
+            throw new PluginError(`Plugin type ${type} is already taken.`);
+        }
+        if (typeof field !== 'string' || !field || RESERVED_FIELDS.includes(field) || this.list().some(other => other.field === field)) {
+            throw new PluginError(`Plugin ${type} needs its own "field" name (got ${field}).`);
+        }
+        for (const method of ['extract', 'generate']) {
+            if (typeof plugin[method] !== 'function') {
+                throw new PluginError(`Plugin ${type} must define ${method}().`);
+            }
+        }
+        for (const method of ['enrich', 'detect']) {
+            if (plugin[method] !== undefined && typeof plugin[method] !== 'function') {
+                throw new PluginError(`Plugin ${type}: ${method} must be a function.`);
+            }
+        }
+        if (plugin.rules !== undefined && (!plugin.rules || typeof plugin.rules !== 'object' || Array.isArray(plugin.rules))) {
+            throw new PluginError(`Plugin ${type}: rules must be an object of rules per schema.org type.`);
+        }
+        const registered = {
+            label: type,
+            schemaTypes: [],
+            notFound: `No ${plugin.label || type} data found on this page.`,
+            rules: {},
+            ...plugin,
+        };
+        this.plugins.set(type, registered);
+        return registered;
+    }
+
+    /**
+     * Registers every plugin exported by the .js files of a directory, in
+     * file name order. A file may export one plugin or an array of them.
+     * Broken files are reported and skipped so one bad plugin does not stop
+     * the server.
+     * @param {string} directory
+     * @returns {Array<SchemaPlugin>} The plugins registered.
+     */
+    loadDirectory(directory) {
+        let files;
+        try {
+            files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+        } catch (error) {
+            console.warn(`Cannot read plugin directory ${directory}: ${error.message}`);
+            return [];
+        }
+        const loaded = [];
+        for (const file of files) {
+            try {
+                for (const plugin of [].concat(require(path.resolve(directory, file)))) {
+                    loaded.push(this.register(plugin));
+                }
+            } catch (error) {
+                console.warn(`Skipping plugin ${file}: ${error.message}`);
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * @returns {Array<SchemaPlugin>} Plugins in registration order.
+     */
+    list() {
+        return [...this.plugins.values()];
+    }
+
+    /**
+     * @param {string} type
+     * @returns {SchemaPlugin|null}
+     */
+    get(type) {
+        return this.plugins.get(type) || null;
+    }
+
+    /**
+     * Whether the extracted data has a value for a plugin (null and empty lists do not count).
+     * @param {SchemaPlugin} plugin
+     * @param {object} data
+     * @returns {boolean}
+     */
+    hasValue(plugin, data) {
+        const value = data[plugin.field];
+        return value !== null && value !== undefined && (!Array.isArray(value) || value.length > 0);
+    }
+
+    /**
+     * Runs a plugin's generator; JSON-LD objects are wrapped in a <script> tag
+     * like the built-in generators' output.
+     * @param {SchemaPlugin} plugin
+     * @param {object} data
+     * @param {string} url
+     * @param {object} generator The SchemaGenerator, for its helpers.
+     * @returns {string|null}
+     */
+    generate(plugin, data, url, generator) {
+        const schema = plugin.generate(data, url, { generator });
+        if (!schema || typeof schema === 'string') {
+            return schema || null;
+        }
+        return `<script type="application/ld+json">\n${JSON.stringify({ "@context": "https://schema.org", ...schema }, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Adds every plugin's validation rules to a validator; called by the
+     * SchemaValidator constructor.
+     * @param {import('./schemaValidator').SchemaValidator} validator
+     */
+    applyRules(validator) {
+        for (const plugin of this.list()) {
+            for (const [schemaType, { parent, ...rules }] of Object.entries(plugin.rules)) {
+                validator.addRules(schemaType, rules, parent);
+            }
+        }
+    }
+}
+
+/**
+ * Builds the registry with the built-in types (src/plugins/) followed by the
+ * plugins in PLUGINS_DIR, if set.
+ * @returns {PluginRegistry}
+ */
+function createPluginRegistryFromEnv() {
+    const registry = new PluginRegistry();
+    require('./plugins').forEach(plugin => registry.register(plugin));
+    if (process.env.PLUGINS_DIR) {
+        registry.loadDirectory(process.env.PLUGINS_DIR);
+    }
+    return registry;
+}
+
+module.exports = { PluginRegistry, PluginError, createPluginRegistryFromEnv };
@@ -0,0 +1,32 @@
+// src/plugins/event.js
+// Events from markup, calendar links and the DOM, completed from a linked
+// .ics file when this type is scraped (see WebScraper.extractEvents).
+
+// Event types accepted from existing JSON-LD and microdata
+const EVENT_TYPES = [
+    'Event', 'BusinessEvent', 'ChildrensEvent', 'ComedyEvent', 'CourseInstance', 'DanceEvent', 'DeliveryEvent',
+    'EducationEvent', 'ExhibitionEvent', 'Festival', 'FoodEvent', 'Hackathon', 'LiteraryEvent', 'MusicEvent',
+    'PublicationEvent', 'SaleEvent', 'ScreeningEvent', 'SocialEvent', 'SportsEvent', 'TheaterEvent', 'VisualArtsEvent',
+];
+
+module.exports = {
+    type: 'event',
+    field: 'events',
+    label: 'Event',
+    schemaTypes: EVENT_TYPES,
+    notFound: 'No event data found on this page.',
+    renderIfMissing: true,
+    extract: ($, url, { scraper }) => scraper.extractEvents($, url),
+    enrich: (events, { scraper, $, url, fetchOptions }) => scraper.enrichEventsFromCalendar(events, $, url, fetchOptions),
+    generate: (data, url, { generator }) => generator.generateEventSchema(data, url),
+    rules: {
+        Event: {
+            parent: 'Thing',
+            required: ['name', 'startDate', 'location'],
+            recommended: ['description', 'endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'offers', 'organizer', 'performer'],
+        },
+        // Every subtype follows the Event rules
+        ...Object.fromEntries(EVENT_TYPES.filter(type => type !== 'Event').map(type => [type, { parent: 'Event' }])),
+        VirtualLocation: { parent: 'Thing', required: ['url'], recommended: [] },
+    },
+};
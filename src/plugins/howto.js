@@ -0,0 +1,15 @@
+// src/plugins/howto.js
+// Step-by-step instructions (see WebScraper.extractHowTo).
+module.exports = {
+    type: 'howto',
+    field: 'howTo',
+    label: 'HowTo',
+    schemaTypes: ['HowTo'],
+    notFound: 'No HowTo steps found on this page.',
+    extract: ($, url, { scraper }) => scraper.extractHowTo($, url),
+    generate: (data, url, { generator }) => generator.generateHowToSchema(data, url),
+    rules: {
+        HowTo: { parent: 'CreativeWork', required: ['name', 'step'], recommended: ['image', 'totalTime', 'supply', 'tool'] },
+        HowToStep: { required: [], oneOf: [['text', 'itemListElement']], recommended: ['name', 'url', 'image'] },
+    },
+};
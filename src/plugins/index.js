@@ -0,0 +1,11 @@
+// src/plugins/index.js
+// Built-in schema-type plugins, in the order their routes, generated schemas
+// and detected page types are listed.
+module.exports = [
+    require('./product'),
+    require('./howto'),
+    require('./recipe'),
+    require('./organization'),
+    require('./video'),
+    require('./event'),
+];
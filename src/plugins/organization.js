@@ -0,0 +1,31 @@
+// src/plugins/organization.js
+// Organization / LocalBusiness details, completed from the site's contact
+// page when this type is scraped (see WebScraper.extractOrganization).
+module.exports = {
+    type: 'organization',
+    field: 'organization',
+    label: 'Organization',
+    // Organization and LocalBusiness types accepted from existing JSON-LD
+    schemaTypes: [
+        'Organization', 'Corporation', 'NGO', 'EducationalOrganization', 'MedicalOrganization',
+        'LocalBusiness', 'Store', 'Restaurant', 'FoodEstablishment', 'ProfessionalService',
+        'HomeAndConstructionBusiness', 'HealthAndBeautyBusiness', 'AutomotiveBusiness',
+        'LodgingBusiness', 'Hotel', 'RealEstateAgent', 'LegalService', 'Dentist', 'FinancialService',
+    ],
+    notFound: 'No organization data found on this page.',
+    extract: ($, url, { scraper }) => scraper.extractOrganization($, url),
+    enrich: (organization, { scraper, url, fetchOptions, renderMode }) =>
+        scraper.enrichOrganizationFromContactPage(organization, url, { ...fetchOptions, render: renderMode }),
+    generate: (data, url, { generator }) => generator.generateOrganizationSchema(data, url),
+    // Almost every site names its publisher, so this is not a page type of its own
+    detect: () => false,
+    rules: {
+        Organization: { parent: 'Thing', required: ['name'], recommended: ['url', 'logo'] },
+        Corporation: { parent: 'Organization' },
+        LocalBusiness: { parent: 'Organization', required: ['name', 'address'], recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification', 'image'] },
+        Store: { parent: 'LocalBusiness' },
+        Restaurant: { parent: 'LocalBusiness' },
+        FoodEstablishment: { parent: 'LocalBusiness' },
+        ProfessionalService: { parent: 'LocalBusiness' },
+    },
+};
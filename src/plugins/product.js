@@ -0,0 +1,19 @@
+// src/plugins/product.js
+// Product pages: name, offers, ratings and reviews (see WebScraper.extractProduct).
+module.exports = {
+    type: 'product',
+    field: 'product',
+    label: 'Product',
+    schemaTypes: ['Product'],
+    notFound: 'No product data found on this page.',
+    extract: ($, url, { scraper }) => scraper.extractProduct($, url),
+    generate: (data, url, { generator }) => generator.generateProductSchema(data, url),
+    rules: {
+        Product: {
+            parent: 'Thing',
+            required: ['name'],
+            oneOf: [['offers', 'review', 'aggregateRating']],
+            recommended: ['image', 'description', 'sku', 'brand', 'gtin'],
+        },
+    },
+};
@@ -0,0 +1,19 @@
+// src/plugins/recipe.js
+// Recipes: ingredients, instructions, times and nutrition (see WebScraper.extractRecipe).
+module.exports = {
+    type: 'recipe',
+    field: 'recipe',
+    label: 'Recipe',
+    schemaTypes: ['Recipe'],
+    notFound: 'No recipe data found on this page.',
+    extract: ($, url, { scraper }) => scraper.extractRecipe($, url),
+    generate: (data, url, { generator }) => generator.generateRecipeSchema(data, url),
+    rules: {
+        // Not a HowTo subtype here: recipes list recipeInstructions, not step
+        Recipe: {
+            parent: 'CreativeWork',
+            required: ['name', 'image'],
+            recommended: ['recipeIngredient', 'recipeInstructions', 'author', 'datePublished', 'description', 'prepTime', 'cookTime', 'totalTime', 'recipeYield', 'nutrition'],
+        },
+    },
+};
@@ -0,0 +1,22 @@
+// src/plugins/video.js
+// Embedded videos: JSON-LD, og:video, provider players and <video> elements
+// (see WebScraper.extractVideos). Players are often injected by scripts, so
+// auto rendering falls back to the browser when the static HTML has none.
+module.exports = {
+    type: 'video',
+    field: 'videos',
+    label: 'Video',
+    schemaTypes: ['VideoObject'],
+    notFound: 'No embedded videos found on this page.',
+    renderIfMissing: true,
+    extract: ($, url, { scraper, data }) => scraper.extractVideos($, url, data),
+    generate: (data, url, { generator }) => generator.generateVideoSchema(data, url),
+    rules: {
+        VideoObject: {
+            parent: 'CreativeWork',
+            required: ['name', 'thumbnailUrl', 'uploadDate'],
+            oneOf: [['contentUrl', 'embedUrl']],
+            recommended: ['description', 'duration'],
+        },
+    },
+};
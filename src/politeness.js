@@ -0,0 +1,276 @@
+// src/politeness.js
+// robots.txt enforcement and per-host rate limiting shared by the static
+// fetcher, the Puppeteer renderer and site discovery.
+const { URL } = require('url');
+const { fetchUrl, FetchError, USER_AGENT } = require('./fetcher');
+const { Glob } = require('./safeRegExp');
+
+/**
+ * Parsed robots.txt rules (RFC 9309): user-agent groups with allow/disallow
+ * patterns and crawl-delay, plus the file's Sitemap: directives.
+ */
+class RobotsTxt {
+    /**
+     * @param {string} [text] robots.txt body; an empty file allows everything.
+     * @param {object} [options]
+     * @param {boolean} [options.disallowAll=false] Block every path (used when robots.txt is unreachable).
+     */
+    constructor(text = '', { disallowAll = false } = {}) {
+        this.groups = [];
+        this.sitemaps = [];
+        this.disallowAll = disallowAll;
+        this.parse(text);
+    }
+
+    parse(text) {
+        let group = null;
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+            if (!match) {
+                continue;
+            }
+            const field = match[1].toLowerCase();
+            const value = match[2].trim();
+
+            if (field === 'sitemap') {
+                this.sitemaps.push(value);
+            } else if (field === 'user-agent') {
+                // Consecutive user-agent lines share one group
+                if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+                    group = { agents: [], rules: [], crawlDelay: null };
+                    this.groups.push(group);
+                }
+                group.agents.push(value.toLowerCase());
+            } else if (group && (field === 'allow' || field === 'disallow')) {
+                // An empty Disallow allows everything and adds no rule
+                if (value) {
+                    group.rules.push({ allow: field === 'allow', pattern: value, matcher: this.toMatcher(value) });
+                }
+            } else if (group && field === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!isNaN(delay) && delay >= 0) {
+                    group.crawlDelay = delay;
+                }
+            }
+        }
+    }
+
+    // "*" matches any sequence of characters and a trailing "$" anchors the end.
+    // Sites write these patterns, so they are matched without a regular expression.
+    toMatcher(pattern) {
+        if (pattern.endsWith('$')) {
+            return new Glob(pattern.slice(0, -1), { canEnd: (text, index) => index === text.length });
+        }
+        return new Glob(pattern);
+    }
+
+    /**
+     * Rules that apply to a product token: every group naming it, or the "*" groups.
+     * @param {string} token Lower-case user agent product token, e.g. "scraptool".
+     * @returns {{rules: Array<object>, crawlDelay: number|null}}
+     */
+    rulesFor(token) {
+        let groups = this.groups.filter(group => group.agents.includes(token));
+        if (groups.length === 0) {
+            groups = this.groups.filter(group => group.agents.includes('*'));
+        }
+        const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+        return {
+            rules: groups.flatMap(group => group.rules),
+            crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+        };
+    }
+
+    /**
+     * Whether a URL may be fetched. The longest matching pattern wins and
+     * Allow wins a tie.
+     * @param {string} url
+     * @param {string} token
+     * @returns {boolean}
+     */
+    isAllowed(url, token) {
+        if (this.disallowAll) {
+            return false;
+        }
+        const { pathname, search } = new URL(url);
+        // robots.txt itself is always allowed
+        if (pathname === '/robots.txt') {
+            return true;
+        }
+        const path = pathname + search;
+        let best = null;
+        for (const rule of this.rulesFor(token).rules) {
+            if (!rule.matcher.test(path)) {
+                continue;
+            }
+            if (!best || rule.pattern.length > best.pattern.length
+                || (rule.pattern.length === best.pattern.length && rule.allow)) {
+                best = rule;
+            }
+        }
+        return !best || best.allow;
+    }
+
+    /**
+     * @param {string} token
+     * @returns {number|null} Crawl-delay in seconds, if the site sets one.
+     */
+    crawlDelay(token) {
+        return this.rulesFor(token).crawlDelay;
+    }
+}
+
+class Politeness {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.userAgent] User agent sent with requests and matched against robots.txt groups.
+     * @param {boolean} [options.respectRobots=true] Enforce robots.txt rules.
+     * @param {number} [options.minDelay=1000] Minimum milliseconds between requests to the same host.
+     * @param {number} [options.maxCrawlDelay=30000] Cap applied to a site's Crawl-delay, in milliseconds.
+     * @param {number} [options.robotsTtl=3600000] How long a fetched robots.txt is reused, in milliseconds.
+     * @param {number} [options.maxEntries=1000] Maximum robots.txt files kept in memory.
+     */
+    constructor({
+        userAgent = USER_AGENT,
+        respectRobots = true,
+        minDelay = 1000,
+        maxCrawlDelay = 30000,
+        robotsTtl = 60 * 60 * 1000,
+        maxEntries = 1000,
+    } = {}) {
+        this.userAgent = userAgent;
+        // robots.txt groups are matched on the product token ("ScrapTool" in "ScrapTool/1.0 (...)")
+        this.token = userAgent.split('/')[0].trim().toLowerCase();
+        this.respectRobots = respectRobots;
+        this.minDelay = minDelay;
+        this.maxCrawlDelay = maxCrawlDelay;
+        this.robotsTtl = robotsTtl;
+        this.maxEntries = maxEntries;
+        this.robots = new Map();
+        this.nextSlot = new Map();
+    }
+
+    /**
+     * Returns the robots.txt rules for a URL's origin, fetching them at most
+     * once per TTL. A missing robots.txt (4xx) allows everything; a server
+     * error or timeout blocks the whole site until the entry expires, as
+     * RFC 9309 requires for an unreachable file.
+     * @param {string} url Any URL on the site.
+     * @returns {Promise<RobotsTxt>}
+     */
+    async getRobots(url) {
+        const origin = new URL(url).origin;
+        const entry = this.robots.get(origin);
+        if (entry && entry.expires > Date.now()) {
+            return entry.robots;
+        }
+
+        // The pending promise is cached so concurrent requests share one fetch
+        const robots = this.loadRobots(origin);
+        this.robots.delete(origin);
+        this.robots.set(origin, { robots, expires: Date.now() + this.robotsTtl });
+        if (this.robots.size > this.maxEntries) {
+            this.robots.delete(this.robots.keys().next().value);
+        }
+        return robots;
+    }
+
+    async loadRobots(origin) {
+        try {
+            const { body } = await fetchUrl(`${origin}/robots.txt`, {
+                headers: { 'User-Agent': this.userAgent, 'Accept': 'text/plain,*/*;q=0.8' },
+                maxBytes: 500 * 1024,
+            });
+            return new RobotsTxt(body.toString('utf8'));
+        } catch (error) {
+            if (error.code === 'HTTP_ERROR' && error.status < 500) {
+                return new RobotsTxt();
+            }
+            if (error.code === 'HTTP_ERROR' || error.code === 'TIMEOUT') {
+                const robots = new RobotsTxt('', { disallowAll: true });
+                robots.error = `robots.txt unavailable: ${error.message}`;
+                return robots;
+            }
+            // DNS and connection failures surface from the page request itself
+            return new RobotsTxt();
+        }
+    }
+
+    /**
+     * Throws unless robots.txt allows our user agent to fetch the URL.
+     * @param {string} url
+     * @param {{ignoreRobots?: boolean}} [options] ignoreRobots is the admin override.
+     * @throws {FetchError} With code ROBOTS_DISALLOWED.
+     */
+    async check(url, options = {}) {
+        if (!this.respectRobots || options.ignoreRobots) {
+            return;
+        }
+        const robots = await this.getRobots(url);
+        if (!robots.isAllowed(url, this.token)) {
+            const reason = robots.error || `robots.txt disallows ${this.token} from fetching this URL`;
+            throw new FetchError(reason, { code: 'ROBOTS_DISALLOWED', url });
+        }
+    }
+
+    /**
+     * Whether robots.txt allows the URL, without throwing.
+     * @param {string} url
+     * @returns {Promise<boolean>}
+     */
+    async isAllowed(url) {
+        if (!this.respectRobots) {
+            return true;
+        }
+        return (await this.getRobots(url)).isAllowed(url, this.token);
+    }
+
+    /**
+     * Waits until the next request to the URL's host is allowed: at least
+     * minDelay apart, or the site's Crawl-delay when that is longer.
+     * @param {string} url
+     * @returns {Promise<void>}
+     */
+    async throttle(url) {
+        const host = new URL(url).host;
+        const robots = this.respectRobots ? await this.getRobots(url) : null;
+        const crawlDelay = robots ? robots.crawlDelay(this.token) : null;
+        const delay = Math.max(this.minDelay, Math.min((crawlDelay || 0) * 1000, this.maxCrawlDelay));
+
+        // Reserve the slot synchronously so concurrent callers queue up behind each other
+        const now = Date.now();
+        const start = Math.max(now, this.nextSlot.get(host) || 0);
+        this.nextSlot.set(host, start + delay);
+        if (this.nextSlot.size > this.maxEntries) {
+            for (const [key, slot] of this.nextSlot) {
+                if (slot < now) this.nextSlot.delete(key);
+            }
+        }
+        if (start > now) {
+            await new Promise(resolve => setTimeout(resolve, start - now));
+        }
+    }
+}
+
+/**
+ * Builds the politeness settings from environment variables:
+ * SCRAPER_USER_AGENT, RESPECT_ROBOTS (set to "false" to disable),
+ * POLITENESS_MIN_DELAY_MS, POLITENESS_MAX_CRAWL_DELAY_MS and ROBOTS_CACHE_TTL_MS.
+ * @returns {Politeness}
+ */
+function createPolitenessFromEnv() {
+    const number = (value, fallback) => {
+        const parsed = parseInt(value, 10);
+        return isNaN(parsed) ? fallback : parsed;
+    };
+    return new Politeness({
+        userAgent: USER_AGENT,
+        respectRobots: process.env.RESPECT_ROBOTS !== 'false',
+        minDelay: number(process.env.POLITENESS_MIN_DELAY_MS, 1000),
+        maxCrawlDelay: number(process.env.POLITENESS_MAX_CRAWL_DELAY_MS, 30000),
+        robotsTtl: number(process.env.ROBOTS_CACHE_TTL_MS, 60 * 60 * 1000),
+    });
+}
+
+module.exports = { Politeness, RobotsTxt, createPolitenessFromEnv };
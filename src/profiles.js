@@ -0,0 +1,423 @@
+// src/profiles.js
+// Per-site extraction profiles: a domain or URL pattern mapped to CSS
+// selectors and transforms for individual fields. Profiles are JSON files on
+// disk; fields a profile leaves out (or whose selector finds nothing) fall
+// back to the generic heuristics.
+const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { compileSafeRegExp, capInput, Glob, MAX_PATTERN_LENGTH } = require('./safeRegExp');
+
+/**
+ * @typedef {object} FieldRule
+ * @property {string} selector CSS selector of the element holding the value.
+ * @property {string} [attribute] Attribute to read instead of the text ("content" for <meta>, "src" for <img>).
+ * @property {Array<string|object>} [transforms] Applied in order, see TRANSFORMS.
+ */
+
+/**
+ * @typedef {object} SiteProfile
+ * @property {string} id File name of the profile, letters, digits, ".", "_" and "-".
+ * @property {string} [name] Human-readable name.
+ * @property {Array<string>} match Domains ("example.com", also matching subdomains) or URL
+ *           patterns ("example.com/blog/*", "*.example.org/docs/*"); the most specific match wins.
+ * @property {object} fields Rules per field:
+ *           title, description, author, authorUrl, datePublished, dateModified, image and
+ *           articleSection take a FieldRule or a selector string; articleBody takes
+ *           {selector, exclude?}; breadcrumbs takes {selector} of the crumb links;
+ *           faqs takes {question, answer, item?}: without item, each answer is the first
+ *           following sibling of its question that matches `answer`.
+ * @property {string} [updatedAt] ISO timestamp of the last save.
+ */
+
+// Fields read as a single string
+const TEXT_FIELDS = ['title', 'description', 'author', 'authorUrl', 'datePublished', 'dateModified', 'image', 'articleSection'];
+
+const PROFILE_FIELDS = [...TEXT_FIELDS, 'articleBody', 'breadcrumbs', 'faqs'];
+
+// Attribute read by default for elements whose value is not their text
+const DEFAULT_ATTRIBUTES = { meta: 'content', img: 'src', time: 'datetime', link: 'href' };
+
+// Fields whose value is a URL, resolved against the page URL
+const URL_FIELDS = ['authorUrl', 'image'];
+
+const PROFILE_ID = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+// Wildcards allowed in one match pattern
+const MAX_WILDCARDS = 4;
+
+/**
+ * Transforms applied to extracted strings. Strings name a transform; objects
+ * carry arguments: { "replace": "<regex>", "with": "<text>" } and
+ * { "match": "<regex>" } (keeps the first capture group, or the whole match).
+ */
+const TRANSFORMS = {
+    lowercase: value => value.toLowerCase(),
+    uppercase: value => value.toUpperCase(),
+    // Normalizes any date Date can parse to ISO 8601
+    date: (value) => {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    },
+    absoluteUrl: (value, baseUrl) => {
+        try {
+            return new URL(value, baseUrl).href;
+        } catch {
+            return null;
+        }
+    },
+};
+
+class ProfileError extends Error {
+    /**
+     * @param {string} message
+     * @param {Array<string>} [problems] Every problem found in the profile.
+     */
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ProfileError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Normalizes the selector-string shorthand to a FieldRule.
+ * @param {string|FieldRule} rule
+ * @returns {FieldRule}
+ */
+function toRule(rule) {
+    return typeof rule === 'string' ? { selector: rule } : rule;
+}
+
+/**
+ * Checks a profile before it is saved.
+ * @param {SiteProfile} profile
+ * @returns {Array<string>} The problems found; empty when the profile is valid.
+ */
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['Profile must be a JSON object.'];
+    }
+    const problems = [];
+    if (typeof profile.id !== 'string' || !PROFILE_ID.test(profile.id)) {
+        problems.push('id must be 1-64 letters, digits, ".", "_" or "-", starting with a letter or digit.');
+    }
+    const match = [].concat(profile.match || []);
+    if (match.length === 0 || match.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+        problems.push('match must be a domain or URL pattern, or a non-empty list of them.');
+    } else if (match.some(pattern => pattern.length > MAX_PATTERN_LENGTH || pattern.split('*').length - 1 > MAX_WILDCARDS)) {
+        problems.push(`match patterns must be at most ${MAX_PATTERN_LENGTH} characters with at most ${MAX_WILDCARDS} "*".`);
+    }
+    if (!profile.fields || typeof profile.fields !== 'object' || Array.isArray(profile.fields)) {
+        problems.push('fields must be an object of field rules.');
+        return problems;
+    }
+
+    // Selectors are compiled against an empty document so syntax errors surface now, not while scraping
+    const $ = cheerio.load('');
+    const checkSelector = (field, selector, key = 'selector') => {
+        if (typeof selector !== 'string' || !selector.trim()) {
+            problems.push(`fields.${field}.${key} must be a CSS selector.`);
+            return;
+        }
+        try {
+            $(selector);
+        } catch (error) {
+            problems.push(`fields.${field}.${key} is not a valid selector: ${error.message}`);
+        }
+    };
+
+    for (const [field, value] of Object.entries(profile.fields)) {
+        if (!PROFILE_FIELDS.includes(field)) {
+            problems.push(`Unknown field ${field}. Supported fields: ${PROFILE_FIELDS.join(', ')}.`);
+            continue;
+        }
+        const rule = toRule(value);
+        if (!rule || typeof rule !== 'object') {
+            problems.push(`fields.${field} must be a selector or an object.`);
+            continue;
+        }
+        if (field === 'faqs') {
+            checkSelector(field, rule.question, 'question');
+            checkSelector(field, rule.answer, 'answer');
+            if (rule.item !== undefined) {
+                checkSelector(field, rule.item, 'item');
+            }
+            continue;
+        }
+        checkSelector(field, rule.selector);
+        if (field === 'articleBody') {
+            [].concat(rule.exclude || []).forEach(selector => checkSelector(field, selector, 'exclude'));
+            continue;
+        }
+        if (rule.attribute !== undefined && typeof rule.attribute !== 'string') {
+            problems.push(`fields.${field}.attribute must be a string.`);
+        }
+        for (const transform of [].concat(rule.transforms || [])) {
+            problems.push(...validateTransform(field, transform));
+        }
+    }
+    return problems;
+}
+
+function validateTransform(field, transform) {
+    if (typeof transform === 'string') {
+        return TRANSFORMS[transform] ? [] : [`fields.${field}: unknown transform ${transform}. Supported: ${Object.keys(TRANSFORMS).join(', ')}, replace, match.`];
+    }
+    const pattern = transform && (transform.replace !== undefined ? transform.replace : transform.match);
+    if (typeof pattern !== 'string') {
+        return [`fields.${field}: transforms must be names or {"replace": "<regex>", "with": "<text>"} / {"match": "<regex>"}.`];
+    }
+    try {
+        compileSafeRegExp(pattern);
+        return [];
+    } catch (error) {
+        return [`fields.${field}: invalid regular expression ${pattern}: ${error.message}`];
+    }
+}
+
+function applyTransform(value, transform, baseUrl) {
+    if (value === null) {
+        return null;
+    }
+    if (typeof transform === 'string') {
+        return TRANSFORMS[transform](value, baseUrl);
+    }
+    // Patterns come from profile authors and the text from the page: both are bounded
+    if (transform.replace !== undefined) {
+        return capInput(value).replace(compileSafeRegExp(transform.replace, 'g'), transform.with || '').trim();
+    }
+    const match = capInput(value).match(compileSafeRegExp(transform.match));
+    return match ? (match[1] !== undefined ? match[1] : match[0]).trim() : null;
+}
+
+/**
+ * How specific a match pattern is; longer literal patterns beat shorter ones
+ * and paths beat bare domains.
+ */
+function patternSpecificity(pattern) {
+    return pattern.replace(/\*/g, '').length + (pattern.includes('/') ? 1000 : 0);
+}
+
+/**
+ * Whether a match pattern covers a URL. A bare domain matches the host and
+ * its subdomains; "*" matches any run of characters.
+ * @param {string} pattern
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function patternMatches(pattern, url) {
+    const normalized = pattern.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '');
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (!normalized.includes('/') && !normalized.includes('*')) {
+        return host === normalized || host.endsWith(`.${normalized}`);
+    }
+    const target = capInput(`${host}${url.pathname}${url.search}`.toLowerCase());
+    // "example.com/blog" also covers "example.com/blog/..." as a bare domain covers its paths
+    const glob = new Glob(normalized, { canEnd: (text, index) => index === text.length || text[index] === '/' || text[index] === '?' });
+    return glob.test(target);
+}
+
+/**
+ * Reads the fields a profile defines from a page, except articleBody (see
+ * WebScraper.applyProfile). Only fields whose selectors found something are
+ * returned.
+ * @param {cheerio.CheerioAPI} $ Cheerio instance.
+ * @param {SiteProfile} profile
+ * @param {string} baseUrl Base for relative URLs.
+ * @returns {Object<string, {value: *, selector: string}>}
+ */
+function extractWithProfile($, profile, baseUrl) {
+    const found = {};
+    const fields = profile.fields || {};
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+    for (const field of TEXT_FIELDS) {
+        if (!fields[field]) {
+            continue;
+        }
+        const rule = toRule(fields[field]);
+        const element = $(rule.selector).first();
+        if (element.length === 0) {
+            continue;
+        }
+        const attribute = rule.attribute || DEFAULT_ATTRIBUTES[element[0].tagName];
+        let value = clean(attribute ? element.attr(attribute) : element.text()) || null;
+        for (const transform of [].concat(rule.transforms || [])) {
+            value = applyTransform(value, transform, baseUrl);
+        }
+        if (value && URL_FIELDS.includes(field)) {
+            value = TRANSFORMS.absoluteUrl(value, baseUrl);
+        }
+        if (value) {
+            found[field] = { value, selector: rule.selector };
+        }
+    }
+
+    if (fields.breadcrumbs) {
+        const rule = toRule(fields.breadcrumbs);
+        const breadcrumbs = [];
+        $(rule.selector).each((_, element) => {
+            const name = clean($(element).text());
+            // The selector may match the links or their containers (".crumbs li")
+            const link = $(element).is('[href]') ? $(element) : $(element).find('a[href]').first();
+            const href = link.attr('href');
+            const url = href ? TRANSFORMS.absoluteUrl(href, baseUrl) : null;
+            if (name) {
+                breadcrumbs.push({ name, ...(url && { url }), position: breadcrumbs.length + 1 });
+            }
+        });
+        if (breadcrumbs.length > 0) {
+            found.breadcrumbs = { value: breadcrumbs, selector: rule.selector };
+        }
+    }
+
+    if (fields.faqs) {
+        const { item, question, answer } = fields.faqs;
+        const pairs = item
+            ? $(item).toArray().map(element => [$(element).find(question).first(), $(element).find(answer).first()])
+            : $(question).toArray().map(element => [$(element), $(element).nextAll(answer).first()]);
+        const faqs = pairs
+            .map(([q, a]) => ({ question: clean(q.text()), answer: clean(a.text()) }))
+            .filter(faq => faq.question && faq.answer);
+        if (faqs.length > 0) {
+            found.faqs = { value: faqs, selector: item ? `${item} ${question}` : question };
+        }
+    }
+    return found;
+}
+
+/**
+ * Profiles stored as one JSON file per profile in a directory. Files are
+ * read once, on first use; saves and deletes update the files and the
+ * in-memory copy together.
+ */
+class ProfileStore {
+    /**
+     * @param {{directory?: string}} [options] The default profiles/ directory is git-ignored.
+     */
+    constructor({ directory = path.join(__dirname, '..', 'profiles') } = {}) {
+        this.directory = directory;
+        this.profiles = null;
+    }
+
+    filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    load() {
+        if (this.profiles) {
+            return this.profiles;
+        }
+        this.profiles = new Map();
+        let files = [];
+        try {
+            files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+        } catch {
+            // No directory yet: no profiles
+        }
+        for (const file of files) {
+            try {
+                const profile = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                const problems = validateProfile(profile);
+                if (problems.length > 0) {
+                    console.warn(`Skipping invalid profile ${file}: ${problems.join(' ')}`);
+                    continue;
+                }
+                this.profiles.set(profile.id, profile);
+            } catch (error) {
+                console.warn(`Skipping unreadable profile ${file}: ${error.message}`);
+            }
+        }
+        return this.profiles;
+    }
+
+    /**
+     * @returns {Array<SiteProfile>} Every profile, sorted by id.
+     */
+    list() {
+        return [...this.load().values()].sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {SiteProfile|null}
+     */
+    get(id) {
+        return this.load().get(id) || null;
+    }
+
+    /**
+     * Creates or replaces a profile.
+     * @param {SiteProfile} profile
+     * @returns {Promise<{profile: SiteProfile, created: boolean}>}
+     * @throws {ProfileError} When the profile is invalid.
+     */
+    async save(profile) {
+        const problems = validateProfile(profile);
+        if (problems.length > 0) {
+            throw new ProfileError(`Invalid profile: ${problems.join(' ')}`, problems);
+        }
+        const saved = { id: profile.id, ...profile, match: [].concat(profile.match), updatedAt: new Date().toISOString() };
+        // Loaded before writing, or the first save would read its own file back
+        const created = !this.load().has(saved.id);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        // Write then rename so a crash never leaves a half-written profile
+        const file = this.filePath(saved.id);
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, `${JSON.stringify(saved, null, 4)}\n`);
+        await fs.promises.rename(temp, file);
+        this.profiles.set(saved.id, saved);
+        return { profile: saved, created };
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} Whether the profile existed.
+     */
+    async delete(id) {
+        if (!this.load().has(id)) {
+            return false;
+        }
+        await fs.promises.rm(this.filePath(id), { force: true });
+        this.profiles.delete(id);
+        return true;
+    }
+
+    /**
+     * Finds the profile for a URL: the one with the most specific matching pattern.
+     * @param {string} url
+     * @returns {SiteProfile|null}
+     */
+    match(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+        let best = null;
+        let bestScore = -1;
+        for (const profile of this.load().values()) {
+            for (const pattern of profile.match) {
+                if (patternMatches(pattern, parsed) && patternSpecificity(pattern) > bestScore) {
+                    best = profile;
+                    bestScore = patternSpecificity(pattern);
+                }
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Builds the profile store from the PROFILES_DIR environment variable
+ * (default: the profiles/ directory of the project).
+ * @returns {ProfileStore}
+ */
+function createProfileStoreFromEnv() {
+    return new ProfileStore({ directory: process.env.PROFILES_DIR || undefined });
+}
+
+module.exports = { ProfileStore, ProfileError, PROFILE_FIELDS, validateProfile, extractWithProfile, createProfileStoreFromEnv };
@@ -0,0 +1,200 @@
+// src/safeRegExp.js
+// Compiles regular expressions and "*" globs supplied by API users
+// (discovery filters, profile transforms and URL patterns) or by the sites
+// scraped (robots.txt rules). They run against untrusted URLs and page text
+// on the single event loop, so patterns are kept short, the shapes that
+// backtrack catastrophically or polynomially are refused, globs are matched
+// without a regular expression and callers cap the input they test.
+
+// Longest pattern accepted
+const MAX_PATTERN_LENGTH = 200;
+
+// Longest input a user pattern is run against; longer strings are cut
+const MAX_INPUT_LENGTH = 2000;
+
+// Largest backtracking factor accepted, see backtrackingFactor()
+const MAX_BACKTRACKING = 10000;
+
+/**
+ * Whether a pattern repeats a group that itself repeats or alternates, like
+ * (a+)+, (\w*)* or (a|aa)+: the shapes behind catastrophic backtracking.
+ * Escapes and character classes are skipped; nested groups count for their
+ * parents.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+    const groups = [{ repeats: false }];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            i = skipClass(pattern, i);
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { repeats: false };
+            if (group.repeats && ['+', '*', '{'].includes(pattern[i + 1])) {
+                return true;
+            }
+            groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || group.repeats;
+        } else if (char === '+' || char === '*' || char === '{' || char === '|') {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Upper bound of how many ways a pattern can try to match from one position:
+ * every unbounded quantifier (*, +, {n,}) may take any length up to
+ * MAX_INPUT_LENGTH, every bounded one ({n,m}, ?) one of its m-n+1 counts and
+ * every group one of its alternatives. Two unbounded quantifiers, as in
+ * .*.*x, already exceed MAX_BACKTRACKING: run unanchored on a long input
+ * such patterns take seconds.
+ * @param {string} pattern
+ * @returns {number}
+ */
+function backtrackingFactor(pattern) {
+    let factor = 1;
+    const alternatives = [1];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        let span = null;
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            i = skipClass(pattern, i);
+        } else if (char === '(') {
+            alternatives.push(1);
+            // (?:, (?= and (?<name> do not make the group optional
+            if (pattern[i + 1] === '?') {
+                i++;
+            }
+        } else if (char === ')') {
+            factor *= alternatives.length > 1 ? alternatives.pop() : 1;
+        } else if (char === '|') {
+            alternatives[alternatives.length - 1]++;
+        } else if (char === '*' || char === '+') {
+            span = MAX_INPUT_LENGTH;
+        } else if (char === '?') {
+            span = 2;
+        } else if (char === '{') {
+            const range = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+            if (range) {
+                const [text, min, comma, max] = range;
+                span = !comma ? 1 : max === '' ? MAX_INPUT_LENGTH : Math.max(1, Number(max) - Number(min) + 1);
+                i += text.length - 1;
+            }
+        }
+        if (span !== null) {
+            factor *= span;
+            // A "?" after a quantifier only makes it lazy
+            if (pattern[i + 1] === '?') {
+                i++;
+            }
+        }
+    }
+    return factor * alternatives[0];
+}
+
+// Index of the "]" closing the character class opened at start
+function skipClass(pattern, start) {
+    let i = start + 1;
+    for (; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') {
+            i++;
+        }
+    }
+    return i;
+}
+
+/**
+ * Compiles a user-supplied regular expression.
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {RegExp}
+ * @throws {SyntaxError} When the pattern is not a string, too long, invalid or prone to catastrophic backtracking.
+ */
+function compileSafeRegExp(pattern, flags = '') {
+    if (typeof pattern !== 'string') {
+        throw new SyntaxError('Pattern must be a string.');
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new SyntaxError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters: ${pattern.slice(0, 40)}...`);
+    }
+    if (hasNestedQuantifier(pattern)) {
+        throw new SyntaxError(`Pattern repeats a group that repeats or alternates, which can take exponential time: ${pattern}`);
+    }
+    if (backtrackingFactor(pattern) > MAX_BACKTRACKING) {
+        throw new SyntaxError(`Pattern can backtrack too much: use at most one unbounded quantifier (*, + or {n,}) and few optional parts: ${pattern}`);
+    }
+    return new RegExp(pattern, flags);
+}
+
+/**
+ * A "*" glob matched without a regular expression. Literal parts are found
+ * with indexOf, each at its leftmost position, so matching takes at most
+ * input length x pattern length steps however many "*" the pattern has.
+ */
+class Glob {
+    /**
+     * @param {string} pattern "*" matches any run of characters; everything else is literal.
+     * @param {object} [options]
+     * @param {function(string, number): boolean} [options.canEnd] Whether a match may end at an index
+     *        of the input; by default anywhere, so the glob only has to match a prefix.
+     */
+    constructor(pattern, { canEnd = () => true } = {}) {
+        this.source = pattern;
+        this.parts = pattern.split('*');
+        this.canEnd = canEnd;
+    }
+
+    /**
+     * Whether the glob matches the start of a string.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    test(text) {
+        const { parts } = this;
+        if (!text.startsWith(parts[0])) {
+            return false;
+        }
+        if (parts.length === 1) {
+            return this.canEnd(text, parts[0].length);
+        }
+        let cursor = parts[0].length;
+        for (const part of parts.slice(1, -1)) {
+            const index = text.indexOf(part, cursor);
+            if (index === -1) {
+                return false;
+            }
+            cursor = index + part.length;
+        }
+        const last = parts[parts.length - 1];
+        for (let index = text.indexOf(last, cursor); index !== -1; index = text.indexOf(last, index + 1)) {
+            if (this.canEnd(text, index + last.length)) {
+                return true;
+            }
+            if (index + last.length >= text.length) {
+                break;
+            }
+        }
+        return false;
+    }
+}
+
+/**
+ * Cuts a string to MAX_INPUT_LENGTH before a user pattern runs against it.
+ * @param {string} value
+ * @returns {string}
+ */
+function capInput(value) {
+    return value.length > MAX_INPUT_LENGTH ? value.slice(0, MAX_INPUT_LENGTH) : value;
+}
+
+module.exports = {
+    compileSafeRegExp, capInput, hasNestedQuantifier, backtrackingFactor, Glob,
+    MAX_PATTERN_LENGTH, MAX_INPUT_LENGTH, MAX_BACKTRACKING,
+};
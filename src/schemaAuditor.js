@@ -0,0 +1,176 @@
+// src/schemaAuditor.js
+// Compares the structured data a page already declares with what
+// SchemaGenerator would produce for the same URL.
+
+/**
+ * @typedef {object} AuditReport
+ * @property {object} existing Counts and types of markup found on the page, per source.
+ * @property {Array<string>} generatedTypes Types SchemaGenerator produced.
+ * @property {Array<string>} missingTypes Generated types the page does not declare at all.
+ * @property {Array<string>} extraTypes Types the page declares that we don't generate.
+ * @property {Array<object>} missingProperties Properties we generate that the page's node lacks.
+ * @property {Array<object>} conflicts Properties whose values differ between page and generated output.
+ * @property {Array<object>} duplicates Types declared more than once on the page.
+ */
+
+// Subtypes compared against the type SchemaGenerator emits
+const TYPE_FAMILIES = {
+    NewsArticle: 'Article',
+    BlogPosting: 'Article',
+    TechArticle: 'Article',
+    Report: 'Article',
+    ScholarlyArticle: 'Article',
+    LocalBusiness: 'Organization',
+    Corporation: 'Organization',
+    Store: 'Organization',
+    Restaurant: 'Organization',
+    ProfessionalService: 'Organization'
+};
+
+// Longer text values are truncated in the report
+const MAX_VALUE_LENGTH = 200;
+
+class SchemaAuditor {
+    /**
+     * Audits the page's structured data against generated schema.
+     * @param {{jsonLd: Array<object>, microdata: Array<object>, rdfa: Array<object>}} existing
+     *        Output of WebScraper.extractStructuredData.
+     * @param {Array<object|string>} generated Generated schema objects or `<script>` strings.
+     * @returns {AuditReport}
+     */
+    audit(existing, generated) {
+        const existingNodes = [];
+        for (const source of ['jsonLd', 'microdata', 'rdfa']) {
+            for (const node of existing[source] || []) {
+                existingNodes.push({ source, node });
+            }
+        }
+        const generatedNodes = generated
+            .filter(Boolean)
+            .flatMap(schema => this.parseSchema(schema))
+            .flatMap(node => (Array.isArray(node['@graph']) ? node['@graph'] : [node]));
+
+        const existingByType = this.groupByType(existingNodes);
+        const generatedByType = this.groupByType(generatedNodes.map(node => ({ source: 'generated', node })));
+
+        const report = {
+            existing: {
+                jsonLd: this.summarize(existing.jsonLd),
+                microdata: this.summarize(existing.microdata),
+                rdfa: this.summarize(existing.rdfa)
+            },
+            generatedTypes: Object.keys(generatedByType),
+            missingTypes: [],
+            extraTypes: Object.keys(existingByType).filter(type => !generatedByType[type]),
+            missingProperties: [],
+            conflicts: [],
+            duplicates: []
+        };
+
+        for (const [type, entries] of Object.entries(existingByType)) {
+            if (entries.length > 1) {
+                report.duplicates.push({
+                    type,
+                    count: entries.length,
+                    sources: entries.map(entry => entry.source)
+                });
+            }
+        }
+
+        for (const [type, generatedEntries] of Object.entries(generatedByType)) {
+            const existingEntries = existingByType[type];
+            if (!existingEntries) {
+                report.missingTypes.push(type);
+                continue;
+            }
+            const generatedNode = generatedEntries[0].node;
+            // Compare against the richest existing declaration of this type
+            const { node: existingNode, source } = existingEntries
+                .slice()
+                .sort((a, b) => Object.keys(b.node).length - Object.keys(a.node).length)[0];
+
+            for (const [property, generatedValue] of Object.entries(generatedNode)) {
+                if (property.startsWith('@')) {
+                    continue;
+                }
+                const existingValue = existingNode[property];
+                if (existingValue === undefined || existingValue === null || existingValue === '') {
+                    report.missingProperties.push({ type, property, source, suggested: this.preview(generatedValue) });
+                } else if (!this.valuesMatch(existingValue, generatedValue)) {
+                    report.conflicts.push({
+                        type,
+                        property,
+                        source,
+                        existing: this.preview(existingValue),
+                        generated: this.preview(generatedValue)
+                    });
+                }
+            }
+        }
+
+        return report;
+    }
+
+    parseSchema(schema) {
+        if (typeof schema !== 'string') {
+            return [].concat(schema);
+        }
+        const match = schema.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
+        return [].concat(JSON.parse(match ? match[1] : schema));
+    }
+
+    groupByType(entries) {
+        const groups = {};
+        for (const entry of entries) {
+            for (const type of [].concat(entry.node['@type'] || [])) {
+                const family = this.typeFamily(type);
+                (groups[family] = groups[family] || []).push(entry);
+            }
+        }
+        return groups;
+    }
+
+    typeFamily(type) {
+        const name = String(type).replace(/^https?:\/\/schema\.org\//, '');
+        return TYPE_FAMILIES[name] || name;
+    }
+
+    summarize(nodes = []) {
+        return {
+            count: nodes.length,
+            types: [...new Set(nodes.flatMap(node => [].concat(node['@type'] || [])))]
+        };
+    }
+
+    // Values match if any normalized existing value equals any generated one
+    valuesMatch(existingValue, generatedValue) {
+        const existing = [].concat(existingValue).map(value => this.normalizeValue(value));
+        const generated = [].concat(generatedValue).map(value => this.normalizeValue(value));
+        return generated.some(value => existing.includes(value));
+    }
+
+    normalizeValue(value) {
+        if (value && typeof value === 'object') {
+            // Nested nodes are identified by @id, url or name rather than deep-compared
+            return this.normalizeValue(value['@id'] || value.url || value.name || value.text || JSON.stringify(value));
+        }
+        const text = String(value).replace(/\s+/g, ' ').trim();
+        if (/^\d{4}-\d{2}-\d{2}/.test(text) && !isNaN(Date.parse(text))) {
+            return String(Date.parse(text));
+        }
+        if (/^https?:\/\//i.test(text)) {
+            return text.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '').toLowerCase();
+        }
+        if (text !== '' && !isNaN(Number(text))) {
+            return String(Number(text));
+        }
+        return text.toLowerCase();
+    }
+
+    preview(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+    }
+}
+
+module.exports = { SchemaAuditor };
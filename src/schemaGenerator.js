@@ -1,5 +1,6 @@
 // src/schemaGenerator.js
 // Converted from the provided TypeScript file to JavaScript
+const crypto = require('crypto');
 
 // Mock a simple ExtractedData type for clarity
 // You might need to adjust some properties based on your exact needs.
@@ -7,8 +8,13 @@
  * @typedef {object} ExtractedData
  * @property {string} [title]
  * @property {string} [description]
+ * @property {string} [articleType]
  * @property {object} [image]
+ * @property {Array<object>} [images]
+ * @property {Array<object>} [videos]
+ * @property {Array<object>} [events]
  * @property {string} [author]
+ * @property {Array<object>} [authors]
  * @property {string} [authorUrl]
  * @property {string} [publisherName]
  * @property {string} [publisherLogo]
@@ -16,10 +22,20 @@
  * @property {string} [dateModified]
  * @property {string} [articleSection]
  * @property {string} [articleBody]
+ * @property {number} [wordCount]
+ * @property {string} [timeRequired]
  * @property {Array<object>} [breadcrumbs]
  * @property {Array<object>} [faqs]
+ * @property {object} [product]
+ * @property {object} [howTo]
+ * @property {object} [recipe]
+ * @property {object} [organization]
+ * @property {string} [inLanguage]
  */
 
+// Node types that can be requested for the combined @graph output
+const GRAPH_NODE_TYPES = ['webpage', 'website', 'organization', 'person', 'article', 'breadcrumbs', 'faq'];
+
 class SchemaGenerator {
     /**
      * Generates an Article schema.
@@ -30,7 +46,7 @@ class SchemaGenerator {
     generateArticleSchema(data, url) {
         const schema = {
             "@context": "https://schema.org",
-            "@type": "Article",
+            "@type": data.articleType || "Article",
             "headline": data.title,
             "mainEntityOfPage": {
                 "@type": "WebPage",
@@ -42,21 +58,14 @@ class SchemaGenerator {
             schema.description = data.description;
         }
 
-        if (data.image) {
-            schema.image = {
-                "@type": "ImageObject",
-                "url": data.image.url,
-                ...(data.image.height && { height: data.image.height }),
-                ...(data.image.width && { width: data.image.width })
-            };
+        const images = this.generateImages(data);
+        if (images.length > 0) {
+            schema.image = images;
         }
 
-        if (data.author) {
-            schema.author = {
-                "@type": "Person",
-                "name": data.author,
-                ...(data.authorUrl && { url: data.authorUrl })
-            };
+        const authors = this.generateAuthors(data);
+        if (authors.length > 0) {
+            schema.author = authors;
         }
 
         if (data.publisherName) {
@@ -87,6 +96,18 @@ class SchemaGenerator {
         if (data.articleBody) {
             schema.articleBody = data.articleBody;
         }
+
+        if (data.wordCount) {
+            schema.wordCount = data.wordCount;
+        }
+
+        if (data.timeRequired) {
+            schema.timeRequired = data.timeRequired;
+        }
+
+        if (data.inLanguage) {
+            schema.inLanguage = data.inLanguage;
+        }
         return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
     }
 
@@ -143,7 +164,8 @@ class SchemaGenerator {
                 "@type": "ListItem",
                 "position": index + 1,
                 "name": crumb.name,
-                "item": ensureTrailingSlash(crumb.url)
+                // Crumbs without a link (the current page, plain text) have no item
+                ...(crumb.url && { item: ensureTrailingSlash(crumb.url) })
             }))
         };
         return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
@@ -172,6 +194,7 @@ class SchemaGenerator {
         const schema = {
             "@context": "https://schema.org",
             "@type": "FAQPage",
+            ...(data.inLanguage && { inLanguage: data.inLanguage }),
             "mainEntity": data.faqs.map(faq => ({
                 "@type": "Question",
                 "name": faq.question,
@@ -183,6 +206,656 @@ class SchemaGenerator {
         };
         return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
     }
+
+    /**
+     * Generates a Product schema with nested Offer, AggregateRating and Review.
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @returns {object|null} The schema object or null.
+     */
+    generateProductSchema(data, url) {
+        const product = data.product;
+        if (!product || !product.name) {
+            return null;
+        }
+
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "Product",
+            "name": product.name
+        };
+
+        if (product.description || data.description) {
+            schema.description = product.description || data.description;
+        }
+
+        const images = product.images && product.images.length > 0
+            ? product.images
+            : (data.image ? [data.image.url] : []);
+        if (images.length > 0) {
+            schema.image = images;
+        }
+
+        if (product.sku) {
+            schema.sku = product.sku;
+        }
+
+        if (product.gtin) {
+            schema.gtin = product.gtin;
+        }
+
+        if (product.mpn) {
+            schema.mpn = product.mpn;
+        }
+
+        if (product.brand) {
+            schema.brand = {
+                "@type": "Brand",
+                "name": product.brand
+            };
+        }
+
+        const offers = product.offers || {};
+        if (offers.price !== undefined && offers.price !== null) {
+            schema.offers = {
+                "@type": "Offer",
+                "url": offers.url || url,
+                "price": offers.price,
+                ...(offers.priceCurrency && { priceCurrency: offers.priceCurrency }),
+                ...(offers.availability && { availability: offers.availability }),
+                ...(offers.itemCondition && { itemCondition: offers.itemCondition }),
+                ...(offers.priceValidUntil && { priceValidUntil: offers.priceValidUntil })
+            };
+        }
+
+        const rating = product.aggregateRating || {};
+        if (rating.ratingValue && (rating.reviewCount || rating.ratingCount)) {
+            schema.aggregateRating = {
+                "@type": "AggregateRating",
+                "ratingValue": rating.ratingValue,
+                ...(rating.reviewCount && { reviewCount: rating.reviewCount }),
+                ...(rating.ratingCount && { ratingCount: rating.ratingCount }),
+                ...(rating.bestRating && { bestRating: rating.bestRating }),
+                ...(rating.worstRating && { worstRating: rating.worstRating })
+            };
+        }
+
+        if (product.reviews && product.reviews.length > 0) {
+            schema.review = product.reviews.map(review => ({
+                "@type": "Review",
+                "author": {
+                    "@type": "Person",
+                    "name": review.author
+                },
+                ...(review.name && { name: review.name }),
+                ...(review.reviewBody && { reviewBody: review.reviewBody }),
+                ...(review.datePublished && { datePublished: review.datePublished }),
+                ...(review.ratingValue && {
+                    reviewRating: {
+                        "@type": "Rating",
+                        "ratingValue": review.ratingValue,
+                        ...(review.bestRating && { bestRating: review.bestRating })
+                    }
+                })
+            }));
+        }
+
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Generates a HowTo schema.
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @returns {object|null} The schema object or null.
+     */
+    generateHowToSchema(data, url) {
+        const howTo = data.howTo;
+        if (!howTo || !howTo.steps || howTo.steps.length === 0) {
+            return null;
+        }
+
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "HowTo",
+            "name": howTo.name || data.title
+        };
+
+        if (howTo.description || data.description) {
+            schema.description = howTo.description || data.description;
+        }
+
+        if (data.inLanguage) {
+            schema.inLanguage = data.inLanguage;
+        }
+
+        if (data.image) {
+            schema.image = {
+                "@type": "ImageObject",
+                "url": data.image.url
+            };
+        }
+
+        if (howTo.totalTime) {
+            schema.totalTime = howTo.totalTime;
+        }
+
+        if (howTo.supplies && howTo.supplies.length > 0) {
+            schema.supply = howTo.supplies.map(name => ({
+                "@type": "HowToSupply",
+                "name": name
+            }));
+        }
+
+        if (howTo.tools && howTo.tools.length > 0) {
+            schema.tool = howTo.tools.map(name => ({
+                "@type": "HowToTool",
+                "name": name
+            }));
+        }
+
+        schema.step = this.generateSteps(howTo.steps, url);
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Generates a Recipe schema.
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @returns {object|null} The schema object or null.
+     */
+    generateRecipeSchema(data, url) {
+        const recipe = data.recipe;
+        if (!recipe || !recipe.ingredients || recipe.ingredients.length === 0) {
+            return null;
+        }
+
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "Recipe",
+            "name": recipe.name || data.title
+        };
+
+        if (recipe.description || data.description) {
+            schema.description = recipe.description || data.description;
+        }
+
+        if (data.inLanguage) {
+            schema.inLanguage = data.inLanguage;
+        }
+
+        const images = recipe.images && recipe.images.length > 0
+            ? recipe.images
+            : (data.image ? [data.image.url] : []);
+        if (images.length > 0) {
+            schema.image = images;
+        }
+
+        const authors = this.generateAuthors(data);
+        if (authors.length > 0) {
+            schema.author = authors;
+        }
+
+        if (data.datePublished) {
+            schema.datePublished = data.datePublished;
+        }
+
+        for (const key of ['prepTime', 'cookTime', 'totalTime', 'recipeYield', 'recipeCategory', 'recipeCuisine']) {
+            if (recipe[key]) {
+                schema[key] = recipe[key];
+            }
+        }
+
+        if (recipe.calories) {
+            schema.nutrition = {
+                "@type": "NutritionInformation",
+                "calories": recipe.calories
+            };
+        }
+
+        schema.recipeIngredient = recipe.ingredients;
+
+        if (recipe.instructions && recipe.instructions.length > 0) {
+            schema.recipeInstructions = this.generateSteps(recipe.instructions, url);
+        }
+
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    // Helper to build HowToStep items shared by HowTo and Recipe
+    generateSteps(steps, url) {
+        return steps.map((step, index) => ({
+            "@type": "HowToStep",
+            "position": index + 1,
+            ...(step.name && { name: step.name }),
+            "text": step.text,
+            ...(step.image && { image: step.image }),
+            "url": step.url || `${url.split('#')[0]}#step-${index + 1}`
+        }));
+    }
+
+    /**
+     * Generates an Organization or LocalBusiness schema. LocalBusiness is used
+     * when the page exposes a physical location (address, geo or opening hours).
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @returns {object|null} The schema object or null.
+     */
+    generateOrganizationSchema(data, url) {
+        const organization = data.organization;
+        if (!organization || !(organization.name || data.publisherName)) {
+            return null;
+        }
+
+        const isLocal = Boolean(organization.address || organization.geo || organization.openingHours.length > 0);
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": organization.type || (isLocal ? "LocalBusiness" : "Organization"),
+            "name": organization.name || data.publisherName,
+            "url": organization.url || new URL('/', url).href
+        };
+
+        if (organization.logo || data.publisherLogo) {
+            schema.logo = {
+                "@type": "ImageObject",
+                "url": organization.logo || data.publisherLogo
+            };
+            // LocalBusiness rich results expect an image as well as a logo
+            if (isLocal) {
+                schema.image = organization.logo || data.publisherLogo;
+            }
+        }
+
+        if (organization.description) {
+            schema.description = organization.description;
+        }
+
+        if (organization.address) {
+            schema.address = {
+                "@type": "PostalAddress",
+                ...Object.fromEntries(Object.entries(organization.address).filter(([, value]) => value))
+            };
+        }
+
+        if (organization.geo) {
+            schema.geo = {
+                "@type": "GeoCoordinates",
+                "latitude": organization.geo.latitude,
+                "longitude": organization.geo.longitude
+            };
+        }
+
+        if (organization.telephones.length > 0) {
+            schema.telephone = organization.telephones[0];
+        }
+
+        if (organization.emails.length > 0) {
+            schema.email = organization.emails[0];
+        }
+
+        if (organization.telephones.length > 1 || organization.emails.length > 1) {
+            schema.contactPoint = [
+                ...organization.telephones.map(telephone => ({ "@type": "ContactPoint", "telephone": telephone, "contactType": "customer service" })),
+                ...organization.emails.map(email => ({ "@type": "ContactPoint", "email": email, "contactType": "customer service" }))
+            ];
+        }
+
+        if (organization.openingHours.length > 0) {
+            schema.openingHours = organization.openingHours;
+        }
+
+        if (organization.sameAs.length > 0) {
+            schema.sameAs = organization.sameAs;
+        }
+
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Generates a single @graph document whose nodes reference each other by
+     * stable @id instead of repeating nested publisher/author objects.
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @param {Array<string>} [types] Node types to include (see GRAPH_NODE_TYPES).
+     * @returns {object|null} The schema object or null.
+     */
+    generateGraphSchema(data, url, types = GRAPH_NODE_TYPES) {
+        const include = new Set(types.map(type => type.toLowerCase()));
+        const pageUrl = url.split('#')[0];
+        const origin = new URL(url).origin;
+        const publisherName = data.publisherName || (data.organization && data.organization.name);
+        const publisherLogo = data.publisherLogo || (data.organization && data.organization.logo);
+        const hasFaqs = data.faqs && data.faqs.length > 0;
+        const hasBreadcrumbs = data.breadcrumbs && data.breadcrumbs.length > 0;
+        const authors = this.generateAuthors(data);
+        const people = authors.filter(author => author["@type"] === "Person");
+        // Names without Latin letters (Ελένη, 李明) slugify to nothing: a hash of the name keeps their ids apart
+        const personId = (name) => `${origin}/#/schema/person/${this.slugify(name) || crypto.createHash('sha1').update(String(name)).digest('hex').slice(0, 12)}`;
+
+        const ids = {
+            website: `${origin}/#website`,
+            organization: `${origin}/#organization`,
+            webpage: `${pageUrl}#webpage`,
+            article: `${pageUrl}#article`,
+            breadcrumbs: `${pageUrl}#breadcrumb`,
+            faq: `${pageUrl}#faq`,
+            primaryimage: `${pageUrl}#primaryimage`
+        };
+        // Only link to nodes that actually end up in the graph
+        const present = {
+            website: include.has('website'),
+            organization: include.has('organization') && Boolean(publisherName),
+            webpage: include.has('webpage'),
+            person: include.has('person') && people.length > 0,
+            article: include.has('article') && Boolean(data.title),
+            breadcrumbs: include.has('breadcrumbs') && hasBreadcrumbs,
+            faq: include.has('faq') && hasFaqs
+        };
+        const ref = (key) => (present[key] ? { "@id": ids[key] } : undefined);
+
+        const graph = [];
+
+        if (present.website) {
+            graph.push({
+                "@type": "WebSite",
+                "@id": ids.website,
+                "url": `${origin}/`,
+                ...(publisherName && { name: publisherName }),
+                ...(ref('organization') && { publisher: ref('organization') }),
+                ...(data.inLanguage && { inLanguage: data.inLanguage })
+            });
+        }
+
+        if (present.organization) {
+            const organization = data.organization || {};
+            graph.push({
+                "@type": "Organization",
+                "@id": ids.organization,
+                "name": publisherName,
+                "url": `${origin}/`,
+                ...(publisherLogo && {
+                    logo: {
+                        "@type": "ImageObject",
+                        "url": publisherLogo
+                    }
+                }),
+                ...(organization.sameAs && organization.sameAs.length > 0 && { sameAs: organization.sameAs })
+            });
+        }
+
+        if (present.webpage) {
+            graph.push({
+                "@type": "WebPage",
+                "@id": ids.webpage,
+                "url": pageUrl,
+                ...(data.title && { name: data.title }),
+                ...(data.description && { description: data.description }),
+                ...(ref('website') && { isPartOf: ref('website') }),
+                ...(data.image && {
+                    primaryImageOfPage: {
+                        "@type": "ImageObject",
+                        "@id": ids.primaryimage,
+                        "url": data.image.url
+                    }
+                }),
+                ...(data.datePublished && { datePublished: data.datePublished }),
+                ...(data.dateModified && { dateModified: data.dateModified }),
+                ...(ref('breadcrumbs') && { breadcrumb: ref('breadcrumbs') }),
+                ...(data.inLanguage && { inLanguage: data.inLanguage })
+            });
+        }
+
+        if (present.person) {
+            for (const person of people) {
+                graph.push({ "@type": "Person", "@id": personId(person.name), ...person });
+            }
+        }
+
+        // Authors point at their Person nodes, or at the Organization node when the site itself is the author
+        const authorRefs = authors.map((author) => {
+            if (author["@type"] === "Person" && present.person) {
+                return { "@id": personId(author.name) };
+            }
+            if (author["@type"] === "Organization" && present.organization && author.name === publisherName) {
+                return ref('organization');
+            }
+            return author;
+        });
+
+        if (present.article) {
+            graph.push({
+                "@type": data.articleType || "Article",
+                "@id": ids.article,
+                "headline": data.title,
+                ...(ref('webpage') && { isPartOf: ref('webpage'), mainEntityOfPage: ref('webpage') }),
+                ...(data.description && { description: data.description }),
+                ...(data.image && { image: present.webpage ? { "@id": ids.primaryimage } : data.image.url }),
+                ...(authorRefs.length > 0 && { author: authorRefs }),
+                ...(ref('organization') && { publisher: ref('organization') }),
+                ...(data.datePublished && { datePublished: data.datePublished }),
+                ...(data.dateModified && { dateModified: data.dateModified }),
+                ...(data.articleSection && { articleSection: data.articleSection }),
+                ...(data.articleBody && { articleBody: data.articleBody }),
+                ...(data.wordCount && { wordCount: data.wordCount }),
+                ...(data.timeRequired && { timeRequired: data.timeRequired }),
+                ...(data.inLanguage && { inLanguage: data.inLanguage })
+            });
+        }
+
+        if (present.breadcrumbs) {
+            graph.push({
+                "@type": "BreadcrumbList",
+                "@id": ids.breadcrumbs,
+                "itemListElement": data.breadcrumbs.map((crumb, index) => ({
+                    "@type": "ListItem",
+                    "position": index + 1,
+                    "name": crumb.name,
+                    "item": crumb.url
+                }))
+            });
+        }
+
+        if (present.faq) {
+            graph.push({
+                "@type": "FAQPage",
+                "@id": ids.faq,
+                "url": pageUrl,
+                ...(ref('website') && { isPartOf: ref('website') }),
+                ...(data.inLanguage && { inLanguage: data.inLanguage }),
+                "mainEntity": data.faqs.map(faq => ({
+                    "@type": "Question",
+                    "name": faq.question,
+                    "acceptedAnswer": {
+                        "@type": "Answer",
+                        "text": faq.answer
+                    }
+                }))
+            });
+        }
+
+        if (graph.length === 0) {
+            return null;
+        }
+
+        const schema = {
+            "@context": "https://schema.org",
+            "@graph": graph
+        };
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Generates a VideoObject schema for each embedded video; several videos
+     * are emitted together in an @graph.
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @returns {object|null} The schema object or null.
+     */
+    generateVideoSchema(data, url) {
+        if (!data.videos || data.videos.length === 0) {
+            return null;
+        }
+
+        const videos = data.videos.map(video => ({
+            "@type": "VideoObject",
+            "name": video.name || data.title,
+            ...((video.description || data.description) && { description: video.description || data.description }),
+            ...(video.thumbnailUrl && { thumbnailUrl: video.thumbnailUrl }),
+            ...(video.uploadDate && { uploadDate: video.uploadDate }),
+            ...(video.duration && { duration: video.duration }),
+            ...(video.contentUrl && { contentUrl: video.contentUrl }),
+            ...(video.embedUrl && { embedUrl: video.embedUrl }),
+            ...(video.width && { width: video.width }),
+            ...(video.height && { height: video.height }),
+            ...(data.inLanguage && { inLanguage: data.inLanguage }),
+            "mainEntityOfPage": url
+        }));
+
+        const schema = videos.length === 1
+            ? { "@context": "https://schema.org", ...videos[0] }
+            : { "@context": "https://schema.org", "@graph": videos };
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Generates an Event schema for each event; listing pages with several
+     * events are emitted together in an @graph.
+     * @param {ExtractedData} data The extracted data.
+     * @param {string} url The original URL.
+     * @returns {object|null} The schema object or null.
+     */
+    generateEventSchema(data, url) {
+        if (!data.events || data.events.length === 0) {
+            return null;
+        }
+
+        const events = data.events.map((event) => {
+            const locations = [];
+            if (event.location) {
+                locations.push({
+                    "@type": "Place",
+                    ...(event.location.name && { name: event.location.name }),
+                    ...(event.location.address && {
+                        address: typeof event.location.address === 'string'
+                            ? event.location.address
+                            : {
+                                "@type": "PostalAddress",
+                                ...Object.fromEntries(Object.entries(event.location.address).filter(([, value]) => value))
+                            }
+                    })
+                });
+            }
+            if (event.virtualLocation) {
+                locations.push({
+                    "@type": "VirtualLocation",
+                    "url": event.virtualLocation
+                });
+            }
+            const image = event.image || (data.events.length === 1 && data.image && data.image.url);
+
+            return {
+                "@type": event.type || "Event",
+                "name": event.name,
+                ...(event.description && { description: event.description }),
+                "startDate": event.startDate,
+                ...(event.endDate && { endDate: event.endDate }),
+                ...(event.eventStatus && { eventStatus: event.eventStatus }),
+                ...(event.eventAttendanceMode && { eventAttendanceMode: event.eventAttendanceMode }),
+                ...(locations.length > 0 && { location: locations.length === 1 ? locations[0] : locations }),
+                ...(image && { image: [image] }),
+                ...(event.performers.length > 0 && {
+                    performer: event.performers.map(performer => ({
+                        "@type": performer.type || "Person",
+                        "name": performer.name,
+                        ...(performer.url && { url: performer.url })
+                    }))
+                }),
+                ...(event.organizer && {
+                    organizer: {
+                        "@type": event.organizer.type || "Organization",
+                        "name": event.organizer.name,
+                        ...(event.organizer.url && { url: event.organizer.url })
+                    }
+                }),
+                ...(event.offers.length > 0 && {
+                    offers: event.offers.map(offer => ({
+                        "@type": "Offer",
+                        ...(offer.name && { name: offer.name }),
+                        ...(offer.price !== null && offer.price !== undefined && { price: offer.price }),
+                        ...(offer.priceCurrency && { priceCurrency: offer.priceCurrency }),
+                        ...(offer.availability && { availability: offer.availability }),
+                        "url": offer.url || event.url || url,
+                        ...(offer.validFrom && { validFrom: offer.validFrom })
+                    }))
+                }),
+                "url": event.url || url
+            };
+        });
+
+        const schema = events.length === 1
+            ? { "@context": "https://schema.org", ...events[0] }
+            : { "@context": "https://schema.org", "@graph": events };
+        return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
+    }
+
+    /**
+     * Builds the ImageObject list of an article: the page's representative
+     * image (og:image) first, then the content images, largest first.
+     * @param {ExtractedData} data The extracted data.
+     * @returns {Array<object>}
+     */
+    generateImages(data) {
+        const seen = new Set();
+        return [data.image, ...(data.images || [])]
+            .filter(image => image && image.url && !seen.has(image.url) && seen.add(image.url))
+            .slice(0, 10)
+            .map(image => ({
+                "@type": "ImageObject",
+                "url": image.url,
+                ...(image.width && { width: image.width }),
+                ...(image.height && { height: image.height }),
+                ...((image.caption || image.alt) && { caption: image.caption || image.alt })
+            }));
+    }
+
+    /**
+     * Builds the author list: every extracted author as a Person or
+     * Organization with its profile details, falling back to the single
+     * author name.
+     * @param {ExtractedData} data The extracted data.
+     * @returns {Array<object>}
+     */
+    generateAuthors(data) {
+        if (data.authors && data.authors.length > 0) {
+            return data.authors.map(author => ({
+                "@type": author.type || "Person",
+                "name": author.name,
+                ...(author.url && { url: author.url }),
+                ...(author.jobTitle && author.type !== 'Organization' && { jobTitle: author.jobTitle }),
+                ...(author.image && { image: author.image }),
+                ...(author.description && { description: author.description }),
+                ...(author.sameAs && author.sameAs.length > 0 && { sameAs: author.sameAs })
+            }));
+        }
+        if (data.author) {
+            return [{
+                "@type": "Person",
+                "name": data.author,
+                ...(data.authorUrl && { url: data.authorUrl })
+            }];
+        }
+        return [];
+    }
+
+    // Helper to build URL-safe fragments for @id values
+    slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
 }
 
-module.exports = { SchemaGenerator };
+module.exports = { SchemaGenerator, GRAPH_NODE_TYPES };
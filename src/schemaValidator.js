@@ -0,0 +1,276 @@
+// src/schemaValidator.js
+// Checks JSON-LD against per-type required/recommended property rules
+// and type-checks common values (dates, URLs, durations, numbers).
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path JSON path of the offending value (e.g. "$.offers.price").
+ * @property {string} [type] The schema.org type the rule belongs to.
+ * @property {string} message Human readable description.
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {boolean} valid True when there are no errors.
+ * @property {Array<string>} types Every @type found in the input.
+ * @property {Array<ValidationIssue>} errors Problems that block rich results.
+ * @property {Array<ValidationIssue>} warnings Missing recommended properties and soft issues.
+ */
+
+// Rules of the core types (articles, breadcrumbs, FAQs) and of the value types shared
+// between schemas. Each plugin brings the rules of its own types (see SchemaPlugin.rules).
+// Each entry in `oneOf` is a group where at least one property must be present.
+const VALIDATION_RULES = {
+    Thing: { required: [], recommended: [] },
+    CreativeWork: { required: [], recommended: [] },
+    Article: {
+        required: ['headline'],
+        recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher']
+    },
+    WebPage: { required: [], recommended: ['name', 'url'] },
+    WebSite: { required: ['url'], recommended: ['name'] },
+    BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+    ListItem: { required: ['position'], recommended: ['name', 'item'] },
+    FAQPage: { required: ['mainEntity'], recommended: [] },
+    Question: { required: ['name', 'acceptedAnswer'], recommended: [] },
+    Answer: { required: ['text'], recommended: [] },
+    Offer: {
+        required: ['priceCurrency'],
+        oneOf: [['price', 'priceSpecification']],
+        recommended: ['availability', 'url', 'priceValidUntil']
+    },
+    AggregateOffer: { required: ['lowPrice', 'priceCurrency'], recommended: ['highPrice', 'offerCount'] },
+    AggregateRating: { required: ['ratingValue'], oneOf: [['reviewCount', 'ratingCount']], recommended: ['bestRating'] },
+    Review: { required: ['author'], recommended: ['reviewRating', 'datePublished', 'reviewBody'] },
+    Rating: { required: ['ratingValue'], recommended: ['bestRating'] },
+    Person: { required: ['name'], recommended: ['url'] },
+    ImageObject: { required: [], oneOf: [['url', 'contentUrl', '@id']], recommended: [] },
+    Place: { required: [], recommended: ['name', 'address'] },
+    PostalAddress: { required: [], recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] },
+    GeoCoordinates: { required: ['latitude', 'longitude'], recommended: [] }
+};
+
+// Child -> parent, so subtypes inherit their parent's rules
+const TYPE_PARENTS = {
+    CreativeWork: 'Thing',
+    Article: 'CreativeWork',
+    NewsArticle: 'Article',
+    BlogPosting: 'Article',
+    TechArticle: 'Article',
+    Report: 'Article',
+    ScholarlyArticle: 'Article',
+    WebPage: 'CreativeWork',
+    FAQPage: 'WebPage',
+    WebSite: 'CreativeWork',
+    Review: 'CreativeWork',
+    AggregateRating: 'Rating',
+    ImageObject: 'CreativeWork',
+    Place: 'Thing',
+    Person: 'Thing'
+};
+
+const DATE_PROPERTIES = ['datePublished', 'dateModified', 'dateCreated', 'uploadDate', 'startDate', 'endDate', 'priceValidUntil', 'validFrom'];
+const URL_PROPERTIES = ['url', 'sameAs', 'contentUrl', 'embedUrl', 'thumbnailUrl', 'logo', 'image', 'item', 'availability', 'itemCondition', 'eventStatus', 'eventAttendanceMode'];
+const DURATION_PROPERTIES = ['totalTime', 'prepTime', 'cookTime', 'performTime', 'duration', 'timeRequired'];
+const NUMBER_PROPERTIES = ['ratingValue', 'reviewCount', 'ratingCount', 'bestRating', 'worstRating', 'position', 'price', 'lowPrice', 'highPrice', 'latitude', 'longitude', 'wordCount'];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ISO_DURATION_PATTERN = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+
+class SchemaValidator {
+    /**
+     * @param {object} [options]
+     * @param {Object<string, object>} [options.rules=VALIDATION_RULES] Rules of the core types.
+     * @param {import('./pluginRegistry').PluginRegistry} [options.plugins] Registry whose plugins add the rules of their types.
+     */
+    constructor({ rules = VALIDATION_RULES, plugins = null } = {}) {
+        this.rules = { ...rules };
+        this.parents = { ...TYPE_PARENTS };
+        if (plugins) {
+            plugins.applyRules(this);
+        }
+    }
+
+    /**
+     * Registers or extends the rules for a schema.org type.
+     * @param {string} type The schema.org type.
+     * @param {{required?: Array<string>, recommended?: Array<string>, oneOf?: Array<Array<string>>}} rules
+     * @param {string} [parent] The parent type whose rules are inherited.
+     */
+    addRules(type, rules, parent) {
+        this.rules[type] = { required: [], recommended: [], ...rules };
+        if (parent) {
+            this.parents[type] = parent;
+        }
+    }
+
+    /**
+     * Validates JSON-LD given as an object, an array of blocks, a JSON string
+     * or a `<script type="application/ld+json">` string.
+     * @param {object|Array<object>|string} input
+     * @returns {ValidationResult}
+     */
+    validate(input) {
+        const result = { valid: true, types: [], errors: [], warnings: [] };
+
+        let blocks;
+        try {
+            blocks = this.parseInput(input);
+        } catch (e) {
+            result.valid = false;
+            result.errors.push({ path: '$', message: `Invalid JSON-LD: ${e.message}` });
+            return result;
+        }
+
+        if (blocks.length === 0) {
+            result.valid = false;
+            result.errors.push({ path: '$', message: 'No JSON-LD found.' });
+            return result;
+        }
+
+        blocks.forEach((block, index) => {
+            const path = blocks.length > 1 ? `$[${index}]` : '$';
+            if (!block || typeof block !== 'object' || Array.isArray(block)) {
+                result.errors.push({ path, message: 'JSON-LD block must be an object.' });
+                return;
+            }
+            const context = [].concat(block['@context'] || []).map(c => (typeof c === 'string' ? c : ''));
+            if (!context.some(c => /^https?:\/\/schema\.org\/?$/.test(c))) {
+                result.errors.push({ path: `${path}['@context']`, message: 'Missing or unsupported @context; expected "https://schema.org".' });
+            }
+            if (Array.isArray(block['@graph'])) {
+                block['@graph'].forEach((node, nodeIndex) => this.validateNode(node, `${path}['@graph'][${nodeIndex}]`, result, true));
+            } else {
+                this.validateNode(block, path, result, true);
+            }
+        });
+
+        result.types = [...new Set(result.types)];
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    parseInput(input) {
+        if (typeof input === 'string') {
+            const scripts = [...input.matchAll(/<script[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)];
+            const sources = scripts.length > 0 ? scripts.map(match => match[1]) : [input];
+            return sources.flatMap(source => [].concat(JSON.parse(source.trim())));
+        }
+        return [].concat(input || []);
+    }
+
+    validateNode(node, path, result, topLevel = false) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => this.validateNode(item, `${path}[${index}]`, result));
+            return;
+        }
+
+        // Pure references ({ "@id": ... }) are validated where the node is defined
+        const keys = Object.keys(node);
+        if (keys.length === 1 && keys[0] === '@id') {
+            return;
+        }
+
+        const types = [].concat(node['@type'] || []).map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
+        if (types.length === 0 && topLevel) {
+            result.errors.push({ path, message: 'Node is missing @type.' });
+        }
+        result.types.push(...types);
+
+        for (const type of types) {
+            const rules = this.resolveRules(type);
+            if (!rules) {
+                result.warnings.push({ path, type, message: `No validation rules for type "${type}".` });
+                continue;
+            }
+            for (const property of rules.required) {
+                if (this.isEmpty(node[property])) {
+                    result.errors.push({ path: `${path}.${property}`, type, message: `Missing required property "${property}" for ${type}.` });
+                }
+            }
+            for (const group of rules.oneOf) {
+                if (group.every(property => this.isEmpty(node[property]))) {
+                    result.errors.push({ path, type, message: `${type} requires at least one of: ${group.join(', ')}.` });
+                }
+            }
+            for (const property of rules.recommended) {
+                if (this.isEmpty(node[property])) {
+                    result.warnings.push({ path: `${path}.${property}`, type, message: `Missing recommended property "${property}" for ${type}.` });
+                }
+            }
+        }
+
+        for (const [property, value] of Object.entries(node)) {
+            if (property.startsWith('@')) {
+                continue;
+            }
+            this.checkValueTypes(property, value, `${path}.${property}`, result);
+            if (value && typeof value === 'object') {
+                this.validateNode(value, `${path}.${property}`, result);
+            }
+        }
+    }
+
+    // Merges the rules of a type with those of all its ancestors
+    resolveRules(type) {
+        const chain = [];
+        let current = type;
+        while (current) {
+            if (this.rules[current]) {
+                chain.push(this.rules[current]);
+            }
+            current = this.parents[current];
+        }
+        if (chain.length === 0) {
+            return null;
+        }
+        const unique = (list) => [...new Set(list)];
+        return {
+            required: unique(chain.flatMap(rules => rules.required || [])),
+            recommended: unique(chain.flatMap(rules => rules.recommended || [])),
+            oneOf: chain.flatMap(rules => rules.oneOf || [])
+        };
+    }
+
+    checkValueTypes(property, value, path, result) {
+        const values = [].concat(value);
+        values.forEach((item, index) => {
+            const itemPath = Array.isArray(value) ? `${path}[${index}]` : path;
+            if (typeof item !== 'string' && typeof item !== 'number') {
+                return;
+            }
+            const text = String(item).trim();
+            if (DATE_PROPERTIES.includes(property) && !ISO_DATE_PATTERN.test(text)) {
+                result.errors.push({ path: itemPath, message: `"${property}" must be an ISO 8601 date, got "${text}".` });
+            }
+            if (URL_PROPERTIES.includes(property) && typeof item === 'string' && !this.isAbsoluteUrl(text)) {
+                result.errors.push({ path: itemPath, message: `"${property}" must be an absolute URL, got "${text}".` });
+            }
+            if (DURATION_PROPERTIES.includes(property) && !ISO_DURATION_PATTERN.test(text)) {
+                result.errors.push({ path: itemPath, message: `"${property}" must be an ISO 8601 duration (e.g. "PT30M"), got "${text}".` });
+            }
+            if (NUMBER_PROPERTIES.includes(property) && (text === '' || isNaN(Number(text)))) {
+                result.errors.push({ path: itemPath, message: `"${property}" must be a number, got "${text}".` });
+            }
+        });
+    }
+
+    isAbsoluteUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || value === ''
+            || (Array.isArray(value) && value.length === 0);
+    }
+}
+
+module.exports = { SchemaValidator, VALIDATION_RULES };
@@ -1,110 +1,308 @@
 // src/scraper.js
 const cheerio = require('cheerio');
 const { URL } = require('url');
-const puppeteer = require('puppeteer');
-const https = require('https');
-const http = require('http');
+const { BrowserPool } = require('./browserPool');
+const { createCacheFromEnv } = require('./cache');
+const { fetchHtml, fetchOnce, FetchError } = require('./fetcher');
+const { createPolitenessFromEnv } = require('./politeness');
+const { checkUrl, ALLOW_PRIVATE_NETWORKS } = require('./networkGuard');
+const { ContentExtractor } = require('./contentExtractor');
+const { keywordsFor, allKeywords, homeLabel, detectTextLanguage, normalizeLanguageTag } = require('./locales');
+const { parseICalendar, parseCalendarDate, withTimezone } = require('./calendar');
+const { createProfileStoreFromEnv, extractWithProfile } = require('./profiles');
+const { createPluginRegistryFromEnv } = require('./pluginRegistry');
+
+// Organization and LocalBusiness types accepted from existing JSON-LD
+const ORGANIZATION_TYPES = require('./plugins/organization').schemaTypes;
+
+// Hosts whose links are treated as sameAs social profiles
+const SOCIAL_HOSTS = [
+    'facebook.com', 'twitter.com', 'x.com', 'instagram.com', 'linkedin.com', 'youtube.com',
+    'pinterest.com', 'tiktok.com', 'github.com', 'wikipedia.org', 'wikidata.org', 'threads.net',
+    'medium.com', 'vimeo.com', 'yelp.com', 'tripadvisor.com',
+];
 
 /**
  * @typedef {object} ExtractedData
  * @property {string} [title]
  * @property {string} [description]
- * @property {string} [author]
+ * @property {string} [articleType] One of ARTICLE_TYPES, from classifyArticle or the `articleType` override.
+ * @property {Array<string>} [articleTypeRationale] The signals behind articleType.
+ * @property {string} [author] Name of the first author.
+ * @property {Array<object>} [authors] Every author as {type, name, url, jobTitle, image, description, sameAs}.
  * @property {string} [datePublished]
  * @property {string} [dateModified]
  * @property {object} [image]
  * @property {string} [articleSection]
- * @property {string} [articleBody]
+ * @property {string} [articleBody] Main content text, paragraphs separated by blank lines.
+ * @property {number} [wordCount]
+ * @property {number} [readingTime] Estimated reading time in minutes.
+ * @property {string} [timeRequired] readingTime as an ISO 8601 duration.
+ * @property {Array<{level: number, text: string}>} [headings] Outline of the main content.
+ * @property {object} [mainImage] Largest image in the main content.
+ * @property {Array<object>} [images] Content images, largest first, as {url, width, height, alt, caption}.
+ * @property {Array<object>} [videos] Embedded videos, see extractVideos.
  * @property {Array<object>} [breadcrumbs]
  * @property {Array<object>} [faqs]
  * @property {string} [publisherName]
  * @property {string} [publisherLogo]
  * @property {string} [authorUrl]
+ * @property {object} [product]
+ * @property {object} [howTo]
+ * @property {object} [recipe]
+ * @property {object} [organization]
+ * @property {Array<object>} [events] Events of the page, see extractEvents.
+ *           Product through events are filled by the built-in plugins (src/plugins/); each
+ *           PLUGINS_DIR plugin adds its own field.
+ * @property {string} [inLanguage] BCP 47 language of the page, e.g. "es-ES".
+ * @property {'html-lang'|'og-locale'|'content-language'|'content'} [languageSource] Where inLanguage came from.
+ * @property {Array<{hreflang: string, url: string}>} [alternates] hreflang alternates of the page.
+ * @property {Array<object>} [jsonLdBlocks]
+ * @property {object} [structuredData]
+ * @property {string} [profile] Id of the site profile used, see src/profiles.js.
+ * @property {Object<string, {source: string, confidence: number, original?: string}>} [fieldSources]
+ *           Where each field came from and how reliable it is (0-1), see extractFieldSources.
+ * @property {string} [finalUrl] The URL after redirects, used as the base for relative links.
+ * @property {'static'|'browser'|'input'} [renderMode] How the page was rendered ('input' for caller-supplied HTML).
+ * @property {string} [renderReason] Why that render mode was chosen.
+ * @property {'HIT'|'REVALIDATED'|'MISS'|'BYPASS'} [cacheStatus] Whether the page came from the cache.
  */
 
+// Accepted values for the `render` option of scrapeUrl
+const RENDER_MODES = ['static', 'browser', 'auto'];
+
+// Article subtypes classifyArticle can pick (and the `articleType` override accepts)
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'Report', 'ScholarlyArticle'];
+
+// JSON-LD types that map onto one of ARTICLE_TYPES
+const ARTICLE_TYPE_ALIASES = {
+    NewsArticle: 'NewsArticle', AnalysisNewsArticle: 'NewsArticle', OpinionNewsArticle: 'NewsArticle',
+    ReportageNewsArticle: 'NewsArticle', ReviewNewsArticle: 'NewsArticle', BackgroundNewsArticle: 'NewsArticle',
+    LiveBlogPosting: 'NewsArticle', BlogPosting: 'BlogPosting', Blog: 'BlogPosting', SocialMediaPosting: 'BlogPosting',
+    TechArticle: 'TechArticle', APIReference: 'TechArticle', Report: 'Report', ScholarlyArticle: 'ScholarlyArticle',
+    MedicalScholarlyArticle: 'ScholarlyArticle',
+};
+
+// URL path patterns pointing at an article subtype
+const ARTICLE_URL_PATTERNS = [
+    { type: 'NewsArticle', pattern: /\/(news|press|press-releases?|breaking|world|politics)\//i, label: 'a news section' },
+    { type: 'NewsArticle', pattern: /\/20\d{2}\/\d{1,2}\/\d{1,2}\//, label: 'a /yyyy/mm/dd/ date' },
+    { type: 'BlogPosting', pattern: /\/(blog|blogs|posts?)\//i, label: 'a blog section' },
+    { type: 'TechArticle', pattern: /\/(docs?|documentation|api|reference|developers?|kb|knowledge-?base|tutorials?|guides?|how-?to)\//i, label: 'a documentation section' },
+    { type: 'Report', pattern: /\/(reports?|whitepapers?|white-papers?|research|case-stud(y|ies)|annual-report)\//i, label: 'a reports section' },
+];
+
+// CMS/site generators (meta[name="generator"]) associated with an article subtype
+const ARTICLE_GENERATOR_PATTERNS = [
+    { type: 'BlogPosting', pattern: /wordpress|ghost|blogger|medium|hugo|jekyll|substack|hashnode|wix|squarespace|tumblr/i },
+    { type: 'TechArticle', pattern: /docusaurus|gitbook|mkdocs|sphinx|read ?the ?docs|vuepress|vitepress|nextra|mintlify|docsify/i },
+    { type: 'NewsArticle', pattern: /arc publishing|brightspot|eidos|m[eé]thode|newspack|wordpress vip/i },
+];
+
+// Markers only single-product pages carry: add-to-cart controls, SKUs and Product microdata
+const PRODUCT_PAGE_MARKERS = [
+    '.single_add_to_cart_button', 'button[name="add-to-cart"]', 'form.cart', '#add-to-cart-button',
+    'form[action*="/cart/add"]', '[data-add-to-cart]', '.add-to-cart',
+    '.sku', '.product-sku', '[data-sku]', '[itemprop="sku"]', '[itemtype*="schema.org/Product" i]',
+];
+
+// Weaker product fields; several of them together also mark a product page
+const PRODUCT_PAGE_FIELDS = [
+    '.product_title, .product-title, .product-name, #productTitle',
+    '.woocommerce-product-gallery, .product-gallery, .product-images, .product__media',
+    '.stock, .availability, #availability',
+    '.star-rating, [data-rating]',
+    '.woocommerce-product-details__short-description, .product-description, .product-short-description',
+];
+
+// Separators between a page title and the site name: "Title | Site", "Site - Title", "Title :: Site"
+const TITLE_SEPARATOR = /\s+[|\-\u2013\u2014:\u00b7\u2022\u00bb~]\s+|\s*::\s*/g;
+
+// Confidence reported in fieldSources for each kind of source
+const SOURCE_CONFIDENCE = {
+    'override': 1,
+    'profile': 0.95,
+    'json-ld': 0.95,
+    'microdata': 0.9,
+    'meta': 0.9,
+    'cleaned': 0.8,
+    'title': 0.7,
+    'content': 0.7,
+    'dom': 0.6,
+    'heuristic': 0.5,
+    'guess': 0.4,
+};
+
+// fieldSources source of breadcrumbs built from the URL path when the page has none
+const URL_PATH_SOURCE = 'URL path';
+
+// Event types accepted from existing JSON-LD and microdata
+const EVENT_TYPES = require('./plugins/event').schemaTypes;
+
+// FAQ blocks of SEO plugins and page builders; trusted blocks are FAQs whatever their questions look like
+const FAQ_BLOCKS = [
+    { item: '.schema-faq-section', question: '.schema-faq-question', answer: '.schema-faq-answer', trusted: true }, // Yoast
+    { item: '.rank-math-list-item', question: '.rank-math-question', answer: '.rank-math-answer', trusted: true }, // RankMath
+    { item: '.elementor-accordion-item, .elementor-toggle-item', question: '.elementor-tab-title', answer: '.elementor-tab-content' },
+    { item: '.accordion-item', question: '.accordion-button, .accordion-header', answer: '.accordion-body, .accordion-collapse' }, // Bootstrap 5
+    { item: '.accordion > .card', question: '.card-header', answer: '.collapse, .card-body' }, // Bootstrap 4
+];
+
+// Question score the generic h3 + p FAQ fallback requires (see questionScore)
+const MIN_QUESTION_SCORE = 2;
+
+// Tags kept in FAQ answers (the subset Google accepts in Answer text); other tags are unwrapped
+const ANSWER_TAGS = ['p', 'br', 'ol', 'ul', 'li', 'a', 'b', 'strong', 'i', 'em', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Block tags outside that subset, kept apart as <div> when unwrapped (several <dd> answering one <dt>)
+const ANSWER_BLOCK_TAGS = ['dd', 'dt', 'section', 'article', 'blockquote', 'figure', 'figcaption', 'address', 'pre', 'tr'];
+
+// Tags dropped from FAQ answers together with their content
+const ANSWER_DROPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'img', 'picture', 'video', 'audio', 'iframe', 'button', 'form', 'input', 'select', 'textarea'];
+
+// Hosts of video-conferencing and streaming links that make an event (partly) online
+const ONLINE_EVENT_HOSTS = /(^|\.)(zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|gotomeeting\.com|gotowebinar\.com|whereby\.com|hopin\.com|twitch\.tv|crowdcast\.io|streamyard\.com)$/i;
+
+// Video players recognized in iframe/embed URLs; id is the provider's video id
+const VIDEO_PROVIDERS = [
+    {
+        provider: 'YouTube',
+        pattern: /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|v\/|shorts\/|watch\?(?:[^#]*&)?v=)|youtu\.be\/)([\w-]{11})/i,
+        embedUrl: id => `https://www.youtube.com/embed/${id}`,
+        thumbnailUrl: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+    },
+    {
+        provider: 'Vimeo',
+        pattern: /(?:player\.vimeo\.com\/video\/|vimeo\.com\/(?:channels\/[\w-]+\/)?)(\d+)/i,
+        embedUrl: id => `https://player.vimeo.com/video/${id}`,
+    },
+    {
+        provider: 'Dailymotion',
+        pattern: /(?:dailymotion\.com\/(?:embed\/)?video\/|dai\.ly\/)([a-z0-9]+)/i,
+        embedUrl: id => `https://www.dailymotion.com/embed/video/${id}`,
+        thumbnailUrl: id => `https://www.dailymotion.com/thumbnail/video/${id}`,
+    },
+    {
+        provider: 'Wistia',
+        pattern: /(?:fast\.wistia\.(?:net|com)\/embed\/(?:iframe|medias)\/|wistia\.com\/medias\/)(\w+)/i,
+        embedUrl: id => `https://fast.wistia.net/embed/iframe/${id}`,
+    },
+];
+
 class WebScraper {
-    // Shared Puppeteer browser instance
-    static browser = null;
+    // Shared Puppeteer page pool; the browser is launched lazily and closed when idle
+    static pagePool = new BrowserPool({
+        maxPages: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 3,
+        idleTimeout: parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 60000,
+        // Navigations, redirects and sub-requests may only reach public hosts
+        requestGuard: (url) => WebScraper.assertPublicUrl(url),
+        // Node performs the page's requests and checks the address it connects to, so DNS
+        // rebinding between the check above and Chromium's own lookup cannot reach a private host
+        requestFetcher: ALLOW_PRIVATE_NETWORKS ? null : (url, { method, headers, body }) => fetchOnce(url, { method, headers, body }),
+    });
+
+    // Shared cache for fetched HTML and extracted data (see src/cache.js for configuration)
+    static cache = createCacheFromEnv();
+
+    // Readability-style main content extraction (see src/contentExtractor.js)
+    static contentExtractor = new ContentExtractor();
+
+    // robots.txt rules and per-host rate limits applied to every page fetch (see src/politeness.js)
+    static politeness = createPolitenessFromEnv();
+
+    // Per-site selectors that take precedence over the heuristics (see src/profiles.js)
+    static profiles = createProfileStoreFromEnv();
+
+    // Schema types beyond article, breadcrumbs and FAQ: built-in and PLUGINS_DIR plugins (see src/pluginRegistry.js)
+    static plugins = createPluginRegistryFromEnv();
 
     /**
-     * Get or launch a shared Puppeteer browser instance (non-headless, stays open)
-     * @returns {Promise<import('puppeteer').Browser>}
+     * Rejects URLs that are not http(s) or whose host resolves to a private,
+     * loopback or link-local address (SSRF protection, see src/networkGuard.js).
+     * @param {string} url
+     * @throws {FetchError} With code BLOCKED_URL and the specific reason.
      */
-    static async getBrowser() {
-        if (WebScraper.browser && WebScraper.browser.isConnected()) {
-            return WebScraper.browser;
+    static async assertPublicUrl(url) {
+        const problem = await checkUrl(url);
+        if (problem) {
+            throw new FetchError(problem, { code: 'BLOCKED_URL', url });
         }
-        // Use headless mode for background operation
-        WebScraper.browser = await puppeteer.launch({ headless: 'new' });
-        return WebScraper.browser;
     }
 
     /**
-     * Fetch static HTML using Node.js http/https
+     * Fetch static HTML, following redirects and decoding the page's charset.
+     * Responses are cached and stale entries revalidated with ETag/Last-Modified.
+     * Network requests honour robots.txt and the per-host rate limit.
      * @param {string} url
-     * @returns {Promise<string>} HTML string
-     */
-    static fetchStaticHtml(url) {
-        return new Promise((resolve, reject) => {
-            const lib = url.startsWith('https') ? https : http;
-            lib.get(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'DNT': '1',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1',
-                }
-            }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => resolve(data));
-            }).on('error', reject);
-        });
-    }
-    /**
-     * Scrapes a given URL and extracts metadata.
-     * @param {string} url The URL to scrape.
-     * @returns {Promise<ExtractedData>} The extracted data.
+     * @param {{nocache?: boolean, ignoreRobots?: boolean}} [options]
+     * @returns {Promise<{html: string, finalUrl: string, status: number, charset: string, cacheStatus: string}>}
+     * @throws {FetchError} On HTTP errors, timeouts, oversized bodies, network failures or robots.txt disallows.
      */
+    static async fetchStaticHtml(url, options = {}) {
+        await WebScraper.politeness.check(url, options);
+        const { value, cacheStatus } = await WebScraper.cache.fetch(WebScraper.cache.key('html', url, 'static'), async (headers) => {
+            await WebScraper.politeness.throttle(url);
+            const response = await fetchHtml(url, { headers });
+            if (response.status === 304) {
+                return { notModified: true };
+            }
+            return {
+                value: { html: response.html, finalUrl: response.finalUrl, status: response.status, charset: response.charset },
+                etag: response.headers.etag,
+                lastModified: response.headers['last-modified'],
+            };
+        }, options);
+        return { ...value, cacheStatus };
+    }
+
     /**
-     * Scrape a URL for a specific type: 'article', 'breadcrumbs', or 'faq'.
+     * Render a page in the shared Puppeteer browser. For FAQ scrapes the page
+     * is scrolled and any FAQ tab/button is clicked before the HTML is read.
      * @param {string} url
-     * @param {'article'|'breadcrumbs'|'faq'} type
-     * @returns {Promise<ExtractedData>}
+     * @param {string} type The scrape type.
+     * @param {{nocache?: boolean, ignoreRobots?: boolean}} [options]
+     * @returns {Promise<{html: string, finalUrl: string, cacheStatus: string}>}
      */
-    async scrapeUrl(url, type = 'article') {
-        try {
-            let html, $;
-            if (type === 'faq') {
-                // Use Puppeteer for dynamic FAQ extraction
-                const browser = await WebScraper.getBrowser();
-                const page = await browser.newPage();
-                await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-                await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-                // Scroll to bottom to trigger lazy loading (if any)
-                await page.evaluate(async () => {
-                    await new Promise((resolve) => {
-                        let totalHeight = 0;
-                        const distance = 500;
-                        const timer = setInterval(() => {
-                            const scrollHeight = document.body.scrollHeight;
-                            window.scrollBy(0, distance);
-                            totalHeight += distance;
-                            if (totalHeight >= scrollHeight) {
-                                clearInterval(timer);
-                                resolve();
-                            }
-                        }, 200);
-                    });
+    static async renderWithBrowser(url, type, options = {}) {
+        await WebScraper.politeness.check(url, options);
+        // FAQ renders click tabs first, so they are cached separately from plain renders
+        const key = WebScraper.cache.key('html', url, 'browser', type === 'faq' ? 'faq' : 'page');
+        const { value, cacheStatus } = await WebScraper.cache.fetch(key, async () => {
+            await WebScraper.politeness.throttle(url);
+            return { value: await WebScraper.renderPage(url, type) };
+        }, options);
+        return { ...value, cacheStatus };
+    }
+
+    static async renderPage(url, type) {
+        return WebScraper.pagePool.withPage(async (page) => {
+            await page.setUserAgent(WebScraper.politeness.userAgent);
+            const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+            if (response && response.status() >= 400) {
+                throw new FetchError(`Upstream responded with HTTP ${response.status()}`, { code: 'HTTP_ERROR', url: page.url(), status: response.status() });
+            }
+            // Scroll to bottom to trigger lazy loading (if any)
+            await page.evaluate(async () => {
+                await new Promise((resolve) => {
+                    let totalHeight = 0;
+                    const distance = 500;
+                    const timer = setInterval(() => {
+                        const scrollHeight = document.body.scrollHeight;
+                        window.scrollBy(0, distance);
+                        totalHeight += distance;
+                        if (totalHeight >= scrollHeight) {
+                            clearInterval(timer);
+                            resolve();
+                        }
+                    }, 200);
                 });
-                // Try to click FAQ tab/button if present
-                await page.evaluate(() => {
+            });
+            if (type === 'faq') {
+                // Try to click FAQ tab/button if present, in any language we have keywords for
+                await page.evaluate((faqTexts) => {
                     const faqSelectors = [
                         'a', 'button', '[role="tab"]', '.tab', '.menu-item', '.nav-item', '.accordion-title', '.accordion-header'
                     ];
-                    const faqTexts = ['faq', 'frequently asked questions', 'faqs'];
                     let found = false;
                     for (const selector of faqSelectors) {
                         const elements = Array.from(document.querySelectorAll(selector));
@@ -118,80 +316,458 @@ class WebScraper {
                         }
                         if (found) break;
                     }
-                });
+                }, allKeywords('faq'));
                 // Wait for FAQ section if present (try common selectors)
                 try {
                     await page.waitForSelector('.faq-content, [itemtype="https://schema.org/FAQPage"], h3', { timeout: 8000 });
                 } catch (e) {
                     // Continue even if FAQ selector not found
                 }
-                html = await page.content();
-                await page.close();
-            } else {
-                // Use static fetch for article and breadcrumbs
-                html = await WebScraper.fetchStaticHtml(url);
             }
-            $ = cheerio.load(html);
-            const extractedData = this.extractMetadata($, url);
-            return extractedData;
+            const plugin = WebScraper.plugins.get(type);
+            if (plugin && plugin.waitForSelector) {
+                try {
+                    await page.waitForSelector(plugin.waitForSelector, { timeout: 8000 });
+                } catch (e) {
+                    // Continue: the page may simply not have this type
+                }
+            }
+            return { html: await page.content(), finalUrl: page.url() };
+        });
+    }
+
+    /**
+     * Scrape a URL for a specific type: 'article', 'breadcrumbs', 'faq' or the
+     * type of a registered plugin ('product', 'howto', 'recipe', 'organization',
+     * 'video', 'event', ...).
+     *
+     * With render 'auto' the static HTML is tried first and Puppeteer is only
+     * used when the page looks client-rendered (or, for FAQs and plugins with
+     * renderIfMissing such as videos and events, when the static HTML has none). The mode used is reported as `renderMode`/`renderReason`.
+     * Results are cached per URL, render mode and type; `nocache` forces a fresh
+     * fetch and the outcome is reported as `cacheStatus`. URLs disallowed by
+     * robots.txt fail with a ROBOTS_DISALLOWED FetchError unless `ignoreRobots`
+     * (the admin override) is set. With `followAuthors`, same-site author pages
+     * are fetched to fill in the authors' profiles. `articleType` replaces the
+     * detected article subtype. A plugin's enrich step (the contact page of an
+     * organization, the .ics file of an event) runs only for its own type. The site profile matching the URL, or the one named
+     * by `profile` ('none' for the heuristics only), supplies per-site selectors.
+     * @param {string} url
+     * @param {string} type
+     * @param {{render?: 'static'|'browser'|'auto', nocache?: boolean, ignoreRobots?: boolean, followAuthors?: boolean, articleType?: string, profile?: string}} [options]
+     * @returns {Promise<ExtractedData>}
+     */
+    async scrapeUrl(url, type = 'article', options = {}) {
+        const render = options.render || 'auto';
+        const nocache = Boolean(options.nocache);
+        const fetchOptions = { nocache, ignoreRobots: Boolean(options.ignoreRobots) };
+        const plugin = WebScraper.plugins.get(type);
+        try {
+            await WebScraper.assertPublicUrl(url);
+            const followAuthors = Boolean(options.followAuthors);
+            const profile = this.resolveProfile(url, options.profile);
+            // A saved profile changes the extraction, so its version is part of the key
+            const cacheKey = WebScraper.cache.key('data', url, render, type, ...(followAuthors ? ['authors'] : []),
+                ...(profile ? ['profile', profile.id, profile.updatedAt] : []));
+            if (!nocache) {
+                const cached = await WebScraper.cache.get(cacheKey);
+                if (WebScraper.cache.isFresh(cached)) {
+                    return this.applyArticleType({ ...cached.value, cacheStatus: 'HIT' }, options.articleType);
+                }
+            }
+
+            let renderMode = render === 'browser' ? 'browser' : 'static';
+            let renderReason = render === 'auto' ? null : 'requested';
+            let page = render === 'browser'
+                ? await WebScraper.renderWithBrowser(url, type, fetchOptions)
+                : await WebScraper.fetchStaticHtml(url, fetchOptions);
+            let $ = cheerio.load(page.html);
+
+            if (render === 'auto') {
+                renderReason = this.detectClientRenderedShell($)
+                    || (type === 'faq' && this.extractFaqs($).length === 0
+                        && !(profile && extractWithProfile($, profile, url).faqs) ? 'no-faqs-in-static-html' : null)
+                    || (plugin && plugin.renderIfMissing && !WebScraper.plugins.hasValue(plugin, { [plugin.field]: this.runPluginExtractor(plugin, $, url, {}) })
+                        ? `no-${plugin.field}-in-static-html` : null);
+                if (renderReason) {
+                    page = await WebScraper.renderWithBrowser(url, type, fetchOptions);
+                    $ = cheerio.load(page.html);
+                    renderMode = 'browser';
+                } else {
+                    renderReason = 'static-html-complete';
+                }
+            }
+
+            // Resolve relative links against the URL we actually ended up on
+            const finalUrl = page.finalUrl;
+            const extractedData = this.extractMetadata($, finalUrl, profile);
+            extractedData.finalUrl = finalUrl;
+            extractedData.renderMode = renderMode;
+            extractedData.renderReason = renderReason;
+            if (plugin && plugin.enrich) {
+                extractedData[plugin.field] = await plugin.enrich(extractedData[plugin.field], { scraper: this, $, url: finalUrl, fetchOptions, renderMode });
+            }
+            if (followAuthors && extractedData.authors.length > 0) {
+                extractedData.authors = await this.enrichAuthorsFromProfiles(extractedData.authors, finalUrl, fetchOptions);
+            }
+            await WebScraper.cache.set(cacheKey, extractedData);
+            // HIT/REVALIDATED here means the HTML came from the cache but was extracted again
+            return this.applyArticleType({ ...extractedData, cacheStatus: page.cacheStatus }, options.articleType);
         } catch (error) {
             console.error(`Error in scrapeUrl for ${url}:`, error);
+            if (error instanceof FetchError) {
+                throw error;
+            }
             throw new Error(`Failed to scrape URL: ${error.message}`);
         }
     }
 
+    /**
+     * Extracts data from HTML supplied by the caller, for staged or paywalled
+     * pages the server cannot reach. Nothing is fetched or cached: `baseUrl`
+     * only resolves relative links.
+     * @param {string} html The page's HTML.
+     * @param {string} baseUrl The page's URL.
+     * @param {{articleType?: string, profile?: string}} [options]
+     * @returns {ExtractedData}
+     */
+    extractFromHtml(html, baseUrl, options = {}) {
+        const profile = this.resolveProfile(baseUrl, options.profile);
+        const extractedData = this.extractMetadata(cheerio.load(html), baseUrl, profile);
+        extractedData.finalUrl = baseUrl;
+        extractedData.renderMode = 'input';
+        extractedData.renderReason = 'html-input';
+        extractedData.cacheStatus = 'BYPASS';
+        return this.applyArticleType(extractedData, options.articleType);
+    }
+
+    /**
+     * Runs a plugin's extractor. A failing plugin only loses its own field,
+     * never the rest of the extraction.
+     * @param {import('./pluginRegistry').SchemaPlugin} plugin
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} url The page URL.
+     * @param {ExtractedData} data The core fields extracted so far.
+     * @returns {*} The plugin's value, or null.
+     */
+    runPluginExtractor(plugin, $, url, data) {
+        try {
+            const value = plugin.extract($, url, { scraper: this, data });
+            return value === undefined ? null : value;
+        } catch (error) {
+            console.error(`Error in the ${plugin.type} plugin extractor:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Picks the site profile for a URL: the one named by the caller, none
+     * for 'none', otherwise the most specific profile matching the URL.
+     * @param {string} url
+     * @param {string} [profileId]
+     * @returns {import('./profiles').SiteProfile|null}
+     */
+    resolveProfile(url, profileId) {
+        if (profileId === 'none') {
+            return null;
+        }
+        if (profileId) {
+            const profile = WebScraper.profiles.get(profileId);
+            if (!profile) {
+                throw new Error(`Unknown profile: ${profileId}`);
+            }
+            return profile;
+        }
+        return WebScraper.profiles.match(url);
+    }
+
+    /**
+     * Replaces heuristic values with what a site profile's selectors found.
+     * Fields the profile does not define, or whose selectors match nothing,
+     * keep their heuristic values.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} url The page URL.
+     * @param {ExtractedData} data Heuristic extraction, updated in place.
+     * @param {import('./profiles').SiteProfile} profile
+     * @returns {ExtractedData}
+     */
+    applyProfile($, url, data, profile) {
+        const found = extractWithProfile($, profile, url);
+        const body = profile.fields.articleBody;
+        if (body) {
+            const rule = typeof body === 'string' ? { selector: body } : body;
+            const content = WebScraper.contentExtractor.extractSelected($, rule.selector, url, [].concat(rule.exclude || []));
+            if (content.text) {
+                Object.assign(data, {
+                    articleBody: content.text,
+                    wordCount: content.wordCount,
+                    readingTime: content.readingTime,
+                    timeRequired: content.timeRequired,
+                    headings: content.headings,
+                });
+                for (const field of ['articleBody', 'wordCount', 'timeRequired']) {
+                    found[field] = { selector: rule.selector };
+                }
+            }
+        }
+        for (const [field, { value, selector }] of Object.entries(found)) {
+            if (value !== undefined) {
+                data[field] = field === 'image' ? { url: value } : value;
+            }
+            data.fieldSources[field] = { source: `profile ${profile.id}: ${selector}`, confidence: SOURCE_CONFIDENCE.profile };
+        }
+        // The schema lists data.authors, so a profiled author replaces the heuristic list
+        if (found.author) {
+            data.authors = [{ type: 'Person', name: found.author.value, ...(data.authorUrl && { url: data.authorUrl }) }];
+        } else if (found.authorUrl && data.authors.length > 0) {
+            data.authors[0] = { ...data.authors[0], url: found.authorUrl.value };
+        }
+        data.profile = profile.id;
+        return data;
+    }
+
+    // The override is applied after caching so cached extractions keep the detected subtype
+    applyArticleType(data, articleType) {
+        if (!articleType || articleType === data.articleType) {
+            return data;
+        }
+        return {
+            ...data,
+            articleType,
+            articleTypeRationale: [...(data.articleTypeRationale || []), `overridden to ${articleType} by the articleType parameter`],
+            fieldSources: {
+                ...data.fieldSources,
+                articleType: { source: 'articleType parameter', confidence: SOURCE_CONFIDENCE.override },
+            },
+        };
+    }
+
+    /**
+     * Detects pages whose static HTML is an empty client-side app shell.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance of the static HTML.
+     * @returns {string|null} The reason the page needs a browser, or null.
+     */
+    detectClientRenderedShell($) {
+        const body = $('body').clone();
+        body.find('script, style, noscript, template, svg').remove();
+        const textLength = body.text().replace(/\s+/g, ' ').trim().length;
+        const scriptCount = $('script[src], script:not([type="application/ld+json"])').length;
+
+        // Mount points of React, Next.js, Vue, Nuxt, Angular and Svelte apps
+        const roots = $('#root, #app, #__next, #__nuxt, #svelte, [data-reactroot], app-root, [ng-version]');
+        const emptyRoot = roots.filter((_, el) => $(el).text().trim().length === 0 && $(el).children().not('script, noscript').length === 0);
+        if (emptyRoot.length > 0 && textLength < 500) {
+            return 'empty-app-root';
+        }
+        if (/enable javascript|requires javascript|javascript (is )?(required|disabled)/i.test($('noscript').text()) && textLength < 500) {
+            return 'requires-javascript';
+        }
+        if (textLength < 200 && scriptCount > 0) {
+            return 'minimal-body-text';
+        }
+        const hasMeta = $('title').text().trim() || $('meta[name="description"]').attr('content') || $('meta[property="og:title"]').attr('content');
+        if (!hasMeta && scriptCount > 3) {
+            return 'missing-metadata';
+        }
+        return null;
+    }
+
+    /**
+     * Lists the page types an extraction result supports, used to summarize
+     * discovered/bulk-scraped URLs.
+     * @param {ExtractedData} data
+     * @returns {Array<string>}
+     */
+    detectPageTypes(data) {
+        const types = [];
+        if (data.articleBody && (data.datePublished || data.author)) types.push('article');
+        // Any URL with a path yields fallback breadcrumbs; only markup, JSON-LD or a profile counts
+        const breadcrumbSource = data.fieldSources && data.fieldSources.breadcrumbs;
+        if (data.breadcrumbs && data.breadcrumbs.length > 1 && breadcrumbSource && breadcrumbSource.source !== URL_PATH_SOURCE) types.push('breadcrumbs');
+        if (data.faqs && data.faqs.length > 0) types.push('faq');
+        for (const plugin of WebScraper.plugins.list()) {
+            if (plugin.detect ? plugin.detect(data) : WebScraper.plugins.hasValue(plugin, data)) types.push(plugin.type);
+        }
+        return types;
+    }
+
+    /**
+     * Picks the article subtype from the page's own JSON-LD types, og:type,
+     * URL patterns, the CMS generator, news meta tags, datelines, bylines and
+     * code samples. Each signal adds points to a subtype; the best subtype
+     * with at least 3 points wins, otherwise the page stays an Article.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} url The page URL.
+     * @returns {{articleType: string, articleTypeRationale: Array<string>}}
+     */
+    classifyArticle($, url) {
+        const scores = {};
+        const rationale = [];
+        const vote = (type, points, reason) => {
+            scores[type] = (scores[type] || 0) + points;
+            rationale.push(`+${points} ${type}: ${reason}`);
+        };
+
+        const declared = new Set();
+        for (const node of this.extractJsonLdNodes($)) {
+            for (const type of [].concat(node['@type'] || [])) {
+                const name = String(type).replace(/^https?:\/\/schema\.org\//, '');
+                if (ARTICLE_TYPE_ALIASES[name] && !declared.has(name)) {
+                    declared.add(name);
+                    vote(ARTICLE_TYPE_ALIASES[name], 5, `page JSON-LD declares ${name}`);
+                }
+            }
+        }
+
+        const ogType = ($('meta[property="og:type"]').attr('content') || '').trim().toLowerCase();
+        if (ogType === 'blog' || ogType === 'blogposting') {
+            vote('BlogPosting', 2, `og:type is "${ogType}"`);
+        } else if (ogType === 'news' || ogType === 'newsarticle') {
+            vote('NewsArticle', 2, `og:type is "${ogType}"`);
+        }
+
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch {
+            // Unparseable URLs carry no signal
+        }
+        if (parsed) {
+            for (const { type, pattern, label } of ARTICLE_URL_PATTERNS) {
+                if (pattern.test(`${parsed.pathname}/`)) {
+                    vote(type, 2, `URL path contains ${label}`);
+                }
+            }
+            if (/^(blog|blogs)\./i.test(parsed.hostname)) {
+                vote('BlogPosting', 2, `host ${parsed.hostname} is a blog subdomain`);
+            } else if (/^(docs|developer|developers|api|help|support|kb)\./i.test(parsed.hostname)) {
+                vote('TechArticle', 2, `host ${parsed.hostname} is a documentation subdomain`);
+            } else if (/^(news|press)\./i.test(parsed.hostname)) {
+                vote('NewsArticle', 2, `host ${parsed.hostname} is a news subdomain`);
+            }
+        }
+
+        const generator = $('meta[name="generator"]').attr('content') || '';
+        for (const { type, pattern } of ARTICLE_GENERATOR_PATTERNS) {
+            if (pattern.test(generator)) {
+                vote(type, 1, `generated by ${generator.trim()}`);
+                break;
+            }
+        }
+
+        if ($('meta[name="news_keywords"], meta[name="Googlebot-News" i], meta[name="syndication-source"], meta[name="original-source"]').length) {
+            vote('NewsArticle', 3, 'news meta tags (news_keywords, syndication-source, ...) present');
+        }
+
+        // Datelines such as "LONDON (Reuters) -" or "NEW YORK, May 5 —" open news copy
+        const firstParagraph = $('article p, main p, .entry-content p, .article-body p, p').first().text().trim();
+        if (/^[A-Z][A-Z .'-]{2,40}(,\s*[A-Z][a-z]+\.? \d{1,2})?\s*(\([^)]{2,30}\))?\s*[—–-]\s/.test(firstParagraph)) {
+            vote('NewsArticle', 3, 'first paragraph opens with a dateline');
+        }
+        if ($('.byline, [class*="byline" i], [rel~="author"], [itemprop~="author"]').length && $('time[datetime], meta[property="article:published_time"]').length) {
+            vote('NewsArticle', 1, 'dated byline present');
+        }
+
+        const codeBlocks = $('pre code, pre[class*="language-"], .highlight pre').length;
+        if (codeBlocks >= 2) {
+            vote('TechArticle', 2, `${codeBlocks} code samples in the page`);
+        }
+
+        const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (!best || best[1] < 3) {
+            rationale.push('no subtype reached 3 points; using Article');
+            return { articleType: 'Article', articleTypeRationale: rationale };
+        }
+        rationale.push(`${best[0]} wins with ${best[1]} points`);
+        return { articleType: best[0], articleTypeRationale: rationale };
+    }
+
     /**
      * Extracts metadata from the page using Cheerio.
      * @param {cheerio.CheerioAPI} $ Cheerio instance.
      * @param {string} url The original URL.
+     * @param {import('./profiles').SiteProfile|null} [profile] Site profile whose selectors take precedence.
      * @returns {ExtractedData} The extracted data.
      */
-    extractMetadata($, url) {
-        const title = this.extractTitle($);
+    extractMetadata($, url, profile = null) {
+        const { publisherName, publisherLogo } = this.extractPublisher($);
+        const rawTitle = this.extractTitle($);
+        const title = this.cleanTitle(rawTitle, {
+            siteName: publisherName,
+            url,
+            headline: $('meta[property="og:title"]').attr('content') || $('h1').first().text(),
+        });
         const description = this.extractDescription($);
-        const author = this.extractAuthor($);
         // Corrected function call to ensure a safe object is returned
         const { datePublished, dateModified } = this.extractDates($);
-        const image = this.extractImage($, url);
+        const content = WebScraper.contentExtractor.extract($, url);
+        const image = this.extractImage($, url, content.image);
         const articleSection = this.extractArticleSection($);
-        const articleBody = this.extractArticleBody($);
-        const breadcrumbs = this.extractBreadcrumbs($, url);
-        const faqs = this.extractFaqs($);
-        const { publisherName, publisherLogo } = this.extractPublisher($);
-        const authorUrl = this.extractAuthorUrl($, url);
+        const { inLanguage, languageSource } = this.extractLanguage($);
+        const alternates = this.extractAlternates($, url);
+        const breadcrumbs = this.extractBreadcrumbs($, url, inLanguage);
+        const faqs = this.extractFaqs($, inLanguage, url);
+        const { articleType, articleTypeRationale } = this.classifyArticle($, url);
+        const authors = this.extractAuthors($, url, publisherName);
+        // author/authorUrl keep describing the first author for single-author consumers
+        const author = authors.length > 0 ? authors[0].name : this.extractAuthor($);
+        const authorUrl = (authors.length > 0 && authors[0].url) || this.extractAuthorUrl($, url);
+        const jsonLdBlocks = this.extractJsonLdBlocks($);
+        const structuredData = this.extractStructuredData($, url);
 
-        return {
+        const data = {
             title,
             description,
+            articleType,
+            articleTypeRationale,
             author,
+            authors,
             datePublished,
             dateModified,
             image,
             articleSection,
-            articleBody,
+            articleBody: content.text || undefined,
+            wordCount: content.wordCount || undefined,
+            readingTime: content.readingTime || undefined,
+            timeRequired: content.timeRequired || undefined,
+            headings: content.headings,
+            mainImage: content.image,
+            images: content.images,
             breadcrumbs,
             faqs,
             publisherName,
             publisherLogo,
             authorUrl,
+            inLanguage,
+            languageSource,
+            alternates,
+            jsonLdBlocks,
+            structuredData,
         };
+        // Product, HowTo, Recipe, Organization, videos, events and in-house types
+        for (const plugin of WebScraper.plugins.list()) {
+            data[plugin.field] = this.runPluginExtractor(plugin, $, url, data);
+        }
+        data.fieldSources = this.extractFieldSources($, data, { rawTitle });
+        return profile ? this.applyProfile($, url, data, profile) : data;
     }
 
-    // All other extraction functions remain the same...
-
     /**
-     * Extracts FAQ data using multiple methods.
+     * Extracts FAQ data using multiple methods. Answers read from the page
+     * keep their links, lists and paragraphs (see answerHtml).
      * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string|null} [language] Page language, selects the localized FAQ heading and question keywords.
+     * @param {string|null} [baseUrl] Base for relative links in the answers.
      * @returns {Array<object>} An array of FAQ objects.
      */
-    extractFaqs($) {
+    extractFaqs($, language = this.extractLanguage($).inLanguage, baseUrl = null) {
         const faqs = [];
         try {
             // Method 1: Find schema.org microdata (if any)
             $('[itemtype="https://schema.org/FAQPage"]').each((_, element) => {
                 $(element).find('[itemprop="mainEntity"]').each((_, questionItem) => {
                     const question = $(questionItem).find('[itemprop="name"]').text().trim();
-                    const answer = $(questionItem).find('[itemprop="acceptedAnswer"] [itemprop="text"]').text().trim();
+                    const answer = this.answerHtml($, $(questionItem).find('[itemprop="acceptedAnswer"] [itemprop="text"]').first().toArray(), baseUrl);
                     if (question && answer) {
                         faqs.push({ question, answer });
                     }
@@ -230,7 +806,7 @@ class WebScraper {
                         next = next.next();
                     }
                     if (next.length && next.is('div')) {
-                        answer = next.text().trim();
+                        answer = this.answerHtml($, next.toArray(), baseUrl);
                     }
                     if (question && answer) {
                         faqs.push({ question, answer });
@@ -238,13 +814,27 @@ class WebScraper {
                 });
             }
 
-            // Method 4: Fallback to searching for common HTML structures (e.g., h3 + p, h4 + div)
+            // Method 4: Accordions, <details>, aria-controls toggles, <dl> and SEO-plugin FAQ blocks
+            if (faqs.length === 0) {
+                faqs.push(...this.extractAccordionFaqs($, language, baseUrl));
+            }
+
+            // Method 5: Questions under a heading such as "FAQ", "Preguntas frecuentes" or "Häufige Fragen"
+            if (faqs.length === 0) {
+                faqs.push(...this.extractFaqSection($, language, baseUrl));
+            }
+
+            // Method 6: Fallback to h3 + p / h3 + div pairs; most such headings are not questions,
+            // so only headings with a question mark (or an interrogative and no "How to") count
             if (faqs.length === 0) {
                 $('h3').each((_, element) => {
                     const nextEl = $(element).next();
                     if (nextEl.length && nextEl.is('p, div')) {
-                        const question = $(element).text().trim();
-                        const answer = nextEl.text().trim();
+                        const question = $(element).text().replace(/\s+/g, ' ').trim();
+                        if (this.questionScore(question, language) < MIN_QUESTION_SCORE) {
+                            return;
+                        }
+                        const answer = this.answerHtml($, nextEl.toArray(), baseUrl);
                         if (question && answer) {
                             faqs.push({ question, answer });
                         }
@@ -252,11 +842,11 @@ class WebScraper {
                 });
             }
 
-            // Method 5: Fallback for .faq-content .faq-item (if present)
+            // Method 7: Fallback for .faq-content .faq-item (if present)
             if (faqs.length === 0) {
                 $('.faq-content .faq-item').each((_, element) => {
                     const question = $(element).find('h3, h4, .faq-question').first().text().trim();
-                    const answer = $(element).find('div, p, .faq-answer').not('h3, h4, .faq-question').first().text().trim();
+                    const answer = this.answerHtml($, $(element).find('div, p, .faq-answer').not('h3, h4, .faq-question').first().toArray(), baseUrl);
                     if (question && answer) {
                         faqs.push({ question, answer });
                     }
@@ -275,174 +865,671 @@ class WebScraper {
         }
     }
 
-    // The rest of the functions are unchanged.
-    extractTitle($) {
-        return $('title').text().trim() || $('meta[property="og:title"]').attr('content') || $('h1').first().text().trim() || null;
-    }
-
-    extractDescription($) {
-        return $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || null;
-    }
-
-    extractAuthor($) {
-        return $('meta[name="author"]').attr('content') || $('meta[property="article:author"]').attr('content') || $('[itemprop="author"] [itemprop="name"]').text().trim() || null;
-    }
-
     /**
-     * Extracts and formats date information.
+     * Reads FAQ accordions from the static HTML: SEO-plugin and page-builder
+     * FAQ blocks (Yoast, RankMath, Elementor, Bootstrap), <details>/<summary>,
+     * buttons whose aria-controls names the answer panel, and <dl> lists.
+     * Yoast and RankMath blocks are FAQs by definition; the generic patterns
+     * are also used for menus and spec tables, so their questions must look
+     * like questions unless they sit inside an element labelled "faq".
      * @param {cheerio.CheerioAPI} $ Cheerio instance.
-     * @returns {{datePublished: string|null, dateModified: string|null}}
+     * @param {string|null} language
+     * @param {string|null} baseUrl Base for links in the answers.
+     * @returns {Array<{question: string, answer: string}>}
      */
-    extractDates($) {
-        let datePublished = null;
-        let dateModified = null;
-        const dateElements = $('meta[property^="article:published_time"], meta[property^="article:modified_time"], time[itemprop^="datePublished"], time[itemprop^="dateModified"]');
-
-        dateElements.each((i, el) => {
-            const prop = $(el).attr('property') || $(el).attr('itemprop');
-            const content = $(el).attr('content') || $(el).attr('datetime');
-            if (prop && content) {
-                if (prop.includes('published_time') || prop.includes('datePublished')) {
-                    datePublished = this.formatDate(content);
-                }
-                if (prop.includes('modified_time') || prop.includes('dateModified')) {
-                    dateModified = this.formatDate(content);
-                }
+    extractAccordionFaqs($, language, baseUrl) {
+        const faqs = [];
+        const seen = new Set();
+        const add = (questionEl, answerNodes, trusted = false) => {
+            const node = questionEl && questionEl[0];
+            if (!node || seen.has(node)) {
+                return;
+            }
+            const question = questionEl.text().replace(/\s+/g, ' ').trim();
+            const inFaq = questionEl.closest('[class*="faq" i], [id*="faq" i]').length > 0;
+            if (!question || (!trusted && !inFaq && this.questionScore(question, language) < 1)) {
+                return;
+            }
+            const answer = this.answerHtml($, answerNodes, baseUrl);
+            if (answer) {
+                seen.add(node);
+                faqs.push({ question, answer });
             }
-        });
-
-        return {
-            datePublished,
-            dateModified
         };
-    }
 
-    extractImage($, baseUrl) {
-        const ogImage = $('meta[property="og:image"]').attr('content');
-        if (ogImage) {
-            return {
-                url: this.makeAbsoluteUrl(ogImage, baseUrl),
-                width: $('meta[property="og:image:width"]').attr('content') || null,
-                height: $('meta[property="og:image:height"]').attr('content') || null
-            };
-        }
-        const regularImage = $('img').first().attr('src');
-        if (regularImage) {
-            return { url: this.makeAbsoluteUrl(regularImage, baseUrl) };
+        for (const { item, question, answer, trusted } of FAQ_BLOCKS) {
+            $(item).each((_, element) => {
+                const questionEl = $(element).find(question).first();
+                add(questionEl, $(element).find(answer).first().toArray(), trusted);
+            });
         }
-        return null;
-    }
-
-    extractArticleSection($) {
-        return $('meta[property="article:section"]').attr('content') || null;
-    }
-
-    extractArticleBody($) {
-        const contentSelectors = [
-            'article p',
-            '.post-content p',
-            '.entry-content p',
-            '.article-content p',
-            '.content p',
-            'main p'
-        ];
 
-        let fullText = '';
-
-        // Try to extract all paragraphs from the main content area
-        for (const selector of contentSelectors) {
-            const paragraphs = $(selector);
-            if (paragraphs.length > 5) { // Ensure we have substantial content
-                let combinedText = '';
-                paragraphs.each((index, elem) => {
-                    const text = $(elem).text().trim();
-                    if (text.length > 20) { // Filter out very short paragraphs
-                        combinedText += text + ' ';
-                    }
-                });
+        $('details').each((_, element) => {
+            const summary = $(element).children('summary').first();
+            add(summary, $(element).contents().not('summary').toArray());
+        });
 
-                if (combinedText.length > fullText.length) {
-                    fullText = combinedText;
-                }
+        $('[aria-controls][aria-expanded]').each((_, element) => {
+            const id = ($(element).attr('aria-controls') || '').trim().split(/\s+/)[0];
+            if (!id || $(element).is('summary') || $(element).closest('nav, header').length > 0) {
+                return;
             }
-        }
-
-        // If paragraph extraction didn't work well, fall back to container extraction
-        if (fullText.length < 500) {
-            const containerSelectors = [
-                '[property="articleBody"]',
-                '.article-body',
-                '.post-body',
-                '.entry-body',
-                '.article-content',
-                '.post-content',
-                '.entry-content',
-                '.content-area',
-                '.main-content',
-                'article',
-                '.content',
-                'main'
-            ];
-
-            for (const selector of containerSelectors) {
-                const element = $(selector).first();
-                if (element.length) {
-                    const contentElement = element.clone();
-
-                    // Remove unwanted elements
-                    contentElement.find('script, style, nav, header, footer, .navigation, .breadcrumb, .social-share, .comments, .sidebar, .related-posts, .author-box, .tags, .categories, .meta, .advertisement, .ads, .social-media, .share-buttons').remove();
-
-                    const content = contentElement.text().trim();
-                    const cleanContent = content.replace(/\s+/g, ' ').trim();
+            const panel = $(`[id="${id.replace(/["\\]/g, '\\$&')}"]`).first();
+            add($(element), panel.toArray());
+        });
 
-                    if (cleanContent.length > fullText.length && cleanContent.length > 200) {
-                        fullText = cleanContent;
+        $('dl').each((_, list) => {
+            let questionEl = null;
+            let answers = [];
+            const flush = () => {
+                if (questionEl) add(questionEl, answers);
+                answers = [];
+            };
+            $(list).children('dt, dd, div').each((_, child) => {
+                // <div> groups are allowed around dt/dd pairs
+                const pairs = child.tagName === 'div' ? $(child).children('dt, dd').toArray() : [child];
+                for (const pair of pairs) {
+                    if (pair.tagName === 'dt') {
+                        flush();
+                        questionEl = $(pair);
+                    } else {
+                        answers.push(pair);
                     }
                 }
-            }
-        }
+            });
+            flush();
+        });
+        return faqs;
+    }
 
-        if (fullText.length > 200) {
-            // Clean up the text and return the complete content without any character limits
-            const cleanText = fullText.replace(/\s+/g, ' ').trim();
-            return cleanText;
+    /**
+     * Scores how much a heading or toggle label reads like a question: a
+     * question mark counts 2, an opening interrogative ("How", "Wie",
+     * "Pourquoi") 1; "How to ..." tutorial titles and long sentences lose a point.
+     * @param {string} text
+     * @param {string|null} language
+     * @returns {number}
+     */
+    questionScore(text, language) {
+        const question = String(text || '').replace(/\s+/g, ' ').trim();
+        if (question.length < 5 || question.length > 250) {
+            return 0;
         }
-
-        return undefined;
+        let score = /[?\uff1f\u00bf\u061f]/.test(question) ? 2 : 0;
+        const lower = question.toLowerCase().replace(/^[\u00bf\u00a1"'\u201c(]+|^(q|question)\s*\d*\s*[:.)-]\s*/g, '');
+        if (keywordsFor(language, 'question').some(word => lower.startsWith(`${word} `) || lower.startsWith(`${word}'`))) {
+            score += 1;
+        }
+        if (/^how to /.test(lower)) {
+            score -= 1;
+        }
+        if (question.length > 150) {
+            score -= 1;
+        }
+        return score;
     }
 
-    // extractBreadcrumbs($, url) {
-    //     const breadcrumbs = [];
-    //     const jsonLd = this.extractJsonLd($);
-
-    //     if (jsonLd && jsonLd['@type'] === 'BreadcrumbList' && jsonLd.itemListElement) {
-    //         return jsonLd.itemListElement.map(item => ({
-    //             name: item.item.name,
-    //             url: item.item['@id'] || item.item.url || item.item.name,
-    //             position: item.position
-    //         }));
-    //     }
-
-    //     $('nav.breadcrumb a').each((i, el) => {
-    //         const name = $(el).text().trim();
-    //         const href = $(el).attr('href');
-    //         if (name && href) {
-    //             breadcrumbs.push({
-    //                 name,
-    //                 url: this.makeAbsoluteUrl(href, url),
-    //                 position: i + 1
-    //             });
-    //         }
-    //     });
-
-    //     return breadcrumbs.length > 0 ? breadcrumbs : null;
-    // }
-
-    extractBreadcrumbs($, url) {
-        const breadcrumbs = [];
-
-        // Helper to ensure a single trailing slash
-        function ensureTrailingSlash(u) {
+    /**
+     * Converts answer elements to the HTML subset rich results accept
+     * (paragraphs, line breaks, lists, links, headings and emphasis). Other
+     * elements are unwrapped (block ones such as <dd> into a <div>), scripts,
+     * images and forms are dropped, link targets are made absolute and every
+     * other attribute is removed. A plain-text answer is returned as text.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {Array<object>} nodes Answer elements and text nodes, in document order.
+     * @param {string|null} baseUrl Base for relative links.
+     * @returns {string} The answer, or '' when it has no text.
+     */
+    answerHtml($, nodes, baseUrl) {
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const render = (node) => {
+            if (node.type === 'text') {
+                return escape(node.data.replace(/\s+/g, ' '));
+            }
+            if (node.type !== 'tag' || ANSWER_DROPPED_TAGS.includes(node.tagName)) {
+                return '';
+            }
+            const inner = (node.children || []).map(render).join('');
+            if (node.tagName === 'br') {
+                return '<br>';
+            }
+            if (!ANSWER_TAGS.includes(node.tagName)) {
+                return ANSWER_BLOCK_TAGS.includes(node.tagName) && inner.trim() ? `<div>${inner.trim()}</div>` : inner;
+            }
+            if (node.tagName === 'a') {
+                const href = $(node).attr('href');
+                const url = href && !/^(javascript|data):/i.test(href.trim()) ? this.makeAbsoluteUrl(href, baseUrl) : null;
+                return url ? `<a href="${escape(url)}">${inner}</a>` : inner;
+            }
+            return inner.trim() ? `<${node.tagName}>${inner.trim()}</${node.tagName}>` : '';
+        };
+        // Answer panels are usually wrapped in containers that add nothing: render what is inside them
+        let roots = nodes.filter(node => node.type === 'tag' || (node.type === 'text' && node.data.trim()));
+        while (roots.length === 1 && roots[0].type === 'tag' && !['ul', 'ol', 'a', 'b', 'strong', 'i', 'em'].includes(roots[0].tagName)) {
+            roots = (roots[0].children || []).filter(node => node.type === 'tag' || (node.type === 'text' && node.data.trim()));
+        }
+        const html = roots.map(render).join('').replace(/\s+/g, ' ').replace(/\s*(<\/?(p|div|ul|ol|li|h[1-6])>|<br>)\s*/g, '$1').trim();
+        if (!$(`<div>${html}</div>`).text().trim()) {
+            return '';
+        }
+        // A single paragraph or plain text needs no markup
+        const single = html.match(/^<(p|div)>((?:(?!<\/?(?:p|div)>).)*)<\/\1>$/);
+        const answer = single ? single[2] : html;
+        return /<[a-z]/i.test(answer) ? answer : $(`<div>${answer}</div>`).text().trim();
+    }
+
+    /**
+     * Reads the questions of an FAQ section: the sub-headings that follow a
+     * localized FAQ heading, each answered by the content up to the next heading.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string|null} language
+     * @param {string|null} [baseUrl] Base for relative links in the answers.
+     * @returns {Array<{question: string, answer: string}>}
+     */
+    extractFaqSection($, language, baseUrl = null) {
+        const keywords = keywordsFor(language, 'faq');
+        const faqs = [];
+        $('h1, h2, h3, h4').each((_, heading) => {
+            const text = $(heading).text().replace(/[:?¿]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+            if (!keywords.some(keyword => text === keyword || (text.includes(keyword) && text.length <= keyword.length + 30))) {
+                return;
+            }
+            const level = parseInt(heading.tagName[1], 10);
+            let current = null;
+            // Returns false at the next heading of the same or a higher level, which ends the section
+            const visit = (element) => {
+                const $el = $(element);
+                const headingMatch = /^h([1-6])$/i.exec(element.tagName || '');
+                if (headingMatch) {
+                    if (parseInt(headingMatch[1], 10) <= level) {
+                        return false;
+                    }
+                    current = { question: $el.text().replace(/\s+/g, ' ').trim(), nodes: [] };
+                    faqs.push(current);
+                    return true;
+                }
+                if ($el.find('h1, h2, h3, h4, h5, h6').length > 0) {
+                    return $el.children().toArray().every(visit);
+                }
+                if (current) {
+                    current.nodes.push(element);
+                }
+                return true;
+            };
+            $(heading).nextAll().toArray().every(visit);
+            // Stop at the first FAQ section that yielded questions
+            return !faqs.some(faq => faq.question && faq.nodes.some(node => $(node).text().trim()));
+        });
+        return faqs
+            .map(({ question, nodes }) => ({ question, answer: this.answerHtml($, nodes, baseUrl) }))
+            .filter(faq => faq.question && faq.answer);
+    }
+
+    /**
+     * Detects the page language from <html lang>, og:locale, the
+     * Content-Language meta tag and finally the page text.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @returns {{inLanguage: string|null, languageSource: string|null}}
+     */
+    extractLanguage($) {
+        const declared = [
+            ['html-lang', $('html').attr('lang') || $('html').attr('xml:lang')],
+            ['og-locale', $('meta[property="og:locale"]').attr('content')],
+            ['content-language', $('meta[http-equiv="content-language" i]').attr('content')],
+        ];
+        for (const [source, value] of declared) {
+            const tag = value && normalizeLanguageTag(value.split(',')[0]);
+            if (tag) {
+                return { inLanguage: tag, languageSource: source };
+            }
+        }
+        const body = $('body').clone();
+        body.find('script, style, noscript, nav, header, footer').remove();
+        const detected = detectTextLanguage(body.text().replace(/\s+/g, ' '));
+        return { inLanguage: detected, languageSource: detected ? 'content' : null };
+    }
+
+    /**
+     * Collects <link rel="alternate" hreflang> translations of the page.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl
+     * @returns {Array<{hreflang: string, url: string}>}
+     */
+    extractAlternates($, baseUrl) {
+        const alternates = [];
+        const seen = new Set();
+        $('link[rel~="alternate"][hreflang][href]').each((_, el) => {
+            const value = $(el).attr('hreflang').trim();
+            const hreflang = value.toLowerCase() === 'x-default' ? 'x-default' : normalizeLanguageTag(value);
+            const url = this.makeAbsoluteUrl($(el).attr('href'), baseUrl);
+            if (!hreflang || !url || seen.has(`${hreflang} ${url}`)) {
+                return;
+            }
+            seen.add(`${hreflang} ${url}`);
+            alternates.push({ hreflang, url });
+        });
+        return alternates;
+    }
+
+    // The rest of the functions are unchanged.
+    /**
+     * Removes the site name from a page title: "How to X | Acme Blog" and
+     * "Acme - How to X" become "How to X". A leading or trailing segment is
+     * dropped when it names the site (siteName, or the domain such as "acme"
+     * for www.acme.com); a title that starts with the headline followed by a
+     * separator is cut back to the headline.
+     * @param {string|null} title
+     * @param {{siteName?: string|null, url?: string|null, headline?: string|null}} [context]
+     * @returns {string|null}
+     */
+    cleanTitle(title, { siteName = null, url = null, headline = null } = {}) {
+        if (!title) {
+            return title;
+        }
+        const text = String(title).replace(/\s+/g, ' ').trim();
+        const normalize = value => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+        const names = [normalize(siteName)];
+        try {
+            const host = new URL(url).hostname.replace(/^www\./, '');
+            names.push(normalize(host), normalize(host.split('.')[0]));
+        } catch {
+            // No usable URL: match the site name only
+        }
+        const isSiteName = (segment) => {
+            const value = normalize(segment);
+            return value.length >= 3 && segment.length <= 60
+                && names.some(name => name.length >= 3 && (value === name || value.includes(name) || name.includes(value)));
+        };
+
+        const separators = [...text.matchAll(TITLE_SEPARATOR)];
+        if (separators.length === 0) {
+            return text;
+        }
+        const last = separators[separators.length - 1];
+        const first = separators[0];
+        const head = text.slice(0, last.index).trim();
+        const tail = text.slice(first.index + first[0].length).trim();
+        if (head && isSiteName(text.slice(last.index + last[0].length))) {
+            // "Title - Section | Site" keeps "Title - Section"
+            return head;
+        }
+        if (tail && isSiteName(text.slice(0, first.index))) {
+            return tail;
+        }
+        const cleanHeadline = headline && String(headline).replace(/\s+/g, ' ').trim();
+        if (cleanHeadline && cleanHeadline.length < text.length && text.startsWith(cleanHeadline)
+            && text.slice(cleanHeadline.length).search(TITLE_SEPARATOR) === 0) {
+            return cleanHeadline;
+        }
+        return text;
+    }
+
+    /**
+     * Reports where each extracted field came from and how far it can be
+     * trusted, so users know which values to check before generating.
+     * Confidence follows the source: page JSON-LD and meta tags score high,
+     * DOM heuristics and URL-derived values low.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {ExtractedData} data The extracted values.
+     * @param {{rawTitle?: string}} [context] The title before cleanTitle.
+     * @returns {Object<string, {source: string, confidence: number, original?: string}>}
+     */
+    extractFieldSources($, data, { rawTitle = null } = {}) {
+        const fields = {};
+        const set = (field, source, kind, extra = {}) => {
+            fields[field] = { source, confidence: SOURCE_CONFIDENCE[kind], ...extra };
+        };
+        const meta = selector => ($(selector).attr('content') || '').trim();
+        const nodes = this.extractJsonLdNodes($);
+        const hasNode = types => nodes.some(node => [].concat(types).some(type => this.hasSchemaType(node, type)));
+
+        if (data.title) {
+            const original = rawTitle && rawTitle !== data.title ? { original: rawTitle } : {};
+            if (rawTitle === $('title').text().trim()) {
+                set('title', '<title>', original.original ? 'cleaned' : 'title', original);
+            } else if (rawTitle === meta('meta[property="og:title"]')) {
+                set('title', 'og:title', 'meta', original);
+            } else {
+                set('title', 'h1', 'dom', original);
+            }
+        }
+        if (data.description) {
+            set('description', data.description === meta('meta[name="description"]') ? 'meta description' : 'og:description', 'meta');
+        }
+        if (data.author) {
+            if (nodes.some(node => node.author)) set('author', 'JSON-LD author', 'json-ld');
+            else if ($('[itemprop~="author"]').length) set('author', 'microdata author', 'microdata');
+            else if ($('a[rel~="author"], .byline, .author, .post-author, .entry-author, .article-author, .author-name').length) set('author', 'byline', 'dom');
+            else set('author', 'meta author', 'meta');
+        }
+        for (const [field, property, itemprop] of [['datePublished', 'article:published_time', 'datePublished'], ['dateModified', 'article:modified_time', 'dateModified']]) {
+            if (data[field]) {
+                set(field, meta(`meta[property^="${property}"]`) ? property : `time[itemprop=${itemprop}]`, 'meta');
+            }
+        }
+        if (data.image && data.image.url) {
+            if (meta('meta[property="og:image"]')) set('image', 'og:image', 'meta');
+            else if (data.mainImage && data.mainImage.url === data.image.url) set('image', 'main content image', 'content');
+            else set('image', 'first <img>', 'guess');
+        }
+        if (data.publisherName) set('publisherName', 'og:site_name', 'meta');
+        if (data.publisherLogo) set('publisherLogo', 'microdata publisher logo', 'microdata');
+        if (data.articleSection) set('articleSection', 'article:section', 'meta');
+        if (data.articleType) {
+            const rationale = (data.articleTypeRationale || []).join(' ');
+            if (/overridden/.test(rationale)) set('articleType', 'articleType parameter', 'override');
+            else if (/JSON-LD declares/.test(rationale)) set('articleType', 'JSON-LD type', 'json-ld');
+            else set('articleType', 'classifier', data.articleType === 'Article' ? 'guess' : 'heuristic');
+        }
+        if (data.inLanguage) {
+            set('inLanguage', data.languageSource, data.languageSource === 'content' ? 'heuristic' : 'meta');
+        }
+        if (data.articleBody) {
+            for (const field of ['articleBody', 'wordCount', 'timeRequired']) {
+                set(field, 'main content extractor', 'content');
+            }
+        }
+        if (data.breadcrumbs && data.breadcrumbs.length > 0) {
+            if (hasNode('BreadcrumbList') || $(this.breadcrumbSelectors(data.inLanguage).join(', ')).length) set('breadcrumbs', 'breadcrumb markup', 'dom');
+            else set('breadcrumbs', URL_PATH_SOURCE, 'guess');
+        }
+        if (data.faqs && data.faqs.length > 0) {
+            if (hasNode('FAQPage')) set('faqs', 'JSON-LD FAQPage', 'json-ld');
+            else set('faqs', 'FAQ heuristics', 'heuristic');
+        }
+        for (const plugin of WebScraper.plugins.list()) {
+            if (WebScraper.plugins.hasValue(plugin, data)) {
+                if (hasNode(plugin.schemaTypes)) set(plugin.field, 'JSON-LD', 'json-ld');
+                else set(plugin.field, 'microdata, meta tags and DOM heuristics', 'heuristic');
+            }
+        }
+        return fields;
+    }
+
+    extractTitle($) {
+        return $('title').text().trim() || $('meta[property="og:title"]').attr('content') || $('h1').first().text().trim() || null;
+    }
+
+    extractDescription($) {
+        return $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || null;
+    }
+
+    extractAuthor($) {
+        return $('meta[name="author"]').attr('content') || $('meta[property="article:author"]').attr('content') || $('[itemprop="author"] [itemprop="name"]').text().trim() || null;
+    }
+
+    /**
+     * Extracts and formats date information.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @returns {{datePublished: string|null, dateModified: string|null}}
+     */
+    extractDates($) {
+        let datePublished = null;
+        let dateModified = null;
+        const dateElements = $('meta[property^="article:published_time"], meta[property^="article:modified_time"], time[itemprop^="datePublished"], time[itemprop^="dateModified"]');
+
+        dateElements.each((i, el) => {
+            const prop = $(el).attr('property') || $(el).attr('itemprop');
+            const content = $(el).attr('content') || $(el).attr('datetime');
+            if (prop && content) {
+                if (prop.includes('published_time') || prop.includes('datePublished')) {
+                    datePublished = this.formatDate(content);
+                }
+                if (prop.includes('modified_time') || prop.includes('dateModified')) {
+                    dateModified = this.formatDate(content);
+                }
+            }
+        });
+
+        return {
+            datePublished,
+            dateModified
+        };
+    }
+
+    extractImage($, baseUrl, contentImage = null) {
+        const ogImage = $('meta[property="og:image"]').attr('content');
+        if (ogImage) {
+            return {
+                url: this.makeAbsoluteUrl(ogImage, baseUrl),
+                width: $('meta[property="og:image:width"]').attr('content') || null,
+                height: $('meta[property="og:image:height"]').attr('content') || null
+            };
+        }
+        // Without og:image, prefer the main content's largest image over the page's first <img>
+        if (contentImage) {
+            return { url: contentImage.url, width: contentImage.width || null, height: contentImage.height || null };
+        }
+        const regularImage = $('img').first().attr('src');
+        if (regularImage) {
+            return { url: this.makeAbsoluteUrl(regularImage, baseUrl) };
+        }
+        return null;
+    }
+
+    /**
+     * Extracts every video on the page from VideoObject JSON-LD and
+     * microdata, og:video tags, YouTube/Vimeo/Dailymotion/Wistia players
+     * and HTML5 <video> elements. A video found by several sources is
+     * merged into one entry; a missing name, description, thumbnail or
+     * upload date falls back to the page's own metadata.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @param {{title?: string, description?: string, image?: object, datePublished?: string}} [page] Page metadata used as fallback.
+     * @returns {Array<object>} Videos as {name, description, thumbnailUrl, contentUrl, embedUrl, uploadDate, duration, width, height, provider}.
+     */
+    extractVideos($, baseUrl, page = {}) {
+        const videos = new Map();
+        const add = (candidate) => {
+            const video = this.normalizeVideo(candidate, baseUrl);
+            if (!video) {
+                return;
+            }
+            const existing = videos.get(video.key);
+            if (!existing) {
+                videos.set(video.key, video);
+                return;
+            }
+            for (const [field, value] of Object.entries(video)) {
+                if ((existing[field] === null || existing[field] === undefined) && value !== null && value !== undefined) {
+                    existing[field] = value;
+                }
+            }
+        };
+
+        try {
+            // JSON-LD: standalone VideoObjects and the `video` of other nodes (Article, HowTo, ...)
+            const seen = new Set();
+            for (const node of this.extractJsonLdNodes($)) {
+                for (const item of [node, ...[].concat(node.video || [])]) {
+                    if (!item || typeof item !== 'object' || seen.has(item) || !this.hasSchemaType(item, 'VideoObject')) {
+                        continue;
+                    }
+                    seen.add(item);
+                    const first = value => [].concat(value || []).map(entry => (entry && typeof entry === 'object' ? entry.url || entry.contentUrl : entry))[0];
+                    const size = value => this.parseNumber(value && typeof value === 'object' ? value.value : value);
+                    add({
+                        name: item.name,
+                        description: item.description,
+                        thumbnailUrl: first(item.thumbnailUrl) || first(item.thumbnail) || first(item.image),
+                        contentUrl: item.contentUrl,
+                        embedUrl: first(item.embedUrl),
+                        uploadDate: this.formatDate(item.uploadDate || item.datePublished),
+                        duration: this.parseDuration(item.duration),
+                        width: size(item.width),
+                        height: size(item.height),
+                    });
+                }
+            }
+
+            $('[itemtype$="schema.org/VideoObject"]').each((_, el) => {
+                const scope = $(el);
+                const prop = name => this.readMicrodataProp($, scope, name);
+                add({
+                    name: prop('name'),
+                    description: prop('description'),
+                    thumbnailUrl: prop('thumbnailUrl') || prop('thumbnail'),
+                    contentUrl: prop('contentUrl'),
+                    embedUrl: prop('embedUrl'),
+                    uploadDate: this.formatDate(prop('uploadDate')),
+                    duration: this.parseDuration(prop('duration')),
+                    width: this.parseNumber(prop('width')),
+                    height: this.parseNumber(prop('height')),
+                });
+            });
+
+            // og:video tags; each og:video/og:video:url with a new URL starts another video
+            const ogVideos = [];
+            $('meta[property^="og:video"]').each((_, el) => {
+                const property = ($(el).attr('property') || '').toLowerCase();
+                const content = ($(el).attr('content') || '').trim();
+                if (!content) {
+                    return;
+                }
+                let current = ogVideos[ogVideos.length - 1];
+                if (property === 'og:video' || property === 'og:video:url' || property === 'og:video:secure_url') {
+                    if (!current || (current.url && current.url !== content && property !== 'og:video:secure_url')) {
+                        current = {};
+                        ogVideos.push(current);
+                    }
+                    // Prefer the https URL when both are given
+                    if (!current.url || property === 'og:video:secure_url') {
+                        current.url = content;
+                    }
+                } else if (current) {
+                    current[property.replace('og:video:', '')] = content;
+                }
+            });
+            const ogDuration = parseInt($('meta[property="video:duration"]').attr('content'), 10);
+            const ogReleaseDate = $('meta[property="video:release_date"]').attr('content');
+            ogVideos.forEach((og, index) => {
+                const isPage = /^text\/html/i.test(og.type || '');
+                add({
+                    name: $('meta[property="og:title"]').attr('content'),
+                    contentUrl: isPage ? null : og.url,
+                    embedUrl: isPage ? og.url : null,
+                    thumbnailUrl: $('meta[property="og:image"]').attr('content'),
+                    // video:duration and video:release_date describe the page's (first) video
+                    uploadDate: index === 0 ? this.formatDate(ogReleaseDate) : null,
+                    duration: index === 0 && ogDuration > 0 ? this.secondsToDuration(ogDuration) : null,
+                    width: this.parseNumber(og.width),
+                    height: this.parseNumber(og.height),
+                });
+            });
+
+            // Embedded players, including lazy-loaded iframes and lite-youtube style facades
+            $('iframe, embed, object[data], lite-youtube, lite-vimeo, [data-youtube-id], [data-vimeo-id]').each((_, el) => {
+                const $el = $(el);
+                let src = $el.attr('src') || $el.attr('data-src') || $el.attr('data-lazy-src') || $el.attr('data-litespeed-src') || $el.attr('data');
+                if ($el.attr('data-youtube-id') || el.tagName === 'lite-youtube') {
+                    src = `https://www.youtube.com/embed/${$el.attr('data-youtube-id') || $el.attr('videoid')}`;
+                } else if ($el.attr('data-vimeo-id') || el.tagName === 'lite-vimeo') {
+                    src = `https://player.vimeo.com/video/${$el.attr('data-vimeo-id') || $el.attr('videoid')}`;
+                }
+                if (!src || !VIDEO_PROVIDERS.some(({ pattern }) => pattern.test(src))) {
+                    return;
+                }
+                // Players are often titled generically ("YouTube video player")
+                const title = ($el.attr('title') || $el.attr('aria-label') || '').trim();
+                add({
+                    name: title && !/^(youtube|vimeo|dailymotion|wistia)?\s*(video\s*)?(player|embed|video)$/i.test(title) ? title : null,
+                    embedUrl: src,
+                    width: this.parseNumber($el.attr('width')),
+                    height: this.parseNumber($el.attr('height')),
+                });
+            });
+
+            $('video').each((_, el) => {
+                const $video = $(el);
+                const src = $video.attr('src') || $video.attr('data-src') || $video.find('source[src]').first().attr('src');
+                // blob: URLs belong to script-driven players and cannot be fetched by crawlers
+                if (!src || /^(blob|data):/i.test(src)) {
+                    return;
+                }
+                add({
+                    name: $video.attr('title') || $video.attr('aria-label') || $video.closest('figure').find('figcaption').first().text().trim() || null,
+                    contentUrl: src,
+                    thumbnailUrl: $video.attr('poster') || $video.attr('data-poster'),
+                    width: this.parseNumber($video.attr('width')),
+                    height: this.parseNumber($video.attr('height')),
+                });
+            });
+        } catch (e) {
+            console.error("Error in extractVideos:", e);
+        }
+
+        return [...videos.values()].map(({ key, ...video }) => ({
+            ...video,
+            name: video.name || page.title || null,
+            description: video.description || page.description || null,
+            thumbnailUrl: video.thumbnailUrl || (page.image && page.image.url) || null,
+            uploadDate: video.uploadDate || page.datePublished || null,
+        }));
+    }
+
+    /**
+     * Makes a video's URLs absolute and recognizes known players, which get
+     * a canonical embed URL and a default thumbnail. The returned key
+     * identifies the video across sources.
+     * @param {object} video
+     * @param {string} baseUrl
+     * @returns {object|null} The video with a `key`, or null without any URL.
+     */
+    normalizeVideo(video, baseUrl) {
+        const absolute = value => (value ? this.makeAbsoluteUrl(String(value).trim(), baseUrl) : null);
+        const normalized = {
+            name: video.name ? String(video.name).replace(/\s+/g, ' ').trim() : null,
+            description: video.description ? String(video.description).replace(/\s+/g, ' ').trim() : null,
+            thumbnailUrl: absolute(video.thumbnailUrl),
+            contentUrl: absolute(video.contentUrl),
+            embedUrl: absolute(video.embedUrl),
+            uploadDate: video.uploadDate || null,
+            duration: video.duration || null,
+            width: video.width || null,
+            height: video.height || null,
+            provider: null,
+        };
+
+        for (const { provider, pattern, embedUrl, thumbnailUrl } of VIDEO_PROVIDERS) {
+            const match = [normalized.embedUrl, normalized.contentUrl]
+                .map(value => value && value.match(pattern))
+                .find(Boolean);
+            if (match) {
+                const id = match[1];
+                normalized.provider = provider;
+                normalized.embedUrl = embedUrl(id);
+                // A watch page is not a media file
+                if (normalized.contentUrl && pattern.test(normalized.contentUrl)) {
+                    normalized.contentUrl = null;
+                }
+                normalized.thumbnailUrl = normalized.thumbnailUrl || (thumbnailUrl ? thumbnailUrl(id) : null);
+                return { key: `${provider}:${id}`, ...normalized };
+            }
+        }
+
+        const key = normalized.contentUrl || normalized.embedUrl;
+        return key ? { key, ...normalized } : null;
+    }
+
+    // 754 -> "PT12M34S"
+    secondsToDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = total % 60;
+        return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${rest || total === 0 ? `${rest}S` : ''}`;
+    }
+
+
+    extractArticleSection($) {
+        return $('meta[property="article:section"]').attr('content') || null;
+    }
+
+    extractBreadcrumbs($, url, language = this.extractLanguage($).inLanguage) {
+        const breadcrumbs = [];
+
+        // Helper to ensure a single trailing slash
+        function ensureTrailingSlash(u) {
             if (!u.endsWith('/')) {
                 // Remove any trailing ? or # fragments before adding slash
                 const urlObj = new URL(u, url);
@@ -454,15 +1541,8 @@ class WebScraper {
         }
 
         // Try HTML-based breadcrumb selectors
-        const breadcrumbSelectors = [
-            '.breadcrumb a',
-            '.breadcrumbs a',
-            '[typeof="BreadcrumbList"] a',
-            'nav[aria-label*="bread" i] a',
-        ];
-
         let found = false;
-        for (const selector of breadcrumbSelectors) {
+        for (const selector of this.breadcrumbSelectors(language)) {
             const elements = $(selector);
             if (elements.length > 0) {
                 elements.each((index, element) => {
@@ -489,9 +1569,9 @@ class WebScraper {
             const urlObj = new URL(url);
             const pathSegments = urlObj.pathname.split('/').filter(s => s.length > 0);
 
-            // Add home link
+            // Add home link, named in the page language ("Inicio", "Startseite", "Accueil")
             breadcrumbs.push({
-                name: 'Home',
+                name: homeLabel(language),
                 url: ensureTrailingSlash(`${urlObj.protocol}//${urlObj.host}`),
                 position: 1,
             });
@@ -514,6 +1594,22 @@ class WebScraper {
         return breadcrumbs;
     }
 
+    /**
+     * Selectors of breadcrumb links, in order of preference.
+     * @param {string|null} language Page language, adds localized aria-labels.
+     * @returns {Array<string>}
+     */
+    breadcrumbSelectors(language) {
+        return [
+            '.breadcrumb a',
+            '.breadcrumbs a',
+            '[typeof="BreadcrumbList"] a',
+            'nav[aria-label*="bread" i] a',
+            // Localized labels such as "Fil d'Ariane" or "Migas de pan"
+            ...keywordsFor(language, 'breadcrumb').map(keyword => `nav[aria-label*="${keyword.replace(/"/g, '\\"')}" i] a`),
+        ];
+    }
+
     extractPublisher($) {
         const publisherName = $('meta[property="og:site_name"]').attr('content') || null;
         const publisherLogo = $('[itemprop="publisher"] [itemprop="logo"]').attr('content') || null;
@@ -544,31 +1640,1860 @@ class WebScraper {
         return undefined;
     }
 
-    extractJsonLd($) {
-        let jsonLd = null;
-        $('script[type="application/ld+json"]').each((_, element) => {
-            try {
-                const data = JSON.parse($(element).html() || '');
-                if (data && typeof data === 'object') {
-                    jsonLd = data;
-                    return false; // Exit the loop
+    /**
+     * Extracts every author of the page from JSON-LD, microdata, rel=author
+     * links, bylines and the author meta tag. JSON-LD authors come first and
+     * the other sources fill in their URLs or add co-authors.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @param {string|null} [publisherName] Bylines naming the site are typed as Organization.
+     * @returns {Array<{type: 'Person'|'Organization', name: string, url?: string, jobTitle?: string, image?: string, description?: string, sameAs?: Array<string>}>}
+     */
+    extractAuthors($, baseUrl, publisherName = null) {
+        const authors = [];
+        const add = (author) => {
+            const name = author.name && author.name.replace(/\s+/g, ' ').replace(/^(by|von|por|par|di)\s+/i, '').trim();
+            if (!name || name.length > 80 || /^https?:\/\//.test(name)) {
+                return;
+            }
+            const existing = authors.find(other => other.name.toLowerCase() === name.toLowerCase());
+            if (existing) {
+                for (const [key, value] of Object.entries(author)) {
+                    if (value && !existing[key]) existing[key] = value;
                 }
-            } catch (e) {
-                // Ignore JSON parsing errors
+                return;
             }
-        });
-        return jsonLd;
-    }
+            authors.push({ ...author, name });
+        };
 
-    makeAbsoluteUrl(url, baseUrl) {
         try {
-            return new URL(url, baseUrl).href;
-        } catch {
-            return url;
+            // JSON-LD: the article-like node's author, resolving {"@id": ...} references within the page
+            const nodes = this.extractJsonLdNodes($);
+            const byId = new Map(nodes.filter(node => node['@id']).map(node => [node['@id'], node]));
+            const articleNode = nodes.find(node => node.author && !['Review', 'Comment'].some(type => this.hasSchemaType(node, type)));
+            for (const item of [].concat(articleNode ? articleNode.author : [])) {
+                const node = item && typeof item === 'object' && item['@id'] && !item.name ? byId.get(item['@id']) || item : item;
+                add(this.parseAuthorNode(node, baseUrl));
+            }
+
+            // Microdata
+            $('[itemprop~="author"]').each((_, el) => {
+                if ($(el).parents('[itemprop~="review"], [itemtype*="Review"], [itemtype*="Comment"]').length) {
+                    return;
+                }
+                const $el = $(el);
+                const link = $el.is('a') ? $el : $el.find('[itemprop="url"], a').first();
+                add({
+                    type: /Organization/.test($el.attr('itemtype') || '') ? 'Organization' : 'Person',
+                    name: $el.find('[itemprop="name"]').first().text() || $el.attr('content') || $el.text(),
+                    url: link.attr('href') ? this.makeAbsoluteUrl(link.attr('href'), baseUrl) : undefined,
+                });
+            });
+
+            // rel=author links and links inside bylines
+            $('a[rel~="author"], .byline a, .author a, .post-author a, .entry-author a, .article-author a, .author-name a, a[href*="/author/"]').each((_, el) => {
+                const $el = $(el);
+                if ($el.closest('.comment, .comments, #comments, [class*="related" i]').length) {
+                    return;
+                }
+                add({ type: 'Person', name: $el.text(), url: this.makeAbsoluteUrl($el.attr('href'), baseUrl) });
+            });
+
+            // Byline text without links ("By Jane Doe and John Roe")
+            if (authors.length === 0) {
+                const byline = $('.byline, .author-name, .post-author, .entry-author, .article-author').first().text();
+                this.splitAuthorNames(byline).forEach(name => add({ type: 'Person', name }));
+            }
+
+            // <meta name="author">, possibly listing several names
+            const metaAuthor = $('meta[name="author"]').attr('content') || $('meta[property="article:author"]').attr('content');
+            if (metaAuthor && /^https?:\/\//.test(metaAuthor.trim())) {
+                // article:author is often a profile URL
+                if (authors.length === 1 && !authors[0].url) authors[0].url = metaAuthor.trim();
+            } else if (metaAuthor) {
+                this.splitAuthorNames(metaAuthor).forEach(name => add({ type: 'Person', name }));
+            }
+        } catch (e) {
+            console.error("Error in extractAuthors:", e);
         }
+
+        return authors.slice(0, 10).map(author => (
+            publisherName && author.name.toLowerCase() === publisherName.toLowerCase()
+                ? { ...author, type: 'Organization' }
+                : author
+        ));
     }
 
-    formatDate(dateStr) {
+    parseAuthorNode(node, baseUrl) {
+        if (!node) {
+            return {};
+        }
+        if (typeof node === 'string') {
+            return { type: 'Person', name: node };
+        }
+        const image = [].concat(node.image || [])[0];
+        const imageUrl = image && (typeof image === 'object' ? image.url || image.contentUrl : image);
+        return {
+            type: ['Organization', 'NewsMediaOrganization', 'Corporation'].some(type => this.hasSchemaType(node, type)) ? 'Organization' : 'Person',
+            name: node.name,
+            url: node.url ? this.makeAbsoluteUrl(node.url, baseUrl) : undefined,
+            jobTitle: node.jobTitle || undefined,
+            image: imageUrl ? this.makeAbsoluteUrl(imageUrl, baseUrl) : undefined,
+            description: node.description || undefined,
+            sameAs: node.sameAs ? [].concat(node.sameAs) : undefined,
+        };
+    }
+
+    // Splits "Jane Doe, John Roe and Ann Poe" into names
+    splitAuthorNames(text) {
+        return (text || '')
+            .replace(/\s+/g, ' ')
+            .replace(/^\s*(by|von|por|par|di)\s+/i, '')
+            .split(/\s*(?:,|;|&|\band\b|\bund\b)\s*/i)
+            .map(name => name.trim())
+            .filter(name => name && name.length <= 80);
+    }
+
+    /**
+     * Follows same-site author URLs and fills in job title, image,
+     * description and sameAs links from each author page.
+     * @param {Array<object>} authors From extractAuthors.
+     * @param {string} baseUrl The article URL.
+     * @param {{nocache?: boolean, ignoreRobots?: boolean}} [options] Fetch options of the page request.
+     * @returns {Promise<Array<object>>} The enriched authors.
+     */
+    async enrichAuthorsFromProfiles(authors, baseUrl, options = {}) {
+        const origin = new URL(baseUrl).origin;
+        return Promise.all(authors.map(async (author) => {
+            let sameSite = false;
+            try {
+                sameSite = Boolean(author.url) && new URL(author.url).origin === origin && author.url !== baseUrl;
+            } catch {
+                sameSite = false;
+            }
+            if (!sameSite) {
+                return author;
+            }
+            try {
+                const { html, finalUrl } = await WebScraper.fetchStaticHtml(author.url, options);
+                const profile = this.extractAuthorProfile(cheerio.load(html), finalUrl, author.name);
+                const enriched = { ...author };
+                for (const [key, value] of Object.entries(profile)) {
+                    if (value && (!enriched[key] || (Array.isArray(value) && value.length > (enriched[key] || []).length))) {
+                        enriched[key] = value;
+                    }
+                }
+                return enriched;
+            } catch (e) {
+                console.warn(`Could not read author page ${author.url}: ${e.message}`);
+                return author;
+            }
+        }));
+    }
+
+    /**
+     * Reads an author profile page: a Person JSON-LD node when present,
+     * otherwise the bio box markup.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance of the author page.
+     * @param {string} baseUrl
+     * @param {string} name The author's name, used to pick the right Person node.
+     * @returns {{jobTitle?: string, image?: string, description?: string, sameAs?: Array<string>}}
+     */
+    extractAuthorProfile($, baseUrl, name) {
+        const nodes = this.extractJsonLdNodes($).flatMap(node => [node, ...[].concat(node.mainEntity || [])]);
+        const people = nodes.filter(node => node && typeof node === 'object' && this.hasSchemaType(node, 'Person'));
+        const person = people.find(node => node.name && node.name.toLowerCase() === name.toLowerCase()) || (people.length === 1 ? people[0] : null);
+        if (person) {
+            const { jobTitle, image, description, sameAs } = this.parseAuthorNode(person, baseUrl);
+            return { jobTitle, image, description, sameAs };
+        }
+
+        const bio = $('.author-bio, .author-box, .author-info, .author-profile, .author-description, [class*="author-bio" i], [itemtype*="Person"]').first();
+        const scope = bio.length ? bio : $('main, article, body').first();
+        const image = scope.find('[itemprop="image"], .avatar, img[class*="avatar" i], img[class*="author" i]').first();
+        const imageUrl = image.attr('content') || image.attr('src') || $('meta[property="og:image"]').attr('content');
+        const sameAs = [];
+        if (bio.length) {
+            bio.find('a[href]').each((_, el) => {
+                try {
+                    const host = new URL($(el).attr('href')).hostname.replace(/^www\./, '');
+                    if (SOCIAL_HOSTS.some(social => host === social || host.endsWith(`.${social}`))) {
+                        sameAs.push($(el).attr('href'));
+                    }
+                } catch {
+                    // Relative links can't be social profiles
+                }
+            });
+        }
+        return {
+            jobTitle: scope.find('[itemprop="jobTitle"], .job-title, .author-title, .author-role').first().text().trim() || undefined,
+            image: imageUrl ? this.makeAbsoluteUrl(imageUrl, baseUrl) : undefined,
+            description: (bio.find('[itemprop="description"], .author-description, p').first().text().trim()
+                || $('meta[name="description"]').attr('content') || '').replace(/\s+/g, ' ').trim() || undefined,
+            sameAs: sameAs.length ? this.uniqueValues(sameAs) : undefined,
+        };
+    }
+
+    /**
+     * Extracts product data (offers, ratings, reviews, gallery) from JSON-LD,
+     * microdata, Open Graph product:* tags and common DOM patterns, in that
+     * order of precedence.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {object|null} The product data, or null if the page has none.
+     */
+    extractProduct($, baseUrl) {
+        try {
+            const sources = [
+                this.extractProductFromJsonLd($, baseUrl),
+                this.extractProductFromMicrodata($, baseUrl),
+                this.extractProductFromOpenGraph($, baseUrl),
+                this.extractProductFromDom($, baseUrl),
+            ].filter(Boolean);
+
+            if (sources.length === 0) {
+                return null;
+            }
+
+            const product = { images: [], offers: {}, aggregateRating: {}, reviews: [] };
+            for (const source of sources) {
+                for (const key of ['name', 'description', 'sku', 'gtin', 'mpn', 'brand']) {
+                    if (!product[key] && source[key]) {
+                        product[key] = source[key];
+                    }
+                }
+                // Keep price and currency from the same source so they never disagree
+                const hasPrice = source.offers && source.offers.price !== undefined && source.offers.price !== null;
+                if (hasPrice && (product.offers.price === undefined || product.offers.price === null)) {
+                    product.offers = { ...source.offers, availability: source.offers.availability || product.offers.availability };
+                } else if (source.offers && !product.offers.availability && source.offers.availability) {
+                    product.offers.availability = source.offers.availability;
+                }
+                for (const key of Object.keys(source.aggregateRating || {})) {
+                    if (!product.aggregateRating[key] && source.aggregateRating[key]) {
+                        product.aggregateRating[key] = source.aggregateRating[key];
+                    }
+                }
+                product.images.push(...(source.images || []));
+                if (product.reviews.length === 0 && source.reviews && source.reviews.length > 0) {
+                    product.reviews = source.reviews;
+                }
+            }
+
+            product.images = [...new Set(product.images.filter(Boolean))];
+            product.reviews = product.reviews.slice(0, 10); // Limit to 10 reviews
+
+            // A product without a name or an offer/rating is not worth emitting
+            const hasOffer = product.offers.price !== undefined && product.offers.price !== null;
+            if (!product.name || (!hasOffer && !product.aggregateRating.ratingValue)) {
+                return null;
+            }
+            return product;
+        } catch (e) {
+            console.error("Error in extractProduct:", e);
+            return null;
+        }
+    }
+
+    extractProductFromJsonLd($, baseUrl) {
+        const node = this.extractJsonLdNodes($).find(item => this.hasSchemaType(item, 'Product'));
+        if (!node) {
+            return null;
+        }
+
+        const offerNode = [].concat(node.offers || [])[0] || {};
+        const brand = node.brand && typeof node.brand === 'object' ? node.brand.name : node.brand;
+        const rating = node.aggregateRating || {};
+
+        return {
+            name: node.name,
+            description: node.description,
+            sku: node.sku,
+            gtin: node.gtin || node.gtin13 || node.gtin12 || node.gtin14 || node.gtin8,
+            mpn: node.mpn,
+            brand,
+            images: [].concat(node.image || []).map(img => this.makeAbsoluteUrl(typeof img === 'object' ? img.url : img, baseUrl)),
+            offers: {
+                price: this.parsePrice(offerNode.price !== undefined ? offerNode.price : offerNode.lowPrice),
+                priceCurrency: offerNode.priceCurrency,
+                availability: this.normalizeAvailability(offerNode.availability),
+                itemCondition: offerNode.itemCondition,
+                priceValidUntil: offerNode.priceValidUntil,
+                url: offerNode.url && this.makeAbsoluteUrl(offerNode.url, baseUrl),
+            },
+            aggregateRating: {
+                ratingValue: this.parseNumber(rating.ratingValue),
+                reviewCount: this.parseNumber(rating.reviewCount),
+                ratingCount: this.parseNumber(rating.ratingCount),
+                bestRating: this.parseNumber(rating.bestRating),
+                worstRating: this.parseNumber(rating.worstRating),
+            },
+            reviews: [].concat(node.review || []).map(review => ({
+                author: review.author && typeof review.author === 'object' ? review.author.name : review.author,
+                name: review.name,
+                reviewBody: review.reviewBody || review.description,
+                datePublished: review.datePublished && this.formatDate(review.datePublished),
+                ratingValue: this.parseNumber(review.reviewRating && review.reviewRating.ratingValue),
+                bestRating: this.parseNumber(review.reviewRating && review.reviewRating.bestRating),
+            })).filter(review => review.author && (review.reviewBody || review.ratingValue)),
+        };
+    }
+
+    extractProductFromMicrodata($, baseUrl) {
+        const scope = $('[itemtype$="schema.org/Product"]').first();
+        if (!scope.length) {
+            return null;
+        }
+
+        const prop = (owner, name) => this.readMicrodataProp($, owner, name);
+        const offer = this.findMicrodataProp($, scope, 'offers');
+        const rating = this.findMicrodataProp($, scope, 'aggregateRating');
+        const brand = this.findMicrodataProp($, scope, 'brand');
+
+        const images = [];
+        this.findMicrodataProps($, scope, 'image').each((_, el) => {
+            const src = $(el).attr('content') || $(el).attr('src') || $(el).attr('href');
+            if (src) {
+                images.push(this.makeAbsoluteUrl(src, baseUrl));
+            }
+        });
+
+        const reviews = [];
+        this.findMicrodataProps($, scope, 'review').each((_, el) => {
+            const review = $(el);
+            const reviewRating = this.findMicrodataProp($, review, 'reviewRating');
+            const author = this.findMicrodataProp($, review, 'author');
+            reviews.push({
+                author: author.is('[itemscope]') ? prop(author, 'name') : prop(review, 'author'),
+                name: prop(review, 'name'),
+                reviewBody: prop(review, 'reviewBody') || prop(review, 'description'),
+                datePublished: this.formatDate(prop(review, 'datePublished')),
+                ratingValue: this.parseNumber(reviewRating.length ? prop(reviewRating, 'ratingValue') : null),
+                bestRating: this.parseNumber(reviewRating.length ? prop(reviewRating, 'bestRating') : null),
+            });
+        });
+
+        return {
+            name: prop(scope, 'name'),
+            description: prop(scope, 'description'),
+            sku: prop(scope, 'sku'),
+            gtin: prop(scope, 'gtin13') || prop(scope, 'gtin12') || prop(scope, 'gtin14') || prop(scope, 'gtin8') || prop(scope, 'gtin'),
+            mpn: prop(scope, 'mpn'),
+            brand: brand.is('[itemscope]') ? prop(brand, 'name') : prop(scope, 'brand'),
+            images,
+            offers: offer.length ? {
+                price: this.parsePrice(prop(offer, 'price') || prop(offer, 'lowPrice')),
+                priceCurrency: prop(offer, 'priceCurrency'),
+                availability: this.normalizeAvailability(prop(offer, 'availability')),
+                itemCondition: prop(offer, 'itemCondition'),
+                priceValidUntil: prop(offer, 'priceValidUntil'),
+            } : {},
+            aggregateRating: rating.length ? {
+                ratingValue: this.parseNumber(prop(rating, 'ratingValue')),
+                reviewCount: this.parseNumber(prop(rating, 'reviewCount')),
+                ratingCount: this.parseNumber(prop(rating, 'ratingCount')),
+                bestRating: this.parseNumber(prop(rating, 'bestRating')),
+                worstRating: this.parseNumber(prop(rating, 'worstRating')),
+            } : {},
+            reviews: reviews.filter(review => review.author && (review.reviewBody || review.ratingValue)),
+        };
+    }
+
+    extractProductFromOpenGraph($, baseUrl) {
+        const meta = (property) => $(`meta[property="${property}"]`).attr('content') || null;
+        const price = meta('product:price:amount') || meta('og:price:amount');
+        const isProduct = (meta('og:type') || '').toLowerCase().includes('product');
+        if (!price && !isProduct) {
+            return null;
+        }
+
+        const images = [];
+        $('meta[property="og:image"]').each((_, el) => {
+            const src = $(el).attr('content');
+            if (src) {
+                images.push(this.makeAbsoluteUrl(src, baseUrl));
+            }
+        });
+
+        return {
+            name: meta('og:title'),
+            description: meta('og:description'),
+            sku: meta('product:retailer_item_id'),
+            gtin: meta('product:gtin') || meta('product:upc') || meta('product:ean'),
+            mpn: meta('product:mfr_part_no'),
+            brand: meta('product:brand') || meta('og:brand'),
+            images,
+            offers: {
+                price: this.parsePrice(price),
+                priceCurrency: meta('product:price:currency') || meta('og:price:currency'),
+                availability: this.normalizeAvailability(meta('product:availability') || meta('og:availability')),
+                itemCondition: this.normalizeCondition(meta('product:condition')),
+            },
+        };
+    }
+
+    extractProductFromDom($, baseUrl) {
+        const text = (selectors) => {
+            for (const selector of selectors) {
+                const value = $(selector).first().text().replace(/\s+/g, ' ').trim();
+                if (value) {
+                    return value;
+                }
+            }
+            return null;
+        };
+
+        const priceElement = $('[data-price], [data-product-price], .product-price, .price, .woocommerce-Price-amount, #priceblock_ourprice, .a-price .a-offscreen').first();
+        if (!priceElement.length || !this.isProductPage($)) {
+            return null;
+        }
+        const priceText = priceElement.attr('data-price') || priceElement.attr('data-product-price') || priceElement.text();
+
+        const images = [];
+        $('.woocommerce-product-gallery img, .product-gallery img, .product-images img, .product__media img, [data-zoom-image]').each((_, el) => {
+            const src = $(el).attr('data-zoom-image') || $(el).attr('data-large_image') || $(el).attr('data-src') || $(el).attr('src');
+            if (src && !src.startsWith('data:')) {
+                images.push(this.makeAbsoluteUrl(src, baseUrl));
+            }
+        });
+
+        // WooCommerce renders ratings as "Rated 4.50 out of 5"
+        const ratingText = $('.star-rating').first().attr('aria-label') || $('.star-rating').first().text() || $('[data-rating]').first().attr('data-rating') || '';
+        const ratingMatch = ratingText.match(/(\d+(?:[.,]\d+)?)(?:\s*out of\s*(\d+))?/i);
+        const reviewCountText = text(['.woocommerce-review-link', '.review-count', '.reviews-count', '#acrCustomerReviewText']) || '';
+        const reviewCountMatch = reviewCountText.match(/\d[\d,.]*/);
+
+        const reviews = [];
+        $('.woocommerce-Reviews .review, .review-item, .product-review').each((_, el) => {
+            const review = $(el);
+            const reviewRating = review.find('.star-rating, [data-rating]').first();
+            const reviewRatingMatch = (reviewRating.attr('data-rating') || reviewRating.attr('aria-label') || reviewRating.text() || '').match(/\d+(?:[.,]\d+)?/);
+            reviews.push({
+                author: review.find('.woocommerce-review__author, .review-author, .author').first().text().trim() || null,
+                reviewBody: review.find('.description, .review-text, .review-body, p').first().text().replace(/\s+/g, ' ').trim() || null,
+                datePublished: this.formatDate(review.find('time').first().attr('datetime')),
+                ratingValue: reviewRatingMatch ? this.parseNumber(reviewRatingMatch[0]) : null,
+            });
+        });
+
+        return {
+            name: text(['.product_title', '.product-title', '.product-name', '#productTitle', 'h1']),
+            description: text(['.woocommerce-product-details__short-description', '.product-description', '.product-short-description']),
+            sku: text(['.sku', '[data-sku]', '.product-sku']),
+            brand: text(['.product-brand', '.brand', '#bylineInfo']),
+            images,
+            offers: {
+                price: this.parsePrice(priceText),
+                priceCurrency: this.detectCurrency(priceText),
+                availability: this.normalizeAvailability(text(['.stock', '.availability', '#availability'])),
+            },
+            aggregateRating: ratingMatch ? {
+                ratingValue: this.parseNumber(ratingMatch[1]),
+                bestRating: this.parseNumber(ratingMatch[2]),
+                reviewCount: reviewCountMatch ? this.parseNumber(reviewCountMatch[0]) : null,
+            } : {},
+            reviews: reviews.filter(review => review.author && (review.reviewBody || review.ratingValue)),
+        };
+    }
+
+    /**
+     * Whether the page is a single product rather than a blog post, pricing
+     * table or listing that merely shows a price next to an h1: it needs
+     * og:type=product, a product marker (add to cart, SKU, Product microdata)
+     * or at least three product fields.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @returns {boolean}
+     */
+    isProductPage($) {
+        if (($('meta[property="og:type"]').attr('content') || '').toLowerCase().includes('product')) {
+            return true;
+        }
+        if ($(PRODUCT_PAGE_MARKERS.join(', ')).length > 0) {
+            return true;
+        }
+        return PRODUCT_PAGE_FIELDS.filter(selector => $(selector).length > 0).length >= 3;
+    }
+
+    /**
+     * Finds the microdata properties owned directly by an item scope
+     * (skipping properties of nested items).
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {cheerio.Cheerio} scope The element carrying itemscope.
+     * @param {string} name The itemprop name.
+     * @returns {cheerio.Cheerio}
+     */
+    findMicrodataProps($, scope, name) {
+        return scope.find(`[itemprop~="${name}"]`).filter((_, el) => $(el).parent().closest('[itemscope]')[0] === scope[0]);
+    }
+
+    findMicrodataProp($, scope, name) {
+        return this.findMicrodataProps($, scope, name).first();
+    }
+
+    readMicrodataProp($, scope, name) {
+        const el = this.findMicrodataProp($, scope, name);
+        if (!el.length) {
+            return null;
+        }
+        const value = el.attr('content') || el.attr('datetime') || (el.is('a, link') && el.attr('href')) || (el.is('img') && el.attr('src')) || el.text();
+        return value ? value.replace(/\s+/g, ' ').trim() : null;
+    }
+
+    parsePrice(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (typeof value === 'number') {
+            return value;
+        }
+        const match = String(value).match(/\d[\d.,\s]*/);
+        if (!match) {
+            return null;
+        }
+        const digits = match[0].replace(/\s/g, '').replace(/[.,]+$/, '');
+        // Treat a final separator followed by 1-2 digits as the decimal point
+        const decimal = digits.match(/[.,](\d{1,2})$/);
+        const integer = (decimal ? digits.slice(0, -decimal[0].length) : digits).replace(/[.,]/g, '');
+        const price = parseFloat(decimal ? `${integer}.${decimal[1]}` : integer);
+        return isNaN(price) ? null : price;
+    }
+
+    parseNumber(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const number = parseFloat(String(value).replace(',', '.'));
+        return isNaN(number) ? null : number;
+    }
+
+    detectCurrency(priceText) {
+        const symbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY', '₩': 'KRW', '₽': 'RUB', 'R$': 'BRL', 'A$': 'AUD', 'C$': 'CAD' };
+        const code = (priceText || '').match(/\b[A-Z]{3}\b/);
+        if (code) {
+            return code[0];
+        }
+        const symbol = Object.keys(symbols)
+            .sort((a, b) => b.length - a.length)
+            .find(s => (priceText || '').includes(s));
+        return symbol ? symbols[symbol] : null;
+    }
+
+    normalizeAvailability(value) {
+        if (!value) {
+            return null;
+        }
+        const normalized = String(value).toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s_-]/g, '');
+        const mapping = {
+            instock: 'InStock',
+            available: 'InStock',
+            outofstock: 'OutOfStock',
+            soldout: 'SoldOut',
+            unavailable: 'OutOfStock',
+            preorder: 'PreOrder',
+            backorder: 'BackOrder',
+            discontinued: 'Discontinued',
+            limitedavailability: 'LimitedAvailability',
+            onlineonly: 'OnlineOnly',
+            instoreonly: 'InStoreOnly',
+        };
+        const key = Object.keys(mapping).find(k => normalized.includes(k));
+        return key ? `https://schema.org/${mapping[key]}` : null;
+    }
+
+    normalizeCondition(value) {
+        if (!value) {
+            return null;
+        }
+        const normalized = String(value).toLowerCase();
+        if (normalized.includes('refurbished')) return 'https://schema.org/RefurbishedCondition';
+        if (normalized.includes('used')) return 'https://schema.org/UsedCondition';
+        if (normalized.includes('damaged')) return 'https://schema.org/DamagedCondition';
+        if (normalized.includes('new')) return 'https://schema.org/NewCondition';
+        return null;
+    }
+
+    /**
+     * Extracts step-by-step instructions, supplies, tools and durations for
+     * HowTo markup from JSON-LD, "Step N" headings or ordered lists.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {object|null} The HowTo data, or null if no steps were found.
+     */
+    extractHowTo($, baseUrl) {
+        try {
+            const node = this.extractJsonLdNodes($).find(item => this.hasSchemaType(item, 'HowTo'));
+            if (node) {
+                const steps = this.flattenInstructions(node.step).map(step => ({
+                    ...step,
+                    ...(step.image && { image: this.makeAbsoluteUrl(step.image, baseUrl) }),
+                }));
+                if (steps.length > 0) {
+                    return {
+                        name: node.name || null,
+                        description: node.description || null,
+                        steps,
+                        supplies: [].concat(node.supply || []).map(item => (typeof item === 'object' ? item.name : item)).filter(Boolean),
+                        tools: [].concat(node.tool || []).map(item => (typeof item === 'object' ? item.name : item)).filter(Boolean),
+                        totalTime: this.parseDuration(node.totalTime),
+                    };
+                }
+            }
+
+            const steps = this.extractStepHeadings($, baseUrl);
+            if (steps.length === 0) {
+                steps.push(...this.extractOrderedListSteps($));
+            }
+            if (steps.length === 0) {
+                return null;
+            }
+
+            return {
+                name: $('h1').first().text().trim() || null,
+                description: null,
+                steps,
+                supplies: this.extractListAfterHeading($, /^(supplies|materials|what you(('|’)?ll| will) need|you will need|things you('|’)?ll need)\b/i),
+                tools: this.extractListAfterHeading($, /^(tools|equipment)\b/i),
+                totalTime: this.parseDuration(this.findLabelledText($, /total time|time required|takes about/i)),
+            };
+        } catch (e) {
+            console.error("Error in extractHowTo:", e);
+            return null;
+        }
+    }
+
+    /**
+     * Extracts ingredients, instructions, times and yield for Recipe markup
+     * from JSON-LD, microdata, WP Recipe Maker, Tasty Recipes or generic
+     * "Ingredients"/"Instructions" sections.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {object|null} The recipe data, or null if none was found.
+     */
+    extractRecipe($, baseUrl) {
+        try {
+            const node = this.extractJsonLdNodes($).find(item => this.hasSchemaType(item, 'Recipe'));
+            if (node && node.recipeIngredient) {
+                return {
+                    name: node.name || null,
+                    description: node.description || null,
+                    images: [].concat(node.image || []).map(img => this.makeAbsoluteUrl(typeof img === 'object' ? img.url : img, baseUrl)),
+                    ingredients: [].concat(node.recipeIngredient).map(item => String(item).trim()).filter(Boolean),
+                    instructions: this.flattenInstructions(node.recipeInstructions),
+                    prepTime: this.parseDuration(node.prepTime),
+                    cookTime: this.parseDuration(node.cookTime),
+                    totalTime: this.parseDuration(node.totalTime),
+                    recipeYield: [].concat(node.recipeYield || [])[0] || null,
+                    recipeCategory: [].concat(node.recipeCategory || [])[0] || null,
+                    recipeCuisine: [].concat(node.recipeCuisine || [])[0] || null,
+                    calories: (node.nutrition && node.nutrition.calories) || null,
+                };
+            }
+
+            // Recipe plugins and microdata share the same shape, only the selectors differ
+            const patterns = [
+                {
+                    container: '.wprm-recipe-container, .wprm-recipe',
+                    name: '.wprm-recipe-name',
+                    summary: '.wprm-recipe-summary',
+                    ingredient: '.wprm-recipe-ingredient',
+                    instruction: '.wprm-recipe-instruction-text',
+                    prepTime: '.wprm-recipe-prep_time-container, .wprm-recipe-prep-time-container',
+                    cookTime: '.wprm-recipe-cook_time-container, .wprm-recipe-cook-time-container',
+                    totalTime: '.wprm-recipe-total_time-container, .wprm-recipe-total-time-container',
+                    yield: '.wprm-recipe-servings-container, .wprm-recipe-servings',
+                    category: '.wprm-recipe-course',
+                    cuisine: '.wprm-recipe-cuisine',
+                    calories: '.wprm-recipe-calories',
+                },
+                {
+                    container: '.tasty-recipes',
+                    name: '.tasty-recipes-title',
+                    summary: '.tasty-recipes-description',
+                    ingredient: '.tasty-recipes-ingredients li',
+                    instruction: '.tasty-recipes-instructions li',
+                    prepTime: '.tasty-recipes-prep-time',
+                    cookTime: '.tasty-recipes-cook-time',
+                    totalTime: '.tasty-recipes-total-time',
+                    yield: '.tasty-recipes-yield',
+                    category: '.tasty-recipes-category',
+                    cuisine: '.tasty-recipes-cuisine',
+                    calories: '.tasty-recipes-calories',
+                },
+                {
+                    container: '[itemtype$="schema.org/Recipe"]',
+                    name: '[itemprop="name"]',
+                    summary: '[itemprop="description"]',
+                    ingredient: '[itemprop="recipeIngredient"], [itemprop="ingredients"]',
+                    instruction: '[itemprop="recipeInstructions"] li, li[itemprop="recipeInstructions"], [itemprop="recipeInstructions"] p',
+                    prepTime: '[itemprop="prepTime"]',
+                    cookTime: '[itemprop="cookTime"]',
+                    totalTime: '[itemprop="totalTime"]',
+                    yield: '[itemprop="recipeYield"]',
+                    category: '[itemprop="recipeCategory"]',
+                    cuisine: '[itemprop="recipeCuisine"]',
+                    calories: '[itemprop="calories"]',
+                },
+            ];
+
+            for (const pattern of patterns) {
+                const container = $(pattern.container).first();
+                if (!container.length) {
+                    continue;
+                }
+                const text = (selector) => {
+                    const el = container.find(selector).first();
+                    const value = el.attr('content') || el.attr('datetime') || el.text();
+                    return value ? value.replace(/\s+/g, ' ').trim() || null : null;
+                };
+                const ingredients = container.find(pattern.ingredient)
+                    .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean);
+                if (ingredients.length === 0) {
+                    continue;
+                }
+                const image = container.find('img').first().attr('data-src') || container.find('img').first().attr('src');
+                return {
+                    name: text(pattern.name) || $('h1').first().text().trim() || null,
+                    description: text(pattern.summary),
+                    images: image ? [this.makeAbsoluteUrl(image, baseUrl)] : [],
+                    ingredients,
+                    instructions: container.find(pattern.instruction)
+                        .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean)
+                        .map(instruction => ({ text: instruction })),
+                    prepTime: this.parseDuration(text(pattern.prepTime)),
+                    cookTime: this.parseDuration(text(pattern.cookTime)),
+                    totalTime: this.parseDuration(text(pattern.totalTime)),
+                    recipeYield: text(pattern.yield),
+                    recipeCategory: text(pattern.category),
+                    recipeCuisine: text(pattern.cuisine),
+                    calories: text(pattern.calories),
+                };
+            }
+
+            // Generic fallback: "Ingredients" and "Instructions"/"Method" headings followed by lists
+            const ingredients = this.extractListAfterHeading($, /^ingredients\b/i);
+            const instructions = this.extractListAfterHeading($, /^(instructions|directions|method|preparation)\b/i);
+            if (ingredients.length === 0 || instructions.length === 0) {
+                return null;
+            }
+            return {
+                name: $('h1').first().text().trim() || null,
+                description: null,
+                images: [],
+                ingredients,
+                instructions: instructions.map(instruction => ({ text: instruction })),
+                prepTime: this.parseDuration(this.findLabelledText($, /prep(aration)? time/i)),
+                cookTime: this.parseDuration(this.findLabelledText($, /cook(ing)? time/i)),
+                totalTime: this.parseDuration(this.findLabelledText($, /total time/i)),
+                recipeYield: this.findLabelledText($, /^(serves|servings|yield)/i),
+                recipeCategory: null,
+                recipeCuisine: null,
+                calories: null,
+            };
+        } catch (e) {
+            console.error("Error in extractRecipe:", e);
+            return null;
+        }
+    }
+
+    /**
+     * Flattens HowToStep/HowToSection/plain-string instructions from JSON-LD
+     * into a list of { name, text, image, url } steps.
+     * @param {*} instructions The step or recipeInstructions value.
+     * @returns {Array<object>}
+     */
+    flattenInstructions(instructions) {
+        const steps = [];
+        for (const item of [].concat(instructions || [])) {
+            if (typeof item === 'string') {
+                // Some sites put every step in a single newline-separated string
+                item.split(/\n+/).map(line => line.trim()).filter(Boolean).forEach(line => steps.push({ text: line }));
+            } else if (item && this.hasSchemaType(item, 'HowToSection')) {
+                steps.push(...this.flattenInstructions(item.itemListElement));
+            } else if (item && (item.text || item.name)) {
+                const image = [].concat(item.image || [])[0];
+                steps.push({
+                    ...(item.name && item.name !== item.text && { name: item.name }),
+                    text: item.text || item.name,
+                    ...(image && { image: typeof image === 'object' ? image.url : image }),
+                    ...(item.url && { url: item.url }),
+                });
+            }
+        }
+        return steps;
+    }
+
+    extractStepHeadings($, baseUrl) {
+        const steps = [];
+        const stepPattern = /^step\s*\d+\s*[:.\-–—)]?\s*/i;
+        $('h2, h3, h4').each((_, element) => {
+            const heading = $(element);
+            const title = heading.text().replace(/\s+/g, ' ').trim();
+            if (!stepPattern.test(title)) {
+                return;
+            }
+            // Collect everything up to the next heading as the step body
+            const body = heading.nextUntil('h1, h2, h3, h4');
+            const text = body.filter('p, ul, ol, div')
+                .map((_, el) => $(el).text().trim()).get()
+                .join(' ').replace(/\s+/g, ' ').trim();
+            const image = body.find('img').addBack('img').first().attr('src');
+            const name = title.replace(stepPattern, '').trim();
+            if (text || name) {
+                steps.push({
+                    ...(name && text && { name }),
+                    text: text || name,
+                    ...(image && { image: this.makeAbsoluteUrl(image, baseUrl) }),
+                });
+            }
+        });
+        return steps;
+    }
+
+    extractOrderedListSteps($) {
+        let best = [];
+        $('article ol, .entry-content ol, .post-content ol, main ol').each((_, element) => {
+            const list = $(element);
+            if (list.closest('nav, footer, header, aside, .breadcrumb, .breadcrumbs, .toc, #toc').length) {
+                return;
+            }
+            const items = list.children('li').map((_, li) => $(li).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean);
+            if (items.length >= 3 && items.length > best.length) {
+                best = items;
+            }
+        });
+        return best.map(text => ({ text }));
+    }
+
+    extractListAfterHeading($, pattern) {
+        let items = [];
+        $('h2, h3, h4, h5, strong').each((_, element) => {
+            const heading = $(element);
+            if (!pattern.test(heading.text().trim())) {
+                return;
+            }
+            const origin = heading.is('strong') ? heading.parent() : heading;
+            const list = origin.nextAll('ul, ol').first();
+            if (list.length) {
+                items = list.children('li').map((_, li) => $(li).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean);
+                return false; // Exit the loop
+            }
+        });
+        return items;
+    }
+
+    findLabelledText($, pattern) {
+        let value = null;
+        $('li, p, span, div, dt, td, th').each((_, element) => {
+            const el = $(element);
+            if (el.children().length > 3) {
+                return;
+            }
+            const text = el.text().replace(/\s+/g, ' ').trim();
+            if (text.length < 80 && pattern.test(text)) {
+                const match = text.match(/[:\-–]\s*(.+)$/);
+                const next = el.is('dt, th') ? el.next().text().trim() : null;
+                value = (match && match[1]) || next || text;
+                return false; // Exit the loop
+            }
+        });
+        return value;
+    }
+
+    /**
+     * Converts durations such as "1 hr 30 mins", "45 minutes" or an existing
+     * ISO 8601 value into an ISO 8601 duration ("PT1H30M").
+     * @param {string} value
+     * @returns {string|null}
+     */
+    parseDuration(value) {
+        if (!value) {
+            return null;
+        }
+        const text = String(value).trim();
+        if (/^P(?!$)(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/i.test(text)) {
+            return text.toUpperCase();
+        }
+        const units = { d: 0, h: 0, m: 0, s: 0 };
+        const pattern = /(\d+(?:\.\d+)?)\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/gi;
+        let match;
+        let found = false;
+        while ((match = pattern.exec(text)) !== null) {
+            units[match[2][0].toLowerCase()] += parseFloat(match[1]);
+            found = true;
+        }
+        if (!found) {
+            return null;
+        }
+        // Push fractional hours down into minutes
+        units.m += Math.round((units.h % 1) * 60);
+        units.h = Math.floor(units.h);
+        const time = `${units.h ? `${units.h}H` : ''}${units.m ? `${Math.round(units.m)}M` : ''}${units.s ? `${Math.round(units.s)}S` : ''}`;
+        const duration = `P${units.d ? `${units.d}D` : ''}${time ? `T${time}` : ''}`;
+        return duration === 'P' ? null : duration;
+    }
+
+    /**
+     * Extracts events from Event JSON-LD and microdata (every event of a
+     * listing page), completed on single-event pages by "add to calendar"
+     * links (Google, Outlook, inline .ics) and common DOM patterns
+     * (h-event/hCalendar, event/venue/organizer/ticket classes).
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @param {object|null} [calendarEvent] Event read from the page's linked .ics file (see enrichEventsFromCalendar).
+     * @returns {Array<object>} Events as {type, name, description, url, image, startDate, endDate, eventStatus,
+     *          eventAttendanceMode, location, virtualLocation, performers, organizer, offers, icsUrl}.
+     */
+    extractEvents($, baseUrl, calendarEvent = null) {
+        try {
+            const structured = [
+                ...this.extractJsonLdNodes($)
+                    .filter(node => EVENT_TYPES.some(type => this.hasSchemaType(node, type)))
+                    .map(node => this.parseEventNode($, node, baseUrl)),
+                ...this.extractEventsFromMicrodata($, baseUrl),
+            ];
+            // The same event is often declared in both JSON-LD and microdata
+            const events = [];
+            for (const event of structured) {
+                const duplicate = events.find(other => other.name === event.name && other.startDate === event.startDate);
+                if (duplicate) {
+                    this.mergeEvent(duplicate, event);
+                } else {
+                    events.push(event);
+                }
+            }
+
+            // Listing pages: the DOM describes many events at once and cannot be attributed
+            if (events.length <= 1) {
+                const event = events[0] || this.emptyEvent();
+                for (const source of [this.extractEventFromCalendarLinks($, baseUrl), calendarEvent, this.extractEventFromDom($, baseUrl)]) {
+                    if (source) {
+                        this.mergeEvent(event, source);
+                    }
+                }
+                events.splice(0, events.length, event);
+            }
+
+            return events
+                .filter(event => event.name && event.startDate)
+                .map(event => this.completeEvent(event));
+        } catch (e) {
+            console.error("Error in extractEvents:", e);
+            return [];
+        }
+    }
+
+    emptyEvent() {
+        return {
+            type: null, name: null, description: null, url: null, image: null,
+            startDate: null, endDate: null, eventStatus: null, eventAttendanceMode: null,
+            location: null, virtualLocation: null, performers: [], organizer: null, offers: [], icsUrl: null,
+        };
+    }
+
+    // Fills the event's missing fields from another source
+    mergeEvent(event, source) {
+        for (const [key, value] of Object.entries(source)) {
+            if (Array.isArray(event[key])) {
+                if (event[key].length === 0 && Array.isArray(value)) {
+                    event[key] = value;
+                }
+            } else if (key === 'location' && event.location && value) {
+                event.location = {
+                    name: event.location.name || value.name,
+                    address: event.location.address || value.address,
+                };
+            } else if ((event[key] === null || event[key] === undefined) && value !== null && value !== undefined) {
+                event[key] = value;
+            }
+        }
+        return event;
+    }
+
+    // Derives the attendance mode from the locations when the page does not state it
+    completeEvent(event) {
+        if (!event.eventAttendanceMode && (event.location || event.virtualLocation)) {
+            const mode = event.location && event.virtualLocation ? 'Mixed' : event.virtualLocation ? 'Online' : 'Offline';
+            event.eventAttendanceMode = `https://schema.org/${mode}EventAttendanceMode`;
+        }
+        return event;
+    }
+
+    parseEventNode($, node, baseUrl) {
+        const text = value => (value ? cheerio.load(`<div>${value}</div>`)('div').text().replace(/\s+/g, ' ').trim() || null : null);
+        const first = value => [].concat(value || [])[0];
+        const image = first(node.image);
+        const event = {
+            ...this.emptyEvent(),
+            type: [].concat(node['@type'] || [])[0] || 'Event',
+            name: text(node.name),
+            description: text(node.description),
+            url: node.url ? this.makeAbsoluteUrl(first(node.url), baseUrl) : null,
+            image: image ? this.makeAbsoluteUrl(typeof image === 'object' ? image.url : image, baseUrl) : null,
+            startDate: this.formatEventDate(node.startDate),
+            endDate: this.formatEventDate(node.endDate),
+            eventStatus: this.normalizeEventStatus(node.eventStatus),
+            eventAttendanceMode: this.normalizeAttendanceMode(node.eventAttendanceMode),
+        };
+
+        for (const location of [].concat(node.location || [])) {
+            if (typeof location === 'string') {
+                event.location = event.location || this.parsePlaceText(location);
+            } else if (location && (this.hasSchemaType(location, 'VirtualLocation') || (!location.address && location.url && !location.name))) {
+                event.virtualLocation = event.virtualLocation || this.makeAbsoluteUrl(location.url, baseUrl);
+            } else if (location && typeof location === 'object') {
+                const address = typeof location.address === 'string'
+                    ? this.parseAddressText(location.address) || location.address
+                    : location.address && this.extractPostalAddress($, location.address, $([]));
+                event.location = event.location || { name: location.name || null, address: address || null };
+            }
+        }
+
+        const party = (value, defaultType) => {
+            if (!value) return null;
+            if (typeof value === 'string') return { type: defaultType, name: value.trim(), url: null };
+            return value.name ? { type: [].concat(value['@type'] || defaultType)[0], name: String(value.name).trim(), url: value.url ? this.makeAbsoluteUrl(first(value.url), baseUrl) : null } : null;
+        };
+        event.performers = [].concat(node.performer || node.performers || []).map(value => party(value, 'Person')).filter(Boolean);
+        event.organizer = party(first(node.organizer), 'Organization');
+
+        event.offers = [].concat(node.offers || []).filter(offer => offer && typeof offer === 'object').map(offer => ({
+            name: offer.name || null,
+            price: this.parsePrice(offer.price !== undefined ? offer.price : offer.lowPrice),
+            priceCurrency: offer.priceCurrency || null,
+            availability: this.normalizeAvailability(offer.availability),
+            url: offer.url ? this.makeAbsoluteUrl(offer.url, baseUrl) : null,
+            validFrom: this.formatEventDate(offer.validFrom),
+        }));
+        return event;
+    }
+
+    extractEventsFromMicrodata($, baseUrl) {
+        const events = [];
+        $('[itemscope][itemtype]').each((_, el) => {
+            const scope = $(el);
+            const type = (scope.attr('itemtype') || '').split(/\s+/)[0].replace(/^https?:\/\/schema\.org\//, '');
+            // Sub-events are read as part of their parent
+            if (!EVENT_TYPES.includes(type) || scope.is('[itemprop~="subEvent"]')) {
+                return;
+            }
+            const prop = (owner, name) => this.readMicrodataProp($, owner, name);
+            const nameOf = (item) => (item.is('[itemscope]') ? prop(item, 'name') : item.text().replace(/\s+/g, ' ').trim()) || null;
+            const event = {
+                ...this.emptyEvent(),
+                type,
+                name: prop(scope, 'name'),
+                description: prop(scope, 'description'),
+                url: prop(scope, 'url') ? this.makeAbsoluteUrl(prop(scope, 'url'), baseUrl) : null,
+                image: prop(scope, 'image') ? this.makeAbsoluteUrl(prop(scope, 'image'), baseUrl) : null,
+                startDate: this.formatEventDate(prop(scope, 'startDate')),
+                endDate: this.formatEventDate(prop(scope, 'endDate')),
+                eventStatus: this.normalizeEventStatus(prop(scope, 'eventStatus')),
+                eventAttendanceMode: this.normalizeAttendanceMode(prop(scope, 'eventAttendanceMode')),
+            };
+
+            const location = this.findMicrodataProp($, scope, 'location');
+            if (location.length && location.is('[itemscope]') && /VirtualLocation/.test(location.attr('itemtype') || '')) {
+                event.virtualLocation = prop(location, 'url');
+            } else if (location.length && location.is('[itemscope]')) {
+                const address = this.findMicrodataProp($, location, 'address');
+                event.location = {
+                    name: prop(location, 'name'),
+                    address: address.is('[itemscope]')
+                        ? this.extractPostalAddress($, null, location)
+                        : (address.length ? this.parseAddressText(address.text()) || address.text().replace(/\s+/g, ' ').trim() : null),
+                };
+            } else if (location.length) {
+                event.location = this.parsePlaceText(location.text());
+            }
+
+            event.performers = this.findMicrodataProps($, scope, 'performer').map((_, item) => {
+                const name = nameOf($(item));
+                return name ? { type: /Organization|MusicGroup|PerformingGroup/.test($(item).attr('itemtype') || '') ? 'PerformingGroup' : 'Person', name, url: null } : null;
+            }).get().filter(Boolean);
+            const organizer = this.findMicrodataProp($, scope, 'organizer');
+            if (organizer.length && nameOf(organizer)) {
+                event.organizer = {
+                    type: /Person/.test(organizer.attr('itemtype') || '') ? 'Person' : 'Organization',
+                    name: nameOf(organizer),
+                    url: organizer.is('[itemscope]') && prop(organizer, 'url') ? this.makeAbsoluteUrl(prop(organizer, 'url'), baseUrl) : null,
+                };
+            }
+            event.offers = this.findMicrodataProps($, scope, 'offers').map((_, item) => {
+                const offer = $(item);
+                return {
+                    name: prop(offer, 'name'),
+                    price: this.parsePrice(prop(offer, 'price') || prop(offer, 'lowPrice')),
+                    priceCurrency: prop(offer, 'priceCurrency'),
+                    availability: this.normalizeAvailability(prop(offer, 'availability')),
+                    url: prop(offer, 'url') ? this.makeAbsoluteUrl(prop(offer, 'url'), baseUrl) : null,
+                    validFrom: this.formatEventDate(prop(offer, 'validFrom')),
+                };
+            }).get();
+            events.push(event);
+        });
+        return events;
+    }
+
+    /**
+     * Reads "add to calendar" links: Google Calendar and Outlook templates
+     * and inline data: .ics files are parsed directly; linked .ics/webcal
+     * files are recorded as icsUrl for enrichEventsFromCalendar.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {object|null}
+     */
+    extractEventFromCalendarLinks($, baseUrl) {
+        const event = this.emptyEvent();
+        $('a[href]').each((_, el) => {
+            const href = ($(el).attr('href') || '').trim();
+            let parsed;
+            try {
+                parsed = new URL(href, baseUrl);
+            } catch {
+                return;
+            }
+            const params = parsed.searchParams;
+
+            if (/(^|\.)google\.com$/i.test(parsed.hostname) && /calendar/.test(parsed.pathname) && params.get('dates')) {
+                const [start, end] = params.get('dates').split('/');
+                const timeZone = params.get('ctz');
+                this.mergeEvent(event, {
+                    name: params.get('text'),
+                    description: params.get('details'),
+                    startDate: parseCalendarDate(start, timeZone),
+                    endDate: parseCalendarDate(end, timeZone),
+                    location: params.get('location') ? this.parsePlaceText(params.get('location')) : null,
+                });
+            } else if (/^outlook\.(live|office|office365)\.com$/i.test(parsed.hostname) && params.get('startdt')) {
+                this.mergeEvent(event, {
+                    name: params.get('subject'),
+                    description: params.get('body'),
+                    startDate: this.formatEventDate(params.get('startdt')),
+                    endDate: this.formatEventDate(params.get('enddt')),
+                    location: params.get('location') ? this.parsePlaceText(params.get('location')) : null,
+                });
+            } else if (/^data:text\/calendar/i.test(href)) {
+                const body = href.slice(href.indexOf(',') + 1);
+                let text;
+                try {
+                    text = /;base64,/i.test(href.slice(0, href.indexOf(',') + 1))
+                        ? Buffer.from(body, 'base64').toString('utf8')
+                        : decodeURIComponent(body);
+                } catch {
+                    return;
+                }
+                const [calendarEvent] = parseICalendar(text);
+                if (calendarEvent) {
+                    this.mergeEvent(event, this.eventFromCalendar(calendarEvent, baseUrl));
+                }
+            } else if (/^webcal:/i.test(href) || /\.ics$/i.test(parsed.pathname)) {
+                event.icsUrl = event.icsUrl || parsed.href.replace(/^webcal:/i, 'https:');
+            }
+        });
+        return event.name || event.startDate || event.icsUrl ? event : null;
+    }
+
+    // Maps a VEVENT from src/calendar.js onto the event fields
+    eventFromCalendar(calendarEvent, baseUrl) {
+        const onlineUrl = [calendarEvent.location, calendarEvent.url, calendarEvent.description]
+            .map(value => (value || '').match(/https?:\/\/\S+/))
+            .filter(Boolean)
+            .map(match => match[0])
+            .find(url => this.isOnlineEventUrl(url));
+        return {
+            name: calendarEvent.name,
+            description: calendarEvent.description,
+            url: calendarEvent.url && !this.isOnlineEventUrl(calendarEvent.url) ? this.makeAbsoluteUrl(calendarEvent.url, baseUrl) : null,
+            startDate: calendarEvent.startDate,
+            endDate: calendarEvent.endDate,
+            eventStatus: calendarEvent.status === 'CANCELLED' ? 'https://schema.org/EventCancelled' : null,
+            location: calendarEvent.location && !/^https?:\/\//i.test(calendarEvent.location) ? this.parsePlaceText(calendarEvent.location) : null,
+            virtualLocation: onlineUrl || null,
+            organizer: calendarEvent.organizer && calendarEvent.organizer.name
+                ? { type: 'Organization', name: calendarEvent.organizer.name, url: null }
+                : null,
+        };
+    }
+
+    /**
+     * Reads an event from microformats (h-event, hCalendar) and the class
+     * names event plugins commonly use. Requires a start date.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {object|null}
+     */
+    extractEventFromDom($, baseUrl) {
+        const scope = $('.h-event, .vevent, [class*="event-detail" i], [class*="single-event" i], [class*="event-single" i]').first();
+        const root = scope.length ? scope : $('body');
+        const find = selector => root.find(selector).filter((_, el) => $(el).closest('nav, footer, aside, [class*="related" i]').length === 0);
+        const textOf = el => el.text().replace(/\s+/g, ' ').trim() || null;
+        // Page-level time zone for local times, e.g. <div data-timezone="Europe/Berlin">
+        const timeZone = $('[data-timezone], [data-tz]').first().attr('data-timezone') || $('[data-tz]').first().attr('data-tz') || null;
+        const dateOf = (el) => {
+            if (!el.length) return null;
+            return this.formatEventDate(el.attr('datetime') || el.attr('content') || el.attr('title') || textOf(el), timeZone);
+        };
+
+        const startDate = dateOf(find('.dt-start, .dtstart, [class*="event-start" i][datetime], [class*="start-date" i], [class*="event" i] time[datetime]').first());
+        if (!startDate) {
+            return null;
+        }
+        const endElement = find('.dt-end, .dtend, [class*="event-end" i][datetime], [class*="end-date" i]').first();
+
+        const name = textOf(find('.p-name, .summary, [class*="event-title" i], [class*="event-name" i]').first()) || textOf($('h1').first());
+        const statusText = `${name || ''} ${textOf(find('[class*="status" i], [class*="badge" i]')) || ''}`;
+
+        const venue = find('.p-location, .location, [class*="venue" i], [class*="event-location" i], [class*="event" i] address').first();
+        let location = null;
+        if (venue.length) {
+            const block = venue.clone();
+            block.find('br').replaceWith('\n');
+            const venueName = textOf(venue.find('[class*="name" i], strong, h2, h3, h4').first());
+            const addressElement = block.find('address, [class*="address" i]').first();
+            const addressText = (addressElement.length ? addressElement : block).text();
+            location = {
+                name: venueName || null,
+                address: this.parseAddressText(addressText.replace(venueName || '', '')) || null,
+            };
+            if (!location.name && !location.address) {
+                location = this.parsePlaceText(block.text());
+            }
+        }
+
+        const onlineLink = find('a[href]').map((_, el) => $(el).attr('href')).get().find(href => this.isOnlineEventUrl(href));
+        const isOnline = Boolean(onlineLink) || /\b(online event|virtual event|live ?stream|webinar|online only)\b/i.test(`${statusText} ${textOf(venue) || ''}`);
+        if (isOnline && location && /^(online|virtual|zoom|webinar)\b/i.test(location.name || textOf(venue) || '')) {
+            location = null;
+        }
+
+        const people = selector => find(selector).map((_, el) => textOf($(el).find('.p-name, [class*="name" i]').first()) || textOf($(el))).get()
+            .filter(value => value && value.length < 80);
+        const performers = this.uniqueValues(people('.p-performer, [class*="performer" i] li, [class*="performer" i], [class*="artist-name" i], [class*="speaker-name" i], [class*="lineup" i] li'))
+            .map(performer => ({ type: 'Person', name: performer.replace(/^(performer|artist|speaker)s?:\s*/i, ''), url: null }))
+            .slice(0, 20);
+        const organizerElement = find('.p-organizer, .organizer, [class*="organizer" i], [class*="organiser" i]').first();
+        const organizerName = textOf(organizerElement.find('.p-name, [class*="name" i], a').first()) || textOf(organizerElement);
+        const organizerLink = organizerElement.find('a[href]').first().attr('href');
+
+        const offers = [];
+        find('a[href*="ticket" i], a[class*="ticket" i], [class*="ticket" i] a[href], a[href*="eventbrite."], a[href*="ticketmaster."], a[href*="tix."]').each((_, el) => {
+            const link = $(el);
+            const container = link.closest('[class*="ticket" i], [class*="price" i], li, p, div');
+            const priceText = textOf(container.find('[class*="price" i]').first()) || textOf(container) || '';
+            const free = /\bfree\b/i.test(priceText) && !/\d/.test(priceText);
+            offers.push({
+                name: null,
+                price: free ? 0 : (/\d/.test(priceText) ? this.parsePrice(priceText.match(/[^\d]{0,3}\d[\d.,\s]*/)[0]) : null),
+                priceCurrency: free ? null : this.detectCurrency(priceText),
+                availability: /sold[\s-]?out/i.test(priceText + link.text()) ? 'https://schema.org/SoldOut' : null,
+                url: this.makeAbsoluteUrl(link.attr('href'), baseUrl),
+                validFrom: null,
+            });
+            return false;
+        });
+
+        // Outside event markup, a date alone is not enough: many pages show dates
+        const organizer = organizerName && organizerName.length < 120
+            ? { type: 'Organization', name: organizerName.replace(/^(organi[sz]ed by|organi[sz]er|hosted by|host):?\s*/i, ''), url: organizerLink ? this.makeAbsoluteUrl(organizerLink, baseUrl) : null }
+            : null;
+        if (!scope.length && !location && !onlineLink && offers.length === 0 && !organizer) {
+            return null;
+        }
+
+        return {
+            name,
+            description: textOf(find('.p-summary, .p-description, .description, [class*="event-description" i]').first()),
+            url: scope.length && scope.find('.u-url').attr('href') ? this.makeAbsoluteUrl(scope.find('.u-url').attr('href'), baseUrl) : null,
+            startDate,
+            endDate: dateOf(endElement),
+            eventStatus: this.normalizeEventStatus(statusText, true),
+            eventAttendanceMode: isOnline && location ? 'https://schema.org/MixedEventAttendanceMode' : null,
+            location,
+            virtualLocation: onlineLink ? this.makeAbsoluteUrl(onlineLink, baseUrl) : (isOnline && !location ? baseUrl : null),
+            performers,
+            organizer,
+            offers: offers.filter(offer => offer.price !== null || offer.url),
+            icsUrl: null,
+        };
+    }
+
+    /**
+     * Fetches the .ics file linked from a single-event page and extracts the
+     * events again with it, so the file fills in what the page leaves out
+     * (or provides the whole event when the page has no event markup).
+     * @param {Array<object>} events The events from extractEvents.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance of the page.
+     * @param {string} baseUrl The original URL.
+     * @param {{nocache?: boolean, ignoreRobots?: boolean}} [options] Fetch options of the page request.
+     * @returns {Promise<Array<object>>} The enriched events.
+     */
+    async enrichEventsFromCalendar(events, $, baseUrl, options = {}) {
+        const links = events.length <= 1 ? this.extractEventFromCalendarLinks($, baseUrl) : null;
+        if (!links || !links.icsUrl) {
+            return events;
+        }
+        try {
+            await WebScraper.assertPublicUrl(links.icsUrl);
+            const { html } = await WebScraper.fetchStaticHtml(links.icsUrl, options);
+            const [calendarEvent] = parseICalendar(html);
+            if (!calendarEvent) {
+                return events;
+            }
+            return this.extractEvents($, baseUrl, this.eventFromCalendar(calendarEvent, baseUrl));
+        } catch (e) {
+            console.warn(`Could not read calendar file ${links.icsUrl}: ${e.message}`);
+            return events;
+        }
+    }
+
+    /**
+     * Converts an event date to ISO 8601, keeping the local time and UTC
+     * offset as written ("2024-06-01T20:00:00+02:00") rather than shifting to
+     * UTC. Local times without an offset get the offset of `timeZone`.
+     * @param {string} value
+     * @param {string|null} [timeZone] IANA time zone of local times.
+     * @returns {string|null}
+     */
+    formatEventDate(value, timeZone = null) {
+        if (!value) {
+            return null;
+        }
+        const text = String(value).trim();
+        const iso = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+        if (iso) {
+            const [, date, time, seconds = ':00', zone] = iso;
+            if (!time) {
+                return date;
+            }
+            const local = `${date}T${time}${seconds}`;
+            if (!zone) {
+                return withTimezone(local, timeZone);
+            }
+            return `${local}${zone.toUpperCase() === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`;
+        }
+        const date = new Date(text.replace(/\s+(at|@)\s+/i, ' '));
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        if (/\b(GMT|UTC|Z)\b|[+-]\d{2}:?\d{2}$/i.test(text)) {
+            return date.toISOString();
+        }
+        // Free-text dates are parsed as local time: read the wall clock back instead of converting to UTC
+        const pad = number => String(number).padStart(2, '0');
+        const local = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+        return withTimezone(local, timeZone);
+    }
+
+    /**
+     * @param {string} value A schema.org status or, with `fromText`, visible text such as "CANCELLED".
+     * @param {boolean} [fromText=false] Only recognize unambiguous words in free text.
+     * @returns {string|null}
+     */
+    normalizeEventStatus(value, fromText = false) {
+        const text = String(value || '').toLowerCase();
+        const statuses = [
+            { status: 'EventCancelled', pattern: /\bcancel+ed\b|eventcancel+ed/ },
+            { status: 'EventPostponed', pattern: /\bpostponed\b|eventpostponed/ },
+            { status: 'EventRescheduled', pattern: /\brescheduled\b|eventrescheduled/ },
+            { status: 'EventMovedOnline', pattern: /\bmoved online\b|eventmovedonline/ },
+            // Visible text never says "scheduled" for a normal event
+            ...(fromText ? [] : [{ status: 'EventScheduled', pattern: /scheduled/ }]),
+        ];
+        const match = statuses.find(({ pattern }) => pattern.test(text));
+        return match ? `https://schema.org/${match.status}` : null;
+    }
+
+    normalizeAttendanceMode(value) {
+        const text = String(value || '').toLowerCase();
+        const mode = ['Mixed', 'Online', 'Offline'].find(name => text.includes(name.toLowerCase()));
+        return mode ? `https://schema.org/${mode}EventAttendanceMode` : null;
+    }
+
+    // "Blue Note, 131 W 3rd St, New York, NY 10012" -> { name, address }
+    parsePlaceText(text) {
+        const clean = String(text || '').replace(/[ \t]+/g, ' ').trim();
+        if (!clean) {
+            return null;
+        }
+        const parts = clean.split(/,|\n/).map(part => part.trim()).filter(Boolean);
+        // A first part without digits is usually the venue name
+        if (parts.length > 2 && !/\d/.test(parts[0])) {
+            return { name: parts[0], address: this.parseAddressText(parts.slice(1).join(', ')) };
+        }
+        const address = this.parseAddressText(clean);
+        return address ? { name: null, address } : { name: clean, address: null };
+    }
+
+    isOnlineEventUrl(url) {
+        try {
+            return ONLINE_EVENT_HOSTS.test(new URL(url).hostname);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Extracts business/organization details (name, logo, address, geo,
+     * phones, emails, opening hours and social profiles) from JSON-LD,
+     * microdata, footer/contact markup, tel:/mailto: links and map embeds.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {object|null} The organization data, or null if nothing was found.
+     */
+    extractOrganization($, baseUrl) {
+        try {
+            const node = this.extractJsonLdNodes($).find(item =>
+                ORGANIZATION_TYPES.some(type => this.hasSchemaType(item, type)) || (item.address && item.name && !this.hasSchemaType(item, 'Person'))
+            ) || {};
+            const microdata = $('[itemtype$="schema.org/Organization"], [itemtype$="schema.org/LocalBusiness"], [itemtype$="schema.org/Corporation"]').first();
+            const prop = (name) => (microdata.length ? this.readMicrodataProp($, microdata, name) : null);
+
+            const organization = {
+                type: [].concat(node['@type'] || [])[0] || null,
+                name: node.name || prop('name') || $('meta[property="og:site_name"]').attr('content') || null,
+                url: this.makeAbsoluteUrl(node.url || '/', baseUrl),
+                logo: this.extractLogo($, node, baseUrl),
+                description: node.description || prop('description') || null,
+                address: this.extractPostalAddress($, node.address, microdata),
+                geo: this.extractGeo($, node.geo),
+                telephones: this.uniqueValues([
+                    ...[].concat(node.telephone || []),
+                    prop('telephone'),
+                    ...$('a[href^="tel:"]').map((_, el) => decodeURIComponent($(el).attr('href').slice(4)).trim()).get(),
+                ]),
+                emails: this.uniqueValues([
+                    ...[].concat(node.email || []).map(email => String(email).replace(/^mailto:/i, '')),
+                    prop('email'),
+                    ...$('a[href^="mailto:"]').map((_, el) => decodeURIComponent($(el).attr('href').slice(7).split('?')[0]).trim()).get(),
+                ]).map(email => email.toLowerCase()),
+                openingHours: this.extractOpeningHours($, node),
+                sameAs: this.extractSocialProfiles($, node),
+                contactUrl: this.findContactUrl($, baseUrl),
+            };
+
+            const hasDetails = organization.logo || organization.address || organization.geo
+                || organization.telephones.length || organization.emails.length || organization.sameAs.length;
+            if (!organization.name && !hasDetails) {
+                return null;
+            }
+            return organization;
+        } catch (e) {
+            console.error("Error in extractOrganization:", e);
+            return null;
+        }
+    }
+
+    /**
+     * Fills gaps in the organization data from the site's contact page,
+     * where addresses, phone numbers and maps usually live.
+     * The contact page is loaded the way the page itself was: static or in
+     * the browser, with the same cache and robots.txt options.
+     * @param {object} organization The organization data from the main page.
+     * @param {string} baseUrl The original URL.
+     * @param {{nocache?: boolean, ignoreRobots?: boolean, render?: 'static'|'browser'}} [options] Fetch options and render mode of the page request.
+     * @returns {Promise<object>} The enriched organization data.
+     */
+    async enrichOrganizationFromContactPage(organization, baseUrl, options = {}) {
+        if (!organization || !organization.contactUrl || organization.contactUrl === baseUrl) {
+            return organization;
+        }
+        const { render, ...fetchOptions } = options;
+        try {
+            const { html, finalUrl } = render === 'browser'
+                ? await WebScraper.renderWithBrowser(organization.contactUrl, 'organization', fetchOptions)
+                : await WebScraper.fetchStaticHtml(organization.contactUrl, fetchOptions);
+            const contact = this.extractOrganization(cheerio.load(html), finalUrl);
+            if (!contact) {
+                return organization;
+            }
+            return {
+                ...organization,
+                logo: organization.logo || contact.logo,
+                address: organization.address || contact.address,
+                geo: organization.geo || contact.geo,
+                telephones: this.uniqueValues([...organization.telephones, ...contact.telephones]),
+                emails: this.uniqueValues([...organization.emails, ...contact.emails]),
+                openingHours: organization.openingHours.length ? organization.openingHours : contact.openingHours,
+                sameAs: this.uniqueValues([...organization.sameAs, ...contact.sameAs]),
+            };
+        } catch (e) {
+            console.warn(`Could not read contact page ${organization.contactUrl}: ${e.message}`);
+            return organization;
+        }
+    }
+
+    extractLogo($, node, baseUrl) {
+        const jsonLdLogo = node.logo && (typeof node.logo === 'object' ? node.logo.url : node.logo);
+        const candidates = [
+            jsonLdLogo,
+            $('[itemprop="logo"]').first().attr('content') || $('[itemprop="logo"]').first().attr('src'),
+            $('header img[class*="logo" i], .logo img, .site-logo img, .custom-logo, #logo img, a[class*="logo" i] img').first().attr('src'),
+            $('header img[alt*="logo" i], footer img[alt*="logo" i]').first().attr('src'),
+            $('link[rel="apple-touch-icon"]').attr('href'),
+        ];
+        const logo = candidates.find(candidate => candidate && !candidate.startsWith('data:'));
+        return logo ? this.makeAbsoluteUrl(logo, baseUrl) : null;
+    }
+
+    extractPostalAddress($, jsonLdAddress, microdata) {
+        const address = [].concat(jsonLdAddress || [])[0];
+        if (address && typeof address === 'object') {
+            return {
+                streetAddress: address.streetAddress || null,
+                addressLocality: address.addressLocality || null,
+                addressRegion: address.addressRegion || null,
+                postalCode: address.postalCode || null,
+                addressCountry: (address.addressCountry && address.addressCountry.name) || address.addressCountry || null,
+            };
+        }
+
+        const postal = microdata.length
+            ? this.findMicrodataProp($, microdata, 'address')
+            : $('[itemtype$="schema.org/PostalAddress"]').first();
+        if (postal.length && postal.is('[itemscope]')) {
+            const prop = (name) => this.readMicrodataProp($, postal, name);
+            return {
+                streetAddress: prop('streetAddress'),
+                addressLocality: prop('addressLocality'),
+                addressRegion: prop('addressRegion'),
+                postalCode: prop('postalCode'),
+                addressCountry: prop('addressCountry'),
+            };
+        }
+
+        if (typeof address === 'string') {
+            return this.parseAddressText(address);
+        }
+
+        // Fall back to a free-text <address> block, preferring the footer
+        const block = $('footer address, address, footer [class*="address" i], [class*="contact" i] [class*="address" i]').first().clone();
+        block.find('br').replaceWith('\n');
+        return this.parseAddressText(block.text());
+    }
+
+    parseAddressText(text) {
+        const lines = (text || '')
+            .split(/,|\n/)
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(line => line && !/@|^(tel|phone|email|fax)\b/i.test(line) && !/^\+?[\d\s().-]{7,}$/.test(line));
+        if (lines.length < 2) {
+            return null;
+        }
+        // US ZIP, UK postcode, Indian PIN and most 4-5 digit European codes
+        const postalPattern = /\b(\d{5}(?:-\d{4})?|\d{6}|\d{4}|[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2})\b/i;
+        const postalLine = lines.findIndex((line, index) => index > 0 && postalPattern.test(line));
+        const postalCode = postalLine >= 0 ? lines[postalLine].match(postalPattern)[1] : null;
+        const locality = postalLine >= 0
+            ? lines[postalLine].replace(postalPattern, '').replace(/\s+/g, ' ').trim() || lines[postalLine - 1]
+            : lines[1];
+        const country = lines.length > 2 && postalLine !== lines.length - 1 ? lines[lines.length - 1] : null;
+        return {
+            streetAddress: lines[0],
+            addressLocality: locality && locality !== lines[0] ? locality : null,
+            addressRegion: null,
+            postalCode,
+            addressCountry: country && !/\d/.test(country) ? country : null,
+        };
+    }
+
+    extractGeo($, jsonLdGeo) {
+        const toGeo = (latitude, longitude) => {
+            const lat = parseFloat(latitude);
+            const lng = parseFloat(longitude);
+            if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                return null;
+            }
+            return { latitude: lat, longitude: lng };
+        };
+
+        if (jsonLdGeo && typeof jsonLdGeo === 'object') {
+            const geo = toGeo(jsonLdGeo.latitude, jsonLdGeo.longitude);
+            if (geo) return geo;
+        }
+
+        const position = $('meta[name="geo.position"]').attr('content') || $('meta[name="ICBM"]').attr('content');
+        if (position) {
+            const [lat, lng] = position.split(/[;,]/);
+            const geo = toGeo(lat, lng);
+            if (geo) return geo;
+        }
+
+        const ogGeo = toGeo(
+            $('meta[property="place:location:latitude"]').attr('content'),
+            $('meta[property="place:location:longitude"]').attr('content')
+        );
+        if (ogGeo) return ogGeo;
+
+        // Google Maps and OpenStreetMap embeds/links carry coordinates in the URL
+        const mapPatterns = [
+            /!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/,
+            /@(-?\d+\.\d+),(-?\d+\.\d+)/,
+            /[?&](?:q|ll|center|query|daddr)=(-?\d+\.\d+)(?:,|%2C)\s*(-?\d+\.\d+)/i,
+            /[?&]mlat=(-?\d+\.\d+)&mlon=(-?\d+\.\d+)/,
+            /[?&]marker=(-?\d+\.\d+)(?:,|%2C)(-?\d+\.\d+)/i,
+        ];
+        let mapGeo = null;
+        $('iframe[src*="google.com/maps"], iframe[src*="maps.google"], iframe[src*="openstreetmap.org"], a[href*="google.com/maps"], a[href*="maps.google"], a[href*="goo.gl/maps"], a[href*="openstreetmap.org"]').each((_, el) => {
+            const src = $(el).attr('src') || $(el).attr('href') || '';
+            for (const pattern of mapPatterns) {
+                const match = src.match(pattern);
+                if (match) {
+                    mapGeo = toGeo(match[1], match[2]);
+                    if (mapGeo) return false; // Exit the loop
+                }
+            }
+        });
+        return mapGeo;
+    }
+
+    /**
+     * Extracts opening hours as schema.org openingHours strings ("Mo-Fr 09:00-17:00").
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {object} node The JSON-LD organization node, if any.
+     * @returns {Array<string>}
+     */
+    extractOpeningHours($, node) {
+        if (node.openingHours) {
+            return [].concat(node.openingHours);
+        }
+        if (node.openingHoursSpecification) {
+            return [].concat(node.openingHoursSpecification).map(spec => {
+                const days = [].concat(spec.dayOfWeek || []).map(day => String(day).replace(/^https?:\/\/schema\.org\//, '').slice(0, 2));
+                return `${days.join(',')} ${spec.opens}-${spec.closes}`.trim();
+            }).filter(hours => !hours.includes('undefined'));
+        }
+
+        const microdata = $('[itemprop="openingHours"]').map((_, el) => $(el).attr('content') || $(el).attr('datetime') || $(el).text().trim()).get();
+        if (microdata.length > 0) {
+            return microdata.filter(Boolean);
+        }
+
+        const hours = [];
+        $('[class*="opening-hours" i], [class*="business-hours" i], [class*="opening_hours" i], [id*="hours" i], [class*="hours" i]').first()
+            .find('li, tr, p, dt, div').each((_, el) => {
+                const parsed = this.parseOpeningHoursLine($(el).text());
+                if (parsed && !hours.includes(parsed)) {
+                    hours.push(parsed);
+                }
+            });
+        return hours;
+    }
+
+    parseOpeningHoursLine(line) {
+        const days = { mon: 'Mo', tue: 'Tu', wed: 'We', thu: 'Th', fri: 'Fr', sat: 'Sa', sun: 'Su' };
+        const text = line.replace(/\s+/g, ' ').trim().toLowerCase();
+        const dayMatch = text.match(/\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?(?:\s*(?:-|–|to)\s*(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?)?/);
+        const timeMatch = text.match(/(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/);
+        if (!dayMatch || !timeMatch) {
+            return null;
+        }
+        const toTime = (hour, minute, meridiem) => {
+            let h = parseInt(hour, 10) % 24;
+            if (meridiem === 'pm' && h < 12) h += 12;
+            if (meridiem === 'am' && h === 12) h = 0;
+            return `${String(h).padStart(2, '0')}:${minute || '00'}`;
+        };
+        const dayRange = dayMatch[2] ? `${days[dayMatch[1]]}-${days[dayMatch[2]]}` : days[dayMatch[1]];
+        return `${dayRange} ${toTime(timeMatch[1], timeMatch[2], timeMatch[3])}-${toTime(timeMatch[4], timeMatch[5], timeMatch[6])}`;
+    }
+
+    extractSocialProfiles($, node) {
+        const profiles = [...[].concat(node.sameAs || [])];
+        // Share/intent links point at the current page, not the business profile
+        const sharePattern = /sharer|share\?|\/share\b|intent\/|shareArticle|pin\/create|\/dialog\//i;
+        $('footer a[href], header a[href], [class*="social" i] a[href], a[href]').each((_, el) => {
+            const href = $(el).attr('href');
+            if (!href || sharePattern.test(href)) {
+                return;
+            }
+            try {
+                const host = new URL(href).hostname.replace(/^www\./, '');
+                if (SOCIAL_HOSTS.some(social => host === social || host.endsWith(`.${social}`))) {
+                    profiles.push(href.replace(/\/$/, ''));
+                }
+            } catch {
+                // Relative links can't be social profiles
+            }
+        });
+        return this.uniqueValues(profiles);
+    }
+
+    findContactUrl($, baseUrl) {
+        const link = $('a[href]').filter((_, el) => {
+            const href = $(el).attr('href');
+            const text = $(el).text().trim().toLowerCase();
+            return /contact/i.test(href) || /^(contact( us)?|get in touch|kontakt|contacto|contatti)$/.test(text);
+        }).first();
+        if (!link.length) {
+            return null;
+        }
+        const contactUrl = this.makeAbsoluteUrl(link.attr('href'), baseUrl);
+        try {
+            return new URL(contactUrl).origin === new URL(baseUrl).origin ? contactUrl : null;
+        } catch {
+            return null;
+        }
+    }
+
+    uniqueValues(values) {
+        const seen = new Set();
+        return values
+            .filter(Boolean)
+            .map(value => String(value).trim())
+            .filter(value => {
+                const key = value.toLowerCase().replace(/[\s().-]/g, '');
+                if (!value || seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Collects every JSON-LD node on the page, flattening top-level arrays
+     * and @graph containers.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @returns {Array<object>}
+     */
+    extractJsonLdNodes($) {
+        const nodes = [];
+        for (const block of this.extractJsonLdBlocks($)) {
+            for (const item of [].concat(block)) {
+                if (item && typeof item === 'object') {
+                    nodes.push(item, ...[].concat(item['@graph'] || []));
+                }
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * Returns every parseable JSON-LD script on the page as-is, in document order.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @returns {Array<object|Array<object>>}
+     */
+    extractJsonLdBlocks($) {
+        const blocks = [];
+        $('script[type="application/ld+json"]').each((_, element) => {
+            try {
+                const data = JSON.parse($(element).html() || '');
+                if (data && typeof data === 'object') {
+                    blocks.push(data);
+                }
+            } catch (e) {
+                // Ignore JSON parsing errors
+            }
+        });
+        return blocks;
+    }
+
+    hasSchemaType(node, type) {
+        return [].concat(node['@type'] || []).some(t => String(t).replace(/^https?:\/\/schema\.org\//, '') === type);
+    }
+
+    /**
+     * Collects every structured-data item declared on the page: all JSON-LD
+     * nodes (including arrays and @graph members), top-level microdata items
+     * and top-level RDFa nodes, each converted to a JSON-LD-like object.
+     * @param {cheerio.CheerioAPI} $ Cheerio instance.
+     * @param {string} baseUrl The original URL.
+     * @returns {{jsonLd: Array<object>, microdata: Array<object>, rdfa: Array<object>}}
+     */
+    extractStructuredData($, baseUrl) {
+        const jsonLd = [];
+        for (const block of this.extractJsonLdBlocks($)) {
+            for (const item of [].concat(block)) {
+                if (!item || typeof item !== 'object') {
+                    continue;
+                }
+                if (Array.isArray(item['@graph'])) {
+                    jsonLd.push(...item['@graph'].filter(node => node && typeof node === 'object'));
+                } else {
+                    jsonLd.push(item);
+                }
+            }
+        }
+
+        const microdata = $('[itemscope]').not('[itemprop]').map((_, el) => this.readMicrodataItem($, $(el), baseUrl)).get();
+        const rdfa = $('[typeof]').not('[property]').map((_, el) => this.readRdfaNode($, $(el), baseUrl)).get();
+
+        return { jsonLd, microdata, rdfa };
+    }
+
+    readMicrodataItem($, scope, baseUrl) {
+        const item = {};
+        const type = scope.attr('itemtype');
+        if (type) {
+            item['@type'] = type.split(/\s+/).map(t => t.replace(/^https?:\/\/schema\.org\//, ''));
+            if (item['@type'].length === 1) item['@type'] = item['@type'][0];
+        }
+        if (scope.attr('itemid')) {
+            item['@id'] = scope.attr('itemid');
+        }
+        scope.find('[itemprop]').each((_, el) => {
+            const $el = $(el);
+            if ($el.parent().closest('[itemscope]')[0] !== scope[0]) {
+                return;
+            }
+            const value = $el.is('[itemscope]')
+                ? this.readMicrodataItem($, $el, baseUrl)
+                : this.readStructuredValue($el, baseUrl);
+            for (const name of $el.attr('itemprop').split(/\s+/)) {
+                item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+            }
+        });
+        return item;
+    }
+
+    readRdfaNode($, scope, baseUrl) {
+        const node = {};
+        const type = scope.attr('typeof');
+        if (type) {
+            node['@type'] = type.split(/\s+/).map(t => t.replace(/^(schema:|https?:\/\/schema\.org\/)/, ''));
+            if (node['@type'].length === 1) node['@type'] = node['@type'][0];
+        }
+        if (scope.attr('resource') || scope.attr('about')) {
+            node['@id'] = this.makeAbsoluteUrl(scope.attr('resource') || scope.attr('about'), baseUrl);
+        }
+        scope.find('[property]').each((_, el) => {
+            const $el = $(el);
+            if ($el.parent().closest('[typeof]')[0] !== scope[0]) {
+                return;
+            }
+            const value = $el.is('[typeof]')
+                ? this.readRdfaNode($, $el, baseUrl)
+                : this.readStructuredValue($el, baseUrl);
+            // Skip Open Graph and other non-schema.org vocabularies
+            for (const name of $el.attr('property').split(/\s+/).filter(p => !/^(og|fb|article|twitter|product):/.test(p))) {
+                const key = name.replace(/^(schema:|https?:\/\/schema\.org\/)/, '');
+                node[key] = node[key] === undefined ? value : [].concat(node[key], value);
+            }
+        });
+        return node;
+    }
+
+    readStructuredValue($el, baseUrl) {
+        if ($el.attr('content') !== undefined) return $el.attr('content');
+        if ($el.is('time') && $el.attr('datetime')) return $el.attr('datetime');
+        if ($el.is('a, link, area') && $el.attr('href')) return this.makeAbsoluteUrl($el.attr('href'), baseUrl);
+        if ($el.is('img, audio, video, source, iframe, embed') && $el.attr('src')) return this.makeAbsoluteUrl($el.attr('src'), baseUrl);
+        if ($el.is('meta')) return $el.attr('content') || '';
+        return $el.text().replace(/\s+/g, ' ').trim();
+    }
+
+    makeAbsoluteUrl(url, baseUrl) {
+        try {
+            return new URL(url, baseUrl).href;
+        } catch {
+            return url;
+        }
+    }
+
+    formatDate(dateStr) {
+        if (!dateStr) {
+            return null;
+        }
         try {
             const date = new Date(dateStr);
             if (isNaN(date.getTime())) {
@@ -581,4 +3506,4 @@ class WebScraper {
     }
 }
 
-module.exports = { WebScraper };
+module.exports = { WebScraper, RENDER_MODES, ARTICLE_TYPES };
@@ -0,0 +1,170 @@
+// test/browserPool.test.js
+// Puppeteer is replaced by fake browsers, so no Chromium is needed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const { BrowserPool } = require('../src/browserPool');
+
+class FakePage extends EventEmitter {
+    constructor() {
+        super();
+        this.closed = false;
+        this.frame = {};
+    }
+
+    async setRequestInterception() {}
+
+    mainFrame() {
+        return this.frame;
+    }
+
+    async close() {
+        this.closed = true;
+    }
+}
+
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.pages = [];
+        this.connected = true;
+    }
+
+    async newPage() {
+        const page = new FakePage();
+        this.pages.push(page);
+        return page;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async close() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+// Makes puppeteer.launch hand out fake browsers, returned in launch order
+function fakeLaunch(t) {
+    const browsers = [];
+    t.mock.method(puppeteer, 'launch', async () => {
+        const browser = new FakeBrowser();
+        browsers.push(browser);
+        return browser;
+    });
+    return browsers;
+}
+
+// A request as Puppeteer's interception hands it to the page
+function fakeRequest(page, url, { resourceType = 'document', navigation = false } = {}) {
+    const request = {
+        outcome: null,
+        url: () => url,
+        resourceType: () => resourceType,
+        isNavigationRequest: () => navigation,
+        frame: () => page.mainFrame(),
+        isInterceptResolutionHandled: () => false,
+        method: () => 'GET',
+        headers: () => ({}),
+        postData: () => undefined,
+        abort: async (reason) => { request.outcome = `abort:${reason}`; },
+        continue: async () => { request.outcome = 'continue'; },
+        respond: async (response) => { request.outcome = response; },
+    };
+    page.emit('request', request);
+    return request;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most maxPages pages at once and always closes them', async (t) => {
+    const browsers = fakeLaunch(t);
+    const pool = new BrowserPool({ maxPages: 1, idleTimeout: 0, blockResources: false });
+    let releaseFirst;
+    const first = pool.withPage(() => new Promise((resolve) => { releaseFirst = resolve; }));
+    const second = pool.withPage(async () => { throw new Error('page failed'); });
+    await tick();
+    assert.deepEqual(pool.getStats(), { activePages: 1, waiting: 1, maxPages: 1, browserRunning: true });
+
+    releaseFirst('done');
+    assert.equal(await first, 'done');
+    await assert.rejects(second, /page failed/);
+    assert.equal(browsers.length, 1);
+    assert.ok(browsers[0].pages.every(page => page.closed));
+    assert.equal(pool.getStats().activePages, 0);
+});
+
+test('relaunches the browser and retries once after a crash', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const browsers = fakeLaunch(t);
+    const pool = new BrowserPool({ idleTimeout: 0, blockResources: false });
+    let calls = 0;
+    const result = await pool.withPage(async () => {
+        if (++calls === 1) {
+            throw new Error('Protocol error: Target closed');
+        }
+        return 'rendered';
+    });
+    assert.equal(result, 'rendered');
+    assert.equal(browsers.length, 2);
+    assert.equal(browsers[0].isConnected(), false);
+    assert.equal(pool.browser, browsers[1]);
+
+    let attempts = 0;
+    await assert.rejects(pool.withPage(async () => {
+        attempts++;
+        throw new Error('Target closed');
+    }), /Target closed/);
+    assert.equal(attempts, 2, 'the retry is not retried again');
+    assert.equal(browsers.length, 3);
+});
+
+test('blocks heavy resources and trackers and reports refused navigations', async (t) => {
+    fakeLaunch(t);
+    const refused = Object.assign(new Error('Private address'), { code: 'BLOCKED_URL' });
+    const pool = new BrowserPool({
+        idleTimeout: 0,
+        requestGuard: async (url) => {
+            if (url.startsWith('http://10.')) {
+                throw refused;
+            }
+        },
+    });
+    const requests = [];
+    await assert.rejects(pool.withPage(async (page) => {
+        requests.push(fakeRequest(page, 'https://example.com/hero.jpg', { resourceType: 'image' }));
+        requests.push(fakeRequest(page, 'https://www.google-analytics.com/collect'));
+        requests.push(fakeRequest(page, 'https://example.com/app.js', { resourceType: 'script' }));
+        requests.push(fakeRequest(page, 'http://10.0.0.1/', { navigation: true }));
+        await tick();
+        throw new Error('net::ERR_BLOCKED_BY_CLIENT');
+    }), error => error === refused);
+    assert.deepEqual(requests.map(request => request.outcome), ['abort:blockedbyclient', 'abort:blockedbyclient', 'continue', 'abort:blockedbyclient']);
+});
+
+test('answers requests with the requestFetcher, without hop-by-hop headers', async (t) => {
+    fakeLaunch(t);
+    const pool = new BrowserPool({
+        idleTimeout: 0,
+        requestFetcher: async () => ({ status: 200, headers: { 'content-type': 'text/html', 'content-encoding': 'gzip' }, body: Buffer.from('<p>hi</p>') }),
+    });
+    const request = await pool.withPage(async (page) => {
+        const pending = fakeRequest(page, 'https://example.com/');
+        await tick();
+        return pending;
+    });
+    assert.deepEqual(request.outcome, { status: 200, headers: { 'content-type': 'text/html' }, body: Buffer.from('<p>hi</p>') });
+});
+
+test('closes the browser once it has been idle', async (t) => {
+    const browsers = fakeLaunch(t);
+    const pool = new BrowserPool({ idleTimeout: 20, blockResources: false });
+    await pool.withPage(async () => {});
+    assert.equal(pool.getStats().browserRunning, true);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(browsers[0].isConnected(), false);
+    assert.equal(pool.getStats().browserRunning, false);
+});
@@ -0,0 +1,96 @@
+// test/cache.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScrapeCache, MemoryStore, DiskStore } = require('../src/cache');
+
+test('normalizes URLs so equivalent URLs share an entry', () => {
+    const cache = new ScrapeCache();
+    assert.equal(
+        cache.normalizeUrl('https://Example.COM/post?b=2&utm_source=x&a=1&fbclid=y#comments'),
+        'https://example.com/post?a=1&b=2'
+    );
+    assert.equal(cache.normalizeUrl('https://example.com/?utm_medium=mail'), 'https://example.com/');
+    assert.equal(cache.normalizeUrl('not a url'), 'not a url');
+    assert.equal(cache.key('html', 'https://example.com/#x', 'static'), 'html:static:https://example.com/');
+});
+
+test('serves MISS, then HIT, and BYPASS with nocache', async () => {
+    const cache = new ScrapeCache();
+    let loads = 0;
+    const load = async () => ({ value: `body ${++loads}` });
+
+    assert.deepEqual(await cache.fetch('k', load), { value: 'body 1', cacheStatus: 'MISS' });
+    assert.deepEqual(await cache.fetch('k', load), { value: 'body 1', cacheStatus: 'HIT' });
+    assert.deepEqual(await cache.fetch('k', load, { nocache: true }), { value: 'body 2', cacheStatus: 'BYPASS' });
+    assert.deepEqual(await cache.fetch('k', load), { value: 'body 2', cacheStatus: 'HIT' }, 'a bypass still stores the result');
+});
+
+test('revalidates stale entries with conditional headers', async () => {
+    const cache = new ScrapeCache({ ttl: 0 });
+    await cache.fetch('k', async () => ({ value: 'old', etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }));
+
+    let sent = null;
+    const result = await cache.fetch('k', async (headers) => {
+        sent = headers;
+        return { notModified: true };
+    });
+    assert.deepEqual(sent, { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+    assert.deepEqual(result, { value: 'old', cacheStatus: 'REVALIDATED' });
+    assert.equal((await cache.get('k')).etag, '"v1"', 'validators survive revalidation');
+
+    const changed = await cache.fetch('k', async () => ({ value: 'new', etag: '"v2"' }));
+    assert.deepEqual(changed, { value: 'new', cacheStatus: 'MISS' });
+});
+
+test('MemoryStore evicts the least recently used entry', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    await store.get('a');
+    await store.set('c', { value: 3 });
+    assert.deepEqual(await store.get('a'), { value: 1 });
+    assert.equal(await store.get('b'), null);
+    assert.deepEqual(await store.get('c'), { value: 3 });
+});
+
+test('DiskStore keeps entries as JSON files', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scrap-tool-cache-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const cache = new ScrapeCache({ store: new DiskStore({ directory }) });
+
+    await cache.set('html:static:https://example.com/', '<html></html>', { etag: '"e"' });
+    const entry = await new DiskStore({ directory }).get('html:static:https://example.com/');
+    assert.equal(entry.value, '<html></html>');
+    assert.equal(entry.etag, '"e"');
+    assert.deepEqual(fs.readdirSync(directory).filter(file => file.endsWith('.tmp')), []);
+
+    await cache.store.delete('html:static:https://example.com/');
+    assert.equal(await cache.get('html:static:https://example.com/'), null);
+    await cache.store.clear();
+    assert.equal(fs.existsSync(directory), false);
+});
+
+test('DiskStore survives concurrent writes of the same key', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scrap-tool-cache-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const store = new DiskStore({ directory });
+
+    const values = Array.from({ length: 20 }, (_, index) => `body ${index}`);
+    await Promise.all(values.map(value => store.set('k', { value, body: 'x'.repeat(100000) })));
+    assert.ok(values.includes((await store.get('k')).value));
+    assert.deepEqual(fs.readdirSync(directory).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('store failures degrade to a miss instead of failing the request', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const broken = {
+        get: async () => { throw new Error('disk gone'); },
+        set: async () => { throw new Error('disk gone'); },
+    };
+    const cache = new ScrapeCache({ store: broken });
+    assert.deepEqual(await cache.fetch('k', async () => ({ value: 'fresh' })), { value: 'fresh', cacheStatus: 'MISS' });
+    assert.equal(console.warn.mock.callCount(), 2);
+});
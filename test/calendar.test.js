@@ -0,0 +1,64 @@
+// test/calendar.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseICalendar, parseCalendarDate, withTimezone, timezoneOffset } = require('../src/calendar');
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-TIMEZONE:America/New_York',
+    'BEGIN:VEVENT',
+    'SUMMARY:Jazz Night\\, live',
+    'DESCRIPTION:Doors open at 7.\\nBring friends; ',
+    ' it is free.',
+    'DTSTART;TZID=Europe/Berlin:20240701T200000',
+    'DTEND;TZID=Europe/Berlin:20240701T230000',
+    'LOCATION:Club "Blue":Main Street 1',
+    'URL:https://example.com/jazz',
+    'STATUS:confirmed',
+    'ORGANIZER;CN="Blue: Events":mailto:info@example.com',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Market',
+    'DTSTART:20240105T090000',
+    'DTEND;VALUE=DATE:20240106',
+    'END:VEVENT',
+    'END:VCALENDAR',
+].join('\r\n');
+
+test('reads every VEVENT with unfolded, unescaped values', () => {
+    const [concert, market] = parseICalendar(ICS);
+    assert.deepEqual(concert, {
+        name: 'Jazz Night, live',
+        description: 'Doors open at 7.\nBring friends; it is free.',
+        startDate: '2024-07-01T20:00:00+02:00',
+        endDate: '2024-07-01T23:00:00+02:00',
+        location: 'Club "Blue":Main Street 1',
+        url: 'https://example.com/jazz',
+        status: 'CONFIRMED',
+        timeZone: 'Europe/Berlin',
+        organizer: { name: 'Blue: Events', email: 'info@example.com' },
+    });
+    assert.equal(market.startDate, '2024-01-05T09:00:00-05:00', 'X-WR-TIMEZONE applies to times without TZID');
+    assert.equal(market.endDate, '2024-01-06');
+    assert.equal(market.timeZone, null);
+    assert.deepEqual(parseICalendar('not a calendar'), []);
+    assert.deepEqual(parseICalendar(null), []);
+});
+
+test('converts DATE and DATE-TIME values to ISO 8601', () => {
+    assert.equal(parseCalendarDate('20240501'), '2024-05-01');
+    assert.equal(parseCalendarDate('20240501T1900Z'), '2024-05-01T19:00:00Z');
+    assert.equal(parseCalendarDate('20240501T190000'), '2024-05-01T19:00:00', 'floating times keep no offset');
+    assert.equal(parseCalendarDate('20240501T190000', 'Asia/Kolkata'), '2024-05-01T19:00:00+05:30');
+    assert.equal(parseCalendarDate('May 1st'), null);
+});
+
+test('picks the offset in force at the local time, across DST changes', () => {
+    assert.equal(withTimezone('2024-01-15T12:00:00', 'Europe/Berlin'), '2024-01-15T12:00:00+01:00');
+    assert.equal(withTimezone('2024-03-31T03:30:00', 'Europe/Berlin'), '2024-03-31T03:30:00+02:00');
+    assert.equal(withTimezone('2024-11-03T12:00:00', 'America/New_York'), '2024-11-03T12:00:00-05:00');
+    assert.equal(withTimezone('2024-01-15T12:00:00', 'Mars/Olympus'), '2024-01-15T12:00:00');
+    assert.equal(withTimezone('2024-01-15', 'Europe/Berlin'), '2024-01-15');
+    assert.equal(timezoneOffset(new Date('2024-06-01T00:00:00Z'), 'UTC'), '+00:00');
+});
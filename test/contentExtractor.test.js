@@ -0,0 +1,79 @@
+// test/contentExtractor.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { ContentExtractor } = require('../src/contentExtractor');
+
+const extractor = new ContentExtractor();
+
+const SENTENCE = 'The river flooded the old town after three days of heavy rain, and the bridges were closed.';
+
+const PAGE = `<html><body>
+  <header class="site-header"><nav><a href="/">Home</a><a href="/news">News</a></nav></header>
+  <div class="cookie-banner">We use cookies to improve your experience on this website, please accept them all.</div>
+  <div id="main">
+    <div class="post-content">
+      <h2>What happened</h2>
+      <p>${SENTENCE}</p>
+      <figure><img src="/img/flood.jpg" width="1200" height="800" alt="Flooded street"><figcaption>Main Street on Monday</figcaption></figure>
+      <p>${SENTENCE} ${SENTENCE}</p>
+      <p>Related: <a href="/a">Storm</a> <a href="/b">Rain</a> <a href="/c">Bridges</a></p>
+      <img src="/img/icon-share.png" width="16" height="16">
+      <img data-src="/img/lazy.jpg" src="/img/placeholder.gif">
+      <h3>What comes next</h3>
+      <p>${SENTENCE}</p>
+    </div>
+    <aside class="sidebar"><p>${SENTENCE} Subscribe to the newsletter for more stories like this one.</p></aside>
+  </div>
+  <div class="comments"><p>${SENTENCE} I was there too and it was terrible for everyone.</p></div>
+  <footer><p>Copyright 2024 Example News. All rights reserved in every country of the world.</p></footer>
+</body></html>`;
+
+test('extracts the article text without boilerplate or link lists', () => {
+    const content = extractor.extract(cheerio.load(PAGE), 'https://example.com/news/flood');
+    assert.equal(content.text, [
+        'What happened',
+        SENTENCE,
+        'Main Street on Monday',
+        `${SENTENCE} ${SENTENCE}`,
+        'What comes next',
+        SENTENCE,
+    ].join('\n\n'));
+    assert.equal(content.wordCount, extractor.countWords(content.text));
+    assert.equal(content.readingTime, 1);
+    assert.equal(content.timeRequired, 'PT1M');
+    assert.deepEqual(content.headings, [{ level: 2, text: 'What happened' }, { level: 3, text: 'What comes next' }]);
+});
+
+test('ranks content images by size and skips icons', () => {
+    const { images, image } = extractor.extract(cheerio.load(PAGE), 'https://example.com/news/flood');
+    assert.deepEqual(images, [
+        { url: 'https://example.com/img/flood.jpg', width: 1200, height: 800, alt: 'Flooded street', caption: 'Main Street on Monday' },
+        { url: 'https://example.com/img/lazy.jpg' },
+    ]);
+    assert.equal(image, images[0]);
+});
+
+test('leaves the page untouched and reports short pages as having no body', () => {
+    const $ = cheerio.load(PAGE);
+    extractor.extract($, 'https://example.com/news/flood');
+    assert.equal($('.cookie-banner').length, 1);
+
+    assert.deepEqual(extractor.extract(cheerio.load('<p>Too short.</p>'), 'https://example.com/'), {
+        text: null, wordCount: 0, readingTime: 0, timeRequired: null, headings: [], images: [], image: null,
+    });
+});
+
+test('extractSelected reads a named container and drops excluded parts', () => {
+    const content = new ContentExtractor({ minTextLength: 10 })
+        .extractSelected(cheerio.load(PAGE), '.post-content', 'https://example.com/news/flood', ['figure', 'h2', 'h3']);
+    assert.equal(content.text, [SENTENCE, `${SENTENCE} ${SENTENCE}`, SENTENCE].join('\n\n'));
+    assert.deepEqual(content.headings, []);
+    assert.equal(new ContentExtractor().extractSelected(cheerio.load(PAGE), '.missing', 'https://example.com/').text, null);
+});
+
+test('counts CJK characters as words and picks the widest srcset image', () => {
+    assert.equal(extractor.countWords('我们的 news, it’s here'), 6);
+    const $ = cheerio.load('<img srcset="/s.jpg 480w, /l.jpg 1200w, /m.jpg 800w" src="/fallback.jpg">');
+    assert.equal(extractor.imageSource($('img')), '/l.jpg');
+});
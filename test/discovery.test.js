@@ -0,0 +1,134 @@
+// test/discovery.test.js
+// Discovery runs against a local site; ALLOW_PRIVATE_NETWORKS lets the fetcher reach it.
+process.env.ALLOW_PRIVATE_NETWORKS = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { SiteDiscovery } = require('../src/discovery');
+const { Politeness } = require('../src/politeness');
+
+// Serves robots.txt, sitemaps and pages from a path -> body map; pass a
+// function to build the map from the server's origin
+function serve(routes) {
+    return new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+            const body = routes[req.url];
+            if (body === undefined) {
+                res.statusCode = 404;
+                res.end();
+                return;
+            }
+            res.end(body);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            server.origin = `http://127.0.0.1:${server.address().port}`;
+            if (typeof routes === 'function') {
+                routes = routes(server.origin);
+            }
+            resolve(server);
+        });
+    });
+}
+
+function discovery() {
+    return new SiteDiscovery({ politeness: new Politeness({ minDelay: 0 }) });
+}
+
+test('reads sitemap indexes and gzipped sitemaps listed in robots.txt', async (t) => {
+    const server = await serve(origin => ({
+        '/robots.txt': `User-agent: *\nDisallow:\nSitemap: ${origin}/index.xml\n`,
+        '/index.xml': `<sitemapindex><sitemap><loc>${origin}/posts.xml.gz</loc></sitemap></sitemapindex>`,
+        '/posts.xml.gz': zlib.gzipSync(`<urlset><url><loc>${origin}/a#top</loc></url><url><loc>${origin}/b</loc></url></urlset>`),
+    }));
+    t.after(() => server.close());
+    const { origin } = server;
+
+    const result = await discovery().discover(origin);
+    assert.deepEqual(result.urls, [`${origin}/a`, `${origin}/b`]);
+    assert.deepEqual(result.sitemaps, [`${origin}/index.xml`, `${origin}/posts.xml.gz`]);
+    assert.deepEqual(result.errors, []);
+});
+
+test('skips malformed <loc> entries instead of failing', async (t) => {
+    const server = await serve({
+        '/robots.txt': '',
+        '/sitemap.xml': '<urlset><url><loc>not a url</loc></url><url><loc>/relative</loc></url></urlset>',
+    });
+    t.after(() => server.close());
+    const { origin } = server;
+
+    const result = await discovery().discover(origin);
+    assert.deepEqual(result.urls, []);
+    assert.deepEqual(result.errors, ['Invalid URL skipped: not a url', 'Invalid URL skipped: /relative']);
+});
+
+test('skips malformed Sitemap: lines in robots.txt', async (t) => {
+    const server = await serve(origin => ({
+        '/robots.txt': `Sitemap: http://exa mple.com/s.xml\nSitemap: ${origin}/pages.xml\n`,
+        '/pages.xml': `<urlset><url><loc>${origin}/a</loc></url></urlset>`,
+    }));
+    t.after(() => server.close());
+    const { origin } = server;
+
+    const result = await discovery().discover(origin);
+    assert.deepEqual(result.urls, [`${origin}/a`]);
+    assert.deepEqual(result.errors, ['Invalid sitemap URL in robots.txt skipped: http://exa mple.com/s.xml']);
+});
+
+test('reports a gzip bomb as a per-sitemap error', async (t) => {
+    const server = await serve({
+        '/robots.txt': '',
+        '/sitemap.xml': zlib.gzipSync(Buffer.alloc(11 * 1024 * 1024, 0x20)),
+    });
+    t.after(() => server.close());
+    const { origin } = server;
+
+    const result = await discovery().discover(origin);
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /sitemap\.xml: Unpacked sitemap exceeds/);
+});
+
+test('crawls same-origin links up to maxDepth', async (t) => {
+    const server = await serve({
+        '/robots.txt': '',
+        '/': '<a href="/one">1</a><a href="https://elsewhere.test/">x</a><a href="/logo.png">logo</a><a href="/skip" rel="nofollow">s</a>',
+        '/one': '<a href="/two">2</a>',
+        '/two': '<a href="/three">3</a>',
+    });
+    t.after(() => server.close());
+    const { origin } = server;
+
+    const result = await discovery().discover(`${origin}/`, { sitemaps: false, crawl: true, maxDepth: 1 });
+    assert.deepEqual(result.urls, [`${origin}/`, `${origin}/one`]);
+    assert.deepEqual(result.sources, { sitemap: 0, crawl: 2 });
+});
+
+test('filters URLs with include/exclude globs and regexes', () => {
+    const filter = discovery().createFilter('https://site.test', ['/blog/*', '/^\\/news\\/\\d+/'], ['*/draft-*']);
+    assert.equal(filter('https://site.test/blog/post'), true);
+    assert.equal(filter('https://site.test/news/42'), true);
+    assert.equal(filter('https://site.test/blog/draft-post'), false);
+    assert.equal(filter('https://site.test/about'), false);
+    assert.equal(filter('https://other.test/blog/post'), false);
+});
+
+test('rejects invalid and backtracking-prone patterns with a SyntaxError', () => {
+    const siteDiscovery = discovery();
+    assert.throws(() => siteDiscovery.compilePatterns(['/[/']), SyntaxError);
+    assert.throws(() => siteDiscovery.compilePatterns(['/(a+)+$/']), SyntaxError);
+    assert.throws(() => siteDiscovery.compilePatterns(['/.*.*.*.*x/']), SyntaxError);
+    assert.throws(() => siteDiscovery.compilePatterns([42]), SyntaxError);
+    assert.throws(() => siteDiscovery.compilePatterns([`/${'a'.repeat(300)}/`]), SyntaxError);
+    assert.equal(siteDiscovery.compilePatterns(['/blog/*', '/^\\/p\\/\\d+$/i']).length, 2);
+});
+
+test('matches many-wildcard globs in linear time', () => {
+    const filter = discovery().createFilter('https://site.test', ['/*a*a*a*a*a*b'], []);
+    const started = Date.now();
+    assert.equal(filter(`https://site.test/${'a'.repeat(120)}`), false);
+    assert.equal(filter(`https://site.test/${'a'.repeat(1900)}`), false);
+    assert.equal(filter('https://site.test/xaxaxaxaxaxb'), true);
+    assert.ok(Date.now() - started < 50, `took ${Date.now() - started}ms`);
+});
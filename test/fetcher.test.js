@@ -0,0 +1,126 @@
+// test/fetcher.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { fetchUrl, fetchHtml, fetchOnce, FetchError, detectCharset } = require('../src/fetcher');
+
+// Serves each path with its handler; fetches pass allowPrivate to reach it
+function serve(routes) {
+    return new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+            const route = routes[req.url];
+            if (!route) {
+                res.statusCode = 404;
+                res.end('missing');
+                return;
+            }
+            route(req, res);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            server.origin = `http://127.0.0.1:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+const local = { allowPrivate: true, timeout: 3000 };
+
+test('follows redirects and decompresses gzip, deflate and brotli bodies', async (t) => {
+    const server = await serve({
+        '/old': (req, res) => res.writeHead(301, { Location: '/gzip' }).end(),
+        '/gzip': (req, res) => res.writeHead(200, { 'Content-Encoding': 'gzip' }).end(zlib.gzipSync('gzipped')),
+        '/deflate': (req, res) => res.writeHead(200, { 'Content-Encoding': 'deflate' }).end(zlib.deflateSync('deflated')),
+        '/br': (req, res) => res.writeHead(200, { 'Content-Encoding': 'br' }).end(zlib.brotliCompressSync('brotli')),
+    });
+    t.after(() => server.close());
+
+    const response = await fetchUrl(`${server.origin}/old`, local);
+    assert.equal(response.body.toString(), 'gzipped');
+    assert.equal(response.finalUrl, `${server.origin}/gzip`);
+    assert.deepEqual(response.redirects, [`${server.origin}/old`]);
+    assert.equal((await fetchUrl(`${server.origin}/deflate`, local)).body.toString(), 'deflated');
+    assert.equal((await fetchUrl(`${server.origin}/br`, local)).body.toString(), 'brotli');
+});
+
+test('maps failures to FetchError codes and API statuses', async (t) => {
+    const server = await serve({
+        '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+        '/broken': (req, res) => res.writeHead(500).end(),
+        '/big': (req, res) => res.end('x'.repeat(2000)),
+        '/slow': () => {},
+        '/corrupt': (req, res) => res.writeHead(200, { 'Content-Encoding': 'gzip' }).end('not gzip at all'),
+    });
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const failure = async (path, options = {}) => {
+        try {
+            await fetchUrl(`${server.origin}${path}`, { ...local, ...options });
+        } catch (error) {
+            assert.ok(error instanceof FetchError);
+            return error;
+        }
+        assert.fail(`${path} did not fail`);
+    };
+    const missing = await failure('/nothing');
+    assert.deepEqual([missing.code, missing.status, missing.httpStatus], ['HTTP_ERROR', 404, 404]);
+    assert.deepEqual([(await failure('/broken')).httpStatus, (await failure('/loop')).code], [502, 'TOO_MANY_REDIRECTS']);
+    assert.equal((await failure('/big', { maxBytes: 1000 })).code, 'BODY_TOO_LARGE');
+    const slow = await failure('/slow', { timeout: 100 });
+    assert.deepEqual([slow.code, slow.httpStatus], ['TIMEOUT', 504]);
+    assert.equal((await failure('/corrupt')).code, 'DECODE_ERROR');
+});
+
+test('reports a connection reset in a compressed body as a network error', async (t) => {
+    const server = await serve({
+        '/reset': (req, res) => {
+            res.writeHead(200, { 'Content-Encoding': 'gzip', 'Content-Length': '100000' });
+            res.write(zlib.gzipSync('x'.repeat(100000)).subarray(0, 50));
+            setTimeout(() => req.socket.destroy(), 20);
+        },
+    });
+    t.after(() => server.close());
+
+    const started = Date.now();
+    await assert.rejects(fetchUrl(`${server.origin}/reset`, { allowPrivate: true, timeout: 5000 }), { code: 'NETWORK_ERROR' });
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+});
+
+test('refuses private hosts unless allowed', async () => {
+    await assert.rejects(fetchUrl('http://127.0.0.1:9/', { allowPrivate: false }), { code: 'BLOCKED_URL' });
+    await assert.rejects(fetchUrl('ftp://example.com/'), { code: 'INVALID_URL' });
+});
+
+test('fetchOnce returns redirects and error statuses as they are', async (t) => {
+    const server = await serve({
+        '/form': (req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => res.writeHead(303, { Location: '/done' }).end(`${req.method} ${body}`));
+        },
+    });
+    t.after(() => server.close());
+
+    const response = await fetchOnce(`${server.origin}/form`, { ...local, method: 'POST', body: 'a=1' });
+    assert.equal(response.status, 303);
+    assert.equal(response.headers.location, '/done');
+    assert.equal((await fetchOnce(`${server.origin}/none`, local)).status, 404);
+});
+
+test('decodes HTML with the declared or detected charset', async (t) => {
+    const latin1 = Buffer.from('<html><head><meta charset="iso-8859-1"></head><body>caf\xe9</body></html>', 'latin1');
+    const server = await serve({
+        '/meta': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html' }).end(latin1),
+        '/header': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(latin1),
+    });
+    t.after(() => server.close());
+
+    const page = await fetchHtml(`${server.origin}/meta`, local);
+    assert.equal(page.charset, 'iso-8859-1');
+    assert.match(page.html, /café/);
+    assert.equal((await fetchHtml(`${server.origin}/header`, local)).charset, 'utf-8', 'the header wins over <meta>');
+    assert.equal(detectCharset(undefined, Buffer.from('<p>no charset</p>')), 'utf-8');
+});
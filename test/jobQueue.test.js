@@ -0,0 +1,97 @@
+// test/jobQueue.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../src/jobQueue');
+
+// Resolves once every URL of the job has finished
+function finished(job) {
+    return new Promise((resolve) => {
+        const timer = setInterval(() => {
+            if (job.status === 'completed') {
+                clearInterval(timer);
+                resolve(job);
+            }
+        }, 5);
+    });
+}
+
+// Processor that records how many URLs per host run at once
+function trackingProcessor(duration = 20) {
+    const running = new Map();
+    const peak = new Map();
+    const processor = async (url) => {
+        const host = new URL(url).host;
+        running.set(host, (running.get(host) || 0) + 1);
+        peak.set(host, Math.max(peak.get(host) || 0, running.get(host)));
+        await new Promise(resolve => setTimeout(resolve, duration));
+        running.set(host, running.get(host) - 1);
+        return { schemas: { article: `<script>${url}</script>` }, pageTypes: ['article'] };
+    };
+    return { processor, peak };
+}
+
+test('runs every URL and reports progress', async () => {
+    const { processor } = trackingProcessor(1);
+    const queue = new JobQueue({ processor, perHostDelay: 0 });
+    const job = queue.createJob(['https://a.test/1', 'https://a.test/2', 'https://a.test/1'], ['article']);
+    assert.equal(job.results.length, 2, 'duplicate URLs are queued once');
+
+    await finished(job);
+    const progress = queue.getProgress(job);
+    assert.equal(progress.done, 2);
+    assert.equal(progress.progress, 1);
+    assert.deepEqual(progress.pageTypes, { article: 2 });
+});
+
+test('limits parallel requests per host', async () => {
+    const { processor, peak } = trackingProcessor();
+    const queue = new JobQueue({ processor, concurrency: 10, perHostConcurrency: 2, perHostDelay: 0 });
+    const urls = ['https://a.test/1', 'https://a.test/2', 'https://a.test/3', 'https://a.test/4', 'https://b.test/1'];
+    await finished(queue.createJob(urls, ['article']));
+    assert.equal(peak.get('a.test'), 2);
+    assert.equal(peak.get('b.test'), 1);
+});
+
+test('spaces request starts to the same host by perHostDelay', async () => {
+    const starts = [];
+    const processor = async () => {
+        starts.push(Date.now());
+        return { schemas: {} };
+    };
+    const queue = new JobQueue({ processor, perHostDelay: 50 });
+    await finished(queue.createJob(['https://a.test/1', 'https://a.test/2'], ['article']));
+    assert.ok(starts[1] - starts[0] >= 45, `second start after ${starts[1] - starts[0]}ms`);
+});
+
+test('clamps per-job politeness overrides so jobs always start', async () => {
+    const { processor } = trackingProcessor(1);
+    const queue = new JobQueue({ processor });
+    const job = queue.createJob(['https://a.test/1'], ['article'], { perHostConcurrency: -1, perHostDelay: -5 });
+    assert.equal(job.perHostConcurrency, 1);
+    assert.equal(job.perHostDelay, 0);
+    await finished(job);
+    assert.equal(job.results[0].status, 'done');
+});
+
+test('records processor errors per URL', async () => {
+    const processor = async (url) => {
+        if (url.endsWith('/bad')) {
+            throw new Error('Upstream responded with HTTP 500');
+        }
+        return { schemas: { article: null } };
+    };
+    const queue = new JobQueue({ processor, perHostDelay: 0 });
+    const job = await finished(queue.createJob(['https://a.test/ok', 'https://a.test/bad'], ['article']));
+    assert.deepEqual(job.results.map(result => result.status), ['done', 'error']);
+    assert.equal(job.results[1].error, 'Upstream responded with HTTP 500');
+});
+
+test('exports results as JSON Lines and CSV', async () => {
+    const processor = async () => ({ schemas: { article: '<script>"a", b</script>' }, pageTypes: ['article', 'faq'] });
+    const queue = new JobQueue({ processor, perHostDelay: 0 });
+    const job = await finished(queue.createJob(['https://a.test/1'], ['article']));
+
+    const line = JSON.parse(queue.toJsonl(job).trim());
+    assert.deepEqual(line, { url: 'https://a.test/1', status: 'done', pageTypes: ['article', 'faq'], schemas: { article: '<script>"a", b</script>' }, error: null });
+    assert.equal(queue.toCsv(job), 'url,status,error,pageTypes,article\nhttps://a.test/1,done,,article faq,"<script>""a"", b</script>"\n');
+});
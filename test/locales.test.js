@@ -0,0 +1,31 @@
+// test/locales.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { keywordsFor, homeLabel, detectTextLanguage, normalizeLanguageTag } = require('../src/locales');
+
+test('normalizes language tags to BCP 47 casing', () => {
+    assert.equal(normalizeLanguageTag('es_ES'), 'es-ES');
+    assert.equal(normalizeLanguageTag('EN-us'), 'en-US');
+    assert.equal(normalizeLanguageTag('zh-hant-tw'), 'zh-Hant-TW');
+    assert.equal(normalizeLanguageTag('de'), 'de');
+    assert.equal(normalizeLanguageTag('english'), null);
+    assert.equal(normalizeLanguageTag(''), null);
+});
+
+test('detects the language of a text by its script or stopwords', () => {
+    const german = 'Der Hund und die Katze sind nicht mit dem Auto in die Stadt gefahren, weil es zu kalt war. '.repeat(3);
+    const spanish = 'El perro y el gato no fueron a la ciudad en el coche porque hacía mucho frío para ellos. '.repeat(3);
+    assert.equal(detectTextLanguage(german), 'de');
+    assert.equal(detectTextLanguage(spanish), 'es');
+    assert.equal(detectTextLanguage('Привет, как дела? '.repeat(10)), 'ru');
+    assert.equal(detectTextLanguage('Too short to tell.'), null);
+});
+
+test('localized keywords always include the English ones', () => {
+    const faq = keywordsFor('de-AT', 'faq');
+    assert.ok(faq.includes('häufige fragen'));
+    assert.ok(faq.includes('faq'));
+    assert.deepEqual(keywordsFor('xx', 'faq'), keywordsFor('en', 'faq'));
+    assert.equal(homeLabel('es-MX'), 'Inicio');
+    assert.equal(homeLabel(null), 'Home');
+});
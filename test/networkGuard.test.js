@@ -0,0 +1,66 @@
+// test/networkGuard.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkUrl, checkUrlSyntax, guardedLookup, blockedAddressReason } = require('../src/networkGuard');
+
+test('classifies private, loopback and reserved addresses', () => {
+    assert.equal(blockedAddressReason('127.0.0.1'), 'loopback');
+    assert.equal(blockedAddressReason('::1'), 'loopback');
+    assert.equal(blockedAddressReason('10.1.2.3'), 'private');
+    assert.equal(blockedAddressReason('172.31.255.255'), 'private');
+    assert.equal(blockedAddressReason('fd12::1'), 'private');
+    assert.equal(blockedAddressReason('169.254.169.254'), 'link-local');
+    assert.equal(blockedAddressReason('0.0.0.0'), 'unspecified');
+    assert.equal(blockedAddressReason('203.0.113.7'), 'reserved');
+    assert.equal(blockedAddressReason('239.1.1.1'), 'multicast');
+    assert.equal(blockedAddressReason('::ffff:192.168.1.1'), 'private');
+});
+
+test('sees through NAT64 and 6to4 addresses that embed a private IPv4', () => {
+    assert.equal(blockedAddressReason('64:ff9b::7f00:1'), 'loopback');
+    assert.equal(blockedAddressReason('64:ff9b::10.0.0.1'), 'private');
+    assert.equal(blockedAddressReason('64:ff9b::a9fe:a9fe'), 'link-local');
+    assert.equal(blockedAddressReason('64:ff9b:1::1'), 'private');
+    assert.equal(blockedAddressReason('2002:c0a8:101::1'), 'private');
+    assert.equal(blockedAddressReason('2002:7f00:1::'), 'loopback');
+});
+
+test('lets public addresses through', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946', '64:ff9b::808:808', '2002:808:808::1']) {
+        assert.equal(blockedAddressReason(address), null, address);
+    }
+});
+
+test('checkUrlSyntax refuses other protocols, credentials and local hosts', () => {
+    assert.match(checkUrlSyntax('ftp://example.com/'), /Unsupported protocol ftp:/);
+    assert.match(checkUrlSyntax('file:///etc/passwd'), /Unsupported protocol file:/);
+    assert.match(checkUrlSyntax('https://user:pw@example.com/'), /embedded credentials/);
+    assert.match(checkUrlSyntax('not a url'), /Invalid URL/);
+    assert.match(checkUrlSyntax('http://localhost:3000/', { allowPrivate: false }), /local hostname/);
+    assert.match(checkUrlSyntax('http://db.internal/', { allowPrivate: false }), /local hostname/);
+    assert.match(checkUrlSyntax('http://192.168.0.1/', { allowPrivate: false }), /private address/);
+    assert.match(checkUrlSyntax('http://[::1]/', { allowPrivate: false }), /loopback address/);
+    assert.match(checkUrlSyntax('http://[64:ff9b::7f00:1]/', { allowPrivate: false }), /loopback address/);
+    assert.equal(checkUrlSyntax('https://example.com/page', { allowPrivate: false }), null);
+});
+
+test('ALLOW_PRIVATE_NETWORKS skips host checks but not protocol checks', () => {
+    assert.equal(checkUrlSyntax('http://localhost:3000/', { allowPrivate: true }), null);
+    assert.match(checkUrlSyntax('gopher://localhost/', { allowPrivate: true }), /Unsupported protocol/);
+});
+
+test('checkUrl refuses private IP literals without a DNS lookup', async () => {
+    assert.match(await checkUrl('http://10.0.0.1/', { allowPrivate: false }), /private address/);
+    assert.equal(await checkUrl('http://93.184.216.34/', { allowPrivate: false }), null);
+});
+
+test('guardedLookup fails with BLOCKED_ADDRESS when a host resolves to a blocked address', async () => {
+    const lookup = (hostname, options) => new Promise((resolve) => {
+        guardedLookup(hostname, options, error => resolve(error));
+    });
+
+    const error = await lookup('127.0.0.1', {});
+    assert.equal(error.code, 'BLOCKED_ADDRESS');
+    assert.match(error.message, /loopback address \(127\.0\.0\.1\)/);
+    assert.equal((await lookup('::1', { all: true })).code, 'BLOCKED_ADDRESS');
+});
@@ -0,0 +1,80 @@
+// test/pluginRegistry.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PluginRegistry, PluginError, createPluginRegistryFromEnv } = require('../src/pluginRegistry');
+
+// A minimal valid plugin
+function plugin(fields = {}) {
+    return { type: 'course', field: 'course', extract: () => null, generate: () => null, ...fields };
+}
+
+test('registers a plugin with defaults for the optional parts', () => {
+    const registry = new PluginRegistry();
+    const registered = registry.register(plugin({ label: 'Course' }));
+    assert.equal(registered.notFound, 'No Course data found on this page.');
+    assert.deepEqual(registered.schemaTypes, []);
+    assert.deepEqual(registered.rules, {});
+    assert.equal(registry.get('course'), registered);
+    assert.equal(registry.get('missing'), null);
+});
+
+test('refuses plugins that clash with core routes, fields or other plugins', () => {
+    const registry = new PluginRegistry();
+    registry.register(plugin());
+    const refused = [
+        [null, /must be an object/],
+        [plugin({ type: 'Course!' }), /Invalid plugin type/],
+        [plugin({ type: 'faq', field: 'faqList' }), /faq is already taken/],
+        [plugin({ field: 'other' }), /course is already taken/],
+        [plugin({ type: 'lesson', field: 'title' }), /own "field" name/],
+        [plugin({ type: 'lesson' }), /own "field" name/],
+        [plugin({ type: 'lesson', field: 'lesson', generate: 'nope' }), /must define generate\(\)/],
+        [plugin({ type: 'lesson', field: 'lesson', enrich: true }), /enrich must be a function/],
+        [plugin({ type: 'lesson', field: 'lesson', rules: [] }), /rules must be an object/],
+    ];
+    for (const [candidate, message] of refused) {
+        assert.throws(() => registry.register(candidate), (error) => {
+            assert.ok(error instanceof PluginError);
+            assert.match(error.message, message);
+            return true;
+        });
+    }
+    assert.equal(registry.list().length, 1);
+});
+
+test('loads plugins from a directory and skips broken files', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scrap-tool-plugins-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const literal = (type, field) => `{ type: '${type}', field: '${field}', extract: () => null, generate: () => null }`;
+    fs.writeFileSync(path.join(directory, 'a-course.js'), `module.exports = ${literal('course', 'course')};`);
+    fs.writeFileSync(path.join(directory, 'b-pair.js'), `module.exports = [${literal('lesson', 'lesson')}, ${literal('quiz', 'quiz')}];`);
+    fs.writeFileSync(path.join(directory, 'c-broken.js'), 'module.exports = {');
+    fs.writeFileSync(path.join(directory, 'd-clash.js'), `module.exports = ${literal('article', 'story')};`);
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a plugin');
+
+    const registry = new PluginRegistry();
+    assert.deepEqual(registry.loadDirectory(directory).map(loaded => loaded.type), ['course', 'lesson', 'quiz']);
+    assert.equal(console.warn.mock.callCount(), 2);
+    assert.deepEqual(registry.loadDirectory(path.join(directory, 'missing')), []);
+});
+
+test('wraps JSON-LD objects from plugin generators in a script tag', () => {
+    const registry = new PluginRegistry();
+    const course = registry.register(plugin({ generate: data => (data.course ? { '@type': 'Course', name: data.course.name } : null) }));
+    assert.equal(registry.generate(course, { course: { name: 'Chemistry' } }, 'https://example.com/c', {}),
+        '<script type="application/ld+json">\n{\n  "@context": "https://schema.org",\n  "@type": "Course",\n  "name": "Chemistry"\n}\n</script>');
+    assert.equal(registry.generate(course, { course: null }, 'https://example.com/c', {}), null);
+    assert.equal(registry.hasValue(course, { course: [] }), false);
+    assert.equal(registry.hasValue(course, { course: { name: 'Chemistry' } }), true);
+});
+
+test('the built-in types are registered as plugins', () => {
+    const types = createPluginRegistryFromEnv().list().map(registered => registered.type);
+    for (const type of ['product', 'howto', 'recipe', 'organization', 'event', 'video']) {
+        assert.ok(types.includes(type), `${type} is missing from ${types.join(', ')}`);
+    }
+});
@@ -0,0 +1,123 @@
+// test/politeness.test.js
+// robots.txt is served locally; ALLOW_PRIVATE_NETWORKS lets the fetcher reach it.
+process.env.ALLOW_PRIVATE_NETWORKS = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Politeness, RobotsTxt } = require('../src/politeness');
+
+// Serves one robots.txt response with the given status
+function serveRobots(status, body = '') {
+    return new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+            res.statusCode = req.url === '/robots.txt' ? status : 404;
+            res.end(body);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            server.origin = `http://127.0.0.1:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+test('the longest matching pattern wins and Allow wins a tie', () => {
+    const robots = new RobotsTxt([
+        'User-agent: *',
+        'Disallow: /shop',
+        'Allow: /shop/public',
+        'Disallow: /page',
+        'Allow: /page',
+    ].join('\n'));
+    assert.equal(robots.isAllowed('https://a.test/shop/cart', 'scraptool'), false);
+    assert.equal(robots.isAllowed('https://a.test/shop/public/item', 'scraptool'), true);
+    assert.equal(robots.isAllowed('https://a.test/page', 'scraptool'), true);
+    assert.equal(robots.isAllowed('https://a.test/about', 'scraptool'), true);
+});
+
+test('supports "*" wildcards, "$" anchors and query strings', () => {
+    const robots = new RobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?session=\nDisallow: /a.b');
+    assert.equal(robots.isAllowed('https://a.test/files/report.pdf', 'scraptool'), false);
+    assert.equal(robots.isAllowed('https://a.test/files/report.pdf?download=1', 'scraptool'), true);
+    assert.equal(robots.isAllowed('https://a.test/list?session=42', 'scraptool'), false);
+    assert.equal(robots.isAllowed('https://a.test/axb', 'scraptool'), true, '"." is literal');
+});
+
+test('matches many-wildcard rules from a hostile robots.txt in linear time', () => {
+    const robots = new RobotsTxt(`User-agent: *\nDisallow: /${'*a'.repeat(40)}*b$`);
+    const started = Date.now();
+    assert.equal(robots.isAllowed(`https://a.test/${'a'.repeat(5000)}`, 'scraptool'), true);
+    assert.equal(robots.isAllowed(`https://a.test/${'xa'.repeat(40)}b`, 'scraptool'), false);
+    assert.ok(Date.now() - started < 50, `took ${Date.now() - started}ms`);
+});
+
+test('a group naming the token replaces the "*" groups', () => {
+    const robots = new RobotsTxt([
+        '# comment',
+        'User-agent: *',
+        'Disallow: /',
+        'Crawl-delay: 10',
+        '',
+        'User-agent: OtherBot',
+        'User-agent: ScrapTool',
+        'Disallow: /private',
+        'Crawl-delay: 2',
+        '',
+        'Sitemap: https://a.test/sitemap.xml',
+    ].join('\r\n'));
+    assert.equal(robots.isAllowed('https://a.test/blog', 'scraptool'), true);
+    assert.equal(robots.isAllowed('https://a.test/private/x', 'scraptool'), false);
+    assert.equal(robots.isAllowed('https://a.test/blog', 'somebot'), false);
+    assert.equal(robots.crawlDelay('scraptool'), 2);
+    assert.equal(robots.crawlDelay('somebot'), 10);
+    assert.deepEqual(robots.sitemaps, ['https://a.test/sitemap.xml']);
+});
+
+test('an empty Disallow allows everything; robots.txt itself is always allowed', () => {
+    const open = new RobotsTxt('User-agent: *\nDisallow:');
+    assert.equal(open.isAllowed('https://a.test/anything', 'scraptool'), true);
+
+    const closed = new RobotsTxt('', { disallowAll: true });
+    assert.equal(closed.isAllowed('https://a.test/', 'scraptool'), false);
+    assert.equal(new RobotsTxt('User-agent: *\nDisallow: /').isAllowed('https://a.test/robots.txt', 'scraptool'), true);
+});
+
+test('check() throws ROBOTS_DISALLOWED for disallowed URLs unless ignoreRobots is set', async (t) => {
+    const server = await serveRobots(200, 'User-agent: *\nDisallow: /admin');
+    t.after(() => server.close());
+    const politeness = new Politeness({ minDelay: 0 });
+
+    await politeness.check(`${server.origin}/blog`);
+    await assert.rejects(politeness.check(`${server.origin}/admin`), { code: 'ROBOTS_DISALLOWED' });
+    await politeness.check(`${server.origin}/admin`, { ignoreRobots: true });
+    assert.equal(await new Politeness({ respectRobots: false }).isAllowed(`${server.origin}/admin`), true);
+});
+
+test('a missing robots.txt allows everything, a server error blocks the site', async (t) => {
+    const missing = await serveRobots(404);
+    const failing = await serveRobots(503);
+    t.after(() => {
+        missing.close();
+        failing.close();
+    });
+    const politeness = new Politeness({ minDelay: 0 });
+
+    assert.equal(await politeness.isAllowed(`${missing.origin}/page`), true);
+    await assert.rejects(politeness.check(`${failing.origin}/page`), (error) => {
+        assert.equal(error.code, 'ROBOTS_DISALLOWED');
+        assert.match(error.message, /robots\.txt unavailable/);
+        return true;
+    });
+});
+
+test('throttle() spaces requests to the same host by minDelay', async () => {
+    const politeness = new Politeness({ respectRobots: false, minDelay: 50 });
+    const started = Date.now();
+    await Promise.all([
+        politeness.throttle('https://a.test/1'),
+        politeness.throttle('https://a.test/2'),
+        politeness.throttle('https://b.test/1'),
+    ]);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed >= 45, `two a.test slots took ${elapsed}ms`);
+});
@@ -0,0 +1,173 @@
+// test/profiles.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const { ProfileStore, ProfileError, validateProfile, extractWithProfile } = require('../src/profiles');
+
+const PAGE = `
+<html><head><meta name="pubdate" content="March 5, 2024 10:00 UTC"></head><body>
+  <h1 class="headline">  Hello   World </h1>
+  <span class="byline">By JANE DOE</span>
+  <a class="author" href="/authors/jane">Jane</a>
+  <img class="hero" src="/img/hero.jpg">
+  <span class="price">Price: 42 EUR</span>
+  <nav class="crumbs"><a href="/">Home</a><a href="/news">News</a></nav>
+  <dl><dt>What?</dt><dd>This.</dd><dt>Why?</dt><dd>Because.</dd></dl>
+</body></html>`;
+
+// Creates a store in a fresh temporary directory, removed after the test
+function tempStore(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scrap-tool-profiles-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new ProfileStore({ directory });
+}
+
+test('accepts a valid profile', () => {
+    assert.deepEqual(validateProfile({
+        id: 'example.com',
+        match: ['example.com', 'example.com/blog/*'],
+        fields: {
+            title: 'h1',
+            datePublished: { selector: 'meta[name=pubdate]', transforms: ['date'] },
+            articleBody: { selector: 'article', exclude: ['.ads'] },
+            faqs: { question: 'dt', answer: 'dd' },
+        },
+    }), []);
+});
+
+test('reports every problem in an invalid profile', () => {
+    assert.deepEqual(validateProfile(null), ['Profile must be a JSON object.']);
+    const problems = validateProfile({
+        id: '../etc',
+        match: [],
+        fields: {
+            colour: '.c',
+            title: 'h1[',
+            author: { selector: '.by', transforms: ['reverse', { replace: '(a+)+' }] },
+            faqs: { question: 'dt' },
+        },
+    });
+    assert.equal(problems.length, 7, problems.join('\n'));
+    assert.match(problems[0], /^id must be/);
+    assert.match(problems[1], /^match must be/);
+    assert.match(problems[2], /Unknown field colour/);
+    assert.match(problems[3], /fields\.title\.selector is not a valid selector/);
+    assert.match(problems[4], /unknown transform reverse/);
+    assert.match(problems[5], /invalid regular expression \(a\+\)\+/);
+    assert.match(problems[6], /fields\.faqs\.answer must be a CSS selector/);
+});
+
+test('limits the length and wildcards of match patterns', () => {
+    const profile = pattern => ({ id: 'p', match: [pattern], fields: {} });
+    assert.deepEqual(validateProfile(profile('*.example.com/*/docs/*')), []);
+    assert.match(validateProfile(profile('*a*b*c*d*'))[0], /at most 4 "\*"/);
+    assert.match(validateProfile(profile(`example.com/${'x'.repeat(200)}`))[0], /at most 200 characters/);
+});
+
+test('extracts fields with attributes, transforms and absolute URLs', () => {
+    const found = extractWithProfile(cheerio.load(PAGE), {
+        fields: {
+            title: '.headline',
+            author: { selector: '.byline', transforms: [{ replace: '^By\\s+' }, 'lowercase'] },
+            authorUrl: { selector: '.author', attribute: 'href' },
+            articleSection: { selector: '.missing' },
+            description: { selector: '.price', transforms: [{ match: '(\\d+) EUR' }] },
+            datePublished: { selector: 'meta[name=pubdate]', transforms: ['date'] },
+            image: '.hero',
+            breadcrumbs: { selector: '.crumbs a' },
+            faqs: { question: 'dt', answer: 'dd' },
+        },
+    }, 'https://example.com/news/story');
+
+    assert.deepEqual(found.title, { value: 'Hello World', selector: '.headline' });
+    assert.equal(found.author.value, 'jane doe');
+    assert.equal(found.authorUrl.value, 'https://example.com/authors/jane');
+    assert.equal(found.description.value, '42');
+    assert.equal(found.datePublished.value, '2024-03-05T10:00:00.000Z');
+    assert.equal(found.image.value, 'https://example.com/img/hero.jpg');
+    assert.equal('articleSection' in found, false);
+    assert.deepEqual(found.breadcrumbs.value, [
+        { name: 'Home', url: 'https://example.com/', position: 1 },
+        { name: 'News', url: 'https://example.com/news', position: 2 },
+    ]);
+    assert.deepEqual(found.faqs.value, [{ question: 'What?', answer: 'This.' }, { question: 'Why?', answer: 'Because.' }]);
+});
+
+test('reads crumb links from inside the matched elements', () => {
+    const $ = cheerio.load('<ol class="crumbs"><li><a href="/">Home</a></li><li><span>Guides</span></li><li>Current page</li></ol>');
+    const found = extractWithProfile($, { fields: { breadcrumbs: '.crumbs li' } }, 'https://example.com/guides/x');
+    assert.deepEqual(found.breadcrumbs.value, [
+        { name: 'Home', url: 'https://example.com/', position: 1 },
+        { name: 'Guides', position: 2 },
+        { name: 'Current page', position: 3 },
+    ]);
+});
+
+test('refuses transform regexes that backtrack polynomially', () => {
+    const problems = validateProfile({ id: 'p', match: 'example.com', fields: { title: { selector: 'h1', transforms: [{ match: '.*.*.*.*x' }] } } });
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /backtrack too much/);
+});
+
+test('saves, reloads and deletes profiles as JSON files', async (t) => {
+    const store = tempStore(t);
+    const { profile, created } = await store.save({ id: 'blog', match: 'example.com', fields: { title: 'h1' } });
+    assert.equal(created, true);
+    assert.deepEqual(profile.match, ['example.com']);
+    assert.ok(profile.updatedAt);
+    assert.equal((await store.save({ ...profile, name: 'Blog' })).created, false);
+
+    const reloaded = new ProfileStore({ directory: store.directory });
+    assert.equal(reloaded.get('blog').name, 'Blog');
+    assert.deepEqual(reloaded.list().map(saved => saved.id), ['blog']);
+
+    assert.equal(await reloaded.delete('blog'), true);
+    assert.equal(await reloaded.delete('blog'), false);
+    assert.deepEqual(fs.readdirSync(store.directory), []);
+});
+
+test('rejects invalid profiles with a ProfileError listing the problems', async (t) => {
+    const store = tempStore(t);
+    await assert.rejects(store.save({ id: 'x', match: 'example.com', fields: { colour: 'p' } }), (error) => {
+        assert.ok(error instanceof ProfileError);
+        assert.equal(error.problems.length, 1);
+        return true;
+    });
+});
+
+test('skips invalid profile files when loading', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const store = tempStore(t);
+    fs.writeFileSync(path.join(store.directory, 'broken.json'), '{');
+    fs.writeFileSync(path.join(store.directory, 'invalid.json'), '{"id": "invalid"}');
+    assert.deepEqual(store.list(), []);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('match() picks the most specific pattern', async (t) => {
+    const store = tempStore(t);
+    await store.save({ id: 'site', match: 'example.com', fields: {} });
+    await store.save({ id: 'blog', match: 'example.com/blog', fields: {} });
+    await store.save({ id: 'docs', match: '*.example.org/docs/*', fields: {} });
+
+    assert.equal(store.match('https://www.example.com/about').id, 'site');
+    assert.equal(store.match('https://shop.example.com/').id, 'site', 'a domain covers its subdomains');
+    assert.equal(store.match('https://example.com/blog').id, 'blog');
+    assert.equal(store.match('https://example.com/blog/post?page=2').id, 'blog');
+    assert.equal(store.match('https://example.com/blogger').id, 'site');
+    assert.equal(store.match('https://api.example.org/docs/intro').id, 'docs');
+    assert.equal(store.match('https://notexample.com/'), null);
+    assert.equal(store.match('not a url'), null);
+});
+
+test('matches wildcard patterns in linear time', async (t) => {
+    const store = tempStore(t);
+    await store.save({ id: 'stars', match: 'example.com/*a*a*a*b', fields: {} });
+    const started = Date.now();
+    assert.equal(store.match(`https://example.com/${'a'.repeat(5000)}`), null);
+    assert.equal(store.match('https://example.com/xaxaxab/page').id, 'stars');
+    assert.ok(Date.now() - started < 50, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,64 @@
+// test/safeRegExp.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileSafeRegExp, capInput, hasNestedQuantifier, backtrackingFactor, Glob, MAX_INPUT_LENGTH } = require('../src/safeRegExp');
+
+test('hasNestedQuantifier spots repeated groups that repeat or alternate', () => {
+    for (const pattern of ['(a+)+', '(\\w*)*', '(a|aa)+', '((ab)*c)+', '(?:x+y)*']) {
+        assert.equal(hasNestedQuantifier(pattern), true, pattern);
+    }
+    for (const pattern of ['^/blog/.*', '(\\d+)-(\\d+)', '[(+*)]+', '\\(a+\\)+', '(foo)?bar+']) {
+        assert.equal(hasNestedQuantifier(pattern), false, pattern);
+    }
+});
+
+test('backtrackingFactor counts quantifier spans and alternatives', () => {
+    assert.equal(backtrackingFactor('^/blog/post$'), 1);
+    assert.equal(backtrackingFactor('\\d{4}-\\d{2}'), 1);
+    assert.equal(backtrackingFactor('(\\d{1,2})\\.(\\d{1,2})'), 4);
+    assert.equal(backtrackingFactor('(?:en|fr)/colou?r'), 4);
+    assert.equal(backtrackingFactor('^By\\s+'), MAX_INPUT_LENGTH);
+    assert.equal(backtrackingFactor('.*?x'), MAX_INPUT_LENGTH, 'a lazy "?" is not a quantifier');
+    assert.equal(backtrackingFactor('[*+?]\\*\\+'), 1, 'classes and escapes are literal');
+    assert.equal(backtrackingFactor('.*.*x'), MAX_INPUT_LENGTH ** 2);
+});
+
+test('refuses polynomially backtracking patterns', () => {
+    for (const pattern of ['.*.*.*.*x', '\\s*(.+)', 'a{2,}b+', '.*.{0,99}x', '.*a?a?a?a?x']) {
+        assert.throws(() => compileSafeRegExp(pattern), /backtrack too much/, pattern);
+    }
+    for (const pattern of ['^By\\s+', '(\\d+) EUR', '^\\/(en|fr)\\/blog\\/.+', '(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})']) {
+        assert.ok(compileSafeRegExp(pattern) instanceof RegExp, pattern);
+    }
+});
+
+test('accepted patterns stay fast on the longest input', () => {
+    const input = capInput('a'.repeat(MAX_INPUT_LENGTH * 2));
+    assert.equal(input.length, MAX_INPUT_LENGTH);
+    const started = Date.now();
+    assert.equal(compileSafeRegExp('.*x').test(input), false);
+    assert.equal(compileSafeRegExp('a{0,4}.*x').test(input), false);
+    assert.ok(Date.now() - started < 500, `took ${Date.now() - started}ms`);
+});
+
+test('Glob matches prefixes, or up to an accepted end', () => {
+    assert.equal(new Glob('/blog/*').test('/blog/post'), true);
+    assert.equal(new Glob('/blog/*').test('/news/blog/'), false);
+    assert.equal(new Glob('*/draft-*').test('/blog/draft-post'), true);
+    assert.equal(new Glob('/a*b*c').test('/a-b-x-c-tail'), true);
+    assert.equal(new Glob('/a*b*c').test('/a-c-b'), false);
+
+    const atEnd = { canEnd: (text, index) => index === text.length };
+    assert.equal(new Glob('*.pdf', atEnd).test('/files/report.pdf'), true);
+    assert.equal(new Glob('*.pdf', atEnd).test('/files/report.pdf.html'), false);
+    assert.equal(new Glob('*.pdf', atEnd).test('/x.pdf/y.pdf'), true);
+    assert.equal(new Glob('/page', atEnd).test('/page2'), false);
+    assert.equal(new Glob('/x*', atEnd).test('/xyz'), true);
+});
+
+test('Glob stays linear however many "*" the pattern has', () => {
+    const glob = new Glob(`/${'*a'.repeat(40)}*b`, { canEnd: (text, index) => index === text.length });
+    const started = Date.now();
+    assert.equal(glob.test(`/${'a'.repeat(MAX_INPUT_LENGTH)}`), false);
+    assert.ok(Date.now() - started < 50, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,58 @@
+// test/schemaAuditor.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaAuditor } = require('../src/schemaAuditor');
+
+const auditor = new SchemaAuditor();
+
+const GENERATED = `<script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@graph': [
+        {
+            '@type': 'NewsArticle',
+            headline: 'Flood in the old town',
+            datePublished: '2024-03-05T10:00:00Z',
+            url: 'https://example.com/news/flood',
+            author: [{ '@type': 'Person', name: 'Jane Doe' }],
+            wordCount: 812,
+        },
+        { '@type': 'BreadcrumbList', itemListElement: [] },
+    ],
+})}</script>`;
+
+test('compares page markup with the generated schema by type family', () => {
+    const report = auditor.audit({
+        jsonLd: [
+            { '@type': 'Article', headline: 'Flood in the Old Town', datePublished: '2024-03-05T11:00:00+01:00', url: 'http://www.example.com/news/flood/', author: { name: 'John Roe' } },
+            { '@type': 'Organization', name: 'Example News' },
+        ],
+        microdata: [{ '@type': 'Organization', name: 'Example News' }],
+    }, [GENERATED]);
+
+    assert.deepEqual(report.existing, {
+        jsonLd: { count: 2, types: ['Article', 'Organization'] },
+        microdata: { count: 1, types: ['Organization'] },
+        rdfa: { count: 0, types: [] },
+    });
+    assert.deepEqual(report.generatedTypes, ['Article', 'BreadcrumbList']);
+    assert.deepEqual(report.missingTypes, ['BreadcrumbList']);
+    assert.deepEqual(report.extraTypes, ['Organization']);
+    assert.deepEqual(report.duplicates, [{ type: 'Organization', count: 2, sources: ['jsonLd', 'microdata'] }]);
+    assert.deepEqual(report.missingProperties, [{ type: 'Article', property: 'wordCount', source: 'jsonLd', suggested: '812' }]);
+    assert.deepEqual(report.conflicts, [{
+        type: 'Article', property: 'author', source: 'jsonLd', existing: '{"name":"John Roe"}', generated: '[{"@type":"Person","name":"Jane Doe"}]',
+    }]);
+});
+
+test('normalizes dates, URLs, numbers and case before comparing', () => {
+    assert.equal(auditor.valuesMatch('2024-03-05T11:00:00+01:00', '2024-03-05T10:00:00Z'), true);
+    assert.equal(auditor.valuesMatch('http://www.Example.com/a/', 'https://example.com/a'), true);
+    assert.equal(auditor.valuesMatch('4.50', 4.5), true);
+    assert.equal(auditor.valuesMatch(['a', 'B'], 'b'), true);
+    assert.equal(auditor.valuesMatch({ '@id': 'https://example.com/#org' }, { '@id': 'https://example.com/#org' }), true);
+    assert.equal(auditor.valuesMatch('2024-03-05', '2024-03-06'), false);
+});
+
+test('truncates long values in the report', () => {
+    assert.equal(auditor.preview('x'.repeat(250)), `${'x'.repeat(200)}…`);
+});
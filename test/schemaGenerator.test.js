@@ -0,0 +1,104 @@
+// test/schemaGenerator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaGenerator } = require('../src/schemaGenerator');
+
+const generator = new SchemaGenerator();
+
+// Parses the JSON-LD out of a generated <script> string
+function jsonLd(script) {
+    return JSON.parse(script.replace(/^\s*<script[^>]*>|<\/script>\s*$/g, ''));
+}
+
+test('breadcrumbs without a link have no item', () => {
+    const schema = jsonLd(generator.generateBreadcrumbSchema({
+        breadcrumbs: [{ name: 'Home', url: 'https://example.com' }, { name: 'Current page' }],
+    }));
+    assert.deepEqual(schema.itemListElement, [
+        { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://example.com/' },
+        { '@type': 'ListItem', position: 2, name: 'Current page' },
+    ]);
+});
+
+test('the graph links its nodes by @id', () => {
+    const schema = jsonLd(generator.generateGraphSchema({
+        title: 'Post',
+        publisherName: 'Example News',
+        authors: [{ name: 'Jane Doe' }, { name: 'Example News', type: 'Organization' }],
+        breadcrumbs: [{ name: 'Home', url: 'https://example.com/' }],
+    }, 'https://example.com/post#comments'));
+    const node = type => schema['@graph'].find(item => item['@type'] === type);
+
+    assert.equal(node('Organization')['@id'], 'https://example.com/#organization');
+    assert.deepEqual(node('WebSite').publisher, { '@id': 'https://example.com/#organization' });
+    assert.equal(node('Person')['@id'], 'https://example.com/#/schema/person/jane-doe');
+    assert.deepEqual(node('Article').author, [
+        { '@id': 'https://example.com/#/schema/person/jane-doe' },
+        { '@id': 'https://example.com/#organization' },
+    ]);
+    assert.deepEqual(node('Article').publisher, { '@id': 'https://example.com/#organization' });
+    assert.deepEqual(node('Article').isPartOf, { '@id': 'https://example.com/post#webpage' });
+    assert.deepEqual(node('WebPage').breadcrumb, { '@id': 'https://example.com/post#breadcrumb' });
+});
+
+test('the graph leaves out nodes that were not asked for or have no data', () => {
+    const schema = jsonLd(generator.generateGraphSchema({ title: 'Post' }, 'https://example.com/post', ['article', 'organization']));
+    assert.deepEqual(schema['@graph'].map(item => item['@type']), ['Article']);
+    assert.equal('publisher' in schema['@graph'][0], false);
+});
+
+test('authors without Latin letters get distinct person ids', () => {
+    const schema = jsonLd(generator.generateGraphSchema({
+        title: 'Post',
+        authors: [{ name: 'Ελένη' }, { name: '李明' }],
+    }, 'https://example.com/post'));
+    const ids = schema['@graph'].filter(item => item['@type'] === 'Person').map(person => person['@id']);
+    assert.equal(ids.length, 2);
+    assert.notEqual(ids[0], ids[1]);
+    for (const id of ids) {
+        assert.match(id, /^https:\/\/example\.com\/#\/schema\/person\/[0-9a-f]{12}$/);
+    }
+    const article = schema['@graph'].find(item => item['@type'] === 'Article');
+    assert.deepEqual(article.author, ids.map(id => ({ '@id': id })));
+});
+
+test('articles use the detected subtype as @type', () => {
+    assert.equal(jsonLd(generator.generateArticleSchema({ title: 'Flood', articleType: 'NewsArticle' }, 'https://example.com/news/flood'))['@type'], 'NewsArticle');
+    assert.equal(jsonLd(generator.generateArticleSchema({ title: 'Flood' }, 'https://example.com/news/flood'))['@type'], 'Article');
+});
+
+test('several videos share one @graph, a single video stands alone', () => {
+    const videos = [
+        { name: 'Demo', embedUrl: 'https://www.youtube.com/embed/abc', thumbnailUrl: 'https://i.ytimg.com/vi/abc/hqdefault.jpg', uploadDate: '2024-01-01' },
+        { contentUrl: 'https://example.com/clip.mp4', duration: 'PT1M30S' },
+    ];
+    const both = jsonLd(generator.generateVideoSchema({ title: 'Launch', videos }, 'https://example.com/post'));
+    assert.deepEqual(both['@graph'].map(video => [video['@type'], video.name]), [['VideoObject', 'Demo'], ['VideoObject', 'Launch']]);
+    const single = jsonLd(generator.generateVideoSchema({ title: 'Launch', videos: videos.slice(1) }, 'https://example.com/post'));
+    assert.equal(single['@type'], 'VideoObject');
+    assert.equal(single.mainEntityOfPage, 'https://example.com/post');
+    assert.equal(generator.generateVideoSchema({ videos: [] }, 'https://example.com/post'), null);
+});
+
+test('articles list the main image first and each image once', () => {
+    const schema = jsonLd(generator.generateArticleSchema({
+        title: 'Flood',
+        image: { url: 'https://example.com/a.jpg', width: 1200, height: 800 },
+        images: [{ url: 'https://example.com/a.jpg' }, { url: 'https://example.com/b.jpg', alt: 'Bridge' }],
+    }, 'https://example.com/news/flood'));
+    assert.deepEqual(schema.image, [
+        { '@type': 'ImageObject', url: 'https://example.com/a.jpg', width: 1200, height: 800 },
+        { '@type': 'ImageObject', url: 'https://example.com/b.jpg', caption: 'Bridge' },
+    ]);
+});
+
+test('HowTo steps are numbered and linked to their anchors', () => {
+    const schema = jsonLd(generator.generateHowToSchema({
+        howTo: { name: 'How to fix a tap', steps: [{ name: 'Turn off the water', text: 'Close the valve.' }], supplies: ['Washer'], tools: [], totalTime: 'PT30M' },
+    }, 'https://example.com/tap'));
+    assert.deepEqual(schema.step, [{
+        '@type': 'HowToStep', position: 1, name: 'Turn off the water', text: 'Close the valve.', url: 'https://example.com/tap#step-1',
+    }]);
+    assert.deepEqual(schema.supply, [{ '@type': 'HowToSupply', name: 'Washer' }]);
+    assert.equal('tool' in schema, false);
+});
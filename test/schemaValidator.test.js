@@ -0,0 +1,138 @@
+// test/schemaValidator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaValidator } = require('../src/schemaValidator');
+const { PluginRegistry, createPluginRegistryFromEnv } = require('../src/pluginRegistry');
+
+const validator = new SchemaValidator({ plugins: createPluginRegistryFromEnv() });
+
+// Messages of the issues found, for compact assertions
+const messages = issues => issues.map(issue => issue.message);
+
+test('accepts a complete Recipe with recipeInstructions', () => {
+    const result = validator.validate({
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: 'Pancakes',
+        image: ['https://example.com/pancakes.jpg'],
+        author: [{ '@type': 'Person', name: 'Ana' }],
+        datePublished: '2024-03-05',
+        description: 'Fluffy pancakes.',
+        prepTime: 'PT10M',
+        cookTime: 'PT15M',
+        totalTime: 'PT25M',
+        recipeYield: '4',
+        nutrition: { '@type': 'NutritionInformation', calories: '250 calories' },
+        recipeIngredient: ['2 eggs', '200 g flour'],
+        recipeInstructions: [
+            { '@type': 'HowToStep', position: 1, text: 'Mix.', url: 'https://example.com/pancakes#step-1' },
+            { '@type': 'HowToStep', position: 2, text: 'Fry.', url: 'https://example.com/pancakes#step-2' },
+        ],
+    });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.types, ['Recipe', 'Person', 'NutritionInformation', 'HowToStep']);
+});
+
+test('applies the rules each plugin brings', () => {
+    const howTo = validator.validate({ '@context': 'https://schema.org', '@type': 'HowTo', name: 'Fix a tap' });
+    assert.deepEqual(messages(howTo.errors), ['Missing required property "step" for HowTo.']);
+
+    const recipe = validator.validate({ '@context': 'https://schema.org', '@type': 'Recipe', name: 'Soup' });
+    assert.deepEqual(messages(recipe.errors), ['Missing required property "image" for Recipe.']);
+    assert.ok(messages(recipe.warnings).includes('Missing recommended property "recipeIngredient" for Recipe.'));
+
+    const product = validator.validate({ '@context': 'https://schema.org', '@type': 'Product', name: 'Lamp' });
+    assert.deepEqual(messages(product.errors), ['Product requires at least one of: offers, review, aggregateRating.']);
+});
+
+test('subtypes inherit the rules of their plugin type', () => {
+    const festival = validator.validate({ '@context': 'https://schema.org', '@type': 'Festival', name: 'Jazz Days' });
+    assert.deepEqual(messages(festival.errors), [
+        'Missing required property "startDate" for Festival.',
+        'Missing required property "location" for Festival.',
+    ]);
+
+    const restaurant = validator.validate({ '@context': 'https://schema.org', '@type': 'Restaurant', name: 'Chez Nous' });
+    assert.deepEqual(messages(restaurant.errors), ['Missing required property "address" for Restaurant.']);
+});
+
+test('types of unregistered plugins have no rules', () => {
+    const bare = new SchemaValidator({ plugins: new PluginRegistry() });
+    const result = bare.validate({ '@context': 'https://schema.org', '@type': 'Recipe', name: 'Soup' });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(messages(result.warnings), ['No validation rules for type "Recipe".']);
+});
+
+test('reads objects, JSON strings and <script> blocks', () => {
+    const article = { '@context': 'https://schema.org', '@type': 'Article', headline: 'Hello' };
+    const script = `<p>x</p><script type="application/ld+json">${JSON.stringify(article)}</script>
+        <script type="application/ld+json">[${JSON.stringify({ ...article, '@type': 'NewsArticle' })}]</script>`;
+    assert.deepEqual(validator.validate(article).types, ['Article']);
+    assert.deepEqual(validator.validate(JSON.stringify(article)).types, ['Article']);
+    assert.deepEqual(validator.validate(script).types, ['Article', 'NewsArticle']);
+    assert.equal(validator.validate(script).valid, true);
+
+    assert.match(validator.validate('{"@type": ').errors[0].message, /^Invalid JSON-LD: /);
+    assert.deepEqual(messages(validator.validate([]).errors), ['No JSON-LD found.']);
+    assert.deepEqual(validator.validate(['nope']).errors, [{ path: '$', message: 'JSON-LD block must be an object.' }]);
+});
+
+test('requires the schema.org @context and a top-level @type', () => {
+    const result = validator.validate({ '@context': 'https://example.org', headline: 'Hello' });
+    assert.deepEqual(result.errors, [
+        { path: "$['@context']", message: 'Missing or unsupported @context; expected "https://schema.org".' },
+        { path: '$', message: 'Node is missing @type.' },
+    ]);
+    assert.equal(validator.validate({ '@context': ['http://schema.org/', { x: 1 }], '@type': 'Article', headline: 'H' }).valid, true);
+});
+
+test('type-checks dates, URLs, durations and numbers', () => {
+    const result = validator.validate({
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: 'Hello',
+        datePublished: '05/03/2024',
+        dateModified: '2024-03-05T10:00:00+01:00',
+        image: ['https://example.com/a.jpg', '/b.jpg'],
+        url: 'ftp://example.com/',
+        timeRequired: '30 minutes',
+        wordCount: 'many',
+    });
+    assert.deepEqual(result.errors, [
+        { path: '$.datePublished', message: '"datePublished" must be an ISO 8601 date, got "05/03/2024".' },
+        { path: '$.image[1]', message: '"image" must be an absolute URL, got "/b.jpg".' },
+        { path: '$.url', message: '"url" must be an absolute URL, got "ftp://example.com/".' },
+        { path: '$.timeRequired', message: '"timeRequired" must be an ISO 8601 duration (e.g. "PT30M"), got "30 minutes".' },
+        { path: '$.wordCount', message: '"wordCount" must be a number, got "many".' },
+    ]);
+    assert.equal(result.valid, false);
+});
+
+test('validates every @graph node and skips @id references', () => {
+    const result = validator.validate({
+        '@context': 'https://schema.org',
+        '@graph': [
+            { '@type': 'Organization', '@id': 'https://example.com/#organization', name: 'Example', url: 'https://example.com/', logo: 'https://example.com/logo.png' },
+            { '@type': 'Article', '@id': 'https://example.com/post#article', publisher: { '@id': 'https://example.com/#organization' } },
+        ],
+    });
+    assert.deepEqual(result.types, ['Organization', 'Article']);
+    assert.deepEqual(result.errors, [
+        { path: "$['@graph'][1].headline", type: 'Article', message: 'Missing required property "headline" for Article.' },
+    ]);
+    assert.ok(!result.warnings.some(warning => warning.path.startsWith("$['@graph'][1].publisher")));
+});
+
+test('subtypes inherit the Article rules and nested nodes are checked too', () => {
+    const result = validator.validate({
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        author: { '@type': 'Person', name: 'Ana', url: 'not a url' },
+    });
+    assert.deepEqual(result.errors, [
+        { path: '$.headline', type: 'BlogPosting', message: 'Missing required property "headline" for BlogPosting.' },
+        { path: '$.author.url', message: '"url" must be an absolute URL, got "not a url".' },
+    ]);
+    assert.ok(messages(result.warnings).includes('Missing recommended property "publisher" for BlogPosting.'));
+});
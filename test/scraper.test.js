@@ -0,0 +1,458 @@
+// test/scraper.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { WebScraper } = require('../src/scraper');
+
+const scraper = new WebScraper();
+
+const CONTACT_PAGE = '<html><body><a href="tel:+441234567890">Call us</a></body></html>';
+
+// Organization data as extractOrganization returns it for the main page
+function organization(fields = {}) {
+    return {
+        name: 'Example Ltd', contactUrl: 'https://example.com/contact', logo: null, address: null, geo: null,
+        telephones: [], emails: [], openingHours: [], sameAs: [], ...fields,
+    };
+}
+
+test('reads organization details from the header and footer', () => {
+    const $ = cheerio.load(`<html><head><meta property="og:site_name" content="Chez Nous"></head><body>
+        <header><a class="logo" href="/"><img src="/logo.png"></a></header>
+        <footer><address>12 Rue de Rivoli, 75001 Paris, France</address>
+          <a href="tel:+33 1 23 45 67 89">Call</a><a href="mailto:hello@cheznous.fr">Mail</a>
+          <a href="https://www.facebook.com/cheznous">Facebook</a><a href="/contact">Contact</a>
+          <ul class="opening-hours"><li>Monday - Friday: 9:00 am - 6:00 pm</li></ul></footer></body></html>`);
+    assert.deepEqual(scraper.extractOrganization($, 'https://cheznous.fr/'), {
+        type: null,
+        name: 'Chez Nous',
+        url: 'https://cheznous.fr/',
+        logo: 'https://cheznous.fr/logo.png',
+        description: null,
+        address: { streetAddress: '12 Rue de Rivoli', addressLocality: 'Paris', addressRegion: null, postalCode: '75001', addressCountry: 'France' },
+        geo: null,
+        telephones: ['+33 1 23 45 67 89'],
+        emails: ['hello@cheznous.fr'],
+        openingHours: ['Mo-Fr 09:00-18:00'],
+        sameAs: ['https://www.facebook.com/cheznous'],
+        contactUrl: 'https://cheznous.fr/contact',
+    });
+});
+
+test('the contact page is fetched with the options of the page request', async (t) => {
+    const fetchStaticHtml = t.mock.method(WebScraper, 'fetchStaticHtml', async url => ({ html: CONTACT_PAGE, finalUrl: url }));
+    const renderWithBrowser = t.mock.method(WebScraper, 'renderWithBrowser', async url => ({ html: CONTACT_PAGE, finalUrl: url }));
+
+    const enriched = await scraper.enrichOrganizationFromContactPage(organization(), 'https://example.com/',
+        { nocache: true, ignoreRobots: true, render: 'static' });
+    assert.deepEqual(enriched.telephones, ['+441234567890']);
+    assert.deepEqual(fetchStaticHtml.mock.calls[0].arguments, ['https://example.com/contact', { nocache: true, ignoreRobots: true }]);
+
+    await scraper.enrichOrganizationFromContactPage(organization(), 'https://example.com/', { nocache: false, ignoreRobots: false, render: 'browser' });
+    assert.deepEqual(renderWithBrowser.mock.calls[0].arguments, ['https://example.com/contact', 'organization', { nocache: false, ignoreRobots: false }]);
+    assert.equal(fetchStaticHtml.mock.callCount(), 1);
+});
+
+test('the organization is kept as it is when the contact page fails', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(WebScraper, 'fetchStaticHtml', async () => { throw new Error('HTTP 500'); });
+    const original = organization();
+    assert.equal(await scraper.enrichOrganizationFromContactPage(original, 'https://example.com/'), original);
+});
+
+// FAQs read from the static HTML of a page
+function faqs(body, lang = 'en') {
+    const $ = cheerio.load(`<html lang="${lang}"><body>${body}</body></html>`);
+    return scraper.extractFaqs($, lang, 'https://example.com/help/');
+}
+
+test('reads FAQs from <details> and Bootstrap accordions', () => {
+    assert.deepEqual(faqs(`
+        <details><summary>Do you ship abroad?</summary><p>Yes, to <a href="/countries">most countries</a>.</p></details>
+        <details><summary>Specifications</summary><p>Weight: 2 kg</p></details>`), [
+        { question: 'Do you ship abroad?', answer: 'Yes, to <a href="https://example.com/countries">most countries</a>.' },
+    ]);
+    assert.deepEqual(faqs(`
+        <div class="accordion">
+          <div class="accordion-item">
+            <h2 class="accordion-header"><button class="accordion-button">How long is the warranty?</button></h2>
+            <div class="accordion-collapse collapse"><div class="accordion-body"><p>Two years.</p><p>Three in the EU.</p></div></div>
+          </div>
+        </div>`), [
+        { question: 'How long is the warranty?', answer: '<p>Two years.</p><p>Three in the EU.</p>' },
+    ]);
+});
+
+test('reads FAQs from aria-controls toggles, outside navigation', () => {
+    assert.deepEqual(faqs(`
+        <nav><button aria-controls="menu" aria-expanded="false">What is new?</button><ul id="menu"><li>News</li></ul></nav>
+        <button aria-controls="a1" aria-expanded="false">Can I cancel my order?</button>
+        <div id="a1" hidden><ul><li>Within 14 days</li><li>Free of charge</li></ul></div>`), [
+        { question: 'Can I cancel my order?', answer: '<ul><li>Within 14 days</li><li>Free of charge</li></ul>' },
+    ]);
+});
+
+test('reads FAQs from <dl> lists, with <div> groups and several <dd>', () => {
+    assert.deepEqual(faqs(`
+        <dl>
+          <div><dt>Is parking free?</dt><dd>Yes.</dd></div>
+          <dt>Where do I check in?</dt><dd>At the front desk.</dd><dd>Or online.</dd>
+        </dl>`), [
+        { question: 'Is parking free?', answer: 'Yes.' },
+        { question: 'Where do I check in?', answer: '<div>At the front desk.</div><div>Or online.</div>' },
+    ]);
+});
+
+test('generic blocks need question-like labels unless they sit in an FAQ element', () => {
+    const specs = '<dl><dt>Weight</dt><dd>2 kg</dd></dl>';
+    assert.deepEqual(faqs(specs), []);
+    assert.deepEqual(faqs(`<section class="faq-list">${specs}</section>`), [{ question: 'Weight', answer: '2 kg' }]);
+    assert.deepEqual(faqs(`
+        <div class="schema-faq-section"><strong class="schema-faq-question">Opening hours</strong>
+        <p class="schema-faq-answer">9 to 5.</p></div>`), [{ question: 'Opening hours', answer: '9 to 5.' }], 'Yoast blocks are trusted');
+});
+
+test('the h3 fallback only takes headings that read like questions', () => {
+    assert.deepEqual(faqs(`
+        <h3>How to install the app</h3><p>Download it.</p>
+        <h3>Our team</h3><p>Ten people.</p>
+        <h3>Why is the sky blue?</h3><p>Scattering.</p>`), [{ question: 'Why is the sky blue?', answer: 'Scattering.' }]);
+});
+
+test('questionScore weighs question marks, interrogatives and "How to" titles', () => {
+    assert.equal(scraper.questionScore('Why is the sky blue?', 'en'), 3);
+    assert.equal(scraper.questionScore('Is it safe', 'en'), 1);
+    assert.equal(scraper.questionScore('Q1: What does it cost', 'en'), 1);
+    assert.equal(scraper.questionScore('¿Cuánto cuesta?', 'es'), 3);
+    assert.equal(scraper.questionScore('Wie funktioniert das', 'de'), 1);
+    assert.equal(scraper.questionScore('How to bake bread', 'en'), 0);
+    assert.equal(scraper.questionScore('Hi?', 'en'), 0);
+    assert.equal(scraper.questionScore(`${'Very long question '.repeat(9)}?`, 'en'), 1);
+});
+
+test('answerHtml keeps the allowed tags and drops scripts, images and attributes', () => {
+    const $ = cheerio.load(`<div class="panel"><div class="inner">
+        <p class="lead" style="x">See <a href="/docs" target="_blank">the docs</a> or <a href="javascript:alert(1)">this</a>.</p>
+        <script>track()</script><img src="/x.png"><span>Plain <em>text</em> &amp; more</span>
+        <button>Close</button></div></div>`);
+    assert.equal(scraper.answerHtml($, $('.panel').toArray(), 'https://example.com/help/'),
+        '<p>See <a href="https://example.com/docs">the docs</a> or this.</p>Plain <em>text</em> &amp; more');
+    assert.equal(scraper.answerHtml($, cheerio.load('<p> Just   text. </p>')('p').toArray(), null), 'Just text.');
+    assert.equal(scraper.answerHtml($, cheerio.load('<div><img src="/x.png"></div>')('div').toArray(), null), '');
+});
+
+test('reads events from "add to calendar" links', () => {
+    const $ = cheerio.load(`<h1>Jazz</h1>
+        <a href="https://calendar.google.com/calendar/render?action=TEMPLATE&text=Jazz+Night&dates=20240701T180000Z/20240701T210000Z&location=Club+Blue,+Main+Street+1,+Berlin">Add</a>`);
+    const [event] = scraper.extractEvents($, 'https://example.com/jazz');
+    assert.equal(event.name, 'Jazz Night');
+    assert.equal(event.startDate, '2024-07-01T18:00:00Z');
+    assert.equal(event.endDate, '2024-07-01T21:00:00Z');
+    assert.deepEqual(event.location, {
+        name: 'Club Blue',
+        address: { streetAddress: 'Main Street 1', addressLocality: 'Berlin', addressRegion: null, postalCode: null, addressCountry: null },
+    });
+});
+
+test('a linked .ics file completes a single event', async (t) => {
+    t.mock.method(WebScraper, 'assertPublicUrl', async () => {});
+    const fetchStaticHtml = t.mock.method(WebScraper, 'fetchStaticHtml', async url => ({
+        html: 'BEGIN:VEVENT\r\nSUMMARY:Jazz Night\r\nDTSTART;TZID=Europe/Berlin:20240701T200000\r\nLOCATION:Club Blue\r\nEND:VEVENT',
+        finalUrl: url,
+    }));
+    const $ = cheerio.load('<h1>Jazz</h1><a href="webcal://example.com/jazz.ics">Subscribe</a>');
+    const events = scraper.extractEvents($, 'https://example.com/jazz');
+    assert.deepEqual(events, [], 'the page alone has no date');
+
+    const [event] = await scraper.enrichEventsFromCalendar(events, $, 'https://example.com/jazz', { nocache: true });
+    assert.equal(event.name, 'Jazz Night');
+    assert.equal(event.startDate, '2024-07-01T20:00:00+02:00');
+    assert.equal(event.location.name, 'Club Blue');
+    assert.deepEqual(fetchStaticHtml.mock.calls[0].arguments, ['https://example.com/jazz.ics', { nocache: true }]);
+});
+
+test('reads a product with offers, rating and reviews from JSON-LD', () => {
+    const node = {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Desk Lamp',
+        sku: 'L-1',
+        brand: { '@type': 'Brand', name: 'Lumo' },
+        image: ['/lamp.jpg'],
+        offers: { '@type': 'Offer', price: '49.90', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' },
+        aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.5', reviewCount: '12' },
+        review: [{ '@type': 'Review', author: { '@type': 'Person', name: 'Ana' }, reviewBody: 'Bright.', reviewRating: { '@type': 'Rating', ratingValue: '5' } }],
+    };
+    const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify(node)}</script>`);
+    // Fields the page does not provide are left undefined
+    const product = JSON.parse(JSON.stringify(scraper.extractProduct($, 'https://shop.example.com/lamp')));
+    assert.deepEqual(product, {
+        name: 'Desk Lamp',
+        sku: 'L-1',
+        brand: 'Lumo',
+        images: ['https://shop.example.com/lamp.jpg'],
+        offers: { price: 49.9, priceCurrency: 'EUR', availability: 'https://schema.org/InStock' },
+        aggregateRating: { ratingValue: 4.5, reviewCount: 12 },
+        reviews: [{ author: 'Ana', reviewBody: 'Bright.', ratingValue: 5, bestRating: null }],
+    });
+});
+
+test('reads a product from shop markup but not from a pricing page', () => {
+    const shop = cheerio.load(`<h1 class="product_title">Chair</h1><p class="price">$ 1,299.00</p>
+        <button class="single_add_to_cart_button">Add</button><p class="stock">Out of stock</p>
+        <div class="star-rating" aria-label="Rated 4.50 out of 5"></div>`);
+    const product = scraper.extractProduct(shop, 'https://shop.example.com/chair');
+    assert.equal(product.name, 'Chair');
+    assert.deepEqual(product.offers, { price: 1299, priceCurrency: 'USD', availability: 'https://schema.org/OutOfStock' });
+    assert.deepEqual(product.aggregateRating, { ratingValue: 4.5, bestRating: 5 });
+
+    assert.equal(scraper.extractProduct(cheerio.load('<h1>Pricing</h1><p class="price">$9 per month</p>'), 'https://example.com/pricing'), null);
+});
+
+test('parses prices, currencies and availability in several notations', () => {
+    assert.equal(scraper.parsePrice('1.299,00 €'), 1299);
+    assert.equal(scraper.parsePrice('$1,299.00'), 1299);
+    assert.equal(scraper.detectCurrency('1.299,00 €'), 'EUR');
+    assert.equal(scraper.detectCurrency('£5'), 'GBP');
+    assert.equal(scraper.normalizeAvailability('In stock'), 'https://schema.org/InStock');
+    assert.equal(scraper.normalizeAvailability('Sold out'), 'https://schema.org/SoldOut');
+});
+
+test('collects the JSON-LD, microdata and RDFa the page declares for audits', () => {
+    const $ = cheerio.load(`
+        <script type="application/ld+json">{"@context": "https://schema.org", "@graph": [{"@type": "WebSite", "name": "X"}]}</script>
+        <div itemscope itemtype="https://schema.org/Product">
+          <span itemprop="name">Lamp</span><a itemprop="url" href="/lamp">Lamp</a>
+          <div itemprop="offers" itemscope itemtype="https://schema.org/Offer"><meta itemprop="price" content="9"></div>
+        </div>
+        <div vocab="https://schema.org/" typeof="Person"><span property="name">Ana</span><meta property="og:title" content="x"></div>`);
+    assert.deepEqual(scraper.extractStructuredData($, 'https://example.com/p'), {
+        jsonLd: [{ '@type': 'WebSite', name: 'X' }],
+        microdata: [{ '@type': 'Product', name: 'Lamp', url: 'https://example.com/lamp', offers: { '@type': 'Offer', price: '9' } }],
+        rdfa: [{ '@type': 'Person', name: 'Ana' }],
+    });
+});
+
+const SHELL = '<html><head><title>App</title><script src="/app.js"></script></head><body><div id="root"></div></body></html>';
+const ARTICLE = `<html><head><title>Flood</title></head><body><article><h1>Flood</h1><p>${'The river rose overnight. '.repeat(30)}</p></article></body></html>`;
+
+test('detects client-rendered app shells', () => {
+    assert.equal(scraper.detectClientRenderedShell(cheerio.load(SHELL)), 'empty-app-root');
+    assert.equal(scraper.detectClientRenderedShell(cheerio.load(
+        '<body><noscript>Please enable JavaScript to use this site.</noscript><p>Loading</p></body>')), 'requires-javascript');
+    assert.equal(scraper.detectClientRenderedShell(cheerio.load('<body><p>Hi</p><script>boot()</script></body>')), 'minimal-body-text');
+    assert.equal(scraper.detectClientRenderedShell(cheerio.load(ARTICLE)), null);
+});
+
+test('render=auto only uses the browser for app shells', async (t) => {
+    t.mock.method(WebScraper, 'assertPublicUrl', async () => {});
+    const pages = { 'https://example.com/app': SHELL, 'https://example.com/flood': ARTICLE };
+    const fetchStaticHtml = t.mock.method(WebScraper, 'fetchStaticHtml', async url => ({ html: pages[url], finalUrl: url, cacheStatus: 'MISS' }));
+    const renderWithBrowser = t.mock.method(WebScraper, 'renderWithBrowser', async url => ({ html: ARTICLE, finalUrl: url, cacheStatus: 'MISS' }));
+
+    const app = await scraper.scrapeUrl('https://example.com/app', 'article', { nocache: true });
+    assert.equal(app.renderMode, 'browser');
+    assert.equal(app.renderReason, 'empty-app-root');
+    assert.equal(app.title, 'Flood');
+    assert.deepEqual(renderWithBrowser.mock.calls[0].arguments, ['https://example.com/app', 'article', { nocache: true, ignoreRobots: false }]);
+
+    const flood = await scraper.scrapeUrl('https://example.com/flood', 'article', { nocache: true });
+    assert.equal(flood.renderMode, 'static');
+    assert.equal(flood.renderReason, 'static-html-complete');
+
+    const forced = await scraper.scrapeUrl('https://example.com/app', 'article', { nocache: true, render: 'static' });
+    assert.equal(forced.renderMode, 'static');
+    assert.equal(forced.renderReason, 'requested');
+    assert.equal(renderWithBrowser.mock.callCount(), 1);
+    assert.equal(fetchStaticHtml.mock.callCount(), 3);
+});
+
+test('reads the page language from markup before guessing from the text', () => {
+    assert.deepEqual(scraper.extractLanguage(cheerio.load('<html lang="EN_gb"><body></body></html>')), { inLanguage: 'en-GB', languageSource: 'html-lang' });
+    assert.deepEqual(scraper.extractLanguage(cheerio.load('<html><head><meta property="og:locale" content="fr_FR"></head></html>')),
+        { inLanguage: 'fr-FR', languageSource: 'og-locale' });
+    const german = `<html><body><p>${'Der Hund und die Katze sind nicht mit dem Auto in die Stadt gefahren, weil es zu kalt war. '.repeat(3)}</p></body></html>`;
+    assert.deepEqual(scraper.extractLanguage(cheerio.load(german)), { inLanguage: 'de', languageSource: 'content' });
+});
+
+test('collects hreflang alternates once each', () => {
+    const $ = cheerio.load(`<link rel="alternate" hreflang="de-de" href="/de/"><link rel="alternate" hreflang="X-Default" href="/">
+        <link rel="alternate" hreflang="de-DE" href="/de/"><link rel="alternate" hreflang="bogus!" href="/x">`);
+    assert.deepEqual(scraper.extractAlternates($, 'https://example.com/en/'), [
+        { hreflang: 'de-DE', url: 'https://example.com/de/' },
+        { hreflang: 'x-default', url: 'https://example.com/' },
+    ]);
+});
+
+test('finds FAQ sections and breadcrumbs by their localized labels', () => {
+    const faqPage = cheerio.load(`<html lang="de"><body><h2>Häufige Fragen</h2>
+        <h3>Wie lange dauert der Versand</h3><p>Zwei Tage.</p><h3>Kann ich zurückgeben</h3><p>Ja, 30 Tage.</p>
+        <h2>Kontakt</h2><p>Schreiben Sie uns.</p></body></html>`);
+    assert.deepEqual(scraper.extractFaqs(faqPage, 'de', 'https://example.com/'), [
+        { question: 'Wie lange dauert der Versand', answer: 'Zwei Tage.' },
+        { question: 'Kann ich zurückgeben', answer: 'Ja, 30 Tage.' },
+    ]);
+
+    const crumbPage = cheerio.load('<nav aria-label="Ruta de navegación"><a href="/">Inicio</a><a href="/blog">Blog</a></nav>');
+    assert.deepEqual(scraper.extractBreadcrumbs(crumbPage, 'https://example.com/blog/post', 'es'), [
+        { name: 'Inicio', url: 'https://example.com/', position: 1 },
+        { name: 'Blog', url: 'https://example.com/blog/', position: 2 },
+    ]);
+});
+
+test('collects several authors from JSON-LD references, bylines and meta tags', () => {
+    const article = {
+        '@context': 'https://schema.org',
+        '@graph': [
+            { '@type': 'Article', headline: 'Flood', author: [{ '@id': 'https://example.com/#jane' }, { '@type': 'Organization', name: 'Example News' }] },
+            { '@type': 'Person', '@id': 'https://example.com/#jane', name: 'Jane Doe', url: '/authors/jane', jobTitle: 'Reporter' },
+            { '@type': 'Review', author: { '@type': 'Person', name: 'Reviewer' } },
+        ],
+    };
+    const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify(article)}</script>
+        <p class="byline">By <a rel="author" href="/authors/jane">Jane Doe</a> and <a href="/author/john-roe">John Roe</a></p>
+        <div class="comments"><a href="/author/troll">Troll</a></div>`);
+    const authors = JSON.parse(JSON.stringify(scraper.extractAuthors($, 'https://example.com/news/flood', 'Example News')));
+    assert.deepEqual(authors, [
+        { type: 'Person', name: 'Jane Doe', url: 'https://example.com/authors/jane', jobTitle: 'Reporter' },
+        { type: 'Organization', name: 'Example News' },
+        { type: 'Person', name: 'John Roe', url: 'https://example.com/author/john-roe' },
+    ]);
+
+    const meta = cheerio.load('<meta name="author" content="By Ana Ruiz, Ben Lee & Cai Wu">');
+    assert.deepEqual(scraper.extractAuthors(meta, 'https://example.com/').map(author => author.name), ['Ana Ruiz', 'Ben Lee', 'Cai Wu']);
+});
+
+test('fills in authors from their same-site profile pages', async (t) => {
+    const fetchStaticHtml = t.mock.method(WebScraper, 'fetchStaticHtml', async url => ({
+        html: `<div class="author-bio"><img class="avatar" src="/jane.jpg"><span class="job-title">Science editor</span>
+            <p>Jane covers climate.</p><a href="https://twitter.com/jane">Twitter</a><a href="/contact">Contact</a></div>`,
+        finalUrl: url,
+    }));
+    const authors = await scraper.enrichAuthorsFromProfiles([
+        { type: 'Person', name: 'Jane Doe', url: 'https://example.com/authors/jane', jobTitle: 'Reporter' },
+        { type: 'Person', name: 'Guest', url: 'https://elsewhere.example/guest' },
+    ], 'https://example.com/news/flood', { nocache: true, ignoreRobots: true });
+    assert.deepEqual(authors, [
+        {
+            type: 'Person', name: 'Jane Doe', url: 'https://example.com/authors/jane', jobTitle: 'Reporter',
+            image: 'https://example.com/jane.jpg', description: 'Jane covers climate.', sameAs: ['https://twitter.com/jane'],
+        },
+        { type: 'Person', name: 'Guest', url: 'https://elsewhere.example/guest' },
+    ]);
+    assert.deepEqual(fetchStaticHtml.mock.calls.map(call => call.arguments),
+        [['https://example.com/authors/jane', { nocache: true, ignoreRobots: true }]]);
+});
+
+test('classifies the article subtype from page signals, with a rationale', () => {
+    const news = scraper.classifyArticle(cheerio.load('<meta name="news_keywords" content="markets"><p>LONDON (Reuters) - Markets fell.</p>'),
+        'https://example.com/markets');
+    assert.deepEqual(news, {
+        articleType: 'NewsArticle',
+        articleTypeRationale: [
+            '+3 NewsArticle: news meta tags (news_keywords, syndication-source, ...) present',
+            '+3 NewsArticle: first paragraph opens with a dateline',
+            'NewsArticle wins with 6 points',
+        ],
+    });
+    const docs = cheerio.load('<pre><code>npm install</code></pre><pre><code>npm start</code></pre>');
+    assert.equal(scraper.classifyArticle(docs, 'https://docs.example.com/guide/install').articleType, 'TechArticle');
+    const declared = cheerio.load('<script type="application/ld+json">{"@type": "BlogPosting"}</script>');
+    assert.equal(scraper.classifyArticle(declared, 'https://example.com/news/x').articleType, 'BlogPosting', 'JSON-LD outweighs the URL');
+    assert.deepEqual(scraper.classifyArticle(cheerio.load('<p>Hello</p>'), 'https://example.com/about'),
+        { articleType: 'Article', articleTypeRationale: ['no subtype reached 3 points; using Article'] });
+});
+
+test('the articleType option overrides the detected subtype', () => {
+    const detected = { articleType: 'BlogPosting', articleTypeRationale: ['+5 BlogPosting: page JSON-LD declares BlogPosting'], fieldSources: {} };
+    assert.equal(scraper.applyArticleType(detected, 'BlogPosting'), detected);
+    const overridden = scraper.applyArticleType(detected, 'NewsArticle');
+    assert.equal(overridden.articleType, 'NewsArticle');
+    assert.equal(overridden.articleTypeRationale[1], 'overridden to NewsArticle by the articleType parameter');
+    assert.equal(overridden.fieldSources.articleType.source, 'articleType parameter');
+    assert.equal(detected.articleType, 'BlogPosting', 'the cached extraction is left alone');
+});
+
+test('collects embedded videos once each with provider thumbnails', () => {
+    const $ = cheerio.load(`<h1>Launch</h1>
+        <iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ?start=5" title="Demo"></iframe>
+        <iframe src="https://player.vimeo.com/video/123456"></iframe>
+        <video src="/clip.mp4" poster="/poster.jpg" title="Clip"></video>
+        <meta property="og:video" content="https://www.youtube.com/watch?v=dQw4w9WgXcQ">`);
+    const videos = scraper.extractVideos($, 'https://example.com/post', { title: 'Launch', description: 'Launch day.', datePublished: '2024-01-01' });
+    assert.deepEqual(videos.map(video => [video.provider, video.name, video.embedUrl, video.contentUrl, video.thumbnailUrl]), [
+        ['YouTube', 'Demo', 'https://www.youtube.com/embed/dQw4w9WgXcQ', null, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg'],
+        ['Vimeo', 'Launch', 'https://player.vimeo.com/video/123456', null, null],
+        [null, 'Clip', null, 'https://example.com/clip.mp4', 'https://example.com/poster.jpg'],
+    ]);
+    assert.ok(videos.every(video => video.uploadDate === '2024-01-01'));
+    assert.equal(scraper.secondsToDuration(3725), 'PT1H2M5S');
+    assert.equal(scraper.secondsToDuration(0), 'PT0S');
+});
+
+test('extracts from posted HTML without fetching anything', (t) => {
+    const fetchStaticHtml = t.mock.method(WebScraper, 'fetchStaticHtml', async () => { throw new Error('no fetch expected'); });
+    const data = scraper.extractFromHtml(`<html lang="en"><head><title>Draft post</title></head><body>
+        <nav class="breadcrumb"><a href="/">Home</a><a href="/blog/">Blog</a></nav><h1>Draft post</h1></body></html>`,
+    'https://staging.example.com/blog/draft', { articleType: 'BlogPosting' });
+    assert.equal(data.title, 'Draft post');
+    assert.equal(data.finalUrl, 'https://staging.example.com/blog/draft');
+    assert.deepEqual([data.renderMode, data.renderReason, data.cacheStatus], ['input', 'html-input', 'BYPASS']);
+    assert.equal(data.articleType, 'BlogPosting');
+    assert.equal(data.breadcrumbs[1].url, 'https://staging.example.com/blog/');
+    assert.equal(fetchStaticHtml.mock.callCount(), 0);
+});
+
+test('cleanTitle drops the site name but keeps titles that merely contain separators', () => {
+    assert.equal(scraper.cleanTitle('How to Bake Bread | Acme Blog', { siteName: 'Acme Blog' }), 'How to Bake Bread');
+    assert.equal(scraper.cleanTitle('Acme - How to Bake Bread', { url: 'https://www.acme.com/bread' }), 'How to Bake Bread');
+    assert.equal(scraper.cleanTitle('Title - Section | Site', { siteName: 'Site' }), 'Title - Section');
+    assert.equal(scraper.cleanTitle('Rust vs Go - A comparison', { headline: 'Rust vs Go' }), 'Rust vs Go');
+    assert.equal(scraper.cleanTitle('Rock - Paper - Scissors'), 'Rock - Paper - Scissors');
+    assert.equal(scraper.cleanTitle(null), null);
+});
+
+test('reports the source and confidence of each extracted field', () => {
+    const data = scraper.extractFromHtml(`<html lang="en"><head><title>Flood | Example News</title>
+        <meta property="og:site_name" content="Example News"><meta name="description" content="River floods.">
+        <meta property="article:published_time" content="2024-03-05T10:00:00Z"></head><body><h1>Flood</h1></body></html>`,
+    'https://example.com/news/flood');
+    assert.equal(data.title, 'Flood');
+    const { fieldSources } = data;
+    assert.deepEqual(fieldSources.title, { source: '<title>', confidence: 0.8, original: 'Flood | Example News' });
+    assert.deepEqual(fieldSources.description, { source: 'meta description', confidence: 0.9 });
+    assert.deepEqual(fieldSources.datePublished, { source: 'article:published_time', confidence: 0.9 });
+    assert.deepEqual(fieldSources.inLanguage, { source: 'html-lang', confidence: 0.9 });
+    assert.deepEqual(fieldSources.breadcrumbs, { source: 'URL path', confidence: 0.4 });
+    assert.equal('author' in fieldSources, false);
+});
+
+test('reads HowTo steps, supplies, tools and time from headings', () => {
+    const $ = cheerio.load(`<h1>How to fix a tap</h1>
+        <h2>What you will need</h2><ul><li>Washer</li></ul><h2>Tools</h2><ul><li>Wrench</li></ul>
+        <p>Total time: 30 minutes</p>
+        <h2>Step 1: Turn off the water</h2><p>Close the valve.</p>
+        <h2>Step 2: Replace the washer</h2><p>Unscrew and swap.</p>`);
+    assert.deepEqual(scraper.extractHowTo($, 'https://example.com/tap'), {
+        name: 'How to fix a tap',
+        description: null,
+        steps: [{ name: 'Turn off the water', text: 'Close the valve.' }, { name: 'Replace the washer', text: 'Unscrew and swap.' }],
+        supplies: ['Washer'],
+        tools: ['Wrench'],
+        totalTime: 'PT30M',
+    });
+    assert.equal(scraper.extractHowTo(cheerio.load('<h1>About us</h1><p>We fix taps.</p>'), 'https://example.com/about'), null);
+});
+
+test('reads recipes from recipe plugin markup and normalizes durations', () => {
+    const $ = cheerio.load(`<div class="wprm-recipe-container"><h2 class="wprm-recipe-name">Soup</h2>
+        <ul><li class="wprm-recipe-ingredient">1 onion</li><li class="wprm-recipe-ingredient">1 l water</li></ul>
+        <div class="wprm-recipe-instruction-text">Chop.</div><div class="wprm-recipe-instruction-text">Boil.</div></div>`);
+    const recipe = scraper.extractRecipe($, 'https://example.com/soup');
+    assert.equal(recipe.name, 'Soup');
+    assert.deepEqual(recipe.ingredients, ['1 onion', '1 l water']);
+    assert.deepEqual(recipe.instructions, [{ text: 'Chop.' }, { text: 'Boil.' }]);
+    assert.equal(scraper.parseDuration('1 hr 15 mins'), 'PT1H15M');
+    assert.equal(scraper.parseDuration('PT20M'), 'PT20M');
+    assert.equal(scraper.parseDuration('soon'), null);
+});